@@ -0,0 +1,1140 @@
+#!/usr/bin/env node
+
+/**
+ * Sidecar Embedding Engine CLI
+ *
+ * One entry point for operating the engine: setup checks, schema drift
+ * detection, status, seeding, import, export and restore, monitoring, metrics
+ * export, performance and cost reports, search, queue maintenance and error
+ * inspection. Every command accepts --json, which prints a single JSON document
+ * on stdout and nothing else, so the CLI can be scripted against.
+ *
+ * Usage: embedding-engine <command> [options]
+ *
+ * Exit codes:
+ *   0  success
+ *   1  command failed (database or network error)
+ *   2  invalid usage (unknown command or flag, bad value)
+ *   3  configuration error (missing environment variables)
+ *   4  command ran but reported a problem (unhealthy system, failed checks,
+ *      schema drift, incomplete performance run or regression against its baseline)
+ */
+
+import { spawnSync } from 'node:child_process';
+import { realpathSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { config } from 'dotenv';
+import { createEmbeddingClientFromEnv } from '../lib/embedding-client.js';
+import { getQueueSnapshot, printQueueSnapshot, watchQueue, watchOutput } from '../scripts/monitor-queue.js';
+import {
+  runPerformanceTest,
+  printPerformanceResults,
+  parseLengthRange,
+  cleanupTestDocuments,
+  compareWithBaseline,
+  writeResults,
+  readBaseline
+} from '../scripts/performance-test.js';
+import {
+  analyzeCosts,
+  printCostAnalysis,
+  readPricingProfiles,
+  parseGrowth,
+  formatCostReportMarkdown,
+  writeCostReport
+} from '../scripts/cost-analysis.js';
+import { seedDocuments, getSystemSummary, displaySystemStatus } from '../scripts/seed-sample-data.js';
+import { backfillEmbeddings } from '../scripts/backfill-embeddings.js';
+import { collectMetrics, formatOpenMetrics, createMetricsServer } from '../scripts/metrics-exporter.js';
+import { readRecords, importDocuments, createRejectReport } from '../scripts/import-documents.js';
+import { exportEmbeddings, restoreEmbeddings } from '../scripts/export-embeddings.js';
+import { runSchemaDoctor, printDoctorReport } from '../scripts/schema-doctor.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  CONFIG: 3,
+  UNHEALTHY: 4
+};
+
+/**
+ * Raised for invalid command lines - exits with EXIT_CODES.USAGE
+ */
+export class UsageError extends Error {}
+
+/**
+ * Raised for missing or invalid configuration - exits with EXIT_CODES.CONFIG
+ */
+export class ConfigError extends Error {}
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const EDGE_FUNCTIONS = ['process-embedding-queue', 'search-documents'];
+
+/**
+ * Parses a positive integer flag value
+ */
+function positiveInt(value, flag) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new UsageError(`--${flag} must be a positive integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Parses --tenant, which must name a tenant when given
+ */
+function parseTenant(value) {
+  if (value !== undefined && !value.trim()) {
+    throw new UsageError('--tenant must not be empty');
+  }
+  return value?.trim();
+}
+
+/**
+ * Parses --filter as a JSON search filter object (see migration 021)
+ */
+function parseFilter(value) {
+  let filter;
+  try {
+    filter = JSON.parse(value);
+  } catch (error) {
+    throw new UsageError(`--filter must be JSON, e.g. '{"metadata": {"author": "Ada"}}' (${error.message})`);
+  }
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new UsageError('--filter must be a JSON object');
+  }
+  return filter;
+}
+
+/**
+ * Parses --since as a duration (30m, 6h, 2d) or an ISO timestamp
+ */
+function parseSince(value) {
+  const duration = /^(\d+)([mhd])$/.exec(value);
+  if (duration) {
+    const unitMs = { m: 60000, h: 3600000, d: 86400000 }[duration[2]];
+    return new Date(Date.now() - Number(duration[1]) * unitMs).toISOString();
+  }
+
+  const timestamp = new Date(value);
+  if (Number.isNaN(timestamp.getTime())) {
+    throw new UsageError('--since must be a duration like 30m, 6h, 2d or an ISO timestamp');
+  }
+  return timestamp.toISOString();
+}
+
+/**
+ * Parses comma or space separated dead-letter message ids
+ */
+function parseMessageIds(positionals) {
+  const ids = positionals.flatMap((value) => value.split(',')).filter(Boolean).map(Number);
+  if (ids.some((id) => !Number.isInteger(id) || id < 1)) {
+    throw new UsageError('Message ids must be positive integers');
+  }
+  return ids;
+}
+
+/**
+ * Creates the Supabase client, reporting missing variables as a configuration error
+ */
+function connect() {
+  try {
+    return createEmbeddingClientFromEnv();
+  } catch (error) {
+    throw new ConfigError(`${error.message} (copy .env.example to .env and configure your Supabase credentials)`);
+  }
+}
+
+/**
+ * Returns data or throws for a Supabase response
+ */
+function unwrap({ data, error }, action) {
+  if (error) {
+    throw new Error(`${action} failed: ${error.message}`);
+  }
+  return data;
+}
+
+// ============================================================================
+// Commands
+// Each command returns { data, render, exitCode? }: data is what --json prints,
+// render prints the same data for humans.
+// ============================================================================
+
+/**
+ * setup - verifies configuration, connectivity and the installed schema;
+ * with --apply it first pushes migrations and deploys the Edge Functions
+ */
+async function setupCommand({ values }) {
+  const steps = [];
+
+  if (values.apply) {
+    const stdio = values.json ? 'pipe' : 'inherit';
+    const commands = [
+      ['db', 'push'],
+      ...EDGE_FUNCTIONS.map((name) => ['functions', 'deploy', name])
+    ];
+
+    for (const args of commands) {
+      const result = spawnSync('npx', ['supabase', ...args], { stdio, encoding: 'utf8' });
+      steps.push({ command: `supabase ${args.join(' ')}`, ok: result.status === 0 });
+      if (result.status !== 0) {
+        break;
+      }
+    }
+  }
+
+  const checks = [];
+  const check = async (name, fn) => {
+    try {
+      await fn();
+      checks.push({ name, ok: true });
+    } catch (error) {
+      checks.push({ name, ok: false, error: error.message });
+    }
+  };
+
+  const { supabase } = connect();
+  checks.push({ name: 'environment', ok: true });
+
+  if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    checks.push({ name: 'service role key', ok: false, error: 'SUPABASE_SERVICE_ROLE_KEY is not set; queue and status commands need it' });
+  }
+
+  for (const table of ['source_documents', 'document_embeddings', 'embedding_error_log']) {
+    await check(`table ${table}`, async () => {
+      unwrap(await supabase.from(table).select('*', { count: 'exact', head: true }), `Reading ${table}`);
+    });
+  }
+
+  for (const rpc of ['get_queue_stats', 'get_active_embedding_model']) {
+    await check(`function ${rpc}`, async () => {
+      unwrap(await supabase.rpc(rpc), `Calling ${rpc}`);
+    });
+  }
+
+  await check('view autonomous_system_status', async () => {
+    unwrap(await supabase.from('autonomous_system_status').select('*').single(), 'Reading autonomous_system_status');
+  });
+
+  const ok = steps.every((step) => step.ok) && checks.every((c) => c.ok);
+
+  return {
+    data: { ok, steps, checks },
+    exitCode: ok ? EXIT_CODES.OK : EXIT_CODES.UNHEALTHY,
+    render() {
+      for (const step of steps) {
+        console.log(`${step.ok ? '✅' : '❌'} ${step.command}`);
+      }
+      for (const c of checks) {
+        console.log(`${c.ok ? '✅' : '❌'} ${c.name}${c.error ? ` - ${c.error}` : ''}`);
+      }
+      console.log(ok ? '\n🎉 System is set up' : '\n⚠️  Setup incomplete - run "npm run migrate" and "npm run functions:deploy", or "setup --apply"; "doctor" shows what is missing');
+    }
+  };
+}
+
+/**
+ * doctor - compares the live schema with the migrations and suggests a fix for
+ * every missing or mismatched object; legacy leftovers are reported as warnings
+ */
+async function doctorCommand() {
+  const { supabase } = connect();
+  const report = await runSchemaDoctor(supabase);
+
+  return {
+    data: report,
+    exitCode: report.ok ? EXIT_CODES.OK : EXIT_CODES.UNHEALTHY,
+    render() {
+      printDoctorReport(report);
+    }
+  };
+}
+
+/**
+ * status - system status view plus queue statistics; unhealthy when jobs are
+ * dead-lettered, errors were logged in the last hour or the autopilot is paused
+ */
+async function statusCommand() {
+  const client = connect();
+  const [status, queue] = await Promise.all([client.getSystemStatus(), client.getQueueStats()]);
+  const problems = [];
+
+  if (Number(status.dead_letter_jobs) > 0) {
+    problems.push(`${status.dead_letter_jobs} dead-lettered jobs`);
+  }
+  if (Number(status.errors_last_hour) > 0) {
+    problems.push(`${status.errors_last_hour} errors in the last hour`);
+  }
+  if (status.autopilot_state && status.autopilot_state !== 'running') {
+    problems.push(`autopilot ${status.autopilot_state} (${status.autopilot_pause_reason})`);
+  }
+
+  return {
+    data: { healthy: problems.length === 0, problems, status, queue },
+    exitCode: problems.length === 0 ? EXIT_CODES.OK : EXIT_CODES.UNHEALTHY,
+    render() {
+      console.log('📊 System Status:');
+      console.log(`   Active model: ${status.active_embedding_model}`);
+      console.log(`   Documents: ${status.total_documents}`);
+      console.log(`   Embedded: ${status.documents_with_embeddings} (${status.embedding_coverage_percent}%)`);
+      console.log(`   Needing update: ${status.documents_needing_update}`);
+      console.log(`   Missing embeddings: ${status.documents_missing_embeddings}`);
+      console.log(`   Pending jobs: ${queue.total_pending} (high: ${queue.high_priority_pending}, normal: ${queue.normal_priority_pending})`);
+      console.log(`   Dead-lettered jobs: ${status.dead_letter_jobs}`);
+      console.log(`   Errors last hour: ${status.errors_last_hour}`);
+      if (status.autopilot_state && status.autopilot_state !== 'running') {
+        console.log(`   Autopilot: ${status.autopilot_state} since ${status.autopilot_paused_at}, next probe at ${status.next_probe_at}`);
+        console.log(`      ${status.autopilot_pause_reason}`);
+      }
+      if ((status.tenant_coverage?.length ?? 0) > 1) {
+        console.log('   Coverage by tenant:');
+        for (const tenant of status.tenant_coverage) {
+          console.log(`      ${tenant.tenant_id}: ${tenant.documents_with_embeddings}/${tenant.total_documents} (${tenant.embedding_coverage_percent ?? 0}%), ${tenant.pending_jobs} pending`);
+        }
+      }
+      console.log(problems.length === 0 ? '\n✅ Healthy' : `\n⚠️  Unhealthy: ${problems.join(', ')}`);
+    }
+  };
+}
+
+/**
+ * seed - inserts the sample documents (idempotent)
+ */
+async function seedCommand() {
+  const { supabase } = connect();
+  const seeded = await seedDocuments(supabase);
+  const summary = await getSystemSummary(supabase);
+
+  return {
+    data: { ...seeded, summary },
+    render() {
+      console.log(seeded.inserted.length === 0
+        ? '✅ All sample documents already exist'
+        : `✅ Inserted ${seeded.inserted.length} sample documents`);
+      displaySystemStatus(summary);
+    }
+  };
+}
+
+/**
+ * import <file|directory> - upserts JSONL, CSV or Markdown/text documents by external ID;
+ * exits 4 when rows were rejected (they are listed in the report file)
+ */
+async function importCommand({ values, positionals }) {
+  const [source] = positionals;
+  if (!source || positionals.length > 1) {
+    throw new UsageError('import requires exactly one file or directory');
+  }
+  if (values.format && !['jsonl', 'csv', 'dir'].includes(values.format)) {
+    throw new UsageError('--format must be jsonl, csv or dir');
+  }
+  if (values.priority && !['high', 'normal'].includes(values.priority)) {
+    throw new UsageError('--priority must be high or normal');
+  }
+
+  const batchSize = values['batch-size'] ? positiveInt(values['batch-size'], 'batch-size') : 500;
+  if (batchSize > 5000) {
+    throw new UsageError('--batch-size must be at most 5000');
+  }
+  const tenantId = parseTenant(values.tenant);
+
+  const client = values['dry-run'] ? null : connect();
+  const report = createRejectReport(values.report ?? 'import-rejects.jsonl');
+  const showProgress = !values.json && process.stdout.isTTY;
+
+  let summary;
+  try {
+    summary = await importDocuments(client, await readRecords(source, values.format), {
+      mapping: {
+        idField: values['id-field'],
+        contentField: values['content-field'],
+        metadataFields: values['metadata-fields']?.split(',').map((field) => field.trim()).filter(Boolean),
+        documentType: values.type
+      },
+      batchSize,
+      priority: values.priority ?? 'normal',
+      tenantId,
+      dryRun: values['dry-run'],
+      onReject: report.write,
+      onProgress: showProgress
+        ? (progress) => process.stdout.write(`\r   Read ${progress.read}, imported ${progress.imported}, rejected ${progress.rejected}`)
+        : undefined
+    });
+  } finally {
+    await report.close();
+  }
+
+  const data = { source, ...summary, report: report.written ? report.path : null };
+
+  return {
+    data,
+    exitCode: summary.rejected > 0 ? EXIT_CODES.UNHEALTHY : EXIT_CODES.OK,
+    render() {
+      if (showProgress) console.log('');
+      console.log(`📥 ${summary.dry_run ? 'Validated' : 'Imported'} ${summary.imported} of ${summary.read} records from ${source} in ${summary.batches} batches`);
+      if (summary.rejected > 0) {
+        console.log(`⚠️  Rejected ${summary.rejected} records - see ${report.path}`);
+      }
+    }
+  };
+}
+
+/**
+ * Validates --batch-size for export and restore (documents per request)
+ */
+function transferBatchSize(values) {
+  const batchSize = values['batch-size'] ? positiveInt(values['batch-size'], 'batch-size') : 100;
+  if (batchSize > 200) {
+    throw new UsageError('--batch-size must be at most 200');
+  }
+  return batchSize;
+}
+
+/**
+ * export <file> - writes documents with their embeddings, chunks and content hashes
+ * to a JSONL file (gzip for .gz); --vectors f32 stores vectors as base64 float32
+ */
+async function exportCommand({ values, positionals }) {
+  const [file] = positionals;
+  if (!file || positionals.length > 1) {
+    throw new UsageError('export requires exactly one output file');
+  }
+  if (values.vectors && !['json', 'f32'].includes(values.vectors)) {
+    throw new UsageError('--vectors must be json or f32');
+  }
+
+  const { supabase } = connect();
+  const showProgress = !values.json && process.stdout.isTTY;
+
+  const summary = await exportEmbeddings(supabase, file, {
+    models: values.models?.split(',').map((model) => model.trim()).filter(Boolean),
+    vectors: values.vectors ?? 'json',
+    batchSize: transferBatchSize(values),
+    onProgress: showProgress ? (progress) => process.stdout.write(`\r   Exported ${progress.documents} documents`) : undefined
+  });
+
+  return {
+    data: summary,
+    render() {
+      if (showProgress) console.log('');
+      console.log(`📤 Exported ${summary.documents} documents with ${summary.embeddings} embeddings and ${summary.chunks} chunks to ${file}`);
+      console.log(`   Models: ${summary.models.join(', ') || 'none'} (${summary.vector_encoding} vectors)`);
+    }
+  };
+}
+
+/**
+ * restore <file> - restores an export; embeddings whose content hash still matches
+ * are kept, so only changed documents are queued for re-embedding
+ */
+async function restoreCommand({ values, positionals }) {
+  const [file] = positionals;
+  if (!file || positionals.length > 1) {
+    throw new UsageError('restore requires exactly one export file');
+  }
+  if (values.priority && !['high', 'normal'].includes(values.priority)) {
+    throw new UsageError('--priority must be high or normal');
+  }
+
+  const { supabase } = connect();
+  const showProgress = !values.json && process.stdout.isTTY;
+  const failures = [];
+
+  const summary = await restoreEmbeddings(supabase, file, {
+    batchSize: transferBatchSize(values),
+    priority: values.priority ?? 'normal',
+    onFailure: (failure) => failures.push(failure),
+    onProgress: showProgress
+      ? (progress) => process.stdout.write(`\r   Read ${progress.documents}, restored ${progress.restored}, queued ${progress.reembed_queued}`)
+      : undefined
+  });
+
+  return {
+    data: { ...summary, failures },
+    exitCode: summary.failed > 0 ? EXIT_CODES.UNHEALTHY : EXIT_CODES.OK,
+    render() {
+      if (showProgress) console.log('');
+      console.log(`📥 Restored ${summary.restored} of ${summary.documents} documents from ${file} without re-embedding`);
+      console.log(`   Queued for re-embedding: ${summary.reembed_queued}`);
+      console.log(`   Embeddings restored: ${summary.embeddings_restored}, skipped: ${summary.embeddings_skipped} (outdated or model not in use here)`);
+      for (const failure of failures) {
+        console.log(`⚠️  Line ${failure.line}${failure.document_id ? ` (${failure.document_id})` : ''}: ${failure.reason}`);
+      }
+    }
+  };
+}
+
+/**
+ * monitor - coverage, queue depth, throughput, ETA, errors and autopilot activity;
+ * --watch refreshes until interrupted, and with --json (or --ndjson) prints one
+ * JSON snapshot per line for log shipping
+ */
+async function monitorCommand({ values }) {
+  const { supabase } = connect();
+  const windowMinutes = values.window ? positiveInt(values.window, 'window') : undefined;
+  const interval = values.interval === undefined ? 5 : Number(values.interval);
+  if (!(interval > 0)) {
+    throw new UsageError('--interval must be a positive number of seconds');
+  }
+
+  if (!values.watch && !values.ndjson) {
+    const snapshot = await getQueueSnapshot(supabase, { windowMinutes });
+    return {
+      data: snapshot,
+      render: () => printQueueSnapshot(snapshot)
+    };
+  }
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  process.once('SIGTERM', () => controller.abort());
+
+  await watchQueue(supabase, {
+    intervalMs: interval * 1000,
+    windowMinutes,
+    count: values.count ? positiveInt(values.count, 'count') : undefined,
+    signal: controller.signal,
+    ...watchOutput(values.json || values.ndjson ? 'ndjson' : 'pretty')
+  });
+
+  return { streamed: true };
+}
+
+/**
+ * perf - load-tests the pipeline with tagged test documents and reports
+ * enqueue-to-embedded latency percentiles and throughput over time; incomplete
+ * runs and regressions against --baseline exit 4
+ */
+async function perfCommand({ values }) {
+  if (values.cleanup) {
+    const deleted = await cleanupTestDocuments(connect().supabase);
+    return {
+      data: { deleted },
+      render: () => console.log(`🧹 Deleted ${deleted} test documents`)
+    };
+  }
+
+  if (values.distribution && !['uniform', 'lognormal'].includes(values.distribution)) {
+    throw new UsageError('--distribution must be uniform or lognormal');
+  }
+  if (values.length) {
+    try {
+      parseLengthRange(values.length);
+    } catch (error) {
+      throw new UsageError(`--length: ${error.message}`);
+    }
+  }
+  const poll = values.poll === undefined ? undefined : Number(values.poll);
+  if (poll !== undefined && !(poll > 0)) {
+    throw new UsageError('--poll must be a positive number of seconds');
+  }
+  const tolerance = values.tolerance === undefined ? undefined : Number(values.tolerance);
+  if (tolerance !== undefined && !(tolerance >= 0)) {
+    throw new UsageError('--tolerance must be a non-negative fraction, e.g. 0.2');
+  }
+
+  const { supabase } = connect();
+  const baseline = values.baseline ? await readBaseline(values.baseline) : null;
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+
+  const results = await runPerformanceTest(supabase, {
+    count: values.count ? positiveInt(values.count, 'count') : undefined,
+    length: values.length,
+    distribution: values.distribution,
+    seed: values.seed ? positiveInt(values.seed, 'seed') : undefined,
+    concurrency: values.concurrency ? positiveInt(values.concurrency, 'concurrency') : undefined,
+    insertBatchSize: values['insert-batch'] ? positiveInt(values['insert-batch'], 'insert-batch') : undefined,
+    timeoutMs: values.timeout ? positiveInt(values.timeout, 'timeout') * 1000 : undefined,
+    pollIntervalMs: poll === undefined ? undefined : poll * 1000,
+    bucketSeconds: values.bucket ? positiveInt(values.bucket, 'bucket') : undefined,
+    keep: values.keep,
+    signal: controller.signal,
+    onProgress: values.json ? undefined : (embedded, total, elapsedMs) => {
+      process.stdout.write(`\r   Progress: ${embedded}/${total} (${Math.round(elapsedMs / 1000)}s)`);
+    }
+  });
+
+  const comparison = baseline ? compareWithBaseline(results, baseline, { tolerance }) : null;
+  if (values.output) {
+    await writeResults(values.output, results);
+  }
+
+  return {
+    data: { ...results, baseline_comparison: comparison },
+    exitCode: results.complete && !comparison?.regressed ? EXIT_CODES.OK : EXIT_CODES.UNHEALTHY,
+    render() {
+      console.log('\n');
+      printPerformanceResults(results, comparison);
+      if (values.output) {
+        console.log(`\n💾 Results written to ${values.output}`);
+      }
+    }
+  };
+}
+
+/**
+ * cost - prices the measured workload against pricing profiles at the current
+ * volume and projected growth; --markdown prints the report as Markdown
+ */
+async function costCommand({ values }) {
+  let growth;
+  if (values.growth) {
+    try {
+      growth = parseGrowth(values.growth);
+    } catch (error) {
+      throw new UsageError(`--growth: ${error.message}`);
+    }
+  }
+
+  const { supabase } = connect();
+  const profiles = values.pricing ? await readPricingProfiles(values.pricing) : undefined;
+  const report = await analyzeCosts(supabase, {
+    days: values.days ? positiveInt(values.days, 'days') : undefined,
+    profiles,
+    growth
+  });
+
+  if (values.output) {
+    await writeCostReport(values.output, report);
+  }
+
+  return {
+    data: report,
+    render() {
+      if (values.markdown) {
+        process.stdout.write(formatCostReportMarkdown(report));
+        return;
+      }
+      printCostAnalysis(report);
+      if (values.output) {
+        console.log(`\n💾 Report written to ${values.output}`);
+      }
+    }
+  };
+}
+
+/**
+ * metrics - serves OpenMetrics on /metrics until interrupted; --once prints one scrape
+ */
+async function metricsCommand({ values }) {
+  const { supabase } = connect();
+  const windowMinutes = values.window ? positiveInt(values.window, 'window') : undefined;
+
+  if (values.once) {
+    const families = await collectMetrics(supabase, { windowMinutes });
+    return {
+      data: families,
+      render: () => process.stdout.write(formatOpenMetrics(families))
+    };
+  }
+
+  const port = values.port ? positiveInt(values.port, 'port') : Number(process.env.METRICS_PORT) || 9464;
+  const server = createMetricsServer(supabase, { windowMinutes });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      if (!values.json) {
+        console.log(`📈 Metrics exporter listening on http://localhost:${port}/metrics (Ctrl+C to stop)`);
+      }
+      process.once('SIGINT', () => server.close(resolve));
+      process.once('SIGTERM', () => server.close(resolve));
+    });
+  });
+
+  return { streamed: true };
+}
+
+/**
+ * search <query> - searches through the search-documents Edge Function
+ */
+async function searchCommand({ values, positionals }) {
+  const query = positionals.join(' ').trim();
+  if (!query) {
+    throw new UsageError('search requires a query, e.g. search "database optimization"');
+  }
+  if (values.mode && !['semantic', 'hybrid', 'chunks'].includes(values.mode)) {
+    throw new UsageError('--mode must be semantic, hybrid or chunks');
+  }
+
+  const threshold = values.threshold === undefined ? undefined : Number(values.threshold);
+  if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+    throw new UsageError('--threshold must be a number between 0 and 1');
+  }
+  const tenantId = parseTenant(values.tenant);
+  const filters = values.filter ? parseFilter(values.filter) : {};
+  if (values.type) {
+    filters.document_type = values.type;
+  }
+  if (values.cursor && values.mode && values.mode !== 'semantic') {
+    throw new UsageError('--cursor only works with --mode semantic');
+  }
+
+  const response = await connect().search(query, {
+    mode: values.mode,
+    matchCount: values.limit ? positiveInt(values.limit, 'limit') : undefined,
+    matchThreshold: threshold,
+    filters: Object.keys(filters).length ? filters : undefined,
+    tenantId,
+    cursor: values.cursor
+  });
+
+  return {
+    data: response,
+    render() {
+      console.log(`🔍 ${response.count} results for "${response.query}" in tenant ${tenantId ?? 'default'} (${response.mode}, ${response.model}, ${response.search_time_ms}ms)\n`);
+      for (const result of response.results) {
+        const score = result.score ?? result.similarity;
+        console.log(`   ${Number(score).toFixed(3)}  ${result.document_id}`);
+        if (result.snippet) {
+          console.log(`          ${result.snippet}`);
+        }
+      }
+      if (response.next_cursor) {
+        console.log(`\n   More results: add --cursor ${response.next_cursor}`);
+      }
+    }
+  };
+}
+
+/**
+ * queue [stats|dlq|requeue|discard|backfill|reembed] - queue maintenance
+ */
+async function queueCommand({ values, positionals }) {
+  const [action = 'stats', ...args] = positionals;
+  const client = connect();
+  const { supabase } = client;
+
+  switch (action) {
+    case 'stats': {
+      const stats = await client.getQueueStats();
+      return {
+        data: stats,
+        render() {
+          console.log('📬 Embedding Queue:');
+          console.log(`   Pending: ${stats.total_pending} (high: ${stats.high_priority_pending}, normal: ${stats.normal_priority_pending})`);
+          console.log(`   Oldest job: ${stats.oldest_job ?? '-'}`);
+          console.log(`   Coalesced pending: ${stats.coalesced_pending}`);
+          console.log(`   Coalesced last 24h: ${stats.coalesced_last_24h}`);
+        }
+      };
+    }
+
+    case 'dlq': {
+      const jobs = unwrap(
+        await supabase.rpc('list_dead_letter_jobs', { p_limit: values.limit ? positiveInt(values.limit, 'limit') : 50 }),
+        'Listing dead-letter jobs'
+      );
+      return {
+        data: jobs,
+        render() {
+          console.log(`☠️  ${jobs.length} dead-lettered jobs`);
+          for (const job of jobs) {
+            console.log(`   #${job.msg_id} ${job.document_id} (${job.attempts} attempts, ${job.dead_lettered_at}): ${job.last_error}`);
+          }
+        }
+      };
+    }
+
+    case 'requeue':
+    case 'discard': {
+      const ids = parseMessageIds(args);
+      if (ids.length === 0 && !values.all) {
+        throw new UsageError(`queue ${action} requires message ids or --all`);
+      }
+
+      const rpc = action === 'requeue' ? 'requeue_dead_letter_jobs' : 'discard_dead_letter_jobs';
+      const count = unwrap(
+        await supabase.rpc(rpc, { p_msg_ids: values.all ? null : ids }),
+        `${action === 'requeue' ? 'Requeueing' : 'Discarding'} dead-letter jobs`
+      );
+      return {
+        data: { action, count },
+        render: () => console.log(`✅ ${action === 'requeue' ? 'Requeued' : 'Discarded'} ${count} dead-lettered jobs`)
+      };
+    }
+
+    case 'backfill': {
+      const counts = await backfillEmbeddings(supabase, {
+        limit: values.limit ? positiveInt(values.limit, 'limit') : 30000,
+        includeOutdated: !values['missing-only']
+      });
+      const data = { missing: counts.missing || 0, outdated: counts.outdated || 0 };
+      return {
+        data,
+        render: () => console.log(`✅ Queued ${data.missing} missing and ${data.outdated} outdated documents`)
+      };
+    }
+
+    case 'reembed': {
+      const [documentId] = args;
+      if (!documentId) {
+        throw new UsageError('queue reembed requires a document id');
+      }
+      if (values.priority && !['high', 'normal'].includes(values.priority)) {
+        throw new UsageError('--priority must be high or normal');
+      }
+
+      const msgId = unwrap(
+        await supabase.rpc('reembed_document', { p_document_id: documentId, p_priority: values.priority ?? 'high' }),
+        'Queueing re-embed'
+      );
+      return {
+        data: { document_id: documentId, msg_id: msgId },
+        render: () => console.log(`✅ Queued document ${documentId} for re-embedding (message ${msgId})`)
+      };
+    }
+
+    default:
+      throw new UsageError(`Unknown queue action "${action}" (expected stats, dlq, requeue, discard, backfill or reembed)`);
+  }
+}
+
+/**
+ * errors - recent rows from embedding_error_log
+ */
+async function errorsCommand({ values }) {
+  const { supabase } = connect();
+  let query = supabase
+    .from('embedding_error_log')
+    .select('id, document_id, document_type, error_message, function_name, retry_count, max_retries, created_at')
+    .order('created_at', { ascending: false })
+    .limit(values.limit ? positiveInt(values.limit, 'limit') : 20);
+
+  if (values.since) {
+    query = query.gte('created_at', parseSince(values.since));
+  }
+
+  const errors = unwrap(await query, 'Reading embedding errors');
+
+  return {
+    data: errors,
+    render() {
+      if (errors.length === 0) {
+        console.log('✅ No embedding errors');
+        return;
+      }
+      console.log(`❌ ${errors.length} embedding errors:`);
+      for (const row of errors) {
+        console.log(`   ${row.created_at} ${row.document_id} (attempt ${row.retry_count}/${row.max_retries}): ${row.error_message}`);
+      }
+    }
+  };
+}
+
+/**
+ * runs - processor run history from embedding_runs; --hourly shows throughput per hour
+ */
+async function runsCommand({ values }) {
+  const { supabase } = connect();
+
+  if (values.hourly) {
+    const hours = unwrap(
+      await supabase.rpc('get_embedding_throughput', {
+        p_hours: values.hours ? positiveInt(values.hours, 'hours') : 24,
+        p_trigger_source: values.source ?? null
+      }),
+      'Reading hourly throughput'
+    );
+    return {
+      data: hours,
+      render() {
+        console.log('🕒 Hourly throughput:');
+        for (const row of hours) {
+          const label = new Date(row.hour).toISOString().slice(0, 13).replace('T', ' ');
+          console.log(Number(row.runs) === 0
+            ? `   ${label}h  no runs`
+            : `   ${label}h  ${row.runs} runs, ${row.processed_jobs} embedded, ${row.failed_jobs} failed, ${row.jobs_per_second ?? 0} jobs/s, failure rate ${row.failure_rate ?? 0}`);
+        }
+      }
+    };
+  }
+
+  let query = supabase
+    .from('embedding_run_summary')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(values.limit ? positiveInt(values.limit, 'limit') : 20);
+
+  if (values.source) {
+    query = query.eq('trigger_source', values.source);
+  }
+  if (values.since) {
+    query = query.gte('started_at', parseSince(values.since));
+  }
+
+  const runs = unwrap(await query, 'Reading embedding runs');
+
+  return {
+    data: runs,
+    render() {
+      if (runs.length === 0) {
+        console.log('⚠️  No embedding runs recorded');
+        return;
+      }
+      console.log(`🏃 ${runs.length} most recent runs:`);
+      for (const run of runs) {
+        console.log(`   ${run.started_at} ${run.trigger_source} ${{ failed: '❌', paused: '⏸️' }[run.status] ?? '✅'} batch ${run.batch_size ?? '-'}: ${run.processed} embedded, ${run.skipped} skipped, ${run.errors} failed in ${run.processing_time_ms}ms`);
+      }
+    }
+  };
+}
+
+const COMMANDS = {
+  setup: {
+    run: setupCommand,
+    usage: 'setup [--apply]',
+    description: 'Check configuration, connectivity and schema; --apply pushes migrations and deploys functions first',
+    options: { apply: { type: 'boolean', default: false } }
+  },
+  doctor: {
+    run: doctorCommand,
+    usage: 'doctor',
+    description: 'Detect drift between the migrations and the database and print suggested fixes; exits 4 when objects are missing or mismatched'
+  },
+  status: {
+    run: statusCommand,
+    usage: 'status',
+    description: 'Show system and queue status; exits 4 when jobs are dead-lettered or errors were logged in the last hour'
+  },
+  seed: {
+    run: seedCommand,
+    usage: 'seed',
+    description: 'Insert the sample documents'
+  },
+  import: {
+    run: importCommand,
+    usage: 'import <file|directory> [--format jsonl|csv|dir] [--id-field id] [--content-field content] [--metadata-fields a,b] [--type <document_type>] [--tenant <tenant_id>] [--batch-size 500] [--priority normal|high] [--report import-rejects.jsonl] [--dry-run]',
+    description: 'Upsert documents from JSONL, CSV or a directory of Markdown/text files by external ID; exits 4 if rows were rejected',
+    options: {
+      format: { type: 'string' },
+      'id-field': { type: 'string' },
+      'content-field': { type: 'string' },
+      'metadata-fields': { type: 'string' },
+      type: { type: 'string' },
+      tenant: { type: 'string' },
+      'batch-size': { type: 'string' },
+      priority: { type: 'string' },
+      report: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  },
+  export: {
+    run: exportCommand,
+    usage: 'export <file> [--models a,b] [--vectors json|f32] [--batch-size 100]',
+    description: 'Export documents with embeddings, chunks and content hashes to JSONL (.gz compresses)',
+    options: {
+      models: { type: 'string' },
+      vectors: { type: 'string' },
+      'batch-size': { type: 'string' }
+    }
+  },
+  restore: {
+    run: restoreCommand,
+    usage: 'restore <file> [--batch-size 100] [--priority normal|high]',
+    description: 'Restore an export, re-embedding only documents whose content hash changed; exits 4 if documents failed',
+    options: {
+      'batch-size': { type: 'string' },
+      priority: { type: 'string' }
+    }
+  },
+  monitor: {
+    run: monitorCommand,
+    usage: 'monitor [--watch] [--ndjson] [--interval 5] [--window 5] [--count <snapshots>]',
+    description: 'Show coverage, queue depth, throughput, ETA, errors and autopilot runs; --watch refreshes, --ndjson streams JSON lines',
+    options: {
+      watch: { type: 'boolean', default: false },
+      ndjson: { type: 'boolean', default: false },
+      interval: { type: 'string' },
+      window: { type: 'string' },
+      count: { type: 'string' }
+    }
+  },
+  perf: {
+    run: perfCommand,
+    usage: 'perf [--count 5] [--length 2000|500-8000] [--distribution uniform|lognormal] [--concurrency 4] [--insert-batch 50] [--timeout 300] [--poll 2] [--bucket 10] [--seed <n>] [--output results.json|.csv] [--baseline base.json] [--tolerance 0.2] [--keep] | perf --cleanup',
+    description: 'Load-test the embedding pipeline with latency percentiles; exits 4 if documents are not embedded in time or --baseline regressed',
+    options: {
+      count: { type: 'string' },
+      length: { type: 'string' },
+      distribution: { type: 'string' },
+      concurrency: { type: 'string' },
+      'insert-batch': { type: 'string' },
+      timeout: { type: 'string' },
+      poll: { type: 'string' },
+      bucket: { type: 'string' },
+      seed: { type: 'string' },
+      output: { type: 'string' },
+      baseline: { type: 'string' },
+      tolerance: { type: 'string' },
+      keep: { type: 'boolean', default: false },
+      cleanup: { type: 'boolean', default: false }
+    }
+  },
+  cost: {
+    run: costCommand,
+    usage: 'cost [--days 7] [--pricing profiles.json] [--growth 1,10,100] [--output report.md|report.json] [--markdown]',
+    description: 'Price the measured workload against pricing profiles, with projections at 10x/100x growth',
+    options: {
+      days: { type: 'string' },
+      pricing: { type: 'string' },
+      growth: { type: 'string' },
+      output: { type: 'string' },
+      markdown: { type: 'boolean', default: false }
+    }
+  },
+  metrics: {
+    run: metricsCommand,
+    usage: 'metrics [--port 9464] [--window 15] [--once]',
+    description: 'Serve queue, coverage, error and processor metrics as OpenMetrics for Prometheus; --once prints a single scrape',
+    options: {
+      port: { type: 'string' },
+      window: { type: 'string' },
+      once: { type: 'boolean', default: false }
+    }
+  },
+  search: {
+    run: searchCommand,
+    usage: 'search <query> [--mode semantic|hybrid|chunks] [--limit 10] [--threshold 0.78] [--type <document_type>] [--filter <json>] [--cursor <next_cursor>] [--tenant <tenant_id>]',
+    description: 'Search one tenant\'s documents (default tenant unless --tenant) through the search-documents Edge Function',
+    options: {
+      mode: { type: 'string' },
+      limit: { type: 'string' },
+      threshold: { type: 'string' },
+      type: { type: 'string' },
+      filter: { type: 'string' },
+      cursor: { type: 'string' },
+      tenant: { type: 'string' }
+    }
+  },
+  queue: {
+    run: queueCommand,
+    usage: 'queue [stats | dlq [--limit 50] | requeue <ids..>|--all | discard <ids..>|--all | backfill [--limit 30000] [--missing-only] | reembed <document_id> [--priority high|normal]]',
+    description: 'Inspect the queue, manage dead-lettered jobs and queue documents for embedding',
+    options: {
+      all: { type: 'boolean', default: false },
+      limit: { type: 'string' },
+      'missing-only': { type: 'boolean', default: false },
+      priority: { type: 'string' }
+    }
+  },
+  runs: {
+    run: runsCommand,
+    usage: 'runs [--limit 20] [--since 12h] [--source autopilot] | runs --hourly [--hours 24] [--source autopilot]',
+    description: 'Show recorded processor runs, or throughput and failure rate per hour',
+    options: {
+      hourly: { type: 'boolean', default: false },
+      hours: { type: 'string' },
+      limit: { type: 'string' },
+      since: { type: 'string' },
+      source: { type: 'string' }
+    }
+  },
+  errors: {
+    run: errorsCommand,
+    usage: 'errors [--limit 20] [--since 1h]',
+    description: 'Show recent embedding errors',
+    options: { limit: { type: 'string' }, since: { type: 'string' } }
+  }
+};
+
+function printHelp(name) {
+  if (name && COMMANDS[name]) {
+    console.log(`Usage: embedding-engine ${COMMANDS[name].usage} [--json]\n`);
+    console.log(COMMANDS[name].description);
+    return;
+  }
+
+  console.log('Usage: embedding-engine <command> [options] [--json]\n');
+  console.log('Commands:');
+  for (const [commandName, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${commandName.padEnd(8)} ${command.description}`);
+  }
+  console.log('\nGlobal options:');
+  console.log('  --json      Print a single JSON document instead of human-readable output');
+  console.log('  -h, --help  Show help for a command');
+  console.log('\nExit codes: 0 ok, 1 failure, 2 usage, 3 configuration, 4 unhealthy or incomplete');
+}
+
+/**
+ * Runs the CLI and returns its exit code
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>}
+ */
+export async function run(argv) {
+  const [name, ...rest] = argv;
+  const json = rest.includes('--json') || name === '--json';
+
+  try {
+    if (!name || name === 'help' || name === '--help' || name === '-h') {
+      printHelp(rest[0]);
+      return EXIT_CODES.OK;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+      throw new UsageError(`Unknown command "${name}"`);
+    }
+
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: rest,
+        options: { ...GLOBAL_OPTIONS, ...command.options },
+        allowPositionals: true,
+        strict: true
+      });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+
+    if (parsed.values.help) {
+      printHelp(name);
+      return EXIT_CODES.OK;
+    }
+
+    const result = await command.run(parsed);
+
+    // Streaming commands (monitor --watch) have already written their output
+    if (!result.streamed) {
+      if (parsed.values.json) {
+        console.log(JSON.stringify(result.data, null, 2));
+      } else {
+        result.render();
+      }
+    }
+
+    return result.exitCode ?? EXIT_CODES.OK;
+  } catch (error) {
+    const exitCode = error instanceof UsageError
+      ? EXIT_CODES.USAGE
+      : error instanceof ConfigError ? EXIT_CODES.CONFIG : EXIT_CODES.FAILURE;
+
+    if (json) {
+      console.log(JSON.stringify({ error: error.message, exit_code: exitCode }, null, 2));
+    } else {
+      console.error(`❌ ${error.message}`);
+      if (exitCode === EXIT_CODES.USAGE) {
+        console.error('   Run with --help for usage');
+      }
+    }
+    return exitCode;
+  }
+}
+
+// Run the CLI if this script is executed directly (npm installs bin entries as symlinks)
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  // Load environment variables
+  config();
+  process.exitCode = await run(process.argv.slice(2));
+}
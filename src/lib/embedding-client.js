@@ -0,0 +1,358 @@
+/**
+ * Sidecar Embedding Engine - Node Client
+ *
+ * Importable operations for application services built on the engine: ingest
+ * documents, wait for their embeddings, search, and read queue and system status.
+ * Every operation throws an Error describing what failed instead of returning
+ * Supabase's { data, error } pairs.
+ *
+ * Usage:
+ *   import { createEmbeddingClient } from 'supabase-sidecar-embedding-engine';
+ *
+ *   const client = createEmbeddingClient({ supabaseUrl, supabaseKey: serviceRoleKey });
+ *   const [doc] = await client.upsertDocuments([{ content: 'Hello world', metadata: {} }]);
+ *   await client.waitForEmbedding(doc.id);
+ *   const { results } = await client.search('greeting');
+ */
+
+import { createHash } from 'node:crypto';
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * @typedef {Object} EmbeddingClientOptions
+ * @property {string} [supabaseUrl] - Project URL (required unless supabase is given)
+ * @property {string} [supabaseKey] - Service role key; status and queue RPCs are only granted to service_role
+ * @property {import('@supabase/supabase-js').SupabaseClient} [supabase] - Existing client to reuse
+ * @property {string} [tenantId] - Tenant new documents are written to and searches read; with a
+ *   user or anon key the tenant comes from the JWT instead
+ */
+
+/**
+ * @typedef {Object} DocumentInput
+ * @property {string} [id] - Document uuid; omit to let the database generate one
+ * @property {string} [external_id] - ID in the source system; documents with one are upserted by it (unique per tenant)
+ * @property {string} [tenant_id] - Overrides the client's tenantId for this document
+ * @property {string} content - Text to embed
+ * @property {Record<string, unknown>} [metadata] - Arbitrary attributes (document_type is used by search filters)
+ */
+
+/**
+ * @typedef {Object} IngestedDocument
+ * @property {string} id
+ * @property {string} tenant_id
+ * @property {string | null} external_id
+ * @property {string} content_hash - md5 of the stored content, as recorded by the embedding sidecar
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} EmbeddingStatus
+ * @property {string} document_id
+ * @property {string} model_name
+ * @property {string} source_text_hash
+ * @property {string} updated_at
+ */
+
+/**
+ * Structured search filter, applied inside the vector query (see migration 021)
+ * @typedef {Object} SearchFilters
+ * @property {string} [document_type] - Shorthand for metadata: { document_type }
+ * @property {Record<string, unknown>} [contains] - Metadata must contain this object (JSONB @>)
+ * @property {Record<string, unknown>} [metadata] - Per-field conditions: a value for equality, or { eq, in, gt, gte, lt, lte } with numbers or ISO dates
+ * @property {{ gt?: string, gte?: string, lt?: string, lte?: string }} [created_at]
+ * @property {{ gt?: string, gte?: string, lt?: string, lte?: string }} [updated_at]
+ */
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {'semantic' | 'hybrid' | 'chunks'} [mode] - Default 'semantic'
+ * @property {number} [matchCount] - Maximum number of documents (default 10)
+ * @property {number} [matchThreshold] - Minimum similarity for semantic and chunk modes (default 0.78)
+ * @property {SearchFilters} [filters]
+ * @property {string} [tenantId] - Overrides the client's tenantId
+ * @property {string} [cursor] - next_cursor of the previous page (semantic mode)
+ */
+
+/**
+ * @typedef {Object} SearchResponse
+ * @property {string} query
+ * @property {string} mode
+ * @property {string} model - Model that embedded the query
+ * @property {number} count
+ * @property {Array<Record<string, unknown>>} results
+ * @property {string | null} next_cursor - Pass as cursor to fetch the next page; null on the last page
+ * @property {number} search_time_ms
+ */
+
+/**
+ * @typedef {Object} QueueStats
+ * @property {number} total_pending
+ * @property {number} high_priority_pending
+ * @property {number} normal_priority_pending
+ * @property {string | null} oldest_job
+ * @property {string | null} newest_job
+ * @property {number} coalesced_pending
+ * @property {number} coalesced_last_24h
+ */
+
+/**
+ * Row of the autonomous_system_status view
+ * @typedef {Object} SystemStatus
+ * @property {number} pending_jobs
+ * @property {number} total_documents
+ * @property {number} documents_with_embeddings
+ * @property {number} documents_needing_update
+ * @property {number} documents_missing_embeddings
+ * @property {number} embedding_coverage_percent
+ * @property {number} errors_last_hour
+ * @property {number} dead_letter_jobs
+ * @property {string} active_embedding_model
+ * @property {Array<{ tenant_id: string, total_documents: number, documents_with_embeddings: number, embedding_coverage_percent: number, documents_needing_update: number, pending_jobs: number }>} tenant_coverage
+ * @property {'running'|'paused'|'probing'} autopilot_state - paused while the embedding circuit breaker is open
+ * @property {string|null} autopilot_pause_reason
+ * @property {string|null} autopilot_paused_at
+ * @property {string|null} next_probe_at
+ * @property {number} consecutive_embedding_failures
+ */
+
+const DEFAULT_WAIT_TIMEOUT_MS = 120000;
+const DEFAULT_WAIT_INTERVAL_MS = 5000;
+
+/**
+ * md5 of a document's content - the same hash the database stores as source_text_hash
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+export function contentHash(content) {
+  return createHash('md5').update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Returns data or throws a descriptive error for a Supabase response
+ */
+function unwrap({ data, error }, action) {
+  if (error) {
+    throw new Error(`${action} failed: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Creates a client for the embedding engine
+ *
+ * @param {EmbeddingClientOptions} options
+ */
+export function createEmbeddingClient(options = {}) {
+  const supabase = options.supabase ?? (() => {
+    if (!options.supabaseUrl || !options.supabaseKey) {
+      throw new Error('createEmbeddingClient requires supabaseUrl and supabaseKey (or an existing supabase client)');
+    }
+    return createClient(options.supabaseUrl, options.supabaseKey);
+  })();
+
+  /**
+   * Inserts or updates documents; new and changed content is queued for embedding by the trigger
+   * Documents are matched by tenant and external_id when every document has one, otherwise by id.
+   * Without a tenant (document, call or client) new documents go to the 'default' tenant and
+   * existing ones keep theirs.
+   *
+   * @param {DocumentInput[]} documents
+   * @param {{ priority?: 'high' | 'normal', tenantId?: string }} [upsertOptions] - 'normal' keeps bulk loads out of the high-priority lane;
+   *   it is sent as the X-Embedding-Priority header and only applies to this upsert, later edits go to the high lane
+   * @returns {Promise<IngestedDocument[]>}
+   */
+  async function upsertDocuments(documents, upsertOptions = {}) {
+    const tenantId = upsertOptions.tenantId ?? options.tenantId;
+
+    const rows = documents.map((document) => {
+      if (typeof document.content !== 'string' || document.content.trim() === '') {
+        throw new Error(`Document ${document.id ?? '(new)'} has no content`);
+      }
+
+      const documentTenant = document.tenant_id ?? tenantId;
+
+      return {
+        ...(document.id ? { id: document.id } : {}),
+        ...(documentTenant ? { tenant_id: documentTenant } : {}),
+        ...(document.external_id ? { external_id: document.external_id } : {}),
+        content: document.content,
+        metadata: document.metadata || {}
+      };
+    });
+
+    const withExternalId = rows.filter((row) => row.external_id).length;
+    if (withExternalId > 0 && withExternalId < rows.length) {
+      throw new Error('Either every document in a batch has an external_id or none does');
+    }
+
+    const withTenant = rows.filter((row) => row.tenant_id).length;
+    if (withTenant > 0 && withTenant < rows.length) {
+      throw new Error('Either every document in a batch has a tenant_id or none does');
+    }
+
+    const upsert = supabase
+      .from('source_documents')
+      .upsert(rows, { onConflict: withExternalId > 0 ? 'tenant_id,external_id' : 'id' })
+      .select('id, tenant_id, external_id, content, updated_at');
+    if (upsertOptions.priority === 'normal') {
+      // Read by the enqueue trigger for this request only - nothing is stored with the documents
+      upsert.setHeader('X-Embedding-Priority', 'normal');
+    }
+
+    const data = unwrap(await upsert, 'Upserting documents');
+
+    return data.map((row) => ({
+      id: row.id,
+      tenant_id: row.tenant_id,
+      external_id: row.external_id,
+      content_hash: contentHash(row.content),
+      updated_at: row.updated_at
+    }));
+  }
+
+  /**
+   * Waits until a document's embedding matches its current content
+   * The current content is re-read on every poll, so edits made while waiting are honoured.
+   *
+   * @param {string} documentId
+   * @param {{ timeoutMs?: number, intervalMs?: number, model?: string }} [waitOptions] - model defaults to the active model
+   * @returns {Promise<EmbeddingStatus>}
+   * @throws Error if the document does not exist or the timeout expires
+   */
+  async function waitForEmbedding(documentId, waitOptions = {}) {
+    const timeoutMs = waitOptions.timeoutMs ?? DEFAULT_WAIT_TIMEOUT_MS;
+    const intervalMs = waitOptions.intervalMs ?? DEFAULT_WAIT_INTERVAL_MS;
+    const model = waitOptions.model ?? unwrap(await supabase.rpc('get_active_embedding_model'), 'Reading active model');
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const document = unwrap(
+        await supabase.from('source_documents').select('content').eq('id', documentId).maybeSingle(),
+        'Reading document'
+      );
+      if (!document) {
+        throw new Error(`Document ${documentId} does not exist`);
+      }
+
+      const embedding = unwrap(
+        await supabase
+          .from('document_embeddings')
+          .select('document_id, model_name, source_text_hash, updated_at')
+          .eq('document_id', documentId)
+          .eq('model_name', model)
+          .not('embedding', 'is', null)
+          .maybeSingle(),
+        'Reading embedding'
+      );
+
+      if (embedding && embedding.source_text_hash === contentHash(document.content)) {
+        return embedding;
+      }
+
+      if (Date.now() + intervalMs > deadline) {
+        throw new Error(`Timed out after ${timeoutMs}ms waiting for the ${model} embedding of document ${documentId}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  /**
+   * Searches with plain text through the search-documents Edge Function
+   *
+   * @param {string} query
+   * @param {SearchOptions} [searchOptions]
+   * @returns {Promise<SearchResponse>}
+   */
+  async function search(query, searchOptions = {}) {
+    const { data, error } = await supabase.functions.invoke('search-documents', {
+      body: {
+        query,
+        mode: searchOptions.mode,
+        match_count: searchOptions.matchCount,
+        match_threshold: searchOptions.matchThreshold,
+        filters: searchOptions.filters,
+        tenant_id: searchOptions.tenantId ?? options.tenantId,
+        cursor: searchOptions.cursor
+      }
+    });
+
+    if (error) {
+      // FunctionsHttpError keeps the response body (with the validation message) in context
+      const details = await error.context?.json?.().catch(() => null);
+      throw new Error(`Search failed: ${details?.error ?? error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Semantic search with a precomputed query vector from the active model
+   *
+   * @param {number[]} embedding
+   * @param {{ matchCount?: number, matchThreshold?: number, documentType?: string, filters?: SearchFilters, tenantId?: string }} [searchOptions]
+   */
+  async function searchByEmbedding(embedding, searchOptions = {}) {
+    return unwrap(
+      await supabase.rpc('semantic_search_documents', {
+        query_embedding: embedding,
+        match_threshold: searchOptions.matchThreshold ?? 0.78,
+        match_count: searchOptions.matchCount ?? 10,
+        filter_document_type: searchOptions.documentType ?? null,
+        filter_tenant_id: searchOptions.tenantId ?? options.tenantId ?? null,
+        filter_conditions: searchOptions.filters ?? null
+      }),
+      'Semantic search'
+    );
+  }
+
+  /**
+   * @returns {Promise<QueueStats>}
+   */
+  async function getQueueStats() {
+    const rows = unwrap(await supabase.rpc('get_queue_stats'), 'Reading queue stats');
+    return rows[0];
+  }
+
+  /**
+   * @returns {Promise<SystemStatus>}
+   */
+  async function getSystemStatus() {
+    return unwrap(
+      await supabase.from('autonomous_system_status').select('*').single(),
+      'Reading system status'
+    );
+  }
+
+  return {
+    supabase,
+    upsertDocuments,
+    waitForEmbedding,
+    search,
+    searchByEmbedding,
+    getQueueStats,
+    getSystemStatus
+  };
+}
+
+/**
+ * Creates a client from SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY
+ * Falls back to SUPABASE_ANON_KEY, which can only read and search the documents of
+ * the tenant in its JWT - writes and the status and queue RPCs need the service role.
+ *
+ * @param {Record<string, string | undefined>} [env] - Defaults to process.env
+ * @throws Error listing the missing variables
+ */
+export function createEmbeddingClientFromEnv(env = process.env) {
+  const supabaseKey = env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_ANON_KEY;
+
+  if (!env.SUPABASE_URL || !supabaseKey) {
+    const missing = [
+      !env.SUPABASE_URL && 'SUPABASE_URL',
+      !supabaseKey && 'SUPABASE_SERVICE_ROLE_KEY'
+    ].filter(Boolean);
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+
+  return createEmbeddingClient({ supabaseUrl: env.SUPABASE_URL, supabaseKey });
+}
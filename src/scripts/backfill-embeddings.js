@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * One-shot Embedding Backfill
+ *
+ * Queues every document whose embedding is missing (never embedded: lost jobs, rows
+ * inserted before the trigger existed, restored dumps) or outdated (content drifted),
+ * and reports how many documents were queued for each reason. The autopilot picks
+ * up the queued jobs on its next cycle.
+ *
+ * Usage: node src/scripts/backfill-embeddings.js [--limit 30000] [--missing-only]
+ */
+
+import dotenv from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+/**
+ * Parses command line flags
+ */
+function parseArgs(argv) {
+  const options = { limit: 30000, includeOutdated: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--limit') {
+      options.limit = Number(argv[++i]);
+    } else if (argv[i] === '--missing-only') {
+      options.includeOutdated = false;
+    }
+  }
+
+  if (!Number.isInteger(options.limit) || options.limit < 1) {
+    throw new Error('--limit must be a positive integer');
+  }
+
+  return options;
+}
+
+/**
+ * Runs the backfill and returns the number of queued documents per reason
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {{ limit: number, includeOutdated: boolean }} options
+ * @returns {Promise<{ missing: number, outdated: number }>}
+ */
+async function backfillEmbeddings(supabase, options) {
+  const { data, error } = await supabase.rpc('backfill_embeddings', {
+    batch_limit: options.limit,
+    include_outdated: options.includeOutdated
+  });
+
+  if (error) {
+    throw new Error(`Backfill failed: ${error.message}`);
+  }
+
+  return Object.fromEntries((data || []).map((row) => [row.reason, row.enqueued_count]));
+}
+
+async function main() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ Missing required environment variables: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY');
+    console.error('   Please copy .env.example to .env and configure your Supabase credentials');
+    process.exit(1);
+  }
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const supabase = createClient(supabaseUrl, serviceRoleKey);
+
+    console.log(`🔄 Backfilling embeddings (limit ${options.limit} per reason${options.includeOutdated ? '' : ', missing only'})...\n`);
+
+    const counts = await backfillEmbeddings(supabase, options);
+    const total = (counts.missing || 0) + (counts.outdated || 0);
+
+    console.log('📊 Documents queued by reason:');
+    console.log(`   Missing (never embedded): ${counts.missing || 0}`);
+    console.log(`   Outdated (content changed): ${counts.outdated || 0}`);
+    console.log(`   Total: ${total}\n`);
+
+    console.log(total > 0
+      ? '✅ Backfill queued - the autopilot will process these jobs on its next cycle'
+      : '✅ Nothing to backfill - every document has an up-to-date embedding');
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the backfill if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { backfillEmbeddings };
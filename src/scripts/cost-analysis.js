@@ -1,141 +1,422 @@
 #!/usr/bin/env node
 
 /**
- * Cost Analysis - Calculate the cost savings of the zero-cost architecture
- * 
- * Compares our Supabase-based solution against traditional 
- * cloud infrastructure costs for embedding processing.
+ * Cost Analysis - Price the measured embedding workload
+ *
+ * Measures the real workload over a window (documents per day, re-embeddings per
+ * day from autopilot jobs, average content length, Edge Function invocations from
+ * the run history) with get_embedding_usage, then prices it against pricing
+ * profiles - the built-in Supabase model, hosted embedding APIs billed per token,
+ * self-hosted workers - at the current volume and at 10x/100x growth.
+ *
+ * Usage: node src/scripts/cost-analysis.js [--days 7] [--pricing profiles.json] [--growth 1,10,100] [--output report.md|report.json]
+ *
+ * A pricing file is a JSON array of profiles (or {"profiles": [...]}) replacing the
+ * defaults. Every field except name is optional:
+ *   { "name", "description", "fixed_monthly", "per_million_tokens",
+ *     "per_million_invocations", "included_invocations",
+ *     "instance_monthly", "jobs_per_hour_per_instance", "min_instances" }
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { readFile, writeFile } from 'node:fs/promises';
 import { config } from 'dotenv';
+import { createEmbeddingClientFromEnv } from '../lib/embedding-client.js';
 
-// Load environment variables
-config();
+const DAYS_PER_MONTH = 30;
+const HOURS_PER_MONTH = 730;
+// Rough average for English text with BPE tokenizers
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_GROWTH = [1, 10, 100];
+// Jobs per invocation when no run history exists yet: one cycle at the processor's DEFAULT_BATCH_SIZE
+const DEFAULT_JOBS_PER_INVOCATION = 10;
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+/**
+ * Default pricing profiles (list prices at the time of writing - override with --pricing)
+ */
+const PRICING_PROFILES = [
+  {
+    name: 'supabase-pro-gte-small',
+    description: 'Supabase Pro, built-in gte-small in Edge Functions (this engine)',
+    fixed_monthly: 25,
+    per_million_invocations: 2,
+    included_invocations: 2000000
+  },
+  {
+    name: 'supabase-pro-openai-3-small',
+    description: 'Supabase Pro, OpenAI text-embedding-3-small called from Edge Functions',
+    fixed_monthly: 25,
+    per_million_tokens: 0.02,
+    per_million_invocations: 2,
+    included_invocations: 2000000
+  },
+  {
+    name: 'supabase-pro-openai-3-large',
+    description: 'Supabase Pro, OpenAI text-embedding-3-large called from Edge Functions',
+    fixed_monthly: 25,
+    per_million_tokens: 0.13,
+    per_million_invocations: 2,
+    included_invocations: 2000000
+  },
+  {
+    name: 'self-hosted-workers',
+    description: 'Redis queue, monitoring and orchestration plus worker instances running a local model',
+    fixed_monthly: 200,
+    instance_monthly: 100,
+    jobs_per_hour_per_instance: 20000,
+    min_instances: 2
+  }
+];
 
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error('❌ Missing required environment variables: SUPABASE_URL, SUPABASE_ANON_KEY');
-  console.error('   Please copy .env.example to .env and configure your Supabase credentials');
-  process.exit(1);
+const PROFILE_NUMBER_FIELDS = [
+  'fixed_monthly',
+  'per_million_tokens',
+  'per_million_invocations',
+  'included_invocations',
+  'instance_monthly',
+  'jobs_per_hour_per_instance',
+  'min_instances'
+];
+
+/**
+ * Returns data or throws a descriptive error for a Supabase response
+ */
+function unwrap({ data, error }, action) {
+  if (error) {
+    throw new Error(`${action} failed: ${error.message}`);
+  }
+  return data;
 }
 
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
+/**
+ * Validates pricing profiles read from a file
+ *
+ * @param {unknown} value - Parsed JSON: an array of profiles or { profiles: [...] }
+ * @returns {typeof PRICING_PROFILES}
+ */
+function validatePricingProfiles(value) {
+  const profiles = Array.isArray(value) ? value : value?.profiles;
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new Error('Pricing must be a non-empty array of profiles (or { "profiles": [...] })');
+  }
+
+  for (const profile of profiles) {
+    if (!profile || typeof profile.name !== 'string' || profile.name.trim() === '') {
+      throw new Error('Every pricing profile needs a name');
+    }
+    for (const field of PROFILE_NUMBER_FIELDS) {
+      if (profile[field] !== undefined && !(typeof profile[field] === 'number' && profile[field] >= 0)) {
+        throw new Error(`Pricing profile ${profile.name}: ${field} must be a non-negative number`);
+      }
+    }
+    if (profile.instance_monthly && !profile.jobs_per_hour_per_instance) {
+      throw new Error(`Pricing profile ${profile.name}: instance_monthly needs jobs_per_hour_per_instance`);
+    }
+  }
+
+  return profiles;
+}
 
 /**
- * Traditional infrastructure cost estimates
+ * Reads pricing profiles from a JSON file
  */
-const TRADITIONAL_COSTS = {
-  redis: 50,        // Redis Cloud for queue
-  workers: 200,     // 2 worker instances
-  monitoring: 30,   // Application monitoring
-  orchestration: 50, // Container orchestration
-  api: 100,         // External embedding API calls
-  maintenance: 70   // DevOps and maintenance
-};
+async function readPricingProfiles(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read pricing file ${file}: ${error.message}`);
+  }
+  return validatePricingProfiles(parsed);
+}
+
+/**
+ * Measures the workload over the window and converts it to daily rates
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {{ days?: number }} [options]
+ */
+async function measureUsage(supabase, options = {}) {
+  const days = options.days ?? 7;
+  const [usage] = unwrap(await supabase.rpc('get_embedding_usage', { p_days: days }), 'Measuring usage');
+  const perDay = (value) => Number((Number(value) / days).toFixed(1));
+  const invocations = Number(usage.processor_invocations);
+  const processed = Number(usage.processed_jobs);
+  const chunkExpansion = usage.chunk_expansion === null ? 0 : Number(usage.chunk_expansion);
+
+  return {
+    window_days: days,
+    model: usage.active_model,
+    total_documents: Number(usage.total_documents),
+    avg_content_length: Number(usage.avg_content_length ?? 0),
+    documents_per_day: perDay(usage.documents_created),
+    jobs_per_day: {
+      total: perDay(usage.embedding_jobs),
+      new_or_edited: perDay(usage.trigger_jobs),
+      autopilot_reembeddings: perDay(usage.autopilot_jobs),
+      backfill: perDay(usage.backfill_jobs),
+      manual: perDay(usage.manual_jobs)
+    },
+    // The whole document and its chunks are both embedded
+    tokens_per_day: Math.round((Number(usage.embedded_characters) * (1 + chunkExpansion)) / CHARS_PER_TOKEN / days),
+    chunk_expansion: chunkExpansion,
+    invocations_per_day: perDay(invocations),
+    jobs_per_invocation: invocations > 0 && processed > 0 ? Number((processed / invocations).toFixed(1)) : null,
+    processing_seconds_per_day: perDay(usage.processing_seconds)
+  };
+}
+
+/**
+ * Monthly cost of a workload under one pricing profile
+ *
+ * @param {{ jobs: number, tokens: number, invocations: number }} monthly - Monthly volume
+ * @param {(typeof PRICING_PROFILES)[number]} profile
+ */
+function priceWorkload(monthly, profile) {
+  const instances = profile.instance_monthly
+    ? Math.max(profile.min_instances ?? 1, Math.ceil(monthly.jobs / (profile.jobs_per_hour_per_instance * HOURS_PER_MONTH)))
+    : 0;
+  const breakdown = {
+    fixed: profile.fixed_monthly ?? 0,
+    tokens: (monthly.tokens / 1e6) * (profile.per_million_tokens ?? 0),
+    invocations: (Math.max(0, monthly.invocations - (profile.included_invocations ?? 0)) / 1e6) * (profile.per_million_invocations ?? 0),
+    instances: instances * (profile.instance_monthly ?? 0)
+  };
+  const total = Object.values(breakdown).reduce((sum, cost) => sum + cost, 0);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    profile: profile.name,
+    monthly: round(total),
+    yearly: round(total * 12),
+    per_1k_jobs: monthly.jobs > 0 ? Math.round((total / monthly.jobs) * 1000 * 10000) / 10000 : null,
+    instances: instances || undefined,
+    breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, round(value)]))
+  };
+}
+
+/**
+ * Projects the measured workload at each growth factor and prices it
+ * Jobs and tokens scale linearly. Invocations never drop below the measured rate,
+ * because the autopilot cron invokes the processor on a schedule even when idle.
+ *
+ * @param {Awaited<ReturnType<typeof measureUsage>>} usage
+ * @param {typeof PRICING_PROFILES} profiles
+ * @param {number[]} growth
+ */
+function projectCosts(usage, profiles, growth) {
+  const jobsPerInvocation = usage.jobs_per_invocation ?? DEFAULT_JOBS_PER_INVOCATION;
+
+  return growth.map((factor) => {
+    const jobs = Math.round(usage.jobs_per_day.total * DAYS_PER_MONTH * factor);
+    const monthly = {
+      jobs,
+      tokens: Math.round(usage.tokens_per_day * DAYS_PER_MONTH * factor),
+      invocations: Math.round(Math.max(usage.invocations_per_day * DAYS_PER_MONTH, jobs / jobsPerInvocation))
+    };
+
+    return {
+      growth: factor,
+      documents: Math.round(usage.total_documents * factor),
+      monthly_volume: monthly,
+      costs: profiles.map((profile) => priceWorkload(monthly, profile))
+    };
+  });
+}
 
 /**
  * Calculate cost analysis
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ days?: number, profiles?: typeof PRICING_PROFILES, growth?: number[] }} [options]
  */
-async function analyzeCosts() {
-  console.log('💰 Supabase Zero-Cost Architecture - Cost Analysis\n');
-  
-  try {
-    // Get system statistics
-    const { data: docs, error: docsError } = await supabase
-      .from('source_documents')
-      .select('id, created_at')
-      .limit(1000);
-    
-    if (docsError) {
-      console.error('❌ Error fetching documents:', docsError.message);
-      return;
-    }
+async function analyzeCosts(supabase, options = {}) {
+  const profiles = options.profiles ?? PRICING_PROFILES;
+  const usage = await measureUsage(supabase, { days: options.days });
 
-    const { data: embeddings, error: embError } = await supabase
-      .from('document_embeddings')
-      .select('id, created_at')
-      .limit(1000);
-    
-    if (embError) {
-      console.error('❌ Error fetching embeddings:', embError.message);
-      return;
-    }
+  return {
+    generated_at: new Date().toISOString(),
+    usage,
+    assumptions: {
+      days_per_month: DAYS_PER_MONTH,
+      chars_per_token: CHARS_PER_TOKEN,
+      jobs_per_invocation: usage.jobs_per_invocation ?? DEFAULT_JOBS_PER_INVOCATION
+    },
+    profiles,
+    projections: projectCosts(usage, profiles, options.growth ?? DEFAULT_GROWTH)
+  };
+}
 
-    const totalDocs = docs?.length || 0;
-    const totalEmbeddings = embeddings?.length || 0;
-    
-    // Calculate traditional costs
-    const monthlyTraditional = Object.values(TRADITIONAL_COSTS).reduce((sum, cost) => sum + cost, 0);
-    const yearlyTraditional = monthlyTraditional * 12;
-    
-    // Our costs (Supabase free tier)
-    const ourMonthlyCost = 0;
-    const ourYearlyCost = 0;
-    
-    // Cost per document
-    const costPerDoc = totalDocs > 0 ? monthlyTraditional / totalDocs : 0;
-    
-    console.log('📊 Cost Comparison:');
-    console.log('');
-    console.log('Traditional Infrastructure:');
-    console.log(`   Redis Queue:        $${TRADITIONAL_COSTS.redis}/month`);
-    console.log(`   Worker Instances:   $${TRADITIONAL_COSTS.workers}/month`);
-    console.log(`   Monitoring:         $${TRADITIONAL_COSTS.monitoring}/month`);
-    console.log(`   Orchestration:      $${TRADITIONAL_COSTS.orchestration}/month`);
-    console.log(`   API Calls:          $${TRADITIONAL_COSTS.api}/month`);
-    console.log(`   Maintenance:        $${TRADITIONAL_COSTS.maintenance}/month`);
-    console.log(`   ─────────────────────────────────`);
-    console.log(`   Monthly Total:      $${monthlyTraditional}/month`);
-    console.log(`   Yearly Total:       $${yearlyTraditional}/year`);
-    console.log('');
-    
-    console.log('Our Supabase Solution:');
-    console.log(`   Database:           $0/month (free tier)`);
-    console.log(`   Edge Functions:     $0/month (free tier)`);
-    console.log(`   Embeddings:         $0/month (built-in AI)`);
-    console.log(`   Queue (pgmq):       $0/month (PostgreSQL extension)`);
-    console.log(`   Monitoring:         $0/month (built-in logs)`);
-    console.log(`   Maintenance:        $0/month (autonomous operation)`);
-    console.log(`   ─────────────────────────────────`);
-    console.log(`   Monthly Total:      $${ourMonthlyCost}/month`);
-    console.log(`   Yearly Total:       $${ourYearlyCost}/year`);
-    console.log('');
-    
-    // Savings calculation
-    const monthlySavings = monthlyTraditional - ourMonthlyCost;
-    const yearlySavings = yearlyTraditional - ourYearlyCost;
-    
-    console.log('💡 Cost Savings:');
-    console.log(`   Monthly Savings:    $${monthlySavings}`);
-    console.log(`   Yearly Savings:     $${yearlySavings}`);
-    console.log(`   ROI:                ∞% (zero cost vs. ${monthlyTraditional}/month)`);
-    console.log('');
-    
-    // Processing statistics
-    console.log('📈 Processing Statistics:');
-    console.log(`   Documents Processed: ${totalDocs}`);
-    console.log(`   Embeddings Generated: ${totalEmbeddings}`);
-    console.log(`   Traditional Cost/Doc: $${costPerDoc.toFixed(4)}`);
-    console.log(`   Our Cost/Doc: $0.00`);
+const money = (value) => `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const count = (value) => Math.round(value).toLocaleString('en-US');
+
+/**
+ * Renders the report as Markdown
+ */
+function formatCostReportMarkdown(report) {
+  const { usage } = report;
+  const lines = [
+    '# Embedding Cost Report',
+    '',
+    `Generated ${report.generated_at} from the last ${usage.window_days} days (active model \`${usage.model}\`).`,
+    '',
+    '## Measured Workload',
+    '',
+    '| Metric | Value |',
+    '| --- | ---: |',
+    `| Documents | ${count(usage.total_documents)} |`,
+    `| New documents per day | ${usage.documents_per_day} |`,
+    `| Embedding jobs per day | ${usage.jobs_per_day.total} |`,
+    `| - new or edited documents | ${usage.jobs_per_day.new_or_edited} |`,
+    `| - autopilot re-embeddings | ${usage.jobs_per_day.autopilot_reembeddings} |`,
+    `| - backfills | ${usage.jobs_per_day.backfill} |`,
+    `| - manual re-embeds | ${usage.jobs_per_day.manual} |`,
+    `| Average content length (chars) | ${count(usage.avg_content_length)} |`,
+    `| Estimated tokens per day | ${count(usage.tokens_per_day)} |`,
+    `| Edge Function invocations per day | ${usage.invocations_per_day} |`,
+    `| Jobs per invocation | ${usage.jobs_per_invocation ?? '-'} |`,
+    '',
+    `Assumptions: ${report.assumptions.days_per_month}-day months, ${report.assumptions.chars_per_token} characters per token, ${report.assumptions.jobs_per_invocation} jobs per invocation when projecting.`,
+    '',
+    '## Monthly Cost by Growth',
+    '',
+    `| Profile | ${report.projections.map((projection) => `${projection.growth}x`).join(' | ')} |`,
+    `| --- | ${report.projections.map(() => '---:').join(' | ')} |`,
+    ...report.profiles.map((profile, index) =>
+      `| ${profile.name} | ${report.projections.map((projection) => money(projection.costs[index].monthly)).join(' | ')} |`),
+    ''
+  ];
+
+  for (const projection of report.projections) {
+    const volume = projection.monthly_volume;
+    lines.push(
+      `### ${projection.growth}x (${count(projection.documents)} documents)`,
+      '',
+      `${count(volume.jobs)} jobs, ${count(volume.tokens)} tokens and ${count(volume.invocations)} invocations per month.`,
+      '',
+      '| Profile | Monthly | Yearly | Per 1k jobs | Fixed | Tokens | Invocations | Instances |',
+      '| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |',
+      ...projection.costs.map((cost) =>
+        `| ${cost.profile} | ${money(cost.monthly)} | ${money(cost.yearly)} | ${cost.per_1k_jobs === null ? '-' : `$${cost.per_1k_jobs}`} | ${money(cost.breakdown.fixed)} | ${money(cost.breakdown.tokens)} | ${money(cost.breakdown.invocations)} | ${money(cost.breakdown.instances)}${cost.instances ? ` (${cost.instances})` : ''} |`),
+      ''
+    );
+  }
+
+  lines.push('## Pricing Profiles', '');
+  for (const profile of report.profiles) {
+    lines.push(`- **${profile.name}**${profile.description ? `: ${profile.description}` : ''}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes the report as JSON, or Markdown when the path ends in .md
+ */
+async function writeCostReport(file, report) {
+  await writeFile(file, file.endsWith('.md') ? formatCostReportMarkdown(report) : `${JSON.stringify(report, null, 2)}\n`);
+}
+
+/**
+ * Prints the cost analysis for humans
+ */
+function printCostAnalysis(report) {
+  const { usage } = report;
+
+  console.log(`📊 Measured Workload (last ${usage.window_days} days, model ${usage.model}):`);
+  console.log(`   Documents:             ${count(usage.total_documents)} (avg ${count(usage.avg_content_length)} chars)`);
+  console.log(`   New documents/day:     ${usage.documents_per_day}`);
+  console.log(`   Embedding jobs/day:    ${usage.jobs_per_day.total} (${usage.jobs_per_day.new_or_edited} new/edited, ${usage.jobs_per_day.autopilot_reembeddings} autopilot, ${usage.jobs_per_day.backfill} backfill, ${usage.jobs_per_day.manual} manual)`);
+  console.log(`   Tokens/day (est.):     ${count(usage.tokens_per_day)}`);
+  console.log(`   Invocations/day:       ${usage.invocations_per_day} (${usage.jobs_per_invocation ?? '-'} jobs each)`);
+  console.log('');
+
+  for (const projection of report.projections) {
+    const volume = projection.monthly_volume;
+    console.log(`💰 ${projection.growth}x - ${count(volume.jobs)} jobs, ${count(volume.tokens)} tokens, ${count(volume.invocations)} invocations per month:`);
+    for (const cost of projection.costs) {
+      console.log(`   ${cost.profile.padEnd(30)} ${money(cost.monthly).padStart(12)}/month ${money(cost.yearly).padStart(14)}/year`);
+    }
     console.log('');
-    
-    console.log('🎯 Key Advantages:');
-    console.log('   ✅ Zero infrastructure costs');
-    console.log('   ✅ No maintenance overhead');
-    console.log('   ✅ Automatic scaling');
-    console.log('   ✅ Built-in monitoring');
-    console.log('   ✅ Production-ready reliability');
-    
-  } catch (error) {
-    console.error('❌ Cost analysis error:', error.message);
   }
+
+  const [current] = report.projections;
+  if (current) {
+    const cheapest = current.costs.reduce((best, cost) => (cost.monthly < best.monthly ? cost : best));
+    console.log(`🎯 Cheapest at the current volume: ${cheapest.profile} (${money(cheapest.monthly)}/month)`);
+  }
+}
+
+/**
+ * Parses command line flags
+ */
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--days') options.days = Number(argv[++i]);
+    else if (flag === '--pricing') options.pricing = argv[++i];
+    else if (flag === '--growth') options.growth = parseGrowth(argv[++i]);
+    else if (flag === '--output') options.output = argv[++i];
+    else throw new Error(`Unknown option ${flag}`);
+  }
+
+  if (options.days !== undefined && (!Number.isInteger(options.days) || options.days < 1)) {
+    throw new Error('--days must be a positive integer');
+  }
+
+  return options;
 }
 
-// Run analysis
-analyzeCosts();
+/**
+ * Parses a comma-separated list of growth factors such as 1,10,100
+ */
+function parseGrowth(value) {
+  const factors = String(value).split(',').map((factor) => Number(factor.trim()));
+  if (factors.length === 0 || factors.some((factor) => !(factor > 0))) {
+    throw new Error('Growth factors must be positive numbers, e.g. 1,10,100');
+  }
+  return factors;
+}
 
+async function main() {
+  console.log('💰 Embedding Cost Analysis\n');
 
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const { supabase } = createEmbeddingClientFromEnv();
+    const profiles = options.pricing ? await readPricingProfiles(options.pricing) : undefined;
+    const report = await analyzeCosts(supabase, { days: options.days, profiles, growth: options.growth });
+
+    printCostAnalysis(report);
 
+    if (options.output) {
+      await writeCostReport(options.output, report);
+      console.log(`\n💾 Report written to ${options.output}`);
+    }
+  } catch (error) {
+    console.error('❌ Cost analysis error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run analysis if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Load environment variables
+  config();
+  main();
+}
+
+export {
+  PRICING_PROFILES,
+  validatePricingProfiles,
+  readPricingProfiles,
+  parseGrowth,
+  measureUsage,
+  priceWorkload,
+  projectCosts,
+  analyzeCosts,
+  formatCostReportMarkdown,
+  writeCostReport,
+  printCostAnalysis
+};
@@ -0,0 +1,535 @@
+#!/usr/bin/env node
+
+/**
+ * Embedding Export and Restore
+ *
+ * Exports documents together with their embeddings, chunks, model names and the
+ * md5 of the text each embedding was computed from, and restores such a file into
+ * another database. Restore keeps every embedding whose source_text_hash still
+ * matches the document content, so only documents that changed (or that have no
+ * vector for a model the target database uses) are re-embedded.
+ *
+ * File format: JSON lines, optionally gzip-compressed when the path ends in .gz.
+ * The first line is a header
+ *   {"format":"sidecar-embeddings","version":1,"exported_at":...,"vector_encoding":"json"|"f32","models":[...]}
+ * followed by one document per line
+ *   {"id","tenant_id","external_id","content","metadata","embeddings":[{"model_name","source_text_hash","embedding","chunks":[...]}]}
+ * With the f32 encoding every vector is base64 of little-endian float32 values - about a
+ * third of the size of JSON numbers and lossless, because pgvector stores float32.
+ *
+ * Usage: node src/scripts/export-embeddings.js export <file> [--models a,b] [--vectors json|f32] [--batch-size 100]
+ *        node src/scripts/export-embeddings.js restore <file> [--batch-size 100] [--priority normal|high]
+ */
+
+import { createReadStream, createWriteStream } from 'node:fs';
+import { once } from 'node:events';
+import { finished } from 'node:stream/promises';
+import { createInterface } from 'node:readline';
+import { createGunzip, createGzip } from 'node:zlib';
+import { config } from 'dotenv';
+import { createEmbeddingClientFromEnv } from '../lib/embedding-client.js';
+
+const EXPORT_FORMAT = 'sidecar-embeddings';
+const EXPORT_VERSION = 1;
+const DEFAULT_BATCH_SIZE = 100;
+// PostgREST caps every response at 1000 rows by default
+const PAGE_SIZE = 1000;
+
+/**
+ * Returns data or throws a descriptive error for a Supabase response
+ */
+function unwrap({ data, error }, action) {
+  if (error) {
+    throw new Error(`${action} failed: ${error.message}`);
+  }
+  return data;
+}
+
+// ============================================================================
+// Vector encoding
+// ============================================================================
+
+/**
+ * Parses a pgvector value as returned by PostgREST ("[0.1,0.2,...]")
+ */
+function parseVector(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Encodes a vector for the export file
+ *
+ * @param {number[]} vector
+ * @param {'json' | 'f32'} encoding
+ */
+function encodeVector(vector, encoding) {
+  if (encoding === 'json') {
+    return vector;
+  }
+
+  const buffer = Buffer.alloc(vector.length * 4);
+  vector.forEach((value, index) => buffer.writeFloatLE(value, index * 4));
+  return buffer.toString('base64');
+}
+
+/**
+ * Decodes a vector from the export file
+ *
+ * @param {number[] | string} value
+ * @param {'json' | 'f32'} encoding
+ * @returns {number[]}
+ */
+function decodeVector(value, encoding) {
+  if (encoding === 'json') {
+    return value;
+  }
+
+  const buffer = Buffer.from(value, 'base64');
+  if (buffer.length % 4 !== 0) {
+    throw new Error('f32 vector length is not a multiple of 4 bytes');
+  }
+  return Array.from({ length: buffer.length / 4 }, (_, index) => buffer.readFloatLE(index * 4));
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Reads every row of a query, PAGE_SIZE rows at a time
+ *
+ * @param {() => any} buildQuery - Returns a fresh, ordered query builder
+ * @param {string} action - Used in error messages
+ */
+async function selectAll(buildQuery, action) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = unwrap(await buildQuery().range(from, from + PAGE_SIZE - 1), action);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Reads documents with their embeddings and chunks in id order
+ * Documents are paged by id, so documents inserted while the export runs are
+ * included if they sort after the current page.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {{ models?: string[], batchSize?: number }} [options] - models defaults to every registered model
+ * @returns {AsyncGenerator<{ id: string, tenant_id: string, external_id: string | null, content: string, metadata: object, embeddings: Array<object> }>}
+ */
+async function* readExportDocuments(supabase, options = {}) {
+  const batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+  let lastId = null;
+
+  for (;;) {
+    let query = supabase
+      .from('source_documents')
+      .select('id, tenant_id, external_id, content, metadata')
+      .order('id')
+      .limit(batchSize);
+    if (lastId) {
+      query = query.gt('id', lastId);
+    }
+
+    const documents = unwrap(await query, 'Reading documents');
+    if (documents.length === 0) return;
+
+    const ids = documents.map((document) => document.id);
+    const withModels = (builder) => (options.models ? builder.in('model_name', options.models) : builder);
+
+    const [embeddings, chunks] = await Promise.all([
+      selectAll(
+        () => withModels(supabase
+          .from('document_embeddings')
+          .select('document_id, model_name, source_text_hash, embedding')
+          .in('document_id', ids))
+          .order('document_id')
+          .order('model_name'),
+        'Reading embeddings'
+      ),
+      selectAll(
+        () => withModels(supabase
+          .from('document_chunks')
+          .select('document_id, model_name, chunk_index, chunk_text, source_text_hash, start_offset, end_offset, embedding')
+          .in('document_id', ids))
+          .order('document_id')
+          .order('model_name')
+          .order('chunk_index'),
+        'Reading chunks'
+      )
+    ]);
+
+    const chunksByEmbedding = new Map();
+    for (const chunk of chunks) {
+      const key = `${chunk.document_id}:${chunk.model_name}`;
+      if (!chunksByEmbedding.has(key)) chunksByEmbedding.set(key, []);
+      chunksByEmbedding.get(key).push(chunk);
+    }
+
+    const embeddingsByDocument = new Map(ids.map((id) => [id, []]));
+    for (const embedding of embeddings) {
+      // Chunks cut from a different version of the text are not exported with the embedding
+      const embeddingChunks = (chunksByEmbedding.get(`${embedding.document_id}:${embedding.model_name}`) || [])
+        .filter((chunk) => chunk.source_text_hash === embedding.source_text_hash);
+
+      embeddingsByDocument.get(embedding.document_id).push({
+        model_name: embedding.model_name,
+        source_text_hash: embedding.source_text_hash,
+        embedding: parseVector(embedding.embedding),
+        chunks: embeddingChunks.map((chunk) => ({
+          chunk_index: chunk.chunk_index,
+          content: chunk.chunk_text,
+          start_offset: chunk.start_offset,
+          end_offset: chunk.end_offset,
+          embedding: parseVector(chunk.embedding)
+        }))
+      });
+    }
+
+    for (const document of documents) {
+      yield { ...document, embeddings: embeddingsByDocument.get(document.id) };
+    }
+
+    lastId = documents[documents.length - 1].id;
+  }
+}
+
+/**
+ * Opens a line writer for an export file (gzip when the path ends in .gz)
+ * write() waits for the stream to drain, so large exports stay within memory.
+ */
+function createLineWriter(file) {
+  const output = createWriteStream(file);
+  const stream = file.endsWith('.gz') ? createGzip() : output;
+  if (stream !== output) stream.pipe(output);
+
+  return {
+    async write(value) {
+      if (!stream.write(`${JSON.stringify(value)}\n`)) {
+        await once(stream, 'drain');
+      }
+    },
+    async close() {
+      stream.end();
+      await finished(output);
+    }
+  };
+}
+
+/**
+ * Writes documents and their embeddings to an export file
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {string} file - Destination path; .gz compresses
+ * @param {{ models?: string[], vectors?: 'json' | 'f32', batchSize?: number, onProgress?: (progress: object) => void }} [options]
+ * @returns {Promise<{ file: string, vector_encoding: string, models: string[], documents: number, embeddings: number, chunks: number }>}
+ */
+async function exportEmbeddings(supabase, file, options = {}) {
+  const vectorEncoding = options.vectors ?? 'json';
+  if (!['json', 'f32'].includes(vectorEncoding)) {
+    throw new Error('Vector encoding must be json or f32');
+  }
+
+  let modelQuery = supabase.from('embedding_models').select('model_name, provider, dimensions, status').order('model_name');
+  if (options.models) {
+    modelQuery = modelQuery.in('model_name', options.models);
+  }
+  const models = unwrap(await modelQuery, 'Reading embedding models');
+
+  const unknown = (options.models || []).filter((name) => !models.some((model) => model.model_name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown embedding models: ${unknown.join(', ')}`);
+  }
+
+  const summary = {
+    file,
+    vector_encoding: vectorEncoding,
+    models: models.map((model) => model.model_name),
+    documents: 0,
+    embeddings: 0,
+    chunks: 0
+  };
+  const writer = createLineWriter(file);
+
+  try {
+    await writer.write({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      vector_encoding: vectorEncoding,
+      models
+    });
+
+    for await (const document of readExportDocuments(supabase, { models: summary.models, batchSize: options.batchSize })) {
+      for (const embedding of document.embeddings) {
+        embedding.embedding = encodeVector(embedding.embedding, vectorEncoding);
+        for (const chunk of embedding.chunks) {
+          chunk.embedding = encodeVector(chunk.embedding, vectorEncoding);
+        }
+        summary.embeddings++;
+        summary.chunks += embedding.chunks.length;
+      }
+
+      await writer.write(document);
+      summary.documents++;
+      if (summary.documents % (options.batchSize ?? DEFAULT_BATCH_SIZE) === 0) {
+        options.onProgress?.({ ...summary });
+      }
+    }
+  } finally {
+    await writer.close();
+  }
+
+  options.onProgress?.({ ...summary });
+  return summary;
+}
+
+// ============================================================================
+// Restore
+// ============================================================================
+
+/**
+ * Reads an export file: the header, then one document per line
+ *
+ * @param {string} file - Export path; .gz is decompressed
+ * @returns {Promise<{ header: object, documents: AsyncGenerator<{ line: number, document?: object, error?: string }> }>}
+ */
+async function readExportFile(file) {
+  const input = createReadStream(file);
+  const lines = createInterface({ input: file.endsWith('.gz') ? input.pipe(createGunzip()) : input, crlfDelay: Infinity });
+  const iterator = lines[Symbol.asyncIterator]();
+
+  const first = await iterator.next();
+  let header;
+  try {
+    header = first.done ? null : JSON.parse(first.value);
+  } catch {
+    header = null;
+  }
+
+  if (header?.format !== EXPORT_FORMAT) {
+    lines.close();
+    throw new Error(`${file} is not an embedding export (missing ${EXPORT_FORMAT} header)`);
+  }
+  if (header.version !== EXPORT_VERSION) {
+    lines.close();
+    throw new Error(`Unsupported export version ${header.version} (expected ${EXPORT_VERSION})`);
+  }
+
+  async function* documents() {
+    let line = 1;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      line++;
+      if (next.value.trim() === '') continue;
+
+      try {
+        yield { line, document: JSON.parse(next.value) };
+      } catch (error) {
+        yield { line, error: `Invalid JSON: ${error.message}` };
+      }
+    }
+  }
+
+  return { header, documents: documents() };
+}
+
+/**
+ * Converts an exported document to the restore_document_embeddings payload
+ * Vectors are sent in pgvector's text form.
+ */
+function toRestorePayload(document, encoding) {
+  const toVectorText = (value) => `[${decodeVector(value, encoding).join(',')}]`;
+
+  return {
+    id: document.id,
+    tenant_id: document.tenant_id ?? null,
+    external_id: document.external_id ?? null,
+    content: document.content,
+    metadata: document.metadata || {},
+    embeddings: (document.embeddings || []).map((embedding) => ({
+      model_name: embedding.model_name,
+      source_text_hash: embedding.source_text_hash,
+      embedding: toVectorText(embedding.embedding),
+      chunks: (embedding.chunks || []).map((chunk) => ({ ...chunk, embedding: toVectorText(chunk.embedding) }))
+    }))
+  };
+}
+
+/**
+ * Restores an export file in batches
+ * Documents whose embeddings match for every active and backfilling model are not
+ * queued at all; the rest go through the normal embedding queue.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {string} file - Export path
+ * @param {{ batchSize?: number, priority?: 'high' | 'normal', onFailure?: (failure: object) => void, onProgress?: (progress: object) => void }} [options]
+ * @returns {Promise<{ file: string, exported_at: string, documents: number, restored: number, reembed_queued: number, embeddings_restored: number, embeddings_skipped: number, failed: number }>}
+ */
+async function restoreEmbeddings(supabase, file, options = {}) {
+  const batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+  const priority = options.priority ?? 'normal';
+  const { header, documents } = await readExportFile(file);
+  const summary = {
+    file,
+    exported_at: header.exported_at,
+    documents: 0,
+    restored: 0,
+    reembed_queued: 0,
+    embeddings_restored: 0,
+    embeddings_skipped: 0,
+    failed: 0
+  };
+  let batch = [];
+
+  const fail = (failure) => {
+    summary.failed++;
+    options.onFailure?.(failure);
+  };
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    const rows = unwrap(
+      await supabase.rpc('restore_document_embeddings', { p_documents: batch.map((item) => item.payload), p_priority: priority }),
+      'Restoring documents'
+    );
+
+    rows.forEach((row, index) => {
+      if (row.error) {
+        fail({ line: batch[index].line, document_id: row.document_id, reason: row.error });
+        return;
+      }
+      summary.embeddings_restored += row.restored_models.length;
+      summary.embeddings_skipped += row.skipped_models.length;
+      if (row.reembed_queued) {
+        summary.reembed_queued++;
+      } else {
+        summary.restored++;
+      }
+    });
+
+    batch = [];
+    options.onProgress?.({ ...summary });
+  };
+
+  for await (const { line, document, error } of documents) {
+    summary.documents++;
+
+    if (error) {
+      fail({ line, reason: error });
+      continue;
+    }
+
+    try {
+      batch.push({ line, payload: toRestorePayload(document, header.vector_encoding) });
+    } catch (decodeError) {
+      fail({ line, document_id: document.id, reason: decodeError.message });
+      continue;
+    }
+
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return summary;
+}
+
+/**
+ * Parses command line flags
+ */
+function parseArgs(argv) {
+  const [action, file, ...rest] = argv;
+  const options = { action, file, batchSize: DEFAULT_BATCH_SIZE, vectors: 'json', priority: 'normal', models: undefined };
+
+  for (let i = 0; i < rest.length; i++) {
+    const flag = rest[i];
+    if (flag === '--models') options.models = rest[++i].split(',').map((model) => model.trim()).filter(Boolean);
+    else if (flag === '--vectors') options.vectors = rest[++i];
+    else if (flag === '--batch-size') options.batchSize = Number(rest[++i]);
+    else if (flag === '--priority') options.priority = rest[++i];
+    else throw new Error(`Unknown option ${flag}`);
+  }
+
+  if (!['export', 'restore'].includes(action) || !file) {
+    throw new Error('Usage: export-embeddings.js export|restore <file> [--models a,b] [--vectors json|f32] [--batch-size 100] [--priority normal|high]');
+  }
+  if (!['json', 'f32'].includes(options.vectors)) {
+    throw new Error('--vectors must be json or f32');
+  }
+  if (!Number.isInteger(options.batchSize) || options.batchSize < 1 || options.batchSize > 200) {
+    throw new Error('--batch-size must be an integer between 1 and 200');
+  }
+  if (!['high', 'normal'].includes(options.priority)) {
+    throw new Error('--priority must be high or normal');
+  }
+
+  return options;
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const { supabase } = createEmbeddingClientFromEnv();
+
+    if (options.action === 'export') {
+      console.log(`📤 Exporting embeddings to ${options.file} (${options.vectors} vectors)...\n`);
+      const summary = await exportEmbeddings(supabase, options.file, {
+        models: options.models,
+        vectors: options.vectors,
+        batchSize: options.batchSize,
+        onProgress: (progress) => process.stdout.write(`\r   Exported ${progress.documents} documents`)
+      });
+
+      console.log('\n');
+      console.log(`✅ Exported ${summary.documents} documents with ${summary.embeddings} embeddings and ${summary.chunks} chunks`);
+      console.log(`   Models: ${summary.models.join(', ') || 'none'}`);
+      return;
+    }
+
+    console.log(`📥 Restoring embeddings from ${options.file}...\n`);
+    const summary = await restoreEmbeddings(supabase, options.file, {
+      batchSize: options.batchSize,
+      priority: options.priority,
+      onFailure: (failure) => console.error(`\n⚠️  Line ${failure.line}: ${failure.reason}`),
+      onProgress: (progress) => process.stdout.write(`\r   Read ${progress.documents}, restored ${progress.restored}, queued ${progress.reembed_queued}`)
+    });
+
+    console.log('\n');
+    console.log('📊 Restore summary:');
+    console.log(`   Documents read: ${summary.documents}`);
+    console.log(`   Restored without re-embedding: ${summary.restored}`);
+    console.log(`   Queued for re-embedding: ${summary.reembed_queued}`);
+    console.log(`   Embeddings restored: ${summary.embeddings_restored} (${summary.embeddings_skipped} outdated or for unknown models)`);
+    console.log(`   Failed: ${summary.failed}`);
+
+    if (summary.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the export or restore if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Load environment variables
+  config();
+  main();
+}
+
+export {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  encodeVector,
+  decodeVector,
+  readExportDocuments,
+  exportEmbeddings,
+  readExportFile,
+  restoreEmbeddings
+};
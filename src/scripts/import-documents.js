@@ -0,0 +1,524 @@
+#!/usr/bin/env node
+
+/**
+ * Bulk Document Import
+ *
+ * Loads documents from a JSONL file, a CSV file, or a directory tree of Markdown
+ * and text files. Every document is upserted by its external ID (a field of the
+ * record, or the file path relative to the directory), so an import can be re-run
+ * safely: unchanged documents are left alone and changed ones are re-embedded.
+ * Rows that cannot be imported are written to a JSONL report instead of stopping
+ * the import. Imported documents go to the normal-priority embedding lane so a bulk
+ * load does not delay user edits.
+ *
+ * Usage: node src/scripts/import-documents.js <file-or-directory> [options]
+ *   --format jsonl|csv|dir      Input format (default: from the extension, dir for directories)
+ *   --id-field id               Field holding the external ID (JSONL/CSV)
+ *   --content-field content     Field holding the text to embed (JSONL/CSV)
+ *   --metadata-fields a,b       Fields copied to metadata (default: every other field)
+ *   --type <document_type>      Sets metadata.document_type on every document
+ *   --batch-size 500            Documents per upsert
+ *   --priority normal|high      Embedding lane (default normal)
+ *   --tenant <tenant_id>        Tenant the documents belong to (default: the 'default' tenant)
+ *   --report <file>             Where rejected rows are written (default import-rejects.jsonl)
+ *   --dry-run                   Read and validate everything without writing
+ */
+
+import { createReadStream, createWriteStream } from 'node:fs';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { createInterface } from 'node:readline';
+import path from 'node:path';
+import { config } from 'dotenv';
+import { createEmbeddingClientFromEnv } from '../lib/embedding-client.js';
+
+const DEFAULT_BATCH_SIZE = 500;
+const DEFAULT_REPORT_PATH = 'import-rejects.jsonl';
+const TEXT_EXTENSIONS = new Set(['.md', '.markdown', '.mdx', '.txt']);
+
+/**
+ * Raised for a record that cannot be imported - it is reported, not fatal
+ */
+class RejectedRecordError extends Error {}
+
+// ============================================================================
+// Readers
+// Each reader yields { location, fields } or { location, error }, where location
+// identifies the record in the input (line number or file path) for the report.
+// ============================================================================
+
+/**
+ * Reads one JSON object per line; blank lines are skipped
+ */
+async function* readJsonl(file) {
+  const lines = createInterface({ input: createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+  let line = 0;
+
+  for await (const text of lines) {
+    line++;
+    if (text.trim() === '') continue;
+
+    try {
+      const fields = JSON.parse(text);
+      if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+        yield { location: { line }, error: 'Line is not a JSON object' };
+      } else {
+        yield { location: { line }, fields };
+      }
+    } catch (error) {
+      yield { location: { line }, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+}
+
+/**
+ * Splits CSV text into rows (RFC 4180: quoted fields may contain commas, quotes and newlines)
+ *
+ * @param {AsyncIterable<string>} chunks
+ * @returns {AsyncGenerator<{ line: number, values: string[] } | { line: number, error: string }>}
+ */
+async function* parseCsvRows(chunks) {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let closedQuote = false;
+  let line = 1;
+  let rowLine = 1;
+  let first = true;
+
+  for await (const chunk of chunks) {
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      // Strip a UTF-8 byte order mark
+      if (first) {
+        first = false;
+        if (ch === '\uFEFF') continue;
+      }
+
+      if (inQuotes) {
+        if (ch === '"') {
+          inQuotes = false;
+          closedQuote = true;
+        } else {
+          if (ch === '\n') line++;
+          field += ch;
+        }
+        continue;
+      }
+
+      if (closedQuote && ch === '"') {
+        // "" inside a quoted field is an escaped quote
+        field += '"';
+        inQuotes = true;
+        closedQuote = false;
+        continue;
+      }
+      closedQuote = false;
+
+      if (ch === '"' && field === '') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n') {
+        row.push(field);
+        yield { line: rowLine, values: row };
+        row = [];
+        field = '';
+        line++;
+        rowLine = line;
+      } else if (ch !== '\r') {
+        field += ch;
+      }
+    }
+  }
+
+  if (inQuotes) {
+    yield { line: rowLine, error: 'Unterminated quoted field at end of file' };
+  } else if (field !== '' || row.length > 0) {
+    row.push(field);
+    yield { line: rowLine, values: row };
+  }
+}
+
+/**
+ * Reads a CSV file whose first row holds the column names
+ */
+async function* readCsv(file) {
+  let columns = null;
+
+  for await (const row of parseCsvRows(createReadStream(file, { encoding: 'utf8' }))) {
+    const location = { line: row.line };
+
+    if (row.error) {
+      yield { location, error: row.error };
+      continue;
+    }
+    if (row.values.length === 1 && row.values[0] === '') continue;
+
+    if (!columns) {
+      columns = row.values.map((column) => column.trim());
+      continue;
+    }
+
+    if (row.values.length !== columns.length) {
+      yield { location, error: `Expected ${columns.length} columns, found ${row.values.length}` };
+      continue;
+    }
+
+    yield { location, fields: Object.fromEntries(columns.map((column, i) => [column, row.values[i]])) };
+  }
+}
+
+/**
+ * Splits simple "key: value" front matter from a Markdown document
+ */
+function parseFrontMatter(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+
+  const attributes = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = /^([A-Za-z0-9_-]+)\s*:\s*(.*)$/.exec(line);
+    if (pair) {
+      attributes[pair[1]] = pair[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+    }
+  }
+
+  return { attributes, body: text.slice(match[0].length) };
+}
+
+/**
+ * Lists text files under a directory in a stable order, skipping hidden entries and node_modules
+ */
+async function listTextFiles(directory) {
+  const files = [];
+  const entries = await readdir(directory, { withFileTypes: true });
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listTextFiles(fullPath));
+    } else if (entry.isFile() && TEXT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Reads Markdown and text files; the external ID is the path relative to the directory
+ * Front matter becomes metadata, and the title is the first heading or the file name.
+ */
+async function* readTextFiles(directory) {
+  for (const file of await listTextFiles(directory)) {
+    const relativePath = path.relative(directory, file).split(path.sep).join('/');
+    const location = { path: relativePath };
+
+    try {
+      const extension = path.extname(file).toLowerCase();
+      const { attributes, body } = parseFrontMatter(await readFile(file, 'utf8'));
+      const heading = /^#\s+(.+)$/m.exec(body);
+
+      yield {
+        location,
+        fields: {
+          id: relativePath,
+          content: body.trim(),
+          metadata: {
+            document_type: extension === '.txt' ? 'text' : 'markdown',
+            title: heading ? heading[1].trim() : path.basename(file, extension),
+            ...attributes,
+            source_path: relativePath
+          }
+        }
+      };
+    } catch (error) {
+      yield { location, error: `Could not read file: ${error.message}` };
+    }
+  }
+}
+
+/**
+ * Picks the reader for a source path
+ *
+ * @param {string} source - File or directory
+ * @param {'jsonl' | 'csv' | 'dir'} [format] - Detected from the path when omitted
+ */
+async function readRecords(source, format) {
+  const stats = await stat(source);
+  const resolvedFormat = format ?? (stats.isDirectory()
+    ? 'dir'
+    : { '.jsonl': 'jsonl', '.ndjson': 'jsonl', '.csv': 'csv' }[path.extname(source).toLowerCase()]);
+
+  if (resolvedFormat === 'dir') {
+    if (!stats.isDirectory()) throw new Error(`${source} is not a directory`);
+    return readTextFiles(source);
+  }
+  if (stats.isDirectory()) {
+    throw new Error(`${source} is a directory - use --format dir`);
+  }
+  if (resolvedFormat === 'jsonl') return readJsonl(source);
+  if (resolvedFormat === 'csv') return readCsv(source);
+
+  throw new Error(`Cannot detect the format of ${source} - use --format jsonl, csv or dir`);
+}
+
+// ============================================================================
+// Mapping and import
+// ============================================================================
+
+/**
+ * Maps a record's fields to an upsertable document
+ *
+ * @param {Record<string, unknown>} fields
+ * @param {{ idField?: string, contentField?: string, metadataFields?: string[], documentType?: string }} mapping
+ * @returns {{ external_id: string, content: string, metadata: Record<string, unknown> }}
+ * @throws RejectedRecordError if the record has no external ID or no content
+ */
+function mapRecord(fields, mapping = {}) {
+  const idField = mapping.idField ?? 'id';
+  const contentField = mapping.contentField ?? 'content';
+  const externalId = fields[idField];
+  const content = fields[contentField];
+
+  if (externalId === undefined || externalId === null || String(externalId).trim() === '') {
+    throw new RejectedRecordError(`Missing external ID (field "${idField}")`);
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new RejectedRecordError(`Missing or empty content (field "${contentField}")`);
+  }
+
+  let metadata;
+  if (mapping.metadataFields) {
+    metadata = Object.fromEntries(mapping.metadataFields.filter((field) => field in fields).map((field) => [field, fields[field]]));
+  } else if (fields.metadata && typeof fields.metadata === 'object' && !Array.isArray(fields.metadata)) {
+    metadata = { ...fields.metadata };
+  } else {
+    metadata = Object.fromEntries(
+      Object.entries(fields).filter(([field]) => field !== idField && field !== contentField)
+    );
+  }
+
+  if (mapping.documentType) {
+    metadata.document_type = mapping.documentType;
+  }
+
+  return { external_id: String(externalId).trim(), content, metadata };
+}
+
+/**
+ * Imports records in batches
+ * A failed batch is retried one document at a time so a single bad row only
+ * rejects itself. Duplicate external IDs within the input keep the first occurrence.
+ *
+ * @param {ReturnType<import('../lib/embedding-client.js').createEmbeddingClient> | null} client - Not used in dry runs
+ * @param {AsyncIterable<{ location: object, fields?: object, error?: string }>} records
+ * @param {{ mapping?: object, batchSize?: number, priority?: 'high' | 'normal', tenantId?: string, dryRun?: boolean, onReject?: (rejected: object) => void, onProgress?: (progress: object) => void }} [options]
+ * @returns {Promise<{ read: number, imported: number, rejected: number, batches: number, dry_run: boolean }>}
+ */
+async function importDocuments(client, records, options = {}) {
+  const batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+  const upsertOptions = { priority: options.priority ?? 'normal', tenantId: options.tenantId };
+  const summary = { read: 0, imported: 0, rejected: 0, batches: 0, dry_run: Boolean(options.dryRun) };
+  const firstSeen = new Map();
+  let batch = [];
+
+  const reject = (location, reason, record) => {
+    summary.rejected++;
+    options.onReject?.({ ...location, reason, record });
+  };
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    summary.batches++;
+
+    if (options.dryRun) {
+      summary.imported += batch.length;
+    } else {
+      try {
+        await client.upsertDocuments(batch.map((item) => item.document), upsertOptions);
+        summary.imported += batch.length;
+      } catch {
+        for (const item of batch) {
+          try {
+            await client.upsertDocuments([item.document], upsertOptions);
+            summary.imported++;
+          } catch (error) {
+            reject(item.location, error.message, item.document);
+          }
+        }
+      }
+    }
+
+    batch = [];
+    options.onProgress?.({ ...summary });
+  };
+
+  for await (const { location, fields, error } of records) {
+    summary.read++;
+
+    if (error) {
+      reject(location, error);
+      continue;
+    }
+
+    let document;
+    try {
+      document = mapRecord(fields, options.mapping);
+    } catch (mapError) {
+      if (!(mapError instanceof RejectedRecordError)) throw mapError;
+      reject(location, mapError.message, fields);
+      continue;
+    }
+
+    if (firstSeen.has(document.external_id)) {
+      reject(location, `Duplicate external ID ${document.external_id} (first seen at ${JSON.stringify(firstSeen.get(document.external_id))})`, fields);
+      continue;
+    }
+    firstSeen.set(document.external_id, location);
+
+    batch.push({ location, document });
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+
+  await flush();
+  options.onProgress?.({ ...summary });
+  return summary;
+}
+
+/**
+ * Returns an onReject handler that appends rejected rows to a JSONL report, plus a close function
+ * The report file is only created when the first row is rejected.
+ *
+ * @param {string} reportPath
+ */
+function createRejectReport(reportPath) {
+  let stream = null;
+
+  return {
+    path: reportPath,
+    write(rejected) {
+      stream ??= createWriteStream(reportPath, { encoding: 'utf8' });
+      stream.write(`${JSON.stringify(rejected)}\n`);
+    },
+    close() {
+      return stream ? new Promise((resolve) => stream.end(resolve)) : Promise.resolve();
+    },
+    get written() {
+      return stream !== null;
+    }
+  };
+}
+
+/**
+ * Parses command line flags
+ */
+function parseArgs(argv) {
+  const options = {
+    source: null,
+    format: undefined,
+    mapping: {},
+    batchSize: DEFAULT_BATCH_SIZE,
+    priority: 'normal',
+    reportPath: DEFAULT_REPORT_PATH,
+    dryRun: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--format') options.format = argv[++i];
+    else if (flag === '--id-field') options.mapping.idField = argv[++i];
+    else if (flag === '--content-field') options.mapping.contentField = argv[++i];
+    else if (flag === '--metadata-fields') options.mapping.metadataFields = argv[++i].split(',').map((field) => field.trim()).filter(Boolean);
+    else if (flag === '--type') options.mapping.documentType = argv[++i];
+    else if (flag === '--batch-size') options.batchSize = Number(argv[++i]);
+    else if (flag === '--priority') options.priority = argv[++i];
+    else if (flag === '--tenant') options.tenantId = argv[++i];
+    else if (flag === '--report') options.reportPath = argv[++i];
+    else if (flag === '--dry-run') options.dryRun = true;
+    else if (!flag.startsWith('--') && !options.source) options.source = flag;
+    else throw new Error(`Unknown option ${flag}`);
+  }
+
+  if (!options.source) {
+    throw new Error('Usage: import-documents.js <file-or-directory> [--format jsonl|csv|dir] [--dry-run] ...');
+  }
+  if (options.format && !['jsonl', 'csv', 'dir'].includes(options.format)) {
+    throw new Error('--format must be jsonl, csv or dir');
+  }
+  if (!Number.isInteger(options.batchSize) || options.batchSize < 1 || options.batchSize > 5000) {
+    throw new Error('--batch-size must be an integer between 1 and 5000');
+  }
+  if (!['high', 'normal'].includes(options.priority)) {
+    throw new Error('--priority must be high or normal');
+  }
+  if (options.tenantId !== undefined && !options.tenantId?.trim()) {
+    throw new Error('--tenant must not be empty');
+  }
+
+  return options;
+}
+
+async function main() {
+  let rejects = null;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const client = options.dryRun ? null : createEmbeddingClientFromEnv();
+    rejects = createRejectReport(options.reportPath);
+
+    console.log(`📥 Importing ${options.source}${options.dryRun ? ' (dry run - nothing is written)' : ''}...\n`);
+
+    const summary = await importDocuments(client, await readRecords(options.source, options.format), {
+      mapping: options.mapping,
+      batchSize: options.batchSize,
+      priority: options.priority,
+      tenantId: options.tenantId,
+      dryRun: options.dryRun,
+      onReject: rejects.write,
+      onProgress: (progress) => {
+        process.stdout.write(`\r   Read ${progress.read}, ${options.dryRun ? 'valid' : 'imported'} ${progress.imported}, rejected ${progress.rejected}`);
+      }
+    });
+    await rejects.close();
+
+    console.log('\n');
+    console.log('📊 Import summary:');
+    console.log(`   Records read: ${summary.read}`);
+    console.log(`   ${options.dryRun ? 'Valid' : 'Imported'}: ${summary.imported} (${summary.batches} batches)`);
+    console.log(`   Rejected: ${summary.rejected}${rejects.written ? ` - see ${rejects.path}` : ''}`);
+
+    if (summary.rejected > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    await rejects?.close();
+    console.error(`\n❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the import if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Load environment variables
+  config();
+  main();
+}
+
+export {
+  RejectedRecordError,
+  readRecords,
+  parseCsvRows,
+  parseFrontMatter,
+  mapRecord,
+  importDocuments,
+  createRejectReport
+};
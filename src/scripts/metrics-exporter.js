@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Metrics Exporter - OpenMetrics endpoint for Prometheus and Grafana
+ *
+ * Serves queue depth, oldest job age, coverage, documents needing update, errors
+ * per window and processor throughput as OpenMetrics text. Every scrape reads
+ * fresh values from autonomous_system_status, get_queue_stats and
+ * get_processor_run_metrics (which sums embedding_runs), so the exporter keeps
+ * no state of its own.
+ *
+ * Usage: node src/scripts/metrics-exporter.js [--port 9464] [--window 15]
+ *   GET /metrics  OpenMetrics text
+ *   GET /healthz  200 when the exporter process is up
+ *
+ * Requires SUPABASE_SERVICE_ROLE_KEY - the status and queue RPCs are only granted to service_role.
+ */
+
+import { createServer } from 'node:http';
+import { config } from 'dotenv';
+import { createEmbeddingClientFromEnv } from '../lib/embedding-client.js';
+
+const DEFAULT_PORT = 9464;
+const DEFAULT_WINDOW_MINUTES = 15;
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+/**
+ * Returns data or throws a descriptive error for a Supabase response
+ */
+function unwrap({ data, error }, action) {
+  if (error) {
+    throw new Error(`${action} failed: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Reads every value the exporter publishes
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {{ windowMinutes?: number }} [options] - Processor throughput window (default 15 minutes)
+ * @returns {Promise<Array<{ name: string, type: 'gauge', help: string, unit?: string, samples: Array<{ labels?: Record<string, string>, value: number }> }>>}
+ */
+async function collectMetrics(supabase, options = {}) {
+  const windowMinutes = options.windowMinutes ?? DEFAULT_WINDOW_MINUTES;
+  const window = `${windowMinutes}m`;
+
+  const [status, queueStats, processorRuns] = await Promise.all([
+    supabase.from('autonomous_system_status').select('*').single(),
+    supabase.rpc('get_queue_stats'),
+    supabase.rpc('get_processor_run_metrics', { p_window_minutes: windowMinutes })
+  ]);
+
+  const system = unwrap(status, 'Reading system status');
+  const queue = unwrap(queueStats, 'Reading queue stats')[0];
+  const runs = unwrap(processorRuns, 'Reading processor runs')[0];
+
+  const oldestJobAge = queue.oldest_job ? Math.max(0, (Date.now() - new Date(queue.oldest_job).getTime()) / 1000) : 0;
+  const processingSeconds = Number(runs.processing_time_ms) / 1000;
+  const model = system.active_embedding_model;
+
+  return [
+    {
+      name: 'embedding_queue_pending_jobs',
+      type: 'gauge',
+      help: 'Jobs waiting in the embedding queue by priority lane',
+      samples: [
+        { labels: { lane: 'high' }, value: Number(queue.high_priority_pending) },
+        { labels: { lane: 'normal' }, value: Number(queue.normal_priority_pending) }
+      ]
+    },
+    {
+      name: 'embedding_queue_oldest_job_age',
+      type: 'gauge',
+      unit: 'seconds',
+      help: 'Age of the oldest pending job (0 when the queue is empty)',
+      samples: [{ value: oldestJobAge }]
+    },
+    {
+      name: 'embedding_queue_dead_letter_jobs',
+      type: 'gauge',
+      help: 'Jobs in the dead-letter queue',
+      samples: [{ value: Number(system.dead_letter_jobs) }]
+    },
+    {
+      name: 'embedding_documents',
+      type: 'gauge',
+      help: 'Documents with content',
+      samples: [{ value: Number(system.total_documents) }]
+    },
+    {
+      name: 'embedding_documents_embedded',
+      type: 'gauge',
+      help: 'Documents with an embedding for the active model',
+      samples: [{ labels: { model }, value: Number(system.documents_with_embeddings) }]
+    },
+    {
+      name: 'embedding_coverage_percent',
+      type: 'gauge',
+      help: 'Percentage of documents with a valid embedding for the active model',
+      samples: [{ labels: { model }, value: Number(system.embedding_coverage_percent ?? 0) }]
+    },
+    {
+      name: 'embedding_documents_needing_update',
+      type: 'gauge',
+      help: 'Documents whose embedding no longer matches their content',
+      samples: [{ value: Number(system.documents_needing_update) }]
+    },
+    {
+      name: 'embedding_documents_missing',
+      type: 'gauge',
+      help: 'Documents that were never embedded with the active model',
+      samples: [{ value: Number(system.documents_missing_embeddings) }]
+    },
+    {
+      name: 'embedding_errors',
+      type: 'gauge',
+      help: 'Rows logged to embedding_error_log per window',
+      samples: [
+        { labels: { window: '1h' }, value: Number(system.errors_last_hour) },
+        { labels: { window: '24h' }, value: Number(system.errors_last_24h) }
+      ]
+    },
+    {
+      name: 'embedding_processor_invocations',
+      type: 'gauge',
+      help: 'process-embedding-queue invocations by outcome within the window',
+      samples: [
+        { labels: { window, outcome: 'success' }, value: Number(runs.invocations) - Number(runs.failed_invocations) },
+        { labels: { window, outcome: 'failure' }, value: Number(runs.failed_invocations) }
+      ]
+    },
+    {
+      name: 'embedding_processor_jobs',
+      type: 'gauge',
+      help: 'Jobs handled by process-embedding-queue by result within the window',
+      samples: [
+        { labels: { window, result: 'processed' }, value: Number(runs.processed_jobs) },
+        { labels: { window, result: 'skipped' }, value: Number(runs.skipped_jobs) },
+        { labels: { window, result: 'failed' }, value: Number(runs.failed_jobs) },
+        { labels: { window, result: 'retried' }, value: Number(runs.retried_jobs) },
+        { labels: { window, result: 'dead_lettered' }, value: Number(runs.dead_lettered_jobs) }
+      ]
+    },
+    {
+      name: 'embedding_processor_throughput_jobs_per_second',
+      type: 'gauge',
+      help: 'Jobs embedded per second of processor run time within the window',
+      samples: [{ labels: { window }, value: processingSeconds > 0 ? Number(runs.processed_jobs) / processingSeconds : 0 }]
+    },
+    {
+      name: 'embedding_processor_last_run_timestamp',
+      type: 'gauge',
+      unit: 'seconds',
+      help: 'Unix time the last recorded processor run finished (0 if none in the window)',
+      samples: [{ value: runs.last_run_at ? new Date(runs.last_run_at).getTime() / 1000 : 0 }]
+    }
+  ];
+}
+
+/**
+ * Escapes a label value per the OpenMetrics text format
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders metric families as OpenMetrics text, terminated by # EOF
+ *
+ * @param {Awaited<ReturnType<typeof collectMetrics>>} families
+ * @returns {string}
+ */
+function formatOpenMetrics(families) {
+  const lines = [];
+
+  for (const family of families) {
+    const name = family.unit ? `${family.name}_${family.unit}` : family.name;
+    lines.push(`# TYPE ${name} ${family.type}`);
+    if (family.unit) {
+      lines.push(`# UNIT ${name} ${family.unit}`);
+    }
+    lines.push(`# HELP ${name} ${family.help}`);
+
+    for (const sample of family.samples) {
+      const labels = Object.entries(sample.labels || {})
+        .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+        .join(',');
+      lines.push(`${name}${labels ? `{${labels}}` : ''} ${Number.isFinite(sample.value) ? sample.value : 'NaN'}`);
+    }
+  }
+
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Creates the exporter HTTP server (not yet listening)
+ * A failed scrape returns 503 with only embedding_exporter_up 0, so Prometheus
+ * records the outage instead of keeping stale values.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {{ windowMinutes?: number }} [options]
+ */
+function createMetricsServer(supabase, options = {}) {
+  return createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' }).end();
+      return;
+    }
+
+    if (pathname === '/healthz') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' }).end('ok\n');
+      return;
+    }
+
+    if (pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found - metrics are served at /metrics\n');
+      return;
+    }
+
+    const up = { name: 'embedding_exporter_up', type: 'gauge', help: 'Whether the last scrape could read the database', samples: [] };
+
+    try {
+      const families = await collectMetrics(supabase, options);
+      up.samples.push({ value: 1 });
+      res.writeHead(200, { 'Content-Type': OPENMETRICS_CONTENT_TYPE }).end(formatOpenMetrics([up, ...families]));
+    } catch (error) {
+      console.error(`❌ Scrape failed: ${error.message}`);
+      up.samples.push({ value: 0 });
+      res.writeHead(503, { 'Content-Type': OPENMETRICS_CONTENT_TYPE }).end(formatOpenMetrics([up]));
+    }
+  });
+}
+
+/**
+ * Parses command line flags
+ */
+function parseArgs(argv) {
+  const options = { port: Number(process.env.METRICS_PORT) || DEFAULT_PORT, windowMinutes: DEFAULT_WINDOW_MINUTES };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = Number(argv[++i]);
+    } else if (argv[i] === '--window') {
+      options.windowMinutes = Number(argv[++i]);
+    }
+  }
+
+  if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+    throw new Error('--port must be a port number');
+  }
+  if (!Number.isInteger(options.windowMinutes) || options.windowMinutes < 1) {
+    throw new Error('--window must be a positive number of minutes');
+  }
+
+  return options;
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const { supabase } = createEmbeddingClientFromEnv();
+
+    createMetricsServer(supabase, options).listen(options.port, () => {
+      console.log(`📈 Metrics exporter listening on http://localhost:${options.port}/metrics (processor window ${options.windowMinutes}m)`);
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the exporter if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Load environment variables
+  config();
+  main();
+}
+
+export { collectMetrics, formatOpenMetrics, createMetricsServer };
@@ -2,79 +2,314 @@
 
 /**
  * Queue Monitor - Real-time monitoring of the embedding queue
- * 
+ *
  * This script monitors the embedding queue status and provides
- * real-time insights into processing performance.
+ * real-time insights into processing performance: exact coverage from
+ * autonomous_system_status, pending jobs from get_queue_stats, throughput over
+ * a sliding window, the ETA to drain the queue, recent errors and autopilot runs.
+ *
+ * Usage: node src/scripts/monitor-queue.js [--watch] [--ndjson] [--interval 5] [--window 5]
+ *   --watch     Refresh the display every interval until interrupted
+ *   --ndjson    Print one JSON snapshot per line instead (implies --watch)
+ *
+ * Requires SUPABASE_SERVICE_ROLE_KEY - the queue RPCs are only granted to service_role.
  */
 
-import { createClient } from '@supabase/supabase-js';
 import { config } from 'dotenv';
+import { createEmbeddingClientFromEnv } from '../lib/embedding-client.js';
 
-// Load environment variables
-config();
+const DEFAULT_INTERVAL_SECONDS = 5;
+const DEFAULT_WINDOW_MINUTES = 5;
+const RECENT_ERROR_LIMIT = 5;
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+/**
+ * Returns data or throws a descriptive error for a Supabase response
+ */
+function unwrap({ data, error }, action) {
+  if (error) {
+    throw new Error(`${action} failed: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Minutes until the queue drains at the current rate; null when nothing is being processed
+ */
+function estimateDrainMinutes(pending, jobsPerMinute) {
+  if (pending === 0) {
+    return 0;
+  }
+  if (!jobsPerMinute) {
+    return null;
+  }
+  return Number((pending / jobsPerMinute).toFixed(1));
+}
+
+/**
+ * Takes a snapshot of coverage, queue depth, throughput, errors and autopilot activity
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {{ windowMinutes?: number }} [options] - Throughput window (default 5 minutes)
+ */
+async function getQueueSnapshot(supabase, options = {}) {
+  const windowMinutes = options.windowMinutes ?? DEFAULT_WINDOW_MINUTES;
+
+  const [status, queueStats, throughput, autopilot, errors] = await Promise.all([
+    supabase.from('autonomous_system_status').select('*').single(),
+    supabase.rpc('get_queue_stats'),
+    supabase.rpc('get_queue_throughput', { p_window_minutes: windowMinutes }),
+    supabase.rpc('get_autopilot_activity'),
+    supabase
+      .from('embedding_error_log')
+      .select('document_id, error_message, retry_count, created_at')
+      .order('created_at', { ascending: false })
+      .limit(RECENT_ERROR_LIMIT)
+  ]);
+
+  const system = unwrap(status, 'Reading system status');
+  const queue = unwrap(queueStats, 'Reading queue stats')[0];
+  const rate = unwrap(throughput, 'Reading queue throughput')[0];
+  const autopilotJobs = unwrap(autopilot, 'Reading autopilot activity');
+  const recentErrors = unwrap(errors, 'Reading recent errors');
+
+  const pending = Number(queue.total_pending);
+  const jobsPerMinute = Number(rate.jobs_per_minute);
+
+  return {
+    taken_at: new Date().toISOString(),
+    model: system.active_embedding_model,
+    documents: Number(system.total_documents),
+    embedded: Number(system.documents_with_embeddings),
+    coverage_percent: Number(system.embedding_coverage_percent ?? 0),
+    missing: Number(system.documents_missing_embeddings),
+    outdated: Number(system.documents_needing_update),
+    queue: {
+      pending,
+      high_priority: Number(queue.high_priority_pending),
+      normal_priority: Number(queue.normal_priority_pending),
+      oldest_job: queue.oldest_job,
+      dead_lettered: Number(system.dead_letter_jobs)
+    },
+    throughput: {
+      window_minutes: rate.window_minutes,
+      processed_jobs: Number(rate.processed_jobs),
+      jobs_per_minute: jobsPerMinute,
+      dead_lettered_jobs: Number(rate.dead_lettered_jobs),
+      last_processed_at: rate.last_processed_at,
+      eta_minutes: estimateDrainMinutes(pending, jobsPerMinute)
+    },
+    errors: {
+      last_hour: Number(system.errors_last_hour),
+      last_24h: Number(system.errors_last_24h),
+      recent: recentErrors
+    },
+    autopilot: {
+      jobs_last_hour: Number(system.autopilot_jobs_last_hour),
+      schedules: autopilotJobs
+    }
+  };
+}
 
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error('❌ Missing required environment variables: SUPABASE_URL, SUPABASE_ANON_KEY');
-  console.error('   Please copy .env.example to .env and configure your Supabase credentials');
-  process.exit(1);
+/**
+ * Formats a timestamp as a relative age ("42s ago", "3m ago")
+ */
+function formatAge(timestamp) {
+  if (!timestamp) {
+    return 'never';
+  }
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000));
+  if (seconds < 120) return `${seconds}s ago`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)}m ago`;
+  return `${Math.round(seconds / 3600)}h ago`;
 }
 
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
+/**
+ * Formats the ETA to drain the queue
+ */
+function formatEta(snapshot) {
+  const { eta_minutes: eta } = snapshot.throughput;
+  if (eta === 0) return 'queue empty';
+  if (eta === null) return 'stalled (no jobs finished in the window)';
+  if (eta < 1) return `${Math.round(eta * 60)}s`;
+  if (eta < 120) return `${Math.round(eta)}m`;
+  return `${(eta / 60).toFixed(1)}h`;
+}
+
+/**
+ * Prints a queue snapshot for humans
+ */
+function printQueueSnapshot(snapshot) {
+  const { queue, throughput, errors, autopilot } = snapshot;
+
+  console.log(`📊 Queue Status (${snapshot.model}, ${new Date(snapshot.taken_at).toLocaleTimeString()}):`);
+  console.log(`   Documents: ${snapshot.documents}`);
+  console.log(`   Embedded: ${snapshot.embedded} (${snapshot.coverage_percent}%)`);
+  console.log(`   Missing: ${snapshot.missing}   Outdated: ${snapshot.outdated}`);
+  console.log('');
+
+  console.log('📬 Queue:');
+  console.log(`   Pending: ${queue.pending} (high: ${queue.high_priority}, normal: ${queue.normal_priority})`);
+  console.log(`   Oldest job: ${formatAge(queue.oldest_job)}`);
+  console.log(`   Dead-lettered: ${queue.dead_lettered}`);
+  console.log('');
+
+  console.log(`⚡ Throughput (last ${throughput.window_minutes}m):`);
+  console.log(`   Rate: ${throughput.jobs_per_minute} jobs/minute (${throughput.processed_jobs} finished, ${throughput.dead_lettered_jobs} dead-lettered)`);
+  console.log(`   Last job finished: ${formatAge(throughput.last_processed_at)}`);
+  console.log(`   ETA to drain: ${formatEta(snapshot)}`);
+  console.log('');
+
+  console.log('🤖 Autopilot:');
+  if (autopilot.schedules.length === 0) {
+    console.log('   ⚠️  No autopilot cron job scheduled');
+  }
+  for (const job of autopilot.schedules) {
+    console.log(`   ${job.active ? '✅' : '❌'} ${job.job_name} (${job.schedule}) - last run ${formatAge(job.last_run_at)}${job.last_run_status ? ` (${job.last_run_status})` : ''}`);
+    console.log(`      Runs last hour: ${job.runs_last_hour}, failed: ${job.failed_runs_last_hour}`);
+  }
+  console.log(`   Re-embedding jobs queued last hour: ${autopilot.jobs_last_hour}`);
+  console.log('');
+
+  console.log(`❌ Errors: ${errors.last_hour} last hour, ${errors.last_24h} last 24h`);
+  for (const error of errors.recent) {
+    console.log(`   ${formatAge(error.created_at)} ${error.document_id} (attempt ${error.retry_count}): ${error.error_message}`);
+  }
+
+  if (snapshot.documents === 0) {
+    console.log('\n💡 No documents found. Run "npm run seed" to add sample data.');
+  }
+}
+
+/**
+ * Takes a snapshot every interval until the signal aborts or count snapshots were taken
+ * Failed snapshots are reported through onError and do not stop the loop, so a
+ * long-running monitor survives transient network errors.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {{ intervalMs?: number, windowMinutes?: number, count?: number, signal?: AbortSignal, onSnapshot: (snapshot: object) => void, onError?: (error: Error) => void }} options
+ */
+async function watchQueue(supabase, options) {
+  const intervalMs = options.intervalMs ?? DEFAULT_INTERVAL_SECONDS * 1000;
+  let taken = 0;
+
+  while (!options.signal?.aborted) {
+    try {
+      options.onSnapshot(await getQueueSnapshot(supabase, { windowMinutes: options.windowMinutes }));
+    } catch (error) {
+      options.onError?.(error);
+    }
+
+    taken++;
+    if (options.count && taken >= options.count) {
+      break;
+    }
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, intervalMs);
+      options.signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+}
+
+/**
+ * Returns snapshot handlers for a watch: NDJSON lines, or a redrawn screen
+ */
+function watchOutput(format) {
+  if (format === 'ndjson') {
+    return {
+      onSnapshot: (snapshot) => console.log(JSON.stringify(snapshot)),
+      onError: (error) => console.log(JSON.stringify({ taken_at: new Date().toISOString(), error: error.message }))
+    };
+  }
+
+  const clear = () => {
+    if (process.stdout.isTTY) {
+      process.stdout.write('\x1b[2J\x1b[H');
+    }
+  };
+
+  return {
+    onSnapshot: (snapshot) => {
+      clear();
+      printQueueSnapshot(snapshot);
+      console.log('\n(Ctrl+C to stop)');
+    },
+    onError: (error) => console.error(`❌ Monitor error: ${error.message} (retrying)`)
+  };
+}
+
+/**
+ * Parses command line flags
+ */
+function parseArgs(argv) {
+  const options = {
+    watch: false,
+    format: 'pretty',
+    intervalSeconds: DEFAULT_INTERVAL_SECONDS,
+    windowMinutes: DEFAULT_WINDOW_MINUTES
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--watch') {
+      options.watch = true;
+    } else if (argv[i] === '--ndjson') {
+      options.watch = true;
+      options.format = 'ndjson';
+    } else if (argv[i] === '--interval') {
+      options.intervalSeconds = Number(argv[++i]);
+    } else if (argv[i] === '--window') {
+      options.windowMinutes = Number(argv[++i]);
+    }
+  }
+
+  if (!(options.intervalSeconds > 0)) {
+    throw new Error('--interval must be a positive number of seconds');
+  }
+  if (!Number.isInteger(options.windowMinutes) || options.windowMinutes < 1) {
+    throw new Error('--window must be a positive number of minutes');
+  }
+
+  return options;
+}
 
 /**
  * Monitor queue status with real-time updates
  */
 async function monitorQueue() {
-  console.log('🔍 Starting queue monitor...\n');
-  
   try {
-    // Check documents status
-    const { data: docs, error: docsError } = await supabase
-      .from('source_documents')
-      .select('id, status')
-      .limit(1000);
-    
-    if (docsError) {
-      console.error('❌ Error fetching documents:', docsError.message);
-      return;
-    }
+    const options = parseArgs(process.argv.slice(2));
+    const { supabase } = createEmbeddingClientFromEnv();
 
-    // Check embeddings status  
-    const { data: embeddings, error: embError } = await supabase
-      .from('document_embeddings')
-      .select('id, created_at')
-      .limit(1000);
-    
-    if (embError) {
-      console.error('❌ Error fetching embeddings:', embError.message);
+    if (!options.watch) {
+      console.log('🔍 Starting queue monitor...\n');
+      printQueueSnapshot(await getQueueSnapshot(supabase, options));
       return;
     }
 
-    // Display status
-    const totalDocs = docs?.length || 0;
-    const totalEmbeddings = embeddings?.length || 0;
-    const completionRate = totalDocs > 0 ? (totalEmbeddings / totalDocs * 100).toFixed(1) : 0;
-    
-    console.log(`📊 Queue Status:`);
-    console.log(`   Documents: ${totalDocs}`);
-    console.log(`   Embeddings: ${totalEmbeddings}`);
-    console.log(`   Completion: ${completionRate}%`);
-    console.log(`   Pending: ${Math.max(0, totalDocs - totalEmbeddings)}\n`);
-    
-    if (totalDocs === 0) {
-      console.log('💡 No documents found. Run "npm run seed" to add sample data.');
-    }
-    
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+    process.once('SIGTERM', () => controller.abort());
+
+    await watchQueue(supabase, {
+      intervalMs: options.intervalSeconds * 1000,
+      windowMinutes: options.windowMinutes,
+      signal: controller.signal,
+      ...watchOutput(options.format)
+    });
   } catch (error) {
     console.error('❌ Monitor error:', error.message);
+    process.exit(1);
   }
 }
 
-// Run monitor
-monitorQueue();
-
-
+// Run monitor if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Load environment variables
+  config();
+  monitorQueue();
+}
 
+export { getQueueSnapshot, printQueueSnapshot, watchQueue, watchOutput, monitorQueue };
@@ -1,134 +1,568 @@
 #!/usr/bin/env node
 
 /**
- * Performance Test - Benchmark the embedding system
- * 
- * Tests the embedding system performance with sample data
- * and measures processing times and success rates.
+ * Performance Test - Load-test the embedding pipeline
+ *
+ * Inserts a tagged corpus of test documents with a configurable size, document
+ * length distribution and insert concurrency, then measures for every document
+ * how long it took from being enqueued (inserted) to being embedded with the
+ * active model. Both timestamps come from the database clock. Reports latency
+ * percentiles, throughput over time and the processor batch sizes used while the
+ * test ran, optionally compares them with a saved baseline, and deletes the test
+ * documents afterwards.
+ *
+ * Usage: node src/scripts/performance-test.js [options]
+ *   --count 5                 Documents to insert
+ *   --length 2000             Document length in characters, or a range like 500-8000
+ *   --distribution uniform    How lengths are drawn from a range: uniform or lognormal
+ *   --concurrency 4           Parallel insert requests
+ *   --insert-batch 50         Documents per insert request
+ *   --timeout 300             Seconds to wait for embeddings
+ *   --poll 2                  Seconds between embedding checks
+ *   --bucket 10               Seconds per throughput bucket
+ *   --seed <n>                Seed for reproducible document lengths
+ *   --output results.json     Write results as JSON (or per-document CSV for .csv)
+ *   --baseline base.json      Compare with an earlier JSON output; exits 1 on regression
+ *   --tolerance 0.2           Allowed relative regression against the baseline
+ *   --keep                    Keep the test documents
+ *   --cleanup                 Only delete test documents left behind by earlier runs
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { randomUUID } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
 import { config } from 'dotenv';
+import { createEmbeddingClientFromEnv } from '../lib/embedding-client.js';
 
-// Load environment variables
-config();
+const TOPICS = ['AI research', 'Machine learning', 'Database optimization', 'Cloud architecture', 'Software engineering'];
+// Keeps .in() filters well below URL length limits
+const ID_CHUNK_SIZE = 200;
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+/**
+ * Returns data or throws a descriptive error for a Supabase response
+ */
+function unwrap({ data, error }, action) {
+  if (error) {
+    throw new Error(`${action} failed: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so a seed reproduces the same corpus
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parses a --length value: a single length or a min-max range
+ *
+ * @param {string | number} value
+ * @returns {{ min: number, max: number }}
+ */
+function parseLengthRange(value) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(value).trim());
+  const min = match ? Number(match[1]) : NaN;
+  const max = match?.[2] ? Number(match[2]) : min;
 
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error('❌ Missing required environment variables: SUPABASE_URL, SUPABASE_ANON_KEY');
-  console.error('   Please copy .env.example to .env and configure your Supabase credentials');
-  process.exit(1);
+  if (!(min >= 1) || max < min) {
+    throw new Error('Length must be a positive number of characters or a range like 500-8000');
+  }
+  return { min, max };
 }
 
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
+/**
+ * Draws a document length
+ * lognormal centres on the geometric mean of the range, giving many short and a few
+ * long documents like most real corpora; values are clamped to the range.
+ */
+function drawLength({ min, max }, distribution, random) {
+  if (min === max) return min;
+
+  if (distribution === 'lognormal') {
+    // Box-Muller; the range spans roughly +-2 standard deviations
+    const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    const mu = (Math.log(min) + Math.log(max)) / 2;
+    const sigma = (Math.log(max) - Math.log(min)) / 4;
+    return Math.min(max, Math.max(min, Math.round(Math.exp(mu + sigma * normal))));
+  }
+
+  return min + Math.floor(random() * (max - min + 1));
+}
 
 /**
  * Generate test documents for performance testing
+ * Every document is tagged with metadata.test and metadata.load_test_run so the
+ * run can be cleaned up afterwards.
+ *
+ * @param {number} [count]
+ * @param {{ runId?: string, length?: string | number, distribution?: 'uniform' | 'lognormal', seed?: number }} [options]
  */
-function generateTestDocuments(count = 10) {
+function generateTestDocuments(count = 10, options = {}) {
+  const runId = options.runId ?? randomUUID();
+  const range = parseLengthRange(options.length ?? 2000);
+  const random = createRandom(options.seed ?? Date.now());
   const documents = [];
-  const topics = ['AI research', 'Machine learning', 'Database optimization', 'Cloud architecture', 'Software engineering'];
-  
+
   for (let i = 0; i < count; i++) {
-    const topic = topics[i % topics.length];
+    const topic = TOPICS[i % TOPICS.length];
+    const length = drawLength(range, options.distribution, random);
+    const sentence = `This is a test document about ${topic}. `;
+    const title = `Performance Test Document ${i + 1}\n\n`;
+
     documents.push({
-      title: `Performance Test Document ${i + 1}`,
-      content: `This is a test document about ${topic}. `.repeat(50), // ~500 chars
-      source_url: `https://example.com/test-${i + 1}`,
-      metadata: { 
-        test: true, 
-        batch: Math.floor(Date.now() / 1000),
-        topic: topic
+      content: (title + sentence.repeat(Math.ceil(length / sentence.length))).slice(0, Math.max(length, title.length + 1)),
+      metadata: {
+        test: true,
+        load_test_run: runId,
+        topic: topic,
+        source_url: `https://example.com/test-${i + 1}`
       }
     });
   }
-  
+
   return documents;
 }
 
 /**
- * Run performance test
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Inserts documents in batches with a fixed number of requests in flight
+ *
+ * @returns {Promise<Array<{ id: string, created_at: string, length: number }>>}
+ */
+async function insertConcurrently(supabase, documents, { batchSize, concurrency, signal }) {
+  const batches = [];
+  for (let i = 0; i < documents.length; i += batchSize) {
+    batches.push(documents.slice(i, i + batchSize));
+  }
+
+  const inserted = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < batches.length && !signal?.aborted) {
+      const batch = batches[next++];
+      const rows = unwrap(await supabase.from('source_documents').insert(batch).select('id, created_at'), 'Inserting test documents');
+      inserted.push(...rows.map((row, index) => ({ id: row.id, created_at: row.created_at, length: batch[index].content.length })));
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, worker));
+  return inserted;
+}
+
+/**
+ * Reads when each pending document was embedded with the given model
+ *
+ * @returns {Promise<Map<string, string>>} document_id -> embedding created_at
  */
-async function runPerformanceTest() {
-  console.log('🚀 Starting performance test...\n');
-  
-  const testSize = 5;
+async function readEmbeddedAt(supabase, ids, model) {
+  const embeddedAt = new Map();
+
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const rows = unwrap(
+      await supabase
+        .from('document_embeddings')
+        .select('document_id, created_at')
+        .eq('model_name', model)
+        .in('document_id', ids.slice(i, i + ID_CHUNK_SIZE)),
+      'Checking embeddings'
+    );
+    for (const row of rows) {
+      embeddedAt.set(row.document_id, row.created_at);
+    }
+  }
+
+  return embeddedAt;
+}
+
+/**
+ * Deletes test documents (their embeddings and chunks cascade)
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} [runId] - Only this run; omit to delete every tagged test document
+ * @returns {Promise<number>} Number of deleted documents
+ */
+async function cleanupTestDocuments(supabase, runId) {
+  const query = runId
+    ? supabase.from('source_documents').delete().eq('metadata->>load_test_run', runId)
+    : supabase.from('source_documents').delete().not('metadata->>load_test_run', 'is', null);
+
+  const deleted = unwrap(await query.select('id'), 'Deleting test documents');
+  return deleted.length;
+}
+
+/**
+ * Inserts test documents and measures how long the pipeline takes to embed them
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{
+ *   count?: number, length?: string | number, distribution?: 'uniform' | 'lognormal', seed?: number,
+ *   concurrency?: number, insertBatchSize?: number, timeoutMs?: number, pollIntervalMs?: number,
+ *   bucketSeconds?: number, keep?: boolean, signal?: AbortSignal,
+ *   onProgress?: (embedded: number, total: number, elapsedMs: number) => void
+ * }} [options]
+ */
+async function runPerformanceTest(supabase, options = {}) {
+  const runId = randomUUID();
+  const settings = {
+    count: options.count ?? 5,
+    length: String(options.length ?? 2000),
+    distribution: options.distribution ?? 'uniform',
+    seed: options.seed ?? Date.now() % 2147483647,
+    concurrency: options.concurrency ?? 4,
+    insert_batch_size: options.insertBatchSize ?? 50,
+    timeout_ms: options.timeoutMs ?? 300000, // 5 minutes max
+    poll_interval_ms: options.pollIntervalMs ?? 2000,
+    bucket_seconds: options.bucketSeconds ?? 10
+  };
+  if (!['uniform', 'lognormal'].includes(settings.distribution)) {
+    throw new Error('Distribution must be uniform or lognormal');
+  }
+
+  const model = unwrap(await supabase.rpc('get_active_embedding_model'), 'Reading active model');
+  const documents = generateTestDocuments(settings.count, { runId, length: settings.length, distribution: settings.distribution, seed: settings.seed });
   const startTime = Date.now();
-  
+  const startedAt = new Date(startTime).toISOString();
+  const embeddedAt = new Map();
+  let inserted = [];
+  let results = null;
+
   try {
-    // Generate test documents
-    console.log(`📝 Generating ${testSize} test documents...`);
-    const testDocs = generateTestDocuments(testSize);
-    
-    // Insert test documents
-    console.log('💾 Inserting documents...');
-    const { data: insertedDocs, error: insertError } = await supabase
-      .from('source_documents')
-      .insert(testDocs)
-      .select('id');
-    
-    if (insertError) {
-      console.error('❌ Insert error:', insertError.message);
-      return;
-    }
-    
+    inserted = await insertConcurrently(supabase, documents, {
+      batchSize: settings.insert_batch_size,
+      concurrency: settings.concurrency,
+      signal: options.signal
+    });
     const insertTime = Date.now() - startTime;
-    console.log(`✅ Inserted ${insertedDocs.length} documents in ${insertTime}ms\n`);
-    
+
     // Monitor embedding generation
-    console.log('⏱️  Monitoring embedding generation...');
-    let embedded = 0;
-    let attempts = 0;
-    const maxAttempts = 60; // 5 minutes max
-    
-    while (embedded < testSize && attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5s
-      
-      const { data: embeddings, error: embError } = await supabase
-        .from('document_embeddings')
-        .select('document_id')
-        .in('document_id', insertedDocs.map(d => d.id));
-      
-      if (embError) {
-        console.error('❌ Embedding check error:', embError.message);
-        break;
+    while (embeddedAt.size < inserted.length && Date.now() - startTime < settings.timeout_ms && !options.signal?.aborted) {
+      await new Promise((resolve) => setTimeout(resolve, settings.poll_interval_ms));
+
+      const pending = inserted.filter((document) => !embeddedAt.has(document.id)).map((document) => document.id);
+      for (const [id, at] of await readEmbeddedAt(supabase, pending, model)) {
+        embeddedAt.set(id, at);
       }
-      
-      embedded = embeddings?.length || 0;
-      attempts++;
-      
-      const elapsed = Math.round((Date.now() - startTime) / 1000);
-      process.stdout.write(`\r   Progress: ${embedded}/${testSize} (${elapsed}s)`);
+      options.onProgress?.(embeddedAt.size, inserted.length, Date.now() - startTime);
     }
-    
-    console.log('\n');
-    
-    // Final results
+
     const totalTime = Date.now() - startTime;
-    const completionRate = (embedded / testSize * 100).toFixed(1);
-    
-    console.log('📊 Performance Results:');
-    console.log(`   Documents: ${testSize}`);
-    console.log(`   Embedded: ${embedded}`);
-    console.log(`   Success Rate: ${completionRate}%`);
-    console.log(`   Total Time: ${Math.round(totalTime / 1000)}s`);
-    console.log(`   Rate: ${(embedded / (totalTime / 60000)).toFixed(1)} docs/minute`);
-    
-    if (embedded === testSize) {
-      console.log('\n✅ Performance test completed successfully!');
-    } else {
-      console.log('\n⚠️  Some embeddings may still be processing...');
+    const perDocument = inserted.map((document) => {
+      const embedded = embeddedAt.get(document.id) ?? null;
+      return {
+        document_id: document.id,
+        length: document.length,
+        enqueued_at: document.created_at,
+        embedded_at: embedded,
+        latency_ms: embedded ? new Date(embedded).getTime() - new Date(document.created_at).getTime() : null
+      };
+    });
+
+    const latencies = perDocument.filter((row) => row.latency_ms !== null).map((row) => row.latency_ms).sort((a, b) => a - b);
+    const firstEnqueued = Math.min(...perDocument.map((row) => new Date(row.enqueued_at).getTime()));
+    const lastEmbedded = Math.max(...perDocument.filter((row) => row.embedded_at).map((row) => new Date(row.embedded_at).getTime()));
+    const embeddingSpanMs = latencies.length > 0 ? lastEmbedded - firstEnqueued : 0;
+
+    // Embeddings completed per bucket, measured from the first insert
+    const bucketMs = settings.bucket_seconds * 1000;
+    const timeline = [];
+    if (latencies.length > 0) {
+      const bucketCount = Math.floor(embeddingSpanMs / bucketMs) + 1;
+      for (let i = 0; i < bucketCount; i++) {
+        timeline.push({ offset_seconds: i * settings.bucket_seconds, embedded: 0, cumulative: 0, docs_per_minute: 0 });
+      }
+      for (const row of perDocument.filter((entry) => entry.embedded_at)) {
+        timeline[Math.floor((new Date(row.embedded_at).getTime() - firstEnqueued) / bucketMs)].embedded++;
+      }
+      let cumulative = 0;
+      for (const bucket of timeline) {
+        cumulative += bucket.embedded;
+        bucket.cumulative = cumulative;
+        bucket.docs_per_minute = Number((bucket.embedded / (bucketMs / 60000)).toFixed(1));
+      }
     }
-    
+
+    const runs = unwrap(
+      await supabase.from('embedding_runs').select('batch_size, processed').gte('started_at', startedAt),
+      'Reading processor runs'
+    );
+    const batchSizes = runs.map((run) => run.batch_size).filter((size) => size !== null);
+
+    results = {
+      run_id: runId,
+      model,
+      started_at: startedAt,
+      settings,
+      documents: settings.count,
+      inserted: inserted.length,
+      embedded: latencies.length,
+      success_rate: Number((latencies.length / settings.count * 100).toFixed(1)),
+      insert_time_ms: insertTime,
+      total_time_ms: totalTime,
+      docs_per_minute: embeddingSpanMs > 0 ? Number((latencies.length / (embeddingSpanMs / 60000)).toFixed(1)) : 0,
+      latency_ms: {
+        min: latencies[0] ?? null,
+        p50: percentile(latencies, 50),
+        p95: percentile(latencies, 95),
+        p99: percentile(latencies, 99),
+        max: latencies[latencies.length - 1] ?? null,
+        mean: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null
+      },
+      timeline,
+      processor: {
+        runs: runs.length,
+        processed: runs.reduce((sum, run) => sum + run.processed, 0),
+        avg_batch_size: batchSizes.length > 0 ? Number((batchSizes.reduce((sum, size) => sum + size, 0) / batchSizes.length).toFixed(1)) : null,
+        max_batch_size: batchSizes.length > 0 ? Math.max(...batchSizes) : null
+      },
+      per_document: perDocument,
+      complete: latencies.length === settings.count,
+      cleaned_up: 0
+    };
+  } finally {
+    // Also runs when the test fails or is interrupted, so no test rows are left behind
+    if (!options.keep) {
+      const deleted = await cleanupTestDocuments(supabase, runId);
+      if (results) results.cleaned_up = deleted;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Compares results with a baseline (an earlier JSON output)
+ * Latencies regress when they grow, throughput and success rate when they drop,
+ * by more than the tolerance.
+ *
+ * @param {object} results
+ * @param {object} baseline
+ * @param {{ tolerance?: number }} [options] - Relative change allowed (default 0.2)
+ * @returns {{ regressed: boolean, comparable: boolean, checks: Array<{ metric: string, baseline: number, current: number, change_percent: number, regressed: boolean }> }}
+ */
+function compareWithBaseline(results, baseline, options = {}) {
+  const tolerance = options.tolerance ?? 0.2;
+  const metrics = [
+    ['latency_ms.p50', (r) => r.latency_ms?.p50, 'lower'],
+    ['latency_ms.p95', (r) => r.latency_ms?.p95, 'lower'],
+    ['latency_ms.p99', (r) => r.latency_ms?.p99, 'lower'],
+    ['docs_per_minute', (r) => r.docs_per_minute, 'higher'],
+    ['success_rate', (r) => r.success_rate, 'higher']
+  ];
+
+  const checks = [];
+  for (const [metric, read, better] of metrics) {
+    const before = read(baseline);
+    const current = read(results);
+    if (typeof before !== 'number' || typeof current !== 'number') continue;
+
+    const change = before === 0 ? 0 : (current - before) / before;
+    checks.push({
+      metric,
+      baseline: before,
+      current,
+      change_percent: Number((change * 100).toFixed(1)),
+      regressed: better === 'lower' ? change > tolerance : change < -tolerance
+    });
+  }
+
+  // Results are only comparable for the same corpus shape
+  const shape = (r) => JSON.stringify([r.settings?.count, r.settings?.length, r.settings?.distribution, r.settings?.seed]);
+
+  return {
+    regressed: checks.some((check) => check.regressed),
+    comparable: shape(results) === shape(baseline),
+    checks
+  };
+}
+
+/**
+ * Writes results as JSON, or the per-document rows as CSV when the path ends in .csv
+ */
+async function writeResults(file, results) {
+  if (file.endsWith('.csv')) {
+    const columns = ['document_id', 'length', 'enqueued_at', 'embedded_at', 'latency_ms'];
+    const rows = results.per_document.map((row) => columns.map((column) => row[column] ?? '').join(','));
+    await writeFile(file, `${[columns.join(','), ...rows].join('\n')}\n`);
+    return;
+  }
+
+  await writeFile(file, `${JSON.stringify(results, null, 2)}\n`);
+}
+
+/**
+ * Reads a baseline written by writeResults (JSON only)
+ */
+async function readBaseline(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
   } catch (error) {
-    console.error('❌ Performance test error:', error.message);
+    throw new Error(`Cannot read baseline ${file}: ${error.message}`);
   }
 }
 
-// Run test
-runPerformanceTest();
+/**
+ * Prints performance results for humans
+ */
+function printPerformanceResults(results, comparison = null) {
+  const seconds = (ms) => (ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`);
+
+  console.log('📊 Performance Results:');
+  console.log(`   Model: ${results.model}`);
+  console.log(`   Documents: ${results.documents} (length ${results.settings.length}, ${results.settings.distribution}, seed ${results.settings.seed})`);
+  console.log(`   Embedded: ${results.embedded}`);
+  console.log(`   Success Rate: ${results.success_rate}%`);
+  console.log(`   Insert Time: ${results.insert_time_ms}ms (${results.settings.concurrency} concurrent requests of ${results.settings.insert_batch_size})`);
+  console.log(`   Total Time: ${Math.round(results.total_time_ms / 1000)}s`);
+  console.log(`   Rate: ${results.docs_per_minute} docs/minute`);
+  console.log(`   Enqueue-to-embedded latency: p50 ${seconds(results.latency_ms.p50)}, p95 ${seconds(results.latency_ms.p95)}, p99 ${seconds(results.latency_ms.p99)}, max ${seconds(results.latency_ms.max)}`);
+  if (results.processor.runs > 0) {
+    console.log(`   Processor: ${results.processor.runs} runs, average batch ${results.processor.avg_batch_size ?? '-'}, largest ${results.processor.max_batch_size ?? '-'}`);
+  }
 
+  if (results.timeline.length > 1) {
+    const peak = Math.max(...results.timeline.map((bucket) => bucket.embedded));
+    console.log(`\n📈 Throughput (${results.settings.bucket_seconds}s buckets):`);
+    for (const bucket of results.timeline) {
+      const bar = '█'.repeat(peak > 0 ? Math.round((bucket.embedded / peak) * 30) : 0);
+      console.log(`   +${String(bucket.offset_seconds).padStart(5)}s ${bar} ${bucket.docs_per_minute}/min`);
+    }
+  }
+
+  if (results.cleaned_up > 0) {
+    console.log(`\n🧹 Deleted ${results.cleaned_up} test documents`);
+  }
+
+  if (comparison) {
+    console.log('\n📏 Baseline comparison:');
+    if (!comparison.comparable) {
+      console.log('   ⚠️  Baseline used a different corpus (count, length, distribution or seed)');
+    }
+    for (const check of comparison.checks) {
+      console.log(`   ${check.regressed ? '❌' : '✅'} ${check.metric}: ${check.baseline} → ${check.current} (${check.change_percent > 0 ? '+' : ''}${check.change_percent}%)`);
+    }
+  }
 
+  if (comparison?.regressed) {
+    console.log('\n❌ Performance regressed against the baseline');
+  } else if (results.complete) {
+    console.log('\n✅ Performance test completed successfully!');
+  } else {
+    console.log('\n⚠️  Some embeddings may still be processing...');
+  }
+}
+
+/**
+ * Parses command line flags
+ */
+function parseArgs(argv) {
+  const options = { tolerance: 0.2 };
+  const number = (flag, value, { integer = true } = {}) => {
+    const parsed = Number(value);
+    if (!(parsed > 0) || (integer && !Number.isInteger(parsed))) {
+      throw new Error(`${flag} must be a positive ${integer ? 'integer' : 'number'}`);
+    }
+    return parsed;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--count') options.count = number(flag, argv[++i]);
+    else if (flag === '--length') options.length = argv[++i];
+    else if (flag === '--distribution') options.distribution = argv[++i];
+    else if (flag === '--concurrency') options.concurrency = number(flag, argv[++i]);
+    else if (flag === '--insert-batch') options.insertBatchSize = number(flag, argv[++i]);
+    else if (flag === '--timeout') options.timeoutMs = number(flag, argv[++i]) * 1000;
+    else if (flag === '--poll') options.pollIntervalMs = number(flag, argv[++i], { integer: false }) * 1000;
+    else if (flag === '--bucket') options.bucketSeconds = number(flag, argv[++i]);
+    else if (flag === '--seed') options.seed = number(flag, argv[++i]);
+    else if (flag === '--output') options.output = argv[++i];
+    else if (flag === '--baseline') options.baseline = argv[++i];
+    else if (flag === '--tolerance') options.tolerance = number(flag, argv[++i], { integer: false });
+    else if (flag === '--keep') options.keep = true;
+    else if (flag === '--cleanup') options.cleanupOnly = true;
+    else throw new Error(`Unknown option ${flag}`);
+  }
+
+  if (options.length !== undefined) parseLengthRange(options.length);
+  return options;
+}
+
+/**
+ * Run performance test
+ */
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const { supabase } = createEmbeddingClientFromEnv();
+
+    if (options.cleanupOnly) {
+      console.log(`🧹 Deleted ${await cleanupTestDocuments(supabase)} test documents`);
+      return;
+    }
+
+    const baseline = options.baseline ? await readBaseline(options.baseline) : null;
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+
+    console.log('🚀 Starting performance test...\n');
+    console.log('⏱️  Inserting test documents and monitoring embedding generation...');
+    const results = await runPerformanceTest(supabase, {
+      ...options,
+      signal: controller.signal,
+      onProgress: (embedded, total, elapsedMs) => {
+        process.stdout.write(`\r   Progress: ${embedded}/${total} (${Math.round(elapsedMs / 1000)}s)`);
+      }
+    });
+    console.log('\n');
+
+    const comparison = baseline ? compareWithBaseline(results, baseline, { tolerance: options.tolerance }) : null;
+    printPerformanceResults(results, comparison);
+
+    if (options.output) {
+      await writeResults(options.output, results);
+      console.log(`\n💾 Results written to ${options.output}`);
+    }
+
+    if (comparison?.regressed) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Performance test error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run test if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Load environment variables
+  config();
+  main();
+}
 
+export {
+  generateTestDocuments,
+  parseLengthRange,
+  percentile,
+  runPerformanceTest,
+  cleanupTestDocuments,
+  compareWithBaseline,
+  writeResults,
+  readBaseline,
+  printPerformanceResults
+};
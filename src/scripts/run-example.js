@@ -7,7 +7,7 @@
  * 1. Insert a sample document
  * 2. Wait for processing
  * 3. Check if embedding was created
- * 4. Run a similarity search
+ * 4. Run a text similarity search through the search-documents Edge Function
  * 
  * Usage: node src/scripts/run-example.js
  */
@@ -119,37 +119,30 @@ async function runExample() {
     // Step 3: Run similarity search
     console.log('🔍 Step 3: Running similarity search...');
     
-    // Get the embedding we just created
-    const { data: embeddingData, error: embeddingError } = await supabase
-      .from('document_embeddings')
-      .select('embedding')
-      .eq('document_id', document.id)
-      .single();
-    
-    if (embeddingError || !embeddingData.embedding) {
-      throw new Error('Failed to retrieve embedding for search');
-    }
-    
-    // Run similarity search using pgvector
-    const { data: searchResults, error: searchError } = await supabase
-      .rpc('semantic_search_documents', {
-        query_embedding: embeddingData.embedding,
-        match_threshold: 0.7,
-        match_count: 5
+    // Search with plain text - the search-documents Edge Function embeds the query
+    // server-side with the same model that indexed the documents
+    const { data: searchResponse, error: searchError } = await supabase.functions
+      .invoke('search-documents', {
+        body: {
+          query: 'autonomous re-embedding with change detection',
+          match_threshold: 0.7,
+          match_count: 5
+        }
       });
     
     if (searchError) {
-      console.log('⚠️  Similarity search failed (this is expected if the function does not exist):');
+      console.log('⚠️  Similarity search failed (this is expected if the function is not deployed):');
       console.log(`   Error: ${searchError.message}`);
-      console.log('   This is normal for the basic setup - the function can be added later.\n');
+      console.log('   Deploy it with: supabase functions deploy search-documents\n');
     } else {
-      console.log('✅ Similarity search completed!');
+      const searchResults = searchResponse.results;
+      console.log(`✅ Similarity search completed! (model: ${searchResponse.model})`);
       console.log(`   Found ${searchResults.length} similar documents:\n`);
       
       searchResults.forEach((result, index) => {
         console.log(`   ${index + 1}. Document ID: ${result.document_id}`);
         console.log(`      Similarity: ${(result.similarity * 100).toFixed(1)}%`);
-        console.log(`      Content preview: ${result.content.substring(0, 100)}...\n`);
+        console.log(`      Snippet: ${result.snippet}\n`);
       });
     }
     
@@ -163,6 +156,9 @@ async function runExample() {
     if (!queueError && queueStats && queueStats.length > 0) {
       const stats = queueStats[0];
       console.log(`   Queue Status: ${stats.total_pending} jobs pending`);
+      if (stats.coalesced_pending > 0) {
+        console.log(`   Coalesced updates: ${stats.coalesced_pending}`);
+      }
       if (stats.total_pending > 0) {
         console.log(`   Oldest job: ${stats.oldest_job}`);
         console.log(`   Newest job: ${stats.newest_job}`);
@@ -0,0 +1,540 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Doctor - Detect drift between the migrations and a live database
+ *
+ * Reads a catalog snapshot with get_schema_inventory and compares it with what the
+ * current migrations create: extensions, tables and columns, RPCs, triggers, foreign
+ * keys, the pgmq queues, the pg_cron jobs and the app.settings values the autopilot
+ * reads. Every finding says what is missing or mismatched and how to fix it.
+ *
+ * Migrations 001-004 predate the current schema and reference columns that
+ * source_documents no longer has (document_id, status, document_type, title), so
+ * objects they create are fixed from supabase/bootstrap.sql instead.
+ *
+ * Usage: node src/scripts/schema-doctor.js
+ */
+
+import { config } from 'dotenv';
+import { createEmbeddingClientFromEnv } from '../lib/embedding-client.js';
+
+const BOOTSTRAP = 'bootstrap.sql';
+
+const EXPECTED_EXTENSIONS = ['vector', 'pgmq', 'pg_cron', 'pg_net'];
+
+/**
+ * Tables and views with the columns the engine reads or writes: [column, type, migration]
+ * The migration is where the relation (or a column added later) comes from.
+ */
+const EXPECTED_RELATIONS = {
+  source_documents: {
+    migration: BOOTSTRAP,
+    columns: [
+      ['id', 'uuid'],
+      ['tenant_id', 'text', '020_tenant_namespaces.sql'],
+      ['content', 'text'],
+      ['metadata', 'jsonb'],
+      ['external_id', 'text', '016_external_document_ids.sql'],
+      ['created_at', 'timestamp with time zone'],
+      ['updated_at', 'timestamp with time zone']
+    ]
+  },
+  document_embeddings: {
+    migration: BOOTSTRAP,
+    columns: [
+      ['document_id', 'uuid'],
+      ['tenant_id', 'text', '020_tenant_namespaces.sql'],
+      ['model_name', 'text', '006_multi_model_embeddings.sql'],
+      ['source_text', 'text'],
+      ['source_text_hash', 'text'],
+      // Dimensionless since 006 so models with different sizes share the column
+      ['embedding', 'vector', '006_multi_model_embeddings.sql'],
+      ['created_at', 'timestamp with time zone'],
+      ['updated_at', 'timestamp with time zone']
+    ]
+  },
+  document_chunks: {
+    migration: '005_document_chunks_sidecar.sql',
+    columns: [
+      ['document_id', 'uuid'],
+      ['tenant_id', 'text', '020_tenant_namespaces.sql'],
+      ['model_name', 'text', '006_multi_model_embeddings.sql'],
+      ['chunk_index', 'integer'],
+      ['chunk_text', 'text'],
+      ['source_text_hash', 'text'],
+      ['start_offset', 'integer'],
+      ['end_offset', 'integer'],
+      ['embedding', 'vector', '006_multi_model_embeddings.sql']
+    ]
+  },
+  embedding_models: {
+    migration: '006_multi_model_embeddings.sql',
+    columns: [
+      ['model_name', 'text'],
+      ['provider', 'text'],
+      ['dimensions', 'integer'],
+      ['status', 'text']
+    ]
+  },
+  embedding_error_log: {
+    migration: BOOTSTRAP,
+    columns: [
+      ['document_id', 'text'],
+      ['error_message', 'text'],
+      ['error_context', 'jsonb'],
+      ['function_name', 'text'],
+      ['created_at', 'timestamp with time zone']
+    ]
+  },
+  embedding_runs: {
+    migration: '015_embedding_run_history.sql',
+    columns: [
+      ['started_at', 'timestamp with time zone'],
+      ['trigger_source', 'text'],
+      ['status', 'text'],
+      ['processed', 'integer'],
+      ['processing_time_ms', 'integer'],
+      ['job_outcomes', 'jsonb'],
+      ['phase_timings_ms', 'jsonb', '022_batched_embedding_writes.sql']
+    ]
+  },
+  embedding_circuit_breaker: {
+    migration: '023_embedding_circuit_breaker.sql',
+    columns: [
+      ['state', 'text'],
+      ['consecutive_failures', 'integer'],
+      ['reason', 'text'],
+      ['probe_attempts', 'integer'],
+      ['next_probe_at', 'timestamp with time zone']
+    ]
+  },
+  autonomous_system_status: {
+    kind: 'view',
+    migration: '012_priority_lanes.sql',
+    columns: [
+      ['active_embedding_model', 'text'],
+      ['documents_missing_embeddings', 'bigint'],
+      ['dead_letter_jobs', 'bigint'],
+      ['pending_high_priority_jobs', 'bigint'],
+      ['tenant_coverage', 'jsonb', '020_tenant_namespaces.sql'],
+      ['autopilot_state', 'text', '023_embedding_circuit_breaker.sql'],
+      ['autopilot_pause_reason', 'text', '023_embedding_circuit_breaker.sql']
+    ]
+  },
+  tenant_embedding_coverage: {
+    kind: 'view',
+    migration: '020_tenant_namespaces.sql',
+    columns: [
+      ['tenant_id', 'text'],
+      ['total_documents', 'bigint'],
+      ['documents_with_embeddings', 'bigint'],
+      ['pending_jobs', 'bigint']
+    ]
+  },
+  embedding_run_summary: {
+    kind: 'view',
+    migration: '015_embedding_run_history.sql',
+    columns: []
+  }
+};
+
+// Columns of the pre-bootstrap schema; harmless on their own, but code still using them breaks
+const LEGACY_SOURCE_DOCUMENT_COLUMNS = ['document_id', 'status', 'document_type', 'title'];
+
+/**
+ * RPCs and internal functions, with the migration holding their current definition
+ */
+const EXPECTED_FUNCTIONS = {
+  update_updated_at_column: '005_document_chunks_sidecar.sql',
+  pgmq_read: BOOTSTRAP,
+  pgmq_archive: BOOTSTRAP,
+  replace_document_chunks: '006_multi_model_embeddings.sql',
+  get_active_embedding_model: '006_multi_model_embeddings.sql',
+  find_outdated_embeddings: '006_multi_model_embeddings.sql',
+  register_embedding_model: '006_multi_model_embeddings.sql',
+  activate_embedding_model: '006_multi_model_embeddings.sql',
+  log_embedding_error: '008_retry_and_dead_letter_queue.sql',
+  pgmq_set_vt: '008_retry_and_dead_letter_queue.sql',
+  dead_letter_embedding_job: '008_retry_and_dead_letter_queue.sql',
+  list_dead_letter_jobs: '008_retry_and_dead_letter_queue.sql',
+  requeue_dead_letter_jobs: '008_retry_and_dead_letter_queue.sql',
+  discard_dead_letter_jobs: '008_retry_and_dead_letter_queue.sql',
+  store_document_embedding: '009_stale_job_protection.sql',
+  is_embedding_job_current: '009_stale_job_protection.sql',
+  enqueue_missing_embeddings: '011_missing_embedding_reconciliation.sql',
+  backfill_embeddings: '011_missing_embedding_reconciliation.sql',
+  autopilot_embedding_sync: '012_priority_lanes.sql',
+  embedding_queue_for_priority: '012_priority_lanes.sql',
+  reembed_document: '012_priority_lanes.sql',
+  requested_embedding_priority: '012_priority_lanes.sql',
+  enqueue_embedding_job: '012_priority_lanes.sql',
+  enqueue_outdated_embeddings: '012_priority_lanes.sql',
+  find_missing_embeddings: '012_priority_lanes.sql',
+  trigger_embedding_queue_processing_adaptive: '023_embedding_circuit_breaker.sql',
+  get_queue_stats: '012_priority_lanes.sql',
+  get_queue_throughput: '013_queue_monitoring.sql',
+  get_autopilot_activity: '013_queue_monitoring.sql',
+  get_embedding_throughput: '015_embedding_run_history.sql',
+  get_processor_run_metrics: '015_embedding_run_history.sql',
+  prune_embedding_runs: '015_embedding_run_history.sql',
+  get_embedding_usage: '018_embedding_usage.sql',
+  get_schema_inventory: '019_schema_inventory.sql',
+  set_sidecar_tenant_id: '020_tenant_namespaces.sql',
+  current_tenant_id: '020_tenant_namespaces.sql',
+  resolve_search_tenant: '020_tenant_namespaces.sql',
+  enqueue_document_embedding: '020_tenant_namespaces.sql',
+  enqueue_model_backfill: '020_tenant_namespaces.sql',
+  restore_document_embeddings: '020_tenant_namespaces.sql',
+  metadata_timestamp: '021_search_filters.sql',
+  compile_search_filter: '021_search_filters.sql',
+  semantic_search_documents: '021_search_filters.sql',
+  semantic_search_chunks: '021_search_filters.sql',
+  hybrid_search_documents: '021_search_filters.sql',
+  store_document_embeddings: '022_batched_embedding_writes.sql',
+  pgmq_archive_batch: '022_batched_embedding_writes.sql',
+  get_embedding_circuit: '023_embedding_circuit_breaker.sql',
+  report_embedding_backend_health: '023_embedding_circuit_breaker.sql',
+  pgmq_defer_batch: '023_embedding_circuit_breaker.sql'
+};
+
+const EXPECTED_TRIGGERS = [
+  { table: 'source_documents', name: 'enqueue_embedding_on_change', function: 'enqueue_embedding_job', migration: BOOTSTRAP },
+  { table: 'source_documents', name: 'update_source_documents_updated_at', function: 'update_updated_at_column', migration: BOOTSTRAP },
+  { table: 'document_embeddings', name: 'update_document_embeddings_updated_at', function: 'update_updated_at_column', migration: BOOTSTRAP },
+  { table: 'document_chunks', name: 'update_document_chunks_updated_at', function: 'update_updated_at_column', migration: '005_document_chunks_sidecar.sql' },
+  { table: 'document_embeddings', name: 'set_document_embeddings_tenant_id', function: 'set_sidecar_tenant_id', migration: '020_tenant_namespaces.sql' },
+  { table: 'document_chunks', name: 'set_document_chunks_tenant_id', function: 'set_sidecar_tenant_id', migration: '020_tenant_namespaces.sql' }
+];
+
+// Sidecar rows must follow their document: document_id -> source_documents(id), cascading deletes
+const EXPECTED_FOREIGN_KEYS = [
+  { table: 'document_embeddings', migration: BOOTSTRAP },
+  { table: 'document_chunks', migration: '005_document_chunks_sidecar.sql' }
+];
+const SIDECAR_FOREIGN_KEY = /^FOREIGN KEY \(document_id\) REFERENCES (public\.)?source_documents\(id\) ON DELETE CASCADE/;
+
+const EXPECTED_QUEUES = {
+  embedding_jobs: BOOTSTRAP,
+  embedding_jobs_dlq: '008_retry_and_dead_letter_queue.sql',
+  embedding_jobs_high: '012_priority_lanes.sql'
+};
+
+const EXPECTED_CRON_JOBS = [
+  { jobname: 'autonomous-embedding-system', schedule: '*/30 * * * * *', command: 'SELECT autopilot_embedding_sync();', migration: BOOTSTRAP },
+  { jobname: 'prune-embedding-runs', schedule: '17 3 * * *', command: 'SELECT prune_embedding_runs();', migration: '015_embedding_run_history.sql' }
+];
+
+/**
+ * app.settings values: required ones are needed for the autopilot to call the Edge Function
+ */
+const EXPECTED_SETTINGS = [
+  {
+    name: 'app.settings.project_url',
+    required: true,
+    valid: (value) => /^https?:\/\/[^/]+$/.test(value),
+    expected: 'the project URL without a path, e.g. https://<project-ref>.supabase.co',
+    example: "'https://<project-ref>.supabase.co'"
+  },
+  {
+    name: 'app.settings.service_role_key',
+    required: true,
+    expected: 'the service role key',
+    example: "'<service-role-key>'"
+  },
+  {
+    name: 'app.settings.reconciliation_scan_limit',
+    required: false,
+    valid: (value) => /^\d+$/.test(value),
+    expected: 'a non-negative integer (default 200, 0 disables reconciliation)',
+    example: '200'
+  },
+  {
+    name: 'app.settings.embedding_run_retention_days',
+    required: false,
+    valid: (value) => /^[1-9]\d*$/.test(value),
+    expected: 'a positive integer (default 30)',
+    example: '30'
+  }
+];
+
+/**
+ * Suggested fix for an object created by a migration
+ */
+function applyFix(migration) {
+  return migration === BOOTSTRAP
+    ? 'Run supabase/bootstrap.sql, then the numbered migrations after 004'
+    : `Apply supabase/migrations/${migration}`;
+}
+
+/**
+ * Column references of a function body to source_documents, through NEW in trigger
+ * functions on that table or through the sd alias used throughout the migrations
+ */
+function sourceDocumentReferences(source, isSourceDocumentsTrigger) {
+  const references = new Set();
+
+  if (isSourceDocumentsTrigger) {
+    for (const match of source.matchAll(/\b(?:NEW|OLD)\.(\w+)/gi)) {
+      references.add(match[1].toLowerCase());
+    }
+  }
+  if (/source_documents\s+(?:AS\s+)?sd\b/i.test(source)) {
+    for (const match of source.matchAll(/\bsd\.(\w+)/gi)) {
+      references.add(match[1].toLowerCase());
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Compares a catalog snapshot with the expected schema
+ *
+ * @param {object} inventory - Result of get_schema_inventory
+ * @returns {Array<{ category: string, name: string, status: 'missing'|'mismatch'|'legacy', detail: string, fix: string }>}
+ */
+function diagnoseSchema(inventory) {
+  const findings = [];
+  const report = (category, name, status, detail, fix) => findings.push({ category, name, status, detail, fix });
+
+  // Extensions
+  const extensions = inventory.extensions || {};
+  for (const extension of EXPECTED_EXTENSIONS) {
+    if (!extensions[extension]) {
+      report('extension', extension, 'missing', `Extension ${extension} is not installed`,
+        `CREATE EXTENSION IF NOT EXISTS "${extension}"; (or enable it under Database > Extensions)`);
+    }
+  }
+
+  // Tables, views and columns
+  const relations = new Map();
+  for (const column of inventory.columns || []) {
+    if (!relations.has(column.table)) {
+      relations.set(column.table, { kind: column.kind, columns: new Map() });
+    }
+    relations.get(column.table).columns.set(column.column, column.type);
+  }
+
+  for (const [name, expected] of Object.entries(EXPECTED_RELATIONS)) {
+    const kind = expected.kind || 'table';
+    const relation = relations.get(name);
+
+    if (!relation) {
+      report(kind, name, 'missing', `${kind === 'view' ? 'View' : 'Table'} ${name} does not exist`, applyFix(expected.migration));
+      continue;
+    }
+    if (relation.kind !== kind) {
+      report(kind, name, 'mismatch', `${name} is a ${relation.kind}, expected a ${kind}`, applyFix(expected.migration));
+      continue;
+    }
+
+    for (const [column, type, migration = expected.migration] of expected.columns) {
+      const actual = relation.columns.get(column);
+      if (actual === undefined) {
+        report('column', `${name}.${column}`, 'missing', `Column ${name}.${column} (${type}) does not exist`, applyFix(migration));
+      } else if (actual !== type) {
+        report('column', `${name}.${column}`, 'mismatch', `Column ${name}.${column} is ${actual}, expected ${type}`, applyFix(migration));
+      }
+    }
+  }
+
+  const sourceDocumentColumns = relations.get('source_documents')?.columns ?? new Map();
+  for (const column of LEGACY_SOURCE_DOCUMENT_COLUMNS) {
+    if (sourceDocumentColumns.has(column)) {
+      report('column', `source_documents.${column}`, 'legacy',
+        `Column source_documents.${column} is from the schema before bootstrap.sql and is not used by the current migrations`,
+        'Keep it if your application uses it; make sure no function still reads it instead of id/metadata');
+    }
+  }
+
+  // Functions, including function bodies that reference columns source_documents does not have
+  const functions = new Map((inventory.functions || []).map((fn) => [fn.name, fn]));
+  const sourceDocumentTriggers = new Set((inventory.triggers || [])
+    .filter((trigger) => trigger.table === 'source_documents')
+    .map((trigger) => trigger.function));
+
+  for (const [name, migration] of Object.entries(EXPECTED_FUNCTIONS)) {
+    if (!functions.has(name)) {
+      report('function', name, 'missing', `Function ${name}() does not exist`, applyFix(migration));
+    }
+  }
+
+  if (sourceDocumentColumns.size > 0) {
+    for (const fn of functions.values()) {
+      const isTrigger = sourceDocumentTriggers.has(fn.name);
+      if (!fn.source || (!isTrigger && !(fn.name in EXPECTED_FUNCTIONS))) continue;
+
+      const unknown = [...sourceDocumentReferences(fn.source, isTrigger)].filter((column) => !sourceDocumentColumns.has(column));
+      if (unknown.length > 0) {
+        report('function', fn.name, 'mismatch',
+          `${fn.name}() references source_documents.${unknown.join(', source_documents.')}, which does not exist`,
+          fn.name in EXPECTED_FUNCTIONS
+            ? `${applyFix(EXPECTED_FUNCTIONS[fn.name])} to replace the outdated definition`
+            : `Drop or rewrite ${fn.name}() - it is not part of the current migrations`);
+      }
+    }
+  }
+
+  // Triggers
+  for (const expected of EXPECTED_TRIGGERS) {
+    const trigger = (inventory.triggers || []).find((candidate) => candidate.table === expected.table && candidate.name === expected.name);
+    const label = `${expected.table}.${expected.name}`;
+
+    if (!trigger) {
+      report('trigger', label, 'missing', `Trigger ${expected.name} on ${expected.table} does not exist`, applyFix(expected.migration));
+    } else if (trigger.function !== expected.function) {
+      report('trigger', label, 'mismatch', `Trigger ${expected.name} calls ${trigger.function}(), expected ${expected.function}()`, applyFix(expected.migration));
+    } else if (!trigger.enabled) {
+      report('trigger', label, 'mismatch', `Trigger ${expected.name} on ${expected.table} is disabled`,
+        `ALTER TABLE public.${expected.table} ENABLE TRIGGER ${expected.name};`);
+    }
+  }
+
+  // Foreign keys
+  for (const expected of EXPECTED_FOREIGN_KEYS) {
+    const foreignKeys = (inventory.foreign_keys || []).filter((fk) => fk.table === expected.table);
+    if (relations.has(expected.table) && !foreignKeys.some((fk) => SIDECAR_FOREIGN_KEY.test(fk.definition))) {
+      report('foreign_key', expected.table, 'missing',
+        `${expected.table}.document_id has no foreign key to source_documents(id) with ON DELETE CASCADE`, applyFix(expected.migration));
+    }
+    for (const fk of foreignKeys) {
+      if (/REFERENCES (public\.)?source_documents\(document_id\)/.test(fk.definition)) {
+        report('foreign_key', `${expected.table}.${fk.name}`, 'mismatch', `${fk.name} references a legacy key: ${fk.definition}`,
+          `ALTER TABLE public.${expected.table} DROP CONSTRAINT ${fk.name};`);
+      }
+    }
+  }
+
+  // Queues (reported under the extension when pgmq is missing)
+  if (Array.isArray(inventory.queues)) {
+    for (const [queue, migration] of Object.entries(EXPECTED_QUEUES)) {
+      if (!inventory.queues.includes(queue)) {
+        report('queue', queue, 'missing', `pgmq queue ${queue} does not exist`,
+          `SELECT pgmq.create('${queue}'); (created by ${migration === BOOTSTRAP ? 'supabase/bootstrap.sql' : `supabase/migrations/${migration}`})`);
+      }
+    }
+  }
+
+  // Cron jobs (reported under the extension when pg_cron is missing)
+  if (Array.isArray(inventory.cron_jobs)) {
+    for (const expected of EXPECTED_CRON_JOBS) {
+      const job = inventory.cron_jobs.find((candidate) => candidate.jobname === expected.jobname);
+      const schedule = `SELECT cron.schedule('${expected.jobname}', '${expected.schedule}', '${expected.command}');`;
+
+      if (!job) {
+        report('cron_job', expected.jobname, 'missing', `pg_cron job ${expected.jobname} is not scheduled`, schedule);
+      } else if (!job.command.includes(expected.command.replace(/^SELECT |\(\);$/g, ''))) {
+        report('cron_job', expected.jobname, 'mismatch', `pg_cron job ${expected.jobname} runs "${job.command}", expected "${expected.command}"`, schedule);
+      } else if (!job.active) {
+        report('cron_job', expected.jobname, 'mismatch', `pg_cron job ${expected.jobname} is inactive`,
+          `SELECT cron.alter_job((SELECT jobid FROM cron.job WHERE jobname = '${expected.jobname}'), active := true);`);
+      }
+    }
+  }
+
+  // app.settings
+  const settings = inventory.settings || {};
+  for (const setting of EXPECTED_SETTINGS) {
+    const value = settings[setting.name];
+    const fix = `ALTER DATABASE postgres SET "${setting.name}" = ${setting.example};`;
+
+    if (value === null || value === undefined) {
+      if (setting.required) {
+        report('setting', setting.name, 'missing', `${setting.name} is not set - the autopilot cannot invoke the Edge Function`, fix);
+      }
+    } else if (setting.valid && !setting.valid(value)) {
+      report('setting', setting.name, 'mismatch', `${setting.name} is "${value}", expected ${setting.expected}`, fix);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Reads the catalog snapshot and diagnoses it
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @returns {Promise<{ ok: boolean, inventory_available: boolean, problems: number, warnings: number, findings: ReturnType<typeof diagnoseSchema> }>}
+ */
+async function runSchemaDoctor(supabase) {
+  const { data: inventory, error } = await supabase.rpc('get_schema_inventory');
+  let findings;
+
+  if (error) {
+    // PGRST202: PostgREST has no such function, so the database predates 019 (or has no schema at all)
+    if (error.code !== 'PGRST202' && !/could not find the function/i.test(error.message)) {
+      throw new Error(`Reading the schema inventory failed: ${error.message}`);
+    }
+    findings = [{
+      category: 'function',
+      name: 'get_schema_inventory',
+      status: 'missing',
+      detail: 'Function get_schema_inventory() does not exist, so the schema cannot be inspected',
+      fix: applyFix(EXPECTED_FUNCTIONS.get_schema_inventory)
+    }];
+  } else {
+    findings = diagnoseSchema(inventory);
+  }
+
+  const warnings = findings.filter((finding) => finding.status === 'legacy').length;
+
+  return {
+    ok: findings.length === warnings,
+    inventory_available: !error,
+    problems: findings.length - warnings,
+    warnings,
+    findings
+  };
+}
+
+const STATUS_ICONS = { missing: '❌', mismatch: '⚠️ ', legacy: 'ℹ️ ' };
+
+/**
+ * Prints the doctor report for humans
+ */
+function printDoctorReport(report) {
+  if (report.findings.length === 0) {
+    console.log('✅ Schema matches the migrations: extensions, tables, functions, triggers, queues, cron jobs and settings');
+    return;
+  }
+
+  for (const finding of report.findings) {
+    console.log(`${STATUS_ICONS[finding.status]} [${finding.category}] ${finding.detail}`);
+    console.log(`   Fix: ${finding.fix}`);
+  }
+
+  console.log(report.ok
+    ? `\n✅ No problems found (${report.warnings} warning${report.warnings === 1 ? '' : 's'})`
+    : `\n⚠️  ${report.problems} problem${report.problems === 1 ? '' : 's'} found${report.warnings ? `, ${report.warnings} warning${report.warnings === 1 ? '' : 's'}` : ''}`);
+}
+
+async function main() {
+  console.log('🩺 Schema Doctor\n');
+
+  try {
+    const { supabase } = createEmbeddingClientFromEnv();
+    const report = await runSchemaDoctor(supabase);
+
+    printDoctorReport(report);
+    process.exit(report.ok ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Schema doctor error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the doctor if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Load environment variables
+  config();
+  main();
+}
+
+export {
+  EXPECTED_EXTENSIONS,
+  EXPECTED_RELATIONS,
+  EXPECTED_FUNCTIONS,
+  diagnoseSchema,
+  runSchemaDoctor,
+  printDoctorReport
+};
@@ -7,17 +7,8 @@
  * and triggers the embedding generation pipeline.
  */
 
-import { createClient } from '@supabase/supabase-js';
 import { config } from 'dotenv';
-
-// Load environment variables
-config();
-
-// Supabase client setup
-const supabase = createClient(
-  process.env.SUPABASE_URL || '',
-  process.env.SUPABASE_ANON_KEY || ''
-);
+import { createEmbeddingClientFromEnv } from '../lib/embedding-client.js';
 
 // Sample document content for testing
 const SAMPLE_DOCUMENTS = [
@@ -116,113 +107,75 @@ This architecture provides a replicable pattern for organizations requiring high
 
 /**
  * Insert sample documents into the database
+ * Documents that already exist are left untouched, so seeding is idempotent.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @returns {Promise<{ inserted: string[], existing: string[] }>}
  */
-async function seedDocuments() {
-  console.log('🌱 Starting to seed sample documents...');
-  
-  try {
-    // Check if documents already exist
-    const { data: existing, error: checkError } = await supabase
-      .from('source_documents')
-      .select('id')
-      .in('id', SAMPLE_DOCUMENTS.map(doc => doc.id));
-
-    if (checkError) {
-      throw new Error(`Failed to check existing documents: ${checkError.message}`);
-    }
-
-    const existingIds = new Set(existing?.map(doc => doc.id) || []);
-    const newDocuments = SAMPLE_DOCUMENTS.filter(doc => !existingIds.has(doc.id));
+async function seedDocuments(supabase) {
+  // Check if documents already exist
+  const { data: existing, error: checkError } = await supabase
+    .from('source_documents')
+    .select('id')
+    .in('id', SAMPLE_DOCUMENTS.map(doc => doc.id));
+
+  if (checkError) {
+    throw new Error(`Failed to check existing documents: ${checkError.message}`);
+  }
 
-    if (newDocuments.length === 0) {
-      console.log('✅ All sample documents already exist');
-      return;
-    }
+  const existingIds = new Set(existing?.map(doc => doc.id) || []);
+  const newDocuments = SAMPLE_DOCUMENTS.filter(doc => !existingIds.has(doc.id));
 
-    // Insert new documents
-    const { data, error } = await supabase
+  if (newDocuments.length > 0) {
+    const { error } = await supabase
       .from('source_documents')
-      .insert(newDocuments)
-      .select();
+      .insert(newDocuments);
 
     if (error) {
       throw new Error(`Failed to insert documents: ${error.message}`);
     }
+  }
 
-    console.log(`✅ Successfully inserted ${newDocuments.length} new documents`);
-    console.log('📄 Inserted documents:');
-    newDocuments.forEach(doc => {
-      console.log(`   - ${doc.id}`);
-    });
-
-    // Give a moment for triggers to process
-    console.log('\n⏳ Waiting for embedding pipeline to process documents...');
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Check if embeddings are being generated
-    const { data: embeddings, error: embError } = await supabase
-      .from('document_embeddings')
-      .select('document_id')
-      .in('document_id', newDocuments.map(doc => doc.id));
-
-    if (embError) {
-      console.warn(`⚠️ Could not check embedding status: ${embError.message}`);
-    } else {
-      const embeddedCount = embeddings?.length || 0;
-      console.log(`🔄 Embeddings generated: ${embeddedCount}/${newDocuments.length}`);
-      
-      if (embeddedCount < newDocuments.length) {
-        console.log('⏱️ Note: Embedding generation is asynchronous and may take a few minutes');
-        console.log('   You can monitor progress with: SELECT COUNT(*) FROM document_embeddings;');
-      }
-    }
+  return {
+    inserted: newDocuments.map(doc => doc.id),
+    existing: [...existingIds]
+  };
+}
 
-  } catch (error) {
-    console.error('❌ Error seeding documents:', error.message);
-    process.exit(1);
-  }
+/**
+ * Read document and embedding totals plus the time of the last embedding
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ */
+async function getSystemSummary(supabase) {
+  const [docs, embeddings, recent] = await Promise.all([
+    supabase.from('source_documents').select('*', { count: 'exact', head: true }),
+    supabase.from('document_embeddings').select('*', { count: 'exact', head: true }),
+    supabase.from('document_embeddings').select('updated_at').order('updated_at', { ascending: false }).limit(1)
+  ]);
+
+  if (docs.error) throw new Error(`Failed to count documents: ${docs.error.message}`);
+  if (embeddings.error) throw new Error(`Failed to count embeddings: ${embeddings.error.message}`);
+
+  return {
+    documents: docs.count || 0,
+    embeddings: embeddings.count || 0,
+    last_embedded_at: recent.data?.[0]?.updated_at ?? null
+  };
 }
 
 /**
  * Display system status and helpful information
  */
-async function displaySystemStatus() {
+function displaySystemStatus(summary) {
   console.log('\n📊 System Status Check:');
-  
-  try {
-    // Check total documents
-    const { count: totalDocs, error: docsError } = await supabase
-      .from('source_documents')
-      .select('*', { count: 'exact', head: true });
+  console.log(`   📄 Total Documents: ${summary.documents}`);
+  console.log(`   🔮 Total Embeddings: ${summary.embeddings}`);
+  console.log(`   📈 Processing Rate: ${summary.embeddings}/${summary.documents} (${Math.round((summary.embeddings / (summary.documents || 1)) * 100)}%)`);
 
-    if (docsError) throw docsError;
-
-    // Check total embeddings
-    const { count: totalEmbeddings, error: embeddingsError } = await supabase
-      .from('document_embeddings')
-      .select('*', { count: 'exact', head: true });
-
-    if (embeddingsError) throw embeddingsError;
-
-    console.log(`   📄 Total Documents: ${totalDocs || 0}`);
-    console.log(`   🔮 Total Embeddings: ${totalEmbeddings || 0}`);
-    console.log(`   📈 Processing Rate: ${totalEmbeddings || 0}/${totalDocs || 0} (${Math.round(((totalEmbeddings || 0) / (totalDocs || 1)) * 100)}%)`);
-
-    // Check recent processing activity
-    const { data: recentEmbeddings, error: recentError } = await supabase
-      .from('document_embeddings')
-      .select('created_at')
-      .order('created_at', { ascending: false })
-      .limit(1);
-
-    if (!recentError && recentEmbeddings?.length > 0) {
-      const lastProcessed = new Date(recentEmbeddings[0].created_at);
-      const timeSince = Math.round((Date.now() - lastProcessed.getTime()) / 1000);
-      console.log(`   ⏰ Last Processing: ${timeSince} seconds ago`);
-    }
-
-  } catch (error) {
-    console.warn(`⚠️ Could not fetch system status: ${error.message}`);
+  if (summary.last_embedded_at) {
+    const timeSince = Math.round((Date.now() - new Date(summary.last_embedded_at).getTime()) / 1000);
+    console.log(`   ⏰ Last Processing: ${timeSince} seconds ago`);
   }
 }
 
@@ -232,54 +185,40 @@ async function displaySystemStatus() {
 async function main() {
   console.log('🚀 Supabase Embedding Engine - Sample Data Seeder\n');
 
-  // Validate environment
-  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
-    console.error('❌ Missing required environment variables:');
-    console.error('   SUPABASE_URL and SUPABASE_ANON_KEY must be set');
-    console.error('   Copy .env.example to .env and configure your Supabase credentials');
-    process.exit(1);
-  }
-
-  // Test connection
   try {
-    const { data, error } = await supabase
-      .from('source_documents')
-      .select('id')
-      .limit(1);
+    const { supabase } = createEmbeddingClientFromEnv();
 
-    if (error) {
-      throw new Error(`Database connection failed: ${error.message}`);
+    console.log('🌱 Starting to seed sample documents...');
+    const { inserted } = await seedDocuments(supabase);
+
+    if (inserted.length === 0) {
+      console.log('✅ All sample documents already exist');
+    } else {
+      console.log(`✅ Successfully inserted ${inserted.length} new documents`);
+      console.log('📄 Inserted documents:');
+      inserted.forEach(id => console.log(`   - ${id}`));
+      console.log('⏱️ Note: Embedding generation is asynchronous and may take a few minutes');
     }
 
-    console.log('✅ Connected to Supabase successfully\n');
+    displaySystemStatus(await getSystemSummary(supabase));
   } catch (error) {
-    console.error('❌ Failed to connect to Supabase:', error.message);
-    console.error('   Please check your SUPABASE_URL and SUPABASE_ANON_KEY');
+    console.error('❌ Error seeding documents:', error.message);
+    console.error('   Copy .env.example to .env and configure your Supabase credentials');
     process.exit(1);
   }
 
-  // Seed documents
-  await seedDocuments();
-
-  // Display status
-  await displaySystemStatus();
-
   console.log('\n🎯 Next Steps:');
-  console.log('   1. Monitor embedding generation: SELECT * FROM document_embeddings;');
-  console.log('   2. Test similarity search: Use the embedding vectors for document similarity');
+  console.log('   1. Monitor embedding generation: npm run monitor');
+  console.log('   2. Test similarity search: npm run search -- "database optimization"');
   console.log('   3. Check autopilot function: Update a document to trigger re-embedding');
   console.log('\n✨ Sample data seeding complete!');
 }
 
 // Execute if run directly
-if (import.meta.main) {
-  main().catch(error => {
-    console.error('💥 Unexpected error:', error);
-    process.exit(1);
-  });
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Load environment variables
+  config();
+  main();
 }
 
-export { seedDocuments, displaySystemStatus, SAMPLE_DOCUMENTS };
-
-
-
+export { seedDocuments, getSystemSummary, displaySystemStatus, SAMPLE_DOCUMENTS };
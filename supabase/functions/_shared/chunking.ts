@@ -0,0 +1,167 @@
+/**
+ * Text Chunking Utilities
+ *
+ * Splits long documents into overlapping chunks so that content beyond the
+ * embedding model's input window stays searchable. Boundaries prefer paragraph
+ * breaks, then sentence ends, and only fall back to hard cuts for oversized runs.
+ * Offsets always refer to the original text so chunks can be traced back to it.
+ */
+
+export interface ChunkingOptions {
+  chunkSize: number;    // Maximum chunk length in characters
+  chunkOverlap: number; // Characters of trailing context repeated at the start of the next chunk
+}
+
+export interface TextChunk {
+  chunk_index: number;
+  content: string;
+  start_offset: number;
+  end_offset: number;
+}
+
+interface Span {
+  start: number;
+  end: number;
+}
+
+export const DEFAULT_CHUNKING_OPTIONS: ChunkingOptions = {
+  chunkSize: 1000,
+  chunkOverlap: 200
+};
+
+/**
+ * Reads chunking configuration from the environment, falling back to defaults
+ *
+ * @param env - Lookup function for environment variables (Deno.env.get in Edge Functions)
+ * @returns Validated chunking options
+ */
+export function chunkingOptionsFromEnv(env: (key: string) => string | undefined): ChunkingOptions {
+  return validateChunkingOptions({
+    chunkSize: Number(env('CHUNK_SIZE')) || DEFAULT_CHUNKING_OPTIONS.chunkSize,
+    chunkOverlap: env('CHUNK_OVERLAP') !== undefined
+      ? Number(env('CHUNK_OVERLAP'))
+      : DEFAULT_CHUNKING_OPTIONS.chunkOverlap
+  });
+}
+
+/**
+ * Ensures the options can always make forward progress
+ *
+ * @throws Error if the size is not positive or the overlap is not smaller than the size
+ */
+export function validateChunkingOptions(options: ChunkingOptions): ChunkingOptions {
+  if (!Number.isInteger(options.chunkSize) || options.chunkSize <= 0) {
+    throw new Error(`Invalid chunk size: ${options.chunkSize}`);
+  }
+  if (!Number.isInteger(options.chunkOverlap) || options.chunkOverlap < 0 || options.chunkOverlap >= options.chunkSize) {
+    throw new Error(`Invalid chunk overlap: ${options.chunkOverlap} (must be between 0 and chunk size ${options.chunkSize})`);
+  }
+  return options;
+}
+
+/**
+ * Returns [start, end) spans of non-blank text between separator matches
+ */
+function splitSpans(text: string, start: number, end: number, separator: RegExp): Span[] {
+  const spans: Span[] = [];
+  const slice = text.slice(start, end);
+  let cursor = 0;
+
+  for (const match of slice.matchAll(separator)) {
+    const boundary = match.index! + match[0].length;
+    pushTrimmed(text, start + cursor, start + boundary, spans);
+    cursor = boundary;
+  }
+  pushTrimmed(text, start + cursor, end, spans);
+
+  return spans;
+}
+
+function pushTrimmed(text: string, start: number, end: number, spans: Span[]): void {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  if (end > start) spans.push({ start, end });
+}
+
+/**
+ * Cuts an oversized span into pieces no longer than maxLength, preferring whitespace
+ */
+function hardSplit(text: string, span: Span, maxLength: number): Span[] {
+  const pieces: Span[] = [];
+  let start = span.start;
+
+  while (span.end - start > maxLength) {
+    let cut = text.lastIndexOf(' ', start + maxLength);
+    if (cut <= start) cut = start + maxLength;
+    pushTrimmed(text, start, cut, pieces);
+    start = cut;
+  }
+  pushTrimmed(text, start, span.end, pieces);
+
+  return pieces;
+}
+
+/**
+ * Breaks text into the smallest natural units that fit within a chunk:
+ * paragraphs, then sentences, then whitespace-bounded cuts
+ */
+function segment(text: string, chunkSize: number): Span[] {
+  const segments: Span[] = [];
+
+  for (const paragraph of splitSpans(text, 0, text.length, /\n\s*\n/g)) {
+    if (paragraph.end - paragraph.start <= chunkSize) {
+      segments.push(paragraph);
+      continue;
+    }
+    for (const sentence of splitSpans(text, paragraph.start, paragraph.end, /[.!?]+["')\]]*\s+/g)) {
+      if (sentence.end - sentence.start <= chunkSize) {
+        segments.push(sentence);
+      } else {
+        segments.push(...hardSplit(text, sentence, chunkSize));
+      }
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Splits text into overlapping chunks of at most chunkSize characters
+ *
+ * @param text - Full document content
+ * @param options - Chunk size and overlap in characters
+ * @returns Ordered chunks with offsets into the original text (empty for blank text)
+ */
+export function chunkText(text: string, options: ChunkingOptions = DEFAULT_CHUNKING_OPTIONS): TextChunk[] {
+  const { chunkSize, chunkOverlap } = validateChunkingOptions(options);
+  const chunks: TextChunk[] = [];
+  if (!text) return chunks;
+
+  const emit = (spans: Span[]) => {
+    const start = spans[0].start;
+    const end = spans[spans.length - 1].end;
+    chunks.push({ chunk_index: chunks.length, content: text.slice(start, end), start_offset: start, end_offset: end });
+  };
+
+  let current: Span[] = [];
+
+  for (const seg of segment(text, chunkSize)) {
+    if (current.length > 0 && seg.end - current[0].start > chunkSize) {
+      emit(current);
+
+      // Carry trailing segments forward as overlap, never the whole previous chunk
+      const last = current[current.length - 1].end;
+      let keepFrom = current.length;
+      while (keepFrom > 1 && last - current[keepFrom - 1].start <= chunkOverlap) keepFrom--;
+      current = current.slice(keepFrom);
+
+      // Drop overlap that would push the next chunk past the size limit
+      while (current.length > 0 && seg.end - current[0].start > chunkSize) current.shift();
+    }
+    current.push(seg);
+  }
+
+  if (current.length > 0) emit(current);
+
+  return chunks;
+}
@@ -0,0 +1,79 @@
+/**
+ * Circuit Breaker
+ *
+ * Counts consecutive backend failures (EmbeddingBackendError: unreachable, timed out,
+ * 5xx) so the processor can tell a broken backend from jobs that fail on their own;
+ * rejected inputs and malformed vectors never count.
+ * The count lives in embedding_circuit_breaker between invocations; reaching the
+ * threshold opens the circuit and pauses the autopilot until a probe succeeds.
+ */
+
+export interface CircuitBreakerPolicy {
+  failureThreshold: number;       // Consecutive backend failures that open the circuit
+  probeBaseDelaySeconds: number;  // Wait before the first probe
+  probeMaxDelaySeconds: number;   // Upper bound for the wait between probes
+}
+
+export const DEFAULT_CIRCUIT_BREAKER_POLICY: CircuitBreakerPolicy = {
+  failureThreshold: 5,
+  probeBaseDelaySeconds: 30,
+  probeMaxDelaySeconds: 900
+};
+
+/**
+ * Reads the circuit breaker policy from the environment, falling back to defaults
+ *
+ * @param env - Lookup function for environment variables (Deno.env.get in Edge Functions)
+ */
+export function circuitBreakerPolicyFromEnv(env: (key: string) => string | undefined): CircuitBreakerPolicy {
+  return {
+    failureThreshold: Number(env('CIRCUIT_BREAKER_THRESHOLD')) || DEFAULT_CIRCUIT_BREAKER_POLICY.failureThreshold,
+    probeBaseDelaySeconds: Number(env('CIRCUIT_PROBE_BASE_DELAY_SECONDS')) || DEFAULT_CIRCUIT_BREAKER_POLICY.probeBaseDelaySeconds,
+    probeMaxDelaySeconds: Number(env('CIRCUIT_PROBE_MAX_DELAY_SECONDS')) || DEFAULT_CIRCUIT_BREAKER_POLICY.probeMaxDelaySeconds
+  };
+}
+
+/**
+ * Marks embedding calls that were not sent because the backend already counts as down
+ */
+export class BackendUnavailableError extends Error {
+  constructor(lastError: string | null) {
+    super(`Embedding backend unavailable (circuit open): ${lastError ?? 'unknown error'}`);
+    this.name = 'BackendUnavailableError';
+  }
+}
+
+/**
+ * Consecutive backend failures seen by one invocation, starting from the stored count
+ */
+export interface BackendHealth {
+  consecutiveFailures: number;
+  lastError: string | null;
+  /** True once the failures reached the threshold - further model calls are not attempted */
+  readonly tripped: boolean;
+  recordSuccess(): void;
+  recordFailure(message: string): void;
+}
+
+/**
+ * Creates a failure counter for one processor invocation
+ *
+ * @param policy - Threshold that trips the counter
+ * @param initialFailures - Count stored by earlier invocations
+ */
+export function createBackendHealth(policy: CircuitBreakerPolicy, initialFailures = 0): BackendHealth {
+  return {
+    consecutiveFailures: initialFailures,
+    lastError: null,
+    get tripped() {
+      return this.consecutiveFailures >= policy.failureThreshold;
+    },
+    recordSuccess() {
+      this.consecutiveFailures = 0;
+    },
+    recordFailure(message: string) {
+      this.consecutiveFailures++;
+      this.lastError = message;
+    }
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Concurrency Limiter
+ *
+ * Bounds how many embedding calls are in flight at once. Providers rate-limit (OpenAI)
+ * or share the Edge Function's CPU (gte-small), so a batch embeds in parallel up to the
+ * limit instead of all at once or one document at a time.
+ */
+
+export type ConcurrencyLimiter = <T>(task: () => Promise<T>) => Promise<T>;
+
+/**
+ * Creates a limiter that runs at most `limit` tasks at a time; the rest wait in FIFO order
+ *
+ * @param limit - Maximum number of concurrent tasks (at least 1)
+ */
+export function createConcurrencyLimiter(limit: number): ConcurrencyLimiter {
+  const maxActive = Math.max(1, Math.floor(limit) || 1);
+  const waiting: Array<() => void> = [];
+  let active = 0;
+
+  return async function run<T>(task: () => Promise<T>): Promise<T> {
+    if (active < maxActive) {
+      active++;
+    } else {
+      // A finishing task hands its slot over directly, so active never exceeds the limit
+      await new Promise<void>((resolve) => waiting.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = waiting.shift();
+      if (next) {
+        next();
+      } else {
+        active--;
+      }
+    }
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * Embedding Providers
+ *
+ * Pluggable embedding backends selected by configuration. Every provider declares
+ * the model name and vector dimensions it produces, so callers validate output
+ * against the provider instead of a hard-coded constant.
+ *
+ * Available providers (EMBEDDING_PROVIDER):
+ * - gte-small: Supabase's built-in AI session (default, no external API costs)
+ * - openai:    Any OpenAI-compatible /embeddings HTTP endpoint (hosted or self-hosted)
+ * - fake:      Deterministic hash-based vectors for tests and CI - no AI runtime needed
+ */
+
+export interface EmbeddingProvider {
+  name: string;       // Provider identifier (gte-small, openai, fake)
+  model: string;      // Model name recorded alongside generated vectors
+  dimensions: number; // Length of every vector this provider returns
+  embed(text: string): Promise<number[]>;
+}
+
+export interface EmbeddingModelConfig {
+  model_name: string;  // Registered model name (embedding_models.model_name)
+  provider: string;    // gte-small, openai or fake
+  dimensions: number;
+}
+
+export interface OpenAICompatibleOptions {
+  baseUrl: string;     // e.g. https://api.openai.com/v1 or http://localhost:8080/v1
+  model: string;
+  dimensions: number;
+  apiKey?: string;     // Optional for self-hosted servers without authentication
+}
+
+const GTE_SMALL_DIMENSIONS = 384;
+
+// Requests to HTTP providers that take longer than this count as a backend failure
+const HTTP_TIMEOUT_MS = 30000;
+
+/**
+ * Marks failures of the embedding backend itself - unreachable, timed out or a 5xx
+ * response - as opposed to a rejected input or a malformed vector. Only these count
+ * toward the processor's circuit breaker.
+ */
+export class EmbeddingBackendError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'EmbeddingBackendError';
+  }
+}
+
+/**
+ * Supabase's built-in gte-small model
+ * The session is created lazily so the module can be imported outside the Edge Runtime
+ */
+export function createGteSmallProvider(): EmbeddingProvider {
+  let session: any = null;
+
+  return {
+    name: 'gte-small',
+    model: 'gte-small',
+    dimensions: GTE_SMALL_DIMENSIONS,
+    async embed(text: string): Promise<number[]> {
+      // @ts-ignore: Supabase AI is available in the Edge Function environment
+      if (typeof Supabase === 'undefined' || !Supabase.ai || !Supabase.ai.Session) {
+        throw new EmbeddingBackendError('Supabase AI is not available in this environment. Ensure you are running this in a Supabase Edge Function.');
+      }
+
+      try {
+        // @ts-ignore: Supabase AI session
+        session ??= new Supabase.ai.Session('gte-small');
+
+        return await session.run(text, {
+          mean_pool: true, // Averages token embeddings for a single vector
+          normalize: true  // Normalizes for optimal cosine similarity calculations
+        });
+      } catch (error) {
+        // The session is the model runtime itself - a failed run means the runtime is unavailable
+        throw new EmbeddingBackendError(`Supabase AI session failed: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+  };
+}
+
+/**
+ * Any endpoint implementing the OpenAI embeddings API (POST {baseUrl}/embeddings)
+ */
+export function createOpenAICompatibleProvider(options: OpenAICompatibleOptions): EmbeddingProvider {
+  const endpoint = `${options.baseUrl.replace(/\/+$/, '')}/embeddings`;
+
+  return {
+    name: 'openai',
+    model: options.model,
+    dimensions: options.dimensions,
+    async embed(text: string): Promise<number[]> {
+      let response: Response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(options.apiKey ? { 'Authorization': `Bearer ${options.apiKey}` } : {})
+          },
+          body: JSON.stringify({ input: text, model: options.model }),
+          signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+        });
+      } catch (error) {
+        // Network errors and timeouts
+        throw new EmbeddingBackendError(`Embedding endpoint unreachable: ${error instanceof Error ? error.message : String(error)}`);
+      }
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        const message = `Embedding endpoint returned ${response.status}: ${body.slice(0, 200)}`;
+        // 4xx responses reject this request (input too long, bad key), not the backend
+        throw response.status >= 500 || response.status === 408 ? new EmbeddingBackendError(message) : new Error(message);
+      }
+
+      const payload = await response.json();
+      return payload?.data?.[0]?.embedding;
+    }
+  };
+}
+
+/**
+ * FNV-1a 32-bit hash - small, fast and stable across runtimes
+ */
+function fnv1a(value: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic hash-based provider for tests and CI
+ * Hashes each token into a signed bucket (feature hashing) and normalizes the result,
+ * so identical text always yields identical vectors and texts sharing words score
+ * as similar under cosine distance.
+ */
+export function createHashEmbeddingProvider(
+  dimensions: number = GTE_SMALL_DIMENSIONS,
+  model: string = `fake-hash-${dimensions}`
+): EmbeddingProvider {
+  return {
+    name: 'fake',
+    model,
+    dimensions,
+    async embed(text: string): Promise<number[]> {
+      const vector = new Array<number>(dimensions).fill(0);
+      const tokens = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+      for (const token of tokens) {
+        const hash = fnv1a(token);
+        vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      return norm > 0 ? vector.map((value) => value / norm) : vector;
+    }
+  };
+}
+
+/**
+ * Builds the provider for a registered embedding model
+ * Connection details for HTTP providers (EMBEDDING_API_URL, EMBEDDING_API_KEY) stay in
+ * the environment so secrets never live in the database.
+ *
+ * @param config - Model name, provider and dimensions (e.g. a row of embedding_models)
+ * @param env - Lookup function for environment variables (Deno.env.get in Edge Functions)
+ * @returns Provider that produces vectors for that model
+ * @throws Error if the provider is unknown or its required settings are missing
+ */
+export function createProviderForModel(
+  config: EmbeddingModelConfig,
+  env: (key: string) => string | undefined
+): EmbeddingProvider {
+  switch (config.provider) {
+    case 'gte-small':
+      return createGteSmallProvider();
+
+    case 'openai': {
+      const baseUrl = env('EMBEDDING_API_URL');
+      if (!baseUrl) {
+        throw new Error(`EMBEDDING_API_URL is required for the openai embedding provider (model ${config.model_name})`);
+      }
+      return createOpenAICompatibleProvider({
+        baseUrl,
+        model: config.model_name,
+        dimensions: config.dimensions,
+        apiKey: env('EMBEDDING_API_KEY')
+      });
+    }
+
+    case 'fake':
+      return createHashEmbeddingProvider(config.dimensions, config.model_name);
+
+    default:
+      throw new Error(`Unknown embedding provider: ${config.provider} (expected gte-small, openai or fake)`);
+  }
+}
+
+/**
+ * Builds the provider selected by configuration
+ * Used when no model registry is available (EMBEDDING_PROVIDER, EMBEDDING_MODEL, EMBEDDING_DIMENSIONS)
+ *
+ * @param env - Lookup function for environment variables (Deno.env.get in Edge Functions)
+ * @returns The configured embedding provider
+ * @throws Error if the provider is unknown or its required settings are missing
+ */
+export function createEmbeddingProvider(env: (key: string) => string | undefined): EmbeddingProvider {
+  const provider = env('EMBEDDING_PROVIDER') || 'gte-small';
+  const dimensions = Number(env('EMBEDDING_DIMENSIONS')) || GTE_SMALL_DIMENSIONS;
+  const defaultModel = provider === 'fake' ? `fake-hash-${dimensions}` : provider;
+  const modelName = provider === 'gte-small' ? 'gte-small' : env('EMBEDDING_MODEL') || defaultModel;
+
+  if (provider === 'openai' && !env('EMBEDDING_MODEL')) {
+    throw new Error('EMBEDDING_MODEL is required for the openai embedding provider');
+  }
+
+  return createProviderForModel({ model_name: modelName, provider, dimensions }, env);
+}
+
+/**
+ * Builds providers for the registered models in the given statuses
+ *
+ * @param supabase - Supabase client with access to embedding_models
+ * @param statuses - Model statuses to load (e.g. ['active'] or ['active', 'backfilling'])
+ * @param env - Lookup function for environment variables (Deno.env.get in Edge Functions)
+ * @returns Providers keyed by model name, or null when the registry is missing or empty
+ */
+export async function loadRegisteredProviders(
+  supabase: any,
+  statuses: string[],
+  env: (key: string) => string | undefined
+): Promise<Map<string, EmbeddingProvider> | null> {
+  const { data: models, error } = await supabase
+    .from('embedding_models')
+    .select('model_name, provider, dimensions')
+    .in('status', statuses);
+
+  if (error) {
+    console.warn(`⚠️ Model registry unavailable: ${error.message}`);
+    return null;
+  }
+
+  if (!models || models.length === 0) {
+    return null;
+  }
+
+  return new Map(
+    models.map((model: EmbeddingModelConfig) => [model.model_name, createProviderForModel(model, env)])
+  );
+}
+
+/**
+ * Validates a vector against the provider that produced it
+ *
+ * @throws Error if the vector is missing, has the wrong length or contains non-finite values
+ */
+export function validateEmbedding(embedding: unknown, provider: EmbeddingProvider): number[] {
+  if (!embedding || !Array.isArray(embedding) || embedding.length !== provider.dimensions) {
+    throw new Error(`Invalid embedding generated. Expected ${provider.dimensions} dimensions, got ${(embedding as any)?.length || 'null'}`);
+  }
+
+  if (!embedding.every((value) => typeof value === 'number' && Number.isFinite(value))) {
+    throw new Error(`Invalid embedding generated by ${provider.model}: vector contains non-numeric values`);
+  }
+
+  return embedding;
+}
@@ -0,0 +1,76 @@
+/**
+ * Retry Policy
+ *
+ * Decides what happens to a failed queue message: retry after an exponentially
+ * growing delay, or move it to the dead-letter queue once its attempts are used up.
+ * pgmq's read_ct counts every read of a message, so it doubles as the attempt number.
+ */
+
+export interface RetryPolicy {
+  maxRetries: number;        // Retries after the first attempt before dead-lettering
+  baseDelaySeconds: number;  // Delay before the first retry
+  maxDelaySeconds: number;   // Upper bound for any single delay
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxRetries: 3,
+  baseDelaySeconds: 30,
+  maxDelaySeconds: 3600
+};
+
+/**
+ * Marks failures that will never succeed on retry (malformed or empty jobs)
+ * These go straight to the dead-letter queue instead of burning retries.
+ */
+export class PermanentJobError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+/**
+ * Reads the retry policy from the environment, falling back to defaults
+ *
+ * @param env - Lookup function for environment variables (Deno.env.get in Edge Functions)
+ */
+export function retryPolicyFromEnv(env: (key: string) => string | undefined): RetryPolicy {
+  const maxRetries = env('MAX_RETRIES');
+
+  return {
+    maxRetries: maxRetries !== undefined && Number.isInteger(Number(maxRetries)) && Number(maxRetries) >= 0
+      ? Number(maxRetries)
+      : DEFAULT_RETRY_POLICY.maxRetries,
+    baseDelaySeconds: Number(env('RETRY_BASE_DELAY_SECONDS')) || DEFAULT_RETRY_POLICY.baseDelaySeconds,
+    maxDelaySeconds: Number(env('RETRY_MAX_DELAY_SECONDS')) || DEFAULT_RETRY_POLICY.maxDelaySeconds
+  };
+}
+
+/**
+ * Returns true when a failed message has no retries left
+ *
+ * @param attempt - Attempt number of the failed read (pgmq read_ct, 1 on first read)
+ */
+export function shouldDeadLetter(attempt: number, policy: RetryPolicy): boolean {
+  return attempt > policy.maxRetries;
+}
+
+/**
+ * Computes the delay before the next attempt: base * 2^(attempt - 1), capped,
+ * with up to 20% jitter so failures from one batch do not retry in lockstep
+ *
+ * @param attempt - Attempt number of the failed read (pgmq read_ct, 1 on first read)
+ * @param random - Random source in [0, 1) (injectable for deterministic tests)
+ * @returns Delay in whole seconds
+ */
+export function computeRetryDelaySeconds(
+  attempt: number,
+  policy: RetryPolicy,
+  random: () => number = Math.random
+): number {
+  const exponential = policy.baseDelaySeconds * Math.pow(2, Math.max(0, attempt - 1));
+  const capped = Math.min(exponential, policy.maxDelaySeconds);
+  const jitter = capped * 0.2 * random();
+
+  return Math.max(1, Math.round(Math.min(capped + jitter, policy.maxDelaySeconds)));
+}
@@ -0,0 +1,47 @@
+/**
+ * Search Result Snippets
+ *
+ * Builds short, readable excerpts of matched documents. The excerpt is centred on
+ * the first query term found in the text, so keyword matches are visible in results;
+ * purely semantic matches fall back to the start of the text.
+ */
+
+const DEFAULT_SNIPPET_LENGTH = 240;
+
+/**
+ * Extracts an excerpt of text around the first occurrence of a query term
+ *
+ * @param text - Document or chunk content
+ * @param query - Search query text
+ * @param maxLength - Maximum snippet length in characters (before ellipses)
+ * @returns Whitespace-normalised excerpt with ellipses where the text was cut
+ */
+export function buildSnippet(text: string, query: string, maxLength: number = DEFAULT_SNIPPET_LENGTH): string {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  if (normalized.length <= maxLength) return normalized;
+
+  const lower = normalized.toLowerCase();
+  const terms = (query.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}-]*/gu) || [])
+    .filter((term) => term.length > 2)
+    .sort((a, b) => b.length - a.length);
+
+  const matchIndex = terms
+    .map((term) => lower.indexOf(term))
+    .filter((index) => index >= 0)
+    .sort((a, b) => a - b)[0] ?? 0;
+
+  // Start a third of the window before the match, snapped forward to a word boundary
+  let start = Math.max(0, matchIndex - Math.floor(maxLength / 3));
+  if (start > 0) {
+    const space = normalized.indexOf(' ', start);
+    if (space !== -1 && space < matchIndex) start = space + 1;
+  }
+
+  let end = Math.min(normalized.length, start + maxLength);
+  if (end < normalized.length) {
+    const space = normalized.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  return `${start > 0 ? '…' : ''}${normalized.slice(start, end)}${end < normalized.length ? '…' : ''}`;
+}
@@ -2,15 +2,25 @@
  * Autonomous Document Embedding Processor
  * 
  * This Edge Function is the heart of the autonomous embedding system. It processes
- * documents from the queue, generates embeddings using Supabase AI (gte-small model),
- * and stores them in the sidecar table for optimal performance.
+ * documents from the queue, generates embeddings using the configured provider
+ * (Supabase AI gte-small by default), and stores them in the sidecar table for
+ * optimal performance.
  * 
  * Key Features:
  * - Self-invoking: Continues processing until queue is empty
- * - Batch processing: Handles multiple documents efficiently
- * - Error recovery: Comprehensive retry logic and error logging
+ * - Batch processing: Embeds a batch concurrently (EMBEDDING_CONCURRENCY), then stores
+ *   it with one bulk write and archives it with one call per lane
+ * - Priority lanes: User edits (embedding_jobs_high) are drained before background re-embedding
+ * - Error recovery: Exponential backoff retries, then a dead-letter queue
  * - Hash-based deduplication: Only processes when content actually changes
+ * - Stale job protection: Jobs superseded by a newer edit are skipped, never written
+ * - Chunked embeddings: Long documents are split so every part stays searchable
  * - CPU-aware: Adapts to system load and capacity constraints
+ * - Circuit breaker: After CIRCUIT_BREAKER_THRESHOLD consecutive backend failures the processor
+ *   stops reading jobs and pauses the autopilot; probes on a backoff schedule resume it.
+ *   Jobs whose embedding was never attempted are deferred without using up a retry
+ * - Run history: Every invocation is recorded in embedding_runs with per-job outcomes
+ *   and the time spent in each phase
  * 
  * This function represents the culmination of production-grade autonomous systems
  * thinking - it runs without human intervention and handles edge cases gracefully.
@@ -18,6 +28,27 @@
 
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { corsHeaders } from '../_shared/cors.ts';
+import { chunkText, chunkingOptionsFromEnv } from '../_shared/chunking.ts';
+import {
+  BackendUnavailableError,
+  circuitBreakerPolicyFromEnv,
+  createBackendHealth,
+  type BackendHealth
+} from '../_shared/circuit-breaker.ts';
+import { createConcurrencyLimiter } from '../_shared/concurrency.ts';
+import {
+  EmbeddingBackendError,
+  createEmbeddingProvider,
+  loadRegisteredProviders,
+  validateEmbedding,
+  type EmbeddingProvider
+} from '../_shared/embedding-providers.ts';
+import {
+  PermanentJobError,
+  computeRetryDelaySeconds,
+  retryPolicyFromEnv,
+  shouldDeadLetter
+} from '../_shared/retry-policy.ts';
 
 // Initialize Supabase client with service role for full database access
 const supabase = createClient(
@@ -25,49 +56,102 @@ const supabase = createClient(
   Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
 );
 
+// Embedding provider selected by EMBEDDING_PROVIDER (gte-small, openai or fake)
+// Used when the embedding_models registry is not available
+const fallbackEmbeddingProvider = createEmbeddingProvider((key) => Deno.env.get(key));
+
+// Chunking configuration for long documents (CHUNK_SIZE / CHUNK_OVERLAP in characters)
+const chunkingOptions = chunkingOptionsFromEnv((key) => Deno.env.get(key));
+
+// Queue lanes in the order they are drained: user-triggered jobs before background re-embedding
+const QUEUE_LANES = ['embedding_jobs_high', 'embedding_jobs'];
+
+// Retry policy for failed jobs (MAX_RETRIES / RETRY_BASE_DELAY_SECONDS / RETRY_MAX_DELAY_SECONDS)
+const retryPolicy = retryPolicyFromEnv((key) => Deno.env.get(key));
+
+// Embedding calls in flight at once across a batch, document and chunk calls alike
+const embeddingConcurrency = Number(Deno.env.get('EMBEDDING_CONCURRENCY')) || 4;
+const limitEmbedding = createConcurrencyLimiter(embeddingConcurrency);
+
+// Consecutive backend failures that pause the autopilot, and the probe backoff
+// (CIRCUIT_BREAKER_THRESHOLD / CIRCUIT_PROBE_BASE_DELAY_SECONDS / CIRCUIT_PROBE_MAX_DELAY_SECONDS)
+const circuitPolicy = circuitBreakerPolicyFromEnv((key) => Deno.env.get(key));
+
+// Upper bound for requested batch sizes, so one batch fits in the time budget
+const maxBatchSize = Number(Deno.env.get('MAX_BATCH_SIZE')) || 50;
+
+/**
+ * Loads the models that documents must currently be embedded with
+ * That is the active model plus any model being backfilled for a blue/green switch,
+ * so a new model stays in sync with content changes while its backfill runs.
+ * Falls back to the environment-configured provider when no registry is available.
+ * 
+ * @returns Providers keyed by model name
+ */
+async function loadTargetProviders(): Promise<Map<string, EmbeddingProvider>> {
+  const registeredProviders = await loadRegisteredProviders(
+    supabase,
+    ['active', 'backfilling'],
+    (key) => Deno.env.get(key)
+  );
+
+  return registeredProviders ?? new Map([[fallbackEmbeddingProvider.model, fallbackEmbeddingProvider]]);
+}
+
 /**
- * Generates embeddings using Supabase's built-in AI with gte-small model
+ * Generates embeddings using the given embedding provider (gte-small by default)
  * This is the core AI operation that transforms text into searchable vectors
  * 
  * @param text - The text content to embed (max ~8000 tokens for gte-small)
- * @returns 384-dimensional embedding vector
+ * @param embeddingProvider - Provider for the model being embedded
+ * @param health - Failure counter of the invocation; calls are not sent once it tripped
+ * @returns Embedding vector with the provider's declared dimensions
  * @throws Error if embedding generation fails or produces invalid dimensions
  */
-async function generateEmbedding(text: string): Promise<number[]> {
+async function generateEmbedding(
+  text: string,
+  embeddingProvider: EmbeddingProvider = fallbackEmbeddingProvider,
+  health?: BackendHealth
+): Promise<number[]> {
   try {
     // Validate input
     if (!text || text.trim().length === 0) {
       throw new Error('Cannot generate embedding for empty text');
     }
 
-    // Use Supabase AI's gte-small model for cost-effective embedding generation
-    // @ts-ignore: Supabase AI is available in the Edge Function environment
-    if (typeof Supabase === 'undefined' || !Supabase.ai || !Supabase.ai.Session) {
-      throw new Error('Supabase AI is not available in this environment. Ensure you are running this in a Supabase Edge Function.');
-    }
-
-    // @ts-ignore: Supabase AI session
-    const session = new Supabase.ai.Session('gte-small');
+    return await limitEmbedding(async () => {
+      // Calls still waiting for a slot are dropped once the backend counts as down
+      if (health?.tripped) {
+        throw new BackendUnavailableError(health.lastError);
+      }
 
-    const embedding = await session.run(text, {
-      mean_pool: true, // Averages token embeddings for a single vector
-      normalize: true  // Normalizes for optimal cosine similarity calculations
+      try {
+        // Validate the embedding output against what the provider declares
+        const embedding = validateEmbedding(await embeddingProvider.embed(text), embeddingProvider);
+        health?.recordSuccess();
+        return embedding;
+      } catch (error) {
+        // Rejected inputs and malformed vectors say nothing about the backend
+        if (error instanceof EmbeddingBackendError) {
+          health?.recordFailure(error.message);
+        }
+        throw error;
+      }
     });
-
-    // Validate the embedding output
-    if (!embedding || !Array.isArray(embedding) || embedding.length !== 384) {
-      throw new Error(`Invalid embedding generated. Expected 384 dimensions, got ${embedding?.length || 'null'}`);
+  } catch (error) {
+    if (error instanceof BackendUnavailableError) {
+      throw error;
     }
 
-    return embedding;
-  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+
     // Use structured error logging for consistency
     await logEmbeddingError(
-      `Embedding generation failed: ${error.message}`,
-      { text_length: text?.length, model: 'gte-small' },
+      `Embedding generation failed: ${message}`,
+      { text_length: text?.length, provider: embeddingProvider.name, model: embeddingProvider.model },
       'generateEmbedding'
     );
-    throw new Error(`Embedding generation failed: ${error.message}`);
+    throw new Error(`Embedding generation failed: ${message}`);
   }
 }
 
@@ -94,7 +178,9 @@ async function logEmbeddingError(
       p_error_message: errorMessage,
       p_error_context: context || {},
       p_function_name: functionName,
-      p_queue_message_id: queueMessageId
+      p_queue_message_id: queueMessageId,
+      p_retry_count: (context as any)?.attempt || 0,
+      p_max_retries: retryPolicy.maxRetries
     });
   } catch (logError) {
     // If we can't log to database, at least log to console
@@ -104,65 +190,606 @@ async function logEmbeddingError(
 }
 
 /**
- * Processes a single document embedding job with comprehensive error handling
- * This function embodies the core business logic of the autonomous system
+ * Checks whether a job still matches the document's current content
+ * Messages from the trigger carry source_text_hash and autopilot messages carry
+ * current_hash; older messages without a hash are compared by their text.
  * 
  * @param job - The embedding job from the queue
- * @returns Processing result with success/failure status
+ * @returns False if the document was edited or deleted after the job was enqueued
  */
-async function processEmbeddingJob(job: any): Promise<{ success: boolean; error?: string }> {
-  const jobContext = {
-    document_id: job.message.document_id,
-    document_type: job.message.document_type,
-    content_length: job.message.source_text?.length || 0,
-    is_autopilot: job.message.autopilot_reembedding || false,
-    msg_id: job.msg_id
-  };
+async function isJobCurrent(job: any): Promise<boolean> {
+  const sourceTextHash = job.message.source_text_hash ?? job.message.current_hash ?? null;
+
+  const { data: isCurrent, error } = await supabase.rpc('is_embedding_job_current', {
+    p_document_id: job.message.document_id,
+    p_source_text_hash: sourceTextHash,
+    p_source_text: sourceTextHash ? null : job.message.source_text
+  });
+
+  if (error) {
+    throw new Error(`Failed to check job freshness: ${error.message}`);
+  }
+
+  return isCurrent === true;
+}
+
+/**
+ * Result of one job; permanent failures are not retryable and jobs that did not
+ * need embedding report why they were skipped
+ */
+export interface JobResult {
+  success: boolean;
+  error?: string;
+  retryable?: boolean;
+  skipped?: string;
+  deferred?: boolean;  // Not attempted because the circuit opened - released until the next probe
+}
+
+/**
+ * One document embedding for store_document_embeddings
+ */
+interface EmbeddingWrite {
+  document_id: string;
+  model_name: string;
+  source_text: string;
+  embedding: number[];
+  chunks: Array<Record<string, unknown>>;
+}
+
+/**
+ * Milliseconds spent in each phase of the processing loop, summed over all cycles
+ */
+export interface PhaseTimings {
+  read: number;      // pgmq_read across the lanes
+  check: number;     // job validation and freshness checks
+  embed: number;     // chunk reuse lookups and embedding calls
+  store: number;     // store_document_embeddings
+  archive: number;   // pgmq_archive_batch
+  failures: number;  // retry delays and dead-lettering
+}
+
+export function createPhaseTimings(): PhaseTimings {
+  return { read: 0, check: 0, embed: 0, store: 0, archive: 0, failures: 0 };
+}
 
+/**
+ * Runs one phase and adds its duration to the timings
+ */
+async function timePhase<T>(timings: PhaseTimings, phase: keyof PhaseTimings, work: () => Promise<T>): Promise<T> {
+  const phaseStartTime = Date.now();
+  try {
+    return await work();
+  } finally {
+    timings[phase] += Date.now() - phaseStartTime;
+  }
+}
+
+/**
+ * Logs a failed job and turns the error into its result
+ */
+async function failJob(job: any, error: unknown): Promise<JobResult> {
+  const message = error instanceof Error ? error.message : String(error);
+  const errorMessage = `Failed to process document ${job.message?.document_id}: ${message}`;
+  console.error('❌', errorMessage);
+
+  // Log detailed error for debugging
+  await logEmbeddingError(errorMessage, {
+    document_id: job.message?.document_id,
+    tenant_id: job.message?.tenant_id,
+    document_type: job.message?.document_type,
+    content_length: job.message?.source_text?.length || 0,
+    is_autopilot: job.message?.autopilot_reembedding || false,
+    model_name: job.message?.model_name,
+    msg_id: job.msg_id,
+    queue_name: job.queue_name,
+    attempt: job.read_ct
+  }, 'process-embedding-queue', job.msg_id);
+
+  return { success: false, error: errorMessage, retryable: !(error instanceof PermanentJobError) };
+}
+
+/**
+ * Validates a job and decides which models it must be embedded with
+ * 
+ * Jobs with a model_name (blue/green backfill) are embedded with that model only;
+ * all other jobs are embedded with every target model.
+ * 
+ * @returns The providers to embed with, or the job's final result when it is
+ *          malformed, targets a retired model or was superseded by a newer edit
+ */
+async function checkJob(
+  job: any,
+  targetProviders: Map<string, EmbeddingProvider>
+): Promise<EmbeddingProvider[] | JobResult> {
   try {
     console.log(`🔄 Processing document: ${job.message.document_id} (type: ${job.message.document_type})`);
 
-    // Validate job data
+    // Validate job data - malformed jobs can never succeed, so they are not retried
     if (!job.message.document_id) {
-      throw new Error('Job missing required document_id');
+      throw new PermanentJobError('Job missing required document_id');
     }
 
-    if (!job.message.source_text) {
-      throw new Error('Job missing required source_text');
+    if (typeof job.message.source_text !== 'string') {
+      throw new PermanentJobError('Job missing required source_text');
     }
 
-    // Generate embedding for the document content
-    const embedding = await generateEmbedding(job.message.source_text);
-
-    // Store/update the embedding in the sidecar table (simplified upsert)
-    // Clean pattern: let database handle timestamps, minimal fields
-    const { error: upsertError } = await supabase
-      .from('document_embeddings')
-      .upsert({
-        document_id: job.message.document_id,
-        source_text: job.message.source_text,
-        embedding: embedding,
-        // source_text_hash is auto-generated by database
-        // created_at/updated_at are auto-managed by triggers
-      }, {
-        onConflict: 'document_id'
+    if (job.message.source_text.trim().length === 0) {
+      throw new PermanentJobError('Job source_text is empty after trimming');
+    }
+
+    const providers = job.message.model_name
+      ? [targetProviders.get(job.message.model_name)].filter((provider): provider is EmbeddingProvider => !!provider)
+      : [...targetProviders.values()];
+
+    if (providers.length === 0) {
+      // The model was retired after the backfill job was enqueued
+      console.log(`⏭️ Skipping backfill for model no longer targeted: ${job.message.model_name}`);
+      return { success: true, skipped: 'model_not_targeted' };
+    }
+
+    // A newer edit has its own job - embedding this snapshot would only be overwritten
+    if (!await isJobCurrent(job)) {
+      console.log(`⏭️ Skipping superseded job for document: ${job.message.document_id}`);
+      return { success: true, skipped: 'superseded' };
+    }
+
+    return providers;
+  } catch (error) {
+    return failJob(job, error);
+  }
+}
+
+/**
+ * Loads the stored chunk embeddings of a model for several documents at once
+ * Chunks whose text is unchanged since the last run reuse their stored embedding,
+ * so small edits to long documents only pay for the chunks that actually changed
+ * 
+ * @param documentIds - Documents of the batch embedded with this model
+ * @param model - Model name
+ * @returns Chunk embeddings by document id, then by chunk text
+ */
+async function loadReusableChunkEmbeddings(
+  documentIds: string[],
+  model: string
+): Promise<Map<string, Map<string, unknown>>> {
+  const { data: existingChunks, error: fetchError } = await supabase
+    .from('document_chunks')
+    .select('document_id, chunk_text, embedding')
+    .eq('model_name', model)
+    .in('document_id', documentIds);
+
+  if (fetchError) {
+    throw new Error(`Failed to load existing chunks: ${fetchError.message}`);
+  }
+
+  const reusable = new Map<string, Map<string, unknown>>();
+  for (const chunk of existingChunks || []) {
+    if (!reusable.has(chunk.document_id)) reusable.set(chunk.document_id, new Map());
+    reusable.get(chunk.document_id)!.set(chunk.chunk_text, chunk.embedding);
+  }
+  return reusable;
+}
+
+/**
+ * Embeds a document and its chunks with one model
+ * The document and chunk calls all go through the shared concurrency limit.
+ * 
+ * @param documentId - The document being processed
+ * @param sourceText - Full document content
+ * @param embeddingProvider - Provider for the model being embedded
+ * @param reusableEmbeddings - Stored chunk embeddings of this document by chunk text
+ * @param health - Failure counter of the invocation
+ * @returns The write for store_document_embeddings
+ */
+async function embedDocumentForModel(
+  documentId: string,
+  sourceText: string,
+  embeddingProvider: EmbeddingProvider,
+  reusableEmbeddings: Map<string, unknown> = new Map(),
+  health?: BackendHealth
+): Promise<EmbeddingWrite> {
+  const chunks = chunkText(sourceText, chunkingOptions);
+
+  // A single chunk covers the whole document, so the document embedding already represents it
+  const [embedding, ...chunkEmbeddings] = await Promise.all([
+    generateEmbedding(sourceText, embeddingProvider, health),
+    ...(chunks.length === 1
+      ? []
+      : chunks.map((chunk) => reusableEmbeddings.has(chunk.content)
+        ? Promise.resolve(reusableEmbeddings.get(chunk.content))
+        : generateEmbedding(chunk.content, embeddingProvider, health)))
+  ]);
+
+  return {
+    document_id: documentId,
+    model_name: embeddingProvider.model,
+    source_text: sourceText,
+    embedding: embedding as number[],
+    chunks: chunks.map((chunk, index) => ({
+      ...chunk,
+      embedding: chunks.length === 1 ? reusableEmbeddings.get(chunk.content) ?? embedding : chunkEmbeddings[index]
+    }))
+  };
+}
+
+/**
+ * Outcome of a job within a batch, with the time it took until its embeddings were
+ * ready (the shared store and archive phases are reported per run, not per job)
+ */
+export interface BatchJobResult {
+  result: JobResult;
+  duration_ms: number;
+}
+
+/**
+ * Processes a batch of embedding jobs, without archiving them
+ * 
+ * 1. check: validation and freshness checks for every job, concurrently
+ * 2. embed: chunk reuse lookups (one query per model) and all embedding calls,
+ *    bounded by EMBEDDING_CONCURRENCY
+ * 3. store: every embedding and chunk of the batch in one store_document_embeddings
+ *    call, which skips documents edited while they were being embedded
+ * 
+ * @param jobs - Jobs read from the queue lanes
+ * @param targetProviders - Providers for the active and backfilling models
+ * @param timings - Phase timings to add to
+ * @param health - Failure counter for the circuit breaker
+ * @returns Results in the order of jobs
+ */
+export async function processEmbeddingBatch(
+  jobs: any[],
+  targetProviders: Map<string, EmbeddingProvider>,
+  timings: PhaseTimings = createPhaseTimings(),
+  health?: BackendHealth
+): Promise<BatchJobResult[]> {
+  const batchStartTime = Date.now();
+  const results: Array<BatchJobResult | undefined> = new Array(jobs.length);
+  const finish = (index: number, result: JobResult) => {
+    results[index] = { result, duration_ms: Date.now() - batchStartTime };
+  };
+
+  const checks = await timePhase(timings, 'check', () =>
+    Promise.all(jobs.map((job) => checkJob(job, targetProviders)))
+  );
+
+  const pending = checks.flatMap((check, index) => {
+    if (!Array.isArray(check)) {
+      finish(index, check);
+      return [];
+    }
+    return [{ index, job: jobs[index], providers: check }];
+  });
+
+  const embedded = await timePhase(timings, 'embed', async () => {
+    const models = [...new Set(pending.flatMap(({ providers }) => providers.map((provider) => provider.model)))];
+    const reusableByModel = new Map(await Promise.all(models.map(async (model) => {
+      const documentIds = pending
+        .filter(({ providers }) => providers.some((provider) => provider.model === model))
+        .map(({ job }) => job.message.document_id);
+      return [model, await loadReusableChunkEmbeddings(documentIds, model).catch((error: Error) => error)] as const;
+    })));
+
+    return Promise.all(pending.map(async ({ index, job, providers }) => {
+      try {
+        const writes = await Promise.all(providers.map((provider) => {
+          const reusable = reusableByModel.get(provider.model);
+          if (reusable instanceof Error) throw reusable;
+          return embedDocumentForModel(job.message.document_id, job.message.source_text, provider, reusable?.get(job.message.document_id), health);
+        }));
+        results[index] = { result: { success: true }, duration_ms: Date.now() - batchStartTime };
+        return { index, job, writes };
+      } catch (error) {
+        if (error instanceof BackendUnavailableError) {
+          finish(index, { success: false, deferred: true, error: error.message });
+          return null;
+        }
+        finish(index, await failJob(job, error));
+        return null;
+      }
+    }));
+  });
+
+  const ready = embedded.filter((entry): entry is NonNullable<typeof entry> => entry !== null);
+  if (ready.length > 0) {
+    await timePhase(timings, 'store', async () => {
+      // Chunks and document embeddings are written in one transaction
+      // source_text_hash is auto-generated; created_at/updated_at are auto-managed by triggers
+      const { data: stored, error: storeError } = await supabase.rpc('store_document_embeddings', {
+        p_embeddings: ready.flatMap(({ writes }) => writes)
       });
 
-    if (upsertError) {
-      throw new Error(`Failed to store embedding: ${upsertError.message}`);
+      if (storeError) {
+        for (const { index, job } of ready) {
+          results[index]!.result = await failJob(job, new Error(`Failed to store embeddings: ${storeError.message}`));
+        }
+        return;
+      }
+
+      const skippedWrites = new Set((stored || [])
+        .filter((row: any) => row.stored !== true)
+        .map((row: any) => row.document_id));
+
+      for (const { index, job, writes } of ready) {
+        const chunkCount = writes.reduce((total, write) => total + write.chunks.length, 0);
+        if (skippedWrites.has(job.message.document_id)) {
+          console.log(`⏭️ Document ${job.message.document_id} changed during embedding - skipping superseded job`);
+          results[index]!.result = { success: true, skipped: 'superseded' };
+        } else {
+          console.log(`✅ Successfully processed document: ${job.message.document_id} (${chunkCount} chunks)`);
+        }
+      }
+    });
+  }
+
+  return results as BatchJobResult[];
+}
+
+/**
+ * Processes a single document embedding job (a batch of one)
+ * 
+ * @param job - The embedding job from the queue
+ * @param targetProviders - Providers for the active and backfilling models
+ * @returns Processing result with success/failure status
+ */
+export async function processEmbeddingJob(
+  job: any,
+  targetProviders: Map<string, EmbeddingProvider>
+): Promise<JobResult> {
+  const [{ result }] = await processEmbeddingBatch([job], targetProviders);
+  return result;
+}
+
+/**
+ * Archives the jobs of one lane in a single call
+ * Jobs that could not be archived become visible again after the read timeout and
+ * are then archived as superseded or already-embedded work.
+ * 
+ * @param queueName - Lane the jobs were read from
+ * @param jobs - Successful and skipped jobs of that lane
+ */
+async function archiveJobs(queueName: string, jobs: any[]): Promise<void> {
+  const msgIds = jobs.map((job) => job.msg_id);
+  const { data: archived, error: archiveError } = await supabase.rpc('pgmq_archive_batch', {
+    queue_name: queueName,
+    msg_ids: msgIds
+  });
+
+  const archivedIds = new Set(archiveError ? [] : archived || []);
+  const notArchived = msgIds.filter((msgId) => !archivedIds.has(msgId));
+
+  if (notArchived.length > 0) {
+    await logEmbeddingError(
+      `Failed to archive jobs ${notArchived.join(', ')} from ${queueName}`,
+      { queue_name: queueName, msg_ids: notArchived, error: archiveError?.message ?? 'messages not found' },
+      'process-embedding-queue',
+      String(notArchived[0])
+    );
+  }
+}
+
+/**
+ * Releases jobs that were read but never attempted because the circuit opened
+ * pgmq_defer_batch undoes the read (read_ct) and hides them until the next probe,
+ * so an outage never uses up their retries or moves them to the dead-letter queue.
+ * 
+ * @param jobs - Deferred jobs from any lane
+ * @param nextProbeAt - When the circuit is probed again (now + the base probe delay if unknown)
+ */
+async function deferJobs(jobs: any[], nextProbeAt: string | null): Promise<void> {
+  const visibleAt = nextProbeAt ?? new Date(Date.now() + circuitPolicy.probeBaseDelaySeconds * 1000).toISOString();
+
+  for (const queueName of QUEUE_LANES) {
+    const msgIds = jobs.filter((job) => job.queue_name === queueName).map((job) => job.msg_id);
+    if (msgIds.length === 0) continue;
+
+    const { error } = await supabase.rpc('pgmq_defer_batch', {
+      queue_name: queueName,
+      msg_ids: msgIds,
+      visible_at: visibleAt
+    });
+
+    if (error) {
+      // Not fatal: the jobs reappear once the read visibility timeout expires
+      console.error(`Failed to defer jobs ${msgIds.join(', ')} from ${queueName}:`, error.message);
+    } else {
+      console.log(`⏳ Deferred ${msgIds.length} job(s) from ${queueName} until ${visibleAt}`);
     }
+  }
+}
+
+/**
+ * Circuit breaker state from embedding_circuit_breaker
+ */
+interface EmbeddingCircuit {
+  state: 'closed' | 'open';
+  consecutive_failures: number;
+  last_error: string | null;
+  reason: string | null;
+  opened_at: string | null;
+  probe_attempts: number;
+  next_probe_at: string | null;
+}
 
-    console.log(`✅ Successfully processed document: ${job.message.document_id}`);
-    return { success: true };
+// Short text for probe requests; embedding it touches every target model once
+const PROBE_TEXT = 'embedding backend health probe';
 
+/**
+ * Loads the circuit breaker state
+ * Without it (migration 023 not applied) the processor runs without a breaker.
+ */
+async function loadEmbeddingCircuit(): Promise<EmbeddingCircuit | null> {
+  const { data, error } = await supabase.rpc('get_embedding_circuit');
+
+  if (error) {
+    console.warn('Circuit breaker state unavailable - running without it:', error.message);
+    return null;
+  }
+  return data?.[0] ?? null;
+}
+
+/**
+ * Stores the current failure streak; the database opens the circuit at the
+ * threshold (scheduling the next probe) and closes it when the streak is 0
+ * 
+ * @param consecutiveFailures - Model failures in a row
+ * @param lastError - Error of the latest failure
+ * @returns The updated circuit, or null if it could not be stored
+ */
+async function reportBackendHealth(consecutiveFailures: number, lastError: string | null): Promise<EmbeddingCircuit | null> {
+  const { data, error } = await supabase.rpc('report_embedding_backend_health', {
+    p_consecutive_failures: consecutiveFailures,
+    p_last_error: lastError,
+    p_failure_threshold: circuitPolicy.failureThreshold,
+    p_probe_base_delay_seconds: circuitPolicy.probeBaseDelaySeconds,
+    p_probe_max_delay_seconds: circuitPolicy.probeMaxDelaySeconds
+  });
+
+  if (error) {
+    console.error('Failed to record embedding backend health:', error.message);
+    return null;
+  }
+  return data?.[0] ?? null;
+}
+
+/**
+ * Sends a probe embedding to every target model once the next probe is due
+ * 
+ * @param circuit - The open circuit
+ * @param targetProviders - Providers for the active and backfilling models
+ * @returns The circuit after the probe: closed if every model answered, otherwise
+ *          still open with a later next_probe_at (unchanged if no probe was due)
+ */
+async function probeEmbeddingBackend(
+  circuit: EmbeddingCircuit,
+  targetProviders: Map<string, EmbeddingProvider>
+): Promise<EmbeddingCircuit> {
+  if (circuit.next_probe_at && new Date(circuit.next_probe_at).getTime() > Date.now()) {
+    return circuit;
+  }
+
+  console.log(`🩺 Probing embedding backend (probe ${circuit.probe_attempts + 1})`);
+  try {
+    await Promise.all([...targetProviders.values()].map((provider) => generateEmbedding(PROBE_TEXT, provider)));
   } catch (error) {
-    const errorMessage = `Failed to process document ${job.message.document_id}: ${error.message}`;
-    console.error('❌', errorMessage);
-    
-    // Log detailed error for debugging
-    await logEmbeddingError(errorMessage, jobContext, 'process-embedding-queue', job.msg_id);
-    
-    return { success: false, error: errorMessage };
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn(`⏸️ Probe failed - autopilot stays paused: ${message}`);
+    return await reportBackendHealth(circuit.consecutive_failures + 1, message) ?? circuit;
+  }
+
+  console.log('▶️ Embedding backend recovered - resuming autopilot');
+  return await reportBackendHealth(0, null) ?? { ...circuit, state: 'closed', consecutive_failures: 0 };
+}
+
+/**
+ * Reads the next batch of jobs, filling it from the high-priority lane first
+ * Each job is tagged with the queue it came from so it is archived, delayed or
+ * dead-lettered in the right lane.
+ * 
+ * @param batchSize - Maximum number of jobs to read across all lanes
+ * @returns Jobs with their queue_name
+ */
+async function readNextBatch(batchSize: number): Promise<any[]> {
+  const batch: any[] = [];
+
+  for (const queueName of QUEUE_LANES) {
+    if (batch.length >= batchSize) break;
+
+    const { data: jobs, error: readError } = await supabase.rpc('pgmq_read', {
+      queue_name: queueName,
+      visibility_timeout: 30,
+      batch_size: batchSize - batch.length
+    });
+
+    if (readError) {
+      throw new Error(`Failed to read from ${queueName}: ${readError.message}`);
+    }
+
+    batch.push(...(jobs || []).map((job: any) => ({ ...job, queue_name: queueName })));
+  }
+
+  return batch;
+}
+
+/**
+ * Applies the retry policy to a failed job
+ * Retryable failures are delayed with exponential backoff; jobs out of retries and
+ * permanent failures are moved to the embedding_jobs_dlq queue with their last error.
+ * 
+ * @param job - The failed job (read_ct is its attempt number)
+ * @param result - Result of the job within its batch
+ * @returns 'retried' or 'dead_lettered'
+ */
+async function handleFailedJob(
+  job: any,
+  result: { error?: string; retryable?: boolean }
+): Promise<'retried' | 'dead_lettered'> {
+  const attempt = job.read_ct || 1;
+
+  if (result.retryable === false || shouldDeadLetter(attempt, retryPolicy)) {
+    const { error: deadLetterError } = await supabase.rpc('dead_letter_embedding_job', {
+      p_msg_id: job.msg_id,
+      p_error_message: result.error || 'Unknown error',
+      p_queue_name: job.queue_name
+    });
+
+    if (!deadLetterError) {
+      console.warn(`☠️ Dead-lettered job ${job.msg_id} after ${attempt} attempt(s)`);
+      return 'dead_lettered';
+    }
+
+    // Leave the job in the queue - it becomes visible again after the read timeout
+    await logEmbeddingError(
+      `Failed to dead-letter job ${job.msg_id}: ${deadLetterError.message}`,
+      { document_id: job.message?.document_id, attempt },
+      'process-embedding-queue',
+      String(job.msg_id)
+    );
+    return 'retried';
+  }
+
+  const delaySeconds = computeRetryDelaySeconds(attempt, retryPolicy);
+  const { error: delayError } = await supabase.rpc('pgmq_set_vt', {
+    queue_name: job.queue_name,
+    msg_id: job.msg_id,
+    delay_seconds: delaySeconds
+  });
+
+  if (delayError) {
+    // Not fatal: the job still reappears once the read visibility timeout expires
+    console.error(`Failed to delay retry of job ${job.msg_id}:`, delayError.message);
+  } else {
+    console.log(`🔁 Retrying job ${job.msg_id} in ${delaySeconds}s (attempt ${attempt}/${retryPolicy.maxRetries + 1})`);
+  }
+
+  return 'retried';
+}
+
+/**
+ * Outcome of one job within a run, stored in embedding_runs.job_outcomes
+ */
+interface JobOutcome {
+  msg_id: number;
+  queue_name: string;
+  document_id: string | null;
+  tenant_id: string | null;
+  attempt: number;
+  outcome: 'processed' | 'skipped' | 'retried' | 'dead_lettered' | 'deferred';
+  reason?: string;
+  error?: string;
+  duration_ms: number;
+}
+
+/**
+ * Records a processor invocation in embedding_runs
+ * Failing to record is logged but never fails the run - the jobs were already handled.
+ * 
+ * @param run - Row for embedding_runs
+ */
+async function recordEmbeddingRun(run: Record<string, unknown>): Promise<void> {
+  const { error } = await supabase.from('embedding_runs').insert(run);
+
+  if (error) {
+    console.error('Failed to record embedding run:', error.message);
   }
 }
 
@@ -170,14 +797,21 @@ async function processEmbeddingJob(job: any): Promise<{ success: boolean; error?
  * Main Edge Function handler - orchestrates the autonomous processing cycle
  * Self-invocation pattern: the function continues processing by calling itself
  * processing until the queue is empty, then stops automatically
+ * Exported so the offline tests can drive the loop without binding a port.
  */
-Deno.serve(async (req: Request) => {
+export async function handleRequest(req: Request): Promise<Response> {
   // Handle CORS preflight requests
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders });
   }
 
-  console.log(`🚀 Autonomous embedding processor started at ${new Date().toISOString()}`);
+  const startedAt = new Date();
+  // The autopilot marks its calls with X-Adaptive-Processing; other callers may name themselves
+  let triggerSource = req.headers.get('X-Adaptive-Processing') === 'true' ? 'autopilot' : 'manual';
+  const jobOutcomes: JobOutcome[] = [];
+  const phaseTimings = createPhaseTimings();
+
+  console.log(`🚀 Autonomous embedding processor started at ${startedAt.toISOString()}`);
 
   // NOTE: This autonomous processor is designed for single-instance operation.
   // For multi-instance production deployments, consider adding distributed locking
@@ -187,16 +821,67 @@ Deno.serve(async (req: Request) => {
   try {
     // Parse request parameters for adaptive processing
     const requestBody = req.method === 'POST' ? await req.json().catch(() => ({})) : {};
+    if (typeof requestBody.trigger_source === 'string' && requestBody.trigger_source) {
+      triggerSource = requestBody.trigger_source;
+    }
     // Configuration: Use environment variables with sensible defaults
-    const defaultBatchSize = Number(Deno.env.get('DEFAULT_BATCH_SIZE')) || 3;
+    const defaultBatchSize = Number(Deno.env.get('DEFAULT_BATCH_SIZE')) || 10;
     const defaultTimeoutSeconds = Number(Deno.env.get('MAX_PROCESSING_TIME_SECONDS')) || 30;
     
-    const batchSize = requestBody.batch_size || defaultBatchSize;
+    const batchSize = Math.min(requestBody.batch_size || defaultBatchSize, maxBatchSize);
     const maxProcessingTime = (requestBody.timeout_seconds || defaultTimeoutSeconds) * 1000;
     const processingStartTime = Date.now();
 
+    // Resolve the active (and any backfilling) models once per invocation
+    const targetProviders = await loadTargetProviders();
+
+    // A paused autopilot only reads jobs again after a successful probe
+    let circuit = await loadEmbeddingCircuit();
+    if (circuit?.state === 'open') {
+      circuit = await probeEmbeddingBackend(circuit, targetProviders);
+    }
+
+    if (circuit?.state === 'open') {
+      console.log(`⏸️ Autopilot paused: ${circuit.reason} - next probe at ${circuit.next_probe_at}`);
+
+      // Recorded so the run history shows the invocations the circuit suppressed
+      await recordEmbeddingRun({
+        started_at: startedAt.toISOString(),
+        trigger_source: triggerSource,
+        status: 'paused',
+        queue_size: requestBody.queue_size ?? null,
+        lane_depths: requestBody.lane_depths ?? null,
+        processing_time_ms: Date.now() - startedAt.getTime(),
+        embedding_models: [...targetProviders.keys()],
+        error_message: circuit.reason,
+        phase_timings_ms: phaseTimings
+      });
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          paused: true,
+          results: { processed: 0, errors: 0, skipped: 0, retried: 0, dead_lettered: 0, cycles: 0, circuit },
+          message: `Autopilot paused: ${circuit.reason}`,
+          timestamp: new Date().toISOString()
+        }),
+        {
+          status: 200,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // The failure streak carries over from earlier invocations
+    const backendHealth = createBackendHealth(circuitPolicy, circuit?.consecutive_failures ?? 0);
+    let reportedFailures = backendHealth.consecutiveFailures;
+
     let totalProcessed = 0;
     let totalErrors = 0;
+    let totalSkipped = 0;
+    let totalRetried = 0;
+    let totalDeadLettered = 0;
+    let totalDeferred = 0;
     let processingCycles = 0;
 
     // Self-invoking processing loop - continues until queue is empty or timeout
@@ -204,55 +889,95 @@ Deno.serve(async (req: Request) => {
       processingCycles++;
       console.log(`🔄 Processing cycle ${processingCycles} (batch size: ${batchSize})`);
 
-      // Read jobs from the queue using the secure RPC wrapper
-      const { data: jobs, error: readError } = await supabase.rpc('pgmq_read', {
-        queue_name: 'embedding_jobs',
-        visibility_timeout: 30,
-        batch_size: batchSize
-      });
-
-      if (readError) {
+      // Read jobs from the priority lanes using the secure RPC wrapper
+      let jobs: any[];
+      try {
+        jobs = await timePhase(phaseTimings, 'read', () => readNextBatch(batchSize));
+      } catch (readError) {
         await logEmbeddingError(
           'Failed to read from queue',
-          { error: readError, batch_size: batchSize },
+          { error: readError instanceof Error ? readError.message : String(readError), batch_size: batchSize },
           'process-embedding-queue'
         );
         break;
       }
 
       // If no jobs, we're done - this is the "auto-stop" behavior
-      if (!jobs || jobs.length === 0) {
+      if (jobs.length === 0) {
         console.log('✅ Queue is empty - autonomous processing complete');
         break;
       }
 
       console.log(`📦 Processing batch of ${jobs.length} jobs`);
 
-      // Process each job in the batch
-      for (const job of jobs) {
-        const result = await processEmbeddingJob(job);
-        
-        if (result.success) {
-          totalProcessed++;
-          
-          // Archive successful job (remove from queue)
-          const { error: archiveError } = await supabase.rpc('pgmq_archive', {
-            queue_name: 'embedding_jobs',
-            msg_id: job.msg_id
-          });
-
-          if (archiveError) {
-            await logEmbeddingError(
-              `Failed to archive job ${job.msg_id}`,
-              { job, archiveError },
-              'process-embedding-queue',
-              String(job.msg_id)
-            );
+      // Embed the whole batch, then archive finished jobs per lane and handle failures
+      const batchResults = await processEmbeddingBatch(jobs, targetProviders, phaseTimings, backendHealth);
+
+      // Stored first, so jobs deferred by an opening circuit know when the next probe is
+      if (backendHealth.consecutiveFailures !== reportedFailures) {
+        reportedFailures = backendHealth.consecutiveFailures;
+        circuit = await reportBackendHealth(backendHealth.consecutiveFailures, backendHealth.lastError) ?? circuit;
+      }
+
+      await timePhase(phaseTimings, 'archive', () => Promise.all(QUEUE_LANES.map((queueName) => {
+        // Skipped jobs are done too
+        const finished = jobs.filter((job, index) => job.queue_name === queueName && batchResults[index].result.success);
+        return finished.length > 0 ? archiveJobs(queueName, finished) : Promise.resolve();
+      })));
+
+      for (const [index, job] of jobs.entries()) {
+        const { result, duration_ms } = batchResults[index];
+        let outcome: JobOutcome['outcome'];
+
+        if (result.deferred) {
+          totalDeferred++;
+          outcome = 'deferred';
+        } else if (result.success) {
+          if (result.skipped) {
+            totalSkipped++;
+            outcome = 'skipped';
+          } else {
+            totalProcessed++;
+            outcome = 'processed';
           }
         } else {
           totalErrors++;
-          // Failed jobs remain in queue for retry (pgmq handles this automatically)
+
+          outcome = await timePhase(phaseTimings, 'failures', () => handleFailedJob(job, result));
+          if (outcome === 'dead_lettered') {
+            totalDeadLettered++;
+          } else {
+            totalRetried++;
+          }
         }
+
+        jobOutcomes.push({
+          msg_id: job.msg_id,
+          queue_name: job.queue_name,
+          document_id: job.message?.document_id ?? null,
+          tenant_id: job.message?.tenant_id ?? null,
+          attempt: job.read_ct,
+          outcome,
+          ...(result.skipped ? { reason: result.skipped } : {}),
+          ...(result.error ? { error: result.error } : {}),
+          duration_ms
+        });
+      }
+
+      const deferred = jobs.filter((_job, index) => batchResults[index].result.deferred);
+      if (deferred.length > 0) {
+        await timePhase(phaseTimings, 'failures', () => deferJobs(deferred, circuit?.next_probe_at ?? null));
+      }
+
+      // The backend is down - stop reading jobs that would only fail too
+      if (backendHealth.tripped) {
+        console.warn(`⏸️ ${backendHealth.consecutiveFailures} consecutive embedding failures - pausing autopilot`);
+        await logEmbeddingError(
+          `Embedding circuit opened after ${backendHealth.consecutiveFailures} consecutive failures`,
+          { last_error: backendHealth.lastError, next_probe_at: circuit?.next_probe_at ?? null },
+          'process-embedding-queue'
+        );
+        break;
       }
 
       // Brief pause between batches to prevent overwhelming the system
@@ -265,7 +990,28 @@ Deno.serve(async (req: Request) => {
     const processingTime = Date.now() - processingStartTime;
     const throughput = totalProcessed > 0 ? Math.round((totalProcessed / processingTime) * 1000) : 0;
 
-    console.log(`📊 Processing complete: ${totalProcessed} successful, ${totalErrors} errors, ${processingCycles} cycles in ${processingTime}ms`);
+    console.log(`📊 Processing complete: ${totalProcessed} successful, ${totalSkipped} skipped, ${totalErrors} errors, ${processingCycles} cycles in ${processingTime}ms`);
+
+    await recordEmbeddingRun({
+      started_at: startedAt.toISOString(),
+      trigger_source: triggerSource,
+      status: 'completed',
+      batch_size: batchSize,
+      requested_batch_size: requestBody.batch_size ?? null,
+      queue_size: requestBody.queue_size ?? null,
+      lane_depths: requestBody.lane_depths ?? null,
+      cycles: processingCycles,
+      processed: totalProcessed,
+      skipped: totalSkipped,
+      errors: totalErrors,
+      retried: totalRetried,
+      dead_lettered: totalDeadLettered,
+      processing_time_ms: processingTime,
+      throughput_per_second: processingTime > 0 ? Number((totalProcessed / (processingTime / 1000)).toFixed(2)) : 0,
+      embedding_models: [...targetProviders.keys()],
+      phase_timings_ms: phaseTimings,
+      job_outcomes: jobOutcomes
+    });
 
     // Return comprehensive processing results
     return new Response(
@@ -274,14 +1020,24 @@ Deno.serve(async (req: Request) => {
         results: {
           processed: totalProcessed,
           errors: totalErrors,
+          skipped: totalSkipped,
+          retried: totalRetried,
+          dead_lettered: totalDeadLettered,
+          deferred: totalDeferred,
           cycles: processingCycles,
           processing_time_ms: processingTime,
           throughput_per_second: throughput,
-          batch_size: batchSize
+          batch_size: batchSize,
+          embedding_concurrency: embeddingConcurrency,
+          phase_timings_ms: phaseTimings,
+          embedding_models: [...targetProviders.keys()],
+          circuit
         },
-        message: totalProcessed > 0 
-          ? `Successfully processed ${totalProcessed} documents` 
-          : 'No documents to process - queue is empty',
+        message: backendHealth.tripped
+          ? `Autopilot paused: ${circuit?.reason ?? backendHealth.lastError}`
+          : totalProcessed > 0 
+            ? `Successfully processed ${totalProcessed} documents` 
+            : 'No documents to process - queue is empty',
         timestamp: new Date().toISOString()
       }),
       {
@@ -305,6 +1061,23 @@ Deno.serve(async (req: Request) => {
     // Also keep console.error for immediate visibility during debugging
     console.error('💥 Unexpected error in autonomous processor:', error);
 
+    // Jobs handled before the failure are still recorded with the failed run
+    const countOutcomes = (outcome: JobOutcome['outcome']) => jobOutcomes.filter((job) => job.outcome === outcome).length;
+    await recordEmbeddingRun({
+      started_at: startedAt.toISOString(),
+      trigger_source: triggerSource,
+      status: 'failed',
+      processed: countOutcomes('processed'),
+      skipped: countOutcomes('skipped'),
+      errors: countOutcomes('retried') + countOutcomes('dead_lettered'),
+      retried: countOutcomes('retried'),
+      dead_lettered: countOutcomes('dead_lettered'),
+      processing_time_ms: Date.now() - startedAt.getTime(),
+      error_message: error.message,
+      phase_timings_ms: phaseTimings,
+      job_outcomes: jobOutcomes
+    });
+
     return new Response(
       JSON.stringify({
         success: false,
@@ -318,4 +1091,6 @@ Deno.serve(async (req: Request) => {
       }
     );
   }
-});
+}
+
+Deno.serve(handleRequest);
@@ -0,0 +1,346 @@
+/**
+ * Text Search Endpoint
+ *
+ * Accepts plain query text, embeds it server-side with the same model that indexed
+ * the documents (the active model in embedding_models), and returns ranked documents
+ * with snippets. Frontends and backend services can search without bundling a model
+ * or duplicating the embedding code.
+ *
+ * Request (POST JSON):
+ * - query:           Plain query text (required)
+ * - mode:            'semantic' (default), 'hybrid' (keyword + vector) or 'chunks'
+ * - match_count:     Maximum number of documents (default 10, max 100)
+ * - match_threshold: Minimum similarity for semantic and chunk modes (default 0.78)
+ * - filters:         { document_type?, contains?, metadata?, created_at?, updated_at? }
+ *                    (see compile_search_filter in migration 021)
+ * - tenant_id:       Tenant to search (service-role callers; default 'default')
+ * - cursor:          next_cursor of the previous page (semantic mode only)
+ *
+ * Filters are applied inside the vector query, so every page holds up to match_count
+ * matching documents. A semantic response with a full page carries next_cursor; pass it
+ * back with the same query and filters to continue after the last result.
+ *
+ * Every search reads exactly one tenant. The search RPCs run with the caller's
+ * Authorization header, so a user or anon token searches the tenant in its JWT and
+ * is refused (403) for any other; only service-role callers choose tenant_id.
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { buildSnippet } from '../_shared/snippets.ts';
+import {
+  createEmbeddingProvider,
+  loadRegisteredProviders,
+  validateEmbedding,
+  type EmbeddingProvider
+} from '../_shared/embedding-providers.ts';
+
+// Service role client - reads the model registry
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+);
+
+const SEARCH_MODES = ['semantic', 'hybrid', 'chunks'];
+const MAX_MATCH_COUNT = 100;
+
+interface SearchFilters {
+  document_type?: string;
+  contains?: Record<string, unknown>;
+  metadata?: Record<string, unknown>;
+  created_at?: Record<string, string>;
+  updated_at?: Record<string, string>;
+}
+
+/**
+ * Position after the last result of a page: its similarity and every document
+ * returned so far at exactly that similarity
+ */
+interface SearchCursor {
+  similarity: number;
+  document_ids: string[];
+}
+
+interface SearchRequest {
+  query: string;
+  mode: string;
+  match_count: number;
+  match_threshold: number;
+  filters: SearchFilters;
+  tenant_id: string | null;
+  cursor: SearchCursor | null;
+}
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class SearchError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message);
+  }
+}
+
+const encodeCursor = (cursor: SearchCursor): string =>
+  btoa(JSON.stringify(cursor)).replaceAll('+', '-').replaceAll('/', '_').replace(/=+$/, '');
+
+/**
+ * @throws Error if the value is not a cursor returned by this endpoint
+ */
+function decodeCursor(value: unknown): SearchCursor {
+  try {
+    const cursor = JSON.parse(atob(String(value).replaceAll('-', '+').replaceAll('_', '/')));
+    if (Number.isFinite(cursor.similarity) && Array.isArray(cursor.document_ids) &&
+        cursor.document_ids.every((id: unknown) => typeof id === 'string')) {
+      return { similarity: cursor.similarity, document_ids: cursor.document_ids };
+    }
+  } catch {
+    // Reported below
+  }
+  throw new Error('cursor is invalid - pass next_cursor from the previous response unchanged');
+}
+
+/**
+ * Validates the request body and applies defaults
+ *
+ * @throws Error with a client-facing message if the request is invalid
+ */
+function parseSearchRequest(body: any): SearchRequest {
+  const query = typeof body?.query === 'string' ? body.query.trim() : '';
+  if (!query) {
+    throw new Error('query is required and must be a non-empty string');
+  }
+
+  const mode = body.mode ?? 'semantic';
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${SEARCH_MODES.join(', ')}`);
+  }
+
+  const matchCount = Number(body.match_count ?? 10);
+  if (!Number.isInteger(matchCount) || matchCount < 1 || matchCount > MAX_MATCH_COUNT) {
+    throw new Error(`match_count must be an integer between 1 and ${MAX_MATCH_COUNT}`);
+  }
+
+  const matchThreshold = Number(body.match_threshold ?? 0.78);
+  if (!Number.isFinite(matchThreshold) || matchThreshold < -1 || matchThreshold > 1) {
+    throw new Error('match_threshold must be a number between -1 and 1');
+  }
+
+  if (body.tenant_id !== undefined && body.tenant_id !== null && (typeof body.tenant_id !== 'string' || !body.tenant_id.trim())) {
+    throw new Error('tenant_id must be a non-empty string');
+  }
+
+  const filters = body.filters ?? {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('filters must be an object');
+  }
+  if (filters.document_type !== undefined && typeof filters.document_type !== 'string') {
+    throw new Error('filters.document_type must be a string');
+  }
+  if (filters.metadata !== undefined && (typeof filters.metadata !== 'object' || filters.metadata === null || Array.isArray(filters.metadata))) {
+    throw new Error('filters.metadata must be an object');
+  }
+
+  if (body.cursor !== undefined && body.cursor !== null && mode !== 'semantic') {
+    throw new Error('cursor is only supported in semantic mode');
+  }
+
+  return {
+    query,
+    mode,
+    match_count: matchCount,
+    match_threshold: matchThreshold,
+    filters,
+    tenant_id: body.tenant_id?.trim() ?? null,
+    cursor: body.cursor === undefined || body.cursor === null ? null : decodeCursor(body.cursor)
+  };
+}
+
+/**
+ * Filter for the search RPCs; document_type is shorthand for a metadata equality, which
+ * compile_search_filter turns into a containment the GIN index can serve
+ */
+function toFilterConditions(filters: SearchFilters): Record<string, unknown> | null {
+  const { document_type: documentType, ...conditions } = filters;
+  if (documentType) {
+    conditions.metadata = { ...conditions.metadata, document_type: documentType };
+  }
+  return Object.keys(conditions).length ? conditions : null;
+}
+
+/**
+ * Client that calls the search RPCs as the caller, so the database decides which
+ * tenant the request may read (see resolve_search_tenant)
+ */
+function createCallerClient(req: Request) {
+  const authorization = req.headers.get('Authorization');
+
+  return createClient(
+    Deno.env.get('SUPABASE_URL')!,
+    Deno.env.get('SUPABASE_ANON_KEY')!,
+    {
+      global: { headers: authorization ? { Authorization: authorization } : {} },
+      auth: { persistSession: false }
+    }
+  );
+}
+
+/**
+ * Turns a search RPC error into a SearchError; a refused tenant or an invalid filter
+ * is the caller's fault
+ */
+function searchRpcError(error: { code?: string; message: string }, label: string): SearchError {
+  if (error.code === '42501') return new SearchError(error.message, 403);
+  if (error.code === '22023') return new SearchError(error.message, 400);
+  return new SearchError(`${label} failed: ${error.message}`, 500);
+}
+
+/**
+ * Cursor for the page after a full semantic page, or null when there is no next page.
+ * Documents tied with the last result on earlier pages stay in the cursor so ties that
+ * span several pages are still excluded.
+ */
+function nextCursor(request: SearchRequest, results: any[]): string | null {
+  if (request.mode !== 'semantic' || results.length < request.match_count) {
+    return null;
+  }
+
+  const similarity = results[results.length - 1].similarity;
+  const tiedIds = results.filter((result) => result.similarity === similarity).map((result) => result.document_id);
+  const earlierIds = request.cursor && request.cursor.similarity === similarity ? request.cursor.document_ids : [];
+
+  return encodeCursor({ similarity, document_ids: [...earlierIds, ...tiedIds] });
+}
+
+/**
+ * Resolves the provider of the active model so queries are embedded with the same
+ * model as the indexed documents. Falls back to the environment-configured provider
+ * when no model registry is available.
+ */
+async function loadActiveProvider(): Promise<EmbeddingProvider> {
+  const registeredProviders = await loadRegisteredProviders(supabase, ['active'], (key) => Deno.env.get(key));
+  return registeredProviders?.values().next().value ?? createEmbeddingProvider((key) => Deno.env.get(key));
+}
+
+/**
+ * Runs the search RPC for the requested mode and shapes results with snippets
+ */
+async function runSearch(
+  caller: ReturnType<typeof createClient>,
+  request: SearchRequest,
+  queryEmbedding: number[]
+): Promise<any[]> {
+  const filterConditions = toFilterConditions(request.filters);
+
+  if (request.mode === 'hybrid') {
+    const { data, error } = await caller.rpc('hybrid_search_documents', {
+      query_text: request.query,
+      query_embedding: queryEmbedding,
+      match_count: request.match_count,
+      filter_tenant_id: request.tenant_id,
+      filter_conditions: filterConditions
+    });
+    if (error) throw searchRpcError(error, 'Hybrid search');
+
+    return (data || []).map((result: any) => ({
+      document_id: result.document_id,
+      score: result.score,
+      full_text_rank: result.full_text_rank,
+      semantic_rank: result.semantic_rank,
+      semantic_similarity: result.semantic_similarity,
+      snippet: buildSnippet(result.content, request.query),
+      metadata: result.metadata
+    }));
+  }
+
+  if (request.mode === 'chunks') {
+    const { data, error } = await caller.rpc('semantic_search_chunks', {
+      query_embedding: queryEmbedding,
+      match_threshold: request.match_threshold,
+      match_count: request.match_count,
+      filter_tenant_id: request.tenant_id,
+      filter_conditions: filterConditions
+    });
+    if (error) throw searchRpcError(error, 'Chunk search');
+
+    return (data || []).map((result: any) => ({
+      document_id: result.document_id,
+      similarity: result.similarity,
+      snippet: buildSnippet(result.matched_chunks?.[0]?.content ?? '', request.query),
+      matched_chunks: result.matched_chunks,
+      metadata: result.metadata
+    }));
+  }
+
+  const { data, error } = await caller.rpc('semantic_search_documents', {
+    query_embedding: queryEmbedding,
+    match_threshold: request.match_threshold,
+    match_count: request.match_count,
+    filter_tenant_id: request.tenant_id,
+    filter_conditions: filterConditions,
+    after_similarity: request.cursor?.similarity ?? null,
+    after_document_ids: request.cursor?.document_ids ?? null
+  });
+  if (error) throw searchRpcError(error, 'Semantic search');
+
+  return (data || []).map((result: any) => ({
+    document_id: result.document_id,
+    similarity: result.similarity,
+    snippet: buildSnippet(result.content, request.query),
+    metadata: result.metadata
+  }));
+}
+
+Deno.serve(async (req: Request) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const jsonResponse = (body: unknown, status: number) => new Response(
+    JSON.stringify({ ...(body as object), timestamp: new Date().toISOString() }),
+    { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  );
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ success: false, error: 'Method not allowed - use POST' }, 405);
+  }
+
+  let request: SearchRequest;
+  try {
+    request = parseSearchRequest(await req.json().catch(() => ({})));
+  } catch (error) {
+    return jsonResponse({ success: false, error: error instanceof Error ? error.message : String(error) }, 400);
+  }
+
+  try {
+    const searchStartTime = Date.now();
+
+    const provider = await loadActiveProvider();
+    const queryEmbedding = validateEmbedding(await provider.embed(request.query), provider);
+    const results = await runSearch(createCallerClient(req), request, queryEmbedding);
+
+    return jsonResponse({
+      success: true,
+      query: request.query,
+      mode: request.mode,
+      model: provider.model,
+      count: results.length,
+      results,
+      next_cursor: nextCursor(request, results),
+      search_time_ms: Date.now() - searchStartTime
+    }, 200);
+
+  } catch (error: any) {
+    if (error instanceof SearchError && error.status < 500) {
+      return jsonResponse({ success: false, error: error.message }, error.status);
+    }
+
+    console.error('💥 Search failed:', error);
+
+    return jsonResponse({
+      success: false,
+      error: 'Search failed',
+      details: error.message
+    }, 500);
+  }
+});
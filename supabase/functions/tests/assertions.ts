@@ -0,0 +1,46 @@
+/**
+ * Test Assertions
+ *
+ * The assertions and the stub the Edge Function tests use, built on Deno's bundled
+ * node:assert so the suite runs offline without fetching @std packages from JSR.
+ */
+
+import nodeAssert from 'node:assert/strict';
+
+export function assert(condition: unknown, message?: string): asserts condition {
+  nodeAssert.ok(condition, message);
+}
+
+export function assertEquals(actual: unknown, expected: unknown, message?: string): void {
+  nodeAssert.deepStrictEqual(actual, expected, message);
+}
+
+export function assertMatch(actual: string, expected: RegExp, message?: string): void {
+  nodeAssert.match(actual, expected, message);
+}
+
+export function assertThrows(fn: () => unknown, expected: RegExp, message?: string): void {
+  nodeAssert.throws(fn, expected, message);
+}
+
+/**
+ * Replaces a method until restore() is called
+ *
+ * @param target - Object that owns the method
+ * @param property - Name of the method
+ * @param replacement - Implementation used meanwhile
+ */
+export function stub<T extends object, K extends keyof T>(target: T, property: K, replacement: T[K]): { restore(): void } {
+  const original = Object.getOwnPropertyDescriptor(target, property);
+  Object.defineProperty(target, property, { configurable: true, writable: true, value: replacement });
+
+  return {
+    restore() {
+      if (original) {
+        Object.defineProperty(target, property, original);
+      } else {
+        delete target[property];
+      }
+    }
+  };
+}
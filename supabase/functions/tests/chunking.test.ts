@@ -0,0 +1,81 @@
+/**
+ * Tests for the shared chunking utilities
+ *
+ * Covers the boundary cases of chunkText: blank input, text that fits in one chunk,
+ * lengths that are exact multiples of the chunk size, the overlap carried between
+ * chunks and overlaps that could never make progress.
+ *
+ *   deno test --allow-env --config supabase/functions/tests/deno.json supabase/functions/tests/
+ */
+
+import { assert, assertEquals, assertThrows } from './assertions.ts';
+import { chunkText, chunkingOptionsFromEnv, type TextChunk } from '../_shared/chunking.ts';
+
+// Every chunk must be traceable to the original text and fit the model input window
+function assertWellFormed(text: string, chunks: TextChunk[], chunkSize: number) {
+  chunks.forEach((chunk, index) => {
+    assertEquals(chunk.chunk_index, index);
+    assertEquals(chunk.content, text.slice(chunk.start_offset, chunk.end_offset));
+    assert(chunk.content.length <= chunkSize, `chunk ${index} is ${chunk.content.length} characters long`);
+  });
+}
+
+Deno.test('chunkText returns no chunks for empty or blank text', () => {
+  assertEquals(chunkText('', { chunkSize: 100, chunkOverlap: 10 }), []);
+  assertEquals(chunkText('  \n\n \t ', { chunkSize: 100, chunkOverlap: 10 }), []);
+});
+
+Deno.test('chunkText keeps text shorter than one chunk whole, without surrounding whitespace', () => {
+  const text = '\n  A short document. It fits in one chunk.  \n';
+
+  assertEquals(chunkText(text, { chunkSize: 100, chunkOverlap: 10 }), [{
+    chunk_index: 0,
+    content: 'A short document. It fits in one chunk.',
+    start_offset: 3,
+    end_offset: 42
+  }]);
+});
+
+Deno.test('chunkText keeps text of exactly the chunk size in one chunk', () => {
+  const text = 'x'.repeat(50);
+
+  const chunks = chunkText(text, { chunkSize: 50, chunkOverlap: 10 });
+
+  assertEquals(chunks.length, 1);
+  assertEquals(chunks[0].content, text);
+});
+
+Deno.test('chunkText cuts unbroken text of an exact multiple of the chunk size into full chunks', () => {
+  const text = 'x'.repeat(150);
+
+  const chunks = chunkText(text, { chunkSize: 50, chunkOverlap: 0 });
+
+  assertEquals(chunks.map((chunk) => [chunk.start_offset, chunk.end_offset]), [[0, 50], [50, 100], [100, 150]]);
+  assertWellFormed(text, chunks, 50);
+});
+
+Deno.test('chunkText repeats trailing sentences as overlap within the size limit', () => {
+  const text = 'Aaaa aaaa. Bbbb bbbb. Cccc cccc. Dddd dddd.';
+
+  const chunks = chunkText(text, { chunkSize: 30, chunkOverlap: 12 });
+
+  assertEquals(chunks.map((chunk) => chunk.content), [
+    'Aaaa aaaa. Bbbb bbbb.',
+    'Bbbb bbbb. Cccc cccc.',
+    'Cccc cccc. Dddd dddd.'
+  ]);
+  assertWellFormed(text, chunks, 30);
+});
+
+Deno.test('chunkText rejects an overlap that is not smaller than the chunk size', () => {
+  assertThrows(() => chunkText('Some text', { chunkSize: 50, chunkOverlap: 50 }), /Invalid chunk overlap: 50/);
+  assertThrows(() => chunkText('Some text', { chunkSize: 50, chunkOverlap: 80 }), /Invalid chunk overlap: 80/);
+});
+
+Deno.test('chunkingOptionsFromEnv validates the configured overlap', () => {
+  const env = (values: Record<string, string>) => (key: string) => values[key];
+
+  assertEquals(chunkingOptionsFromEnv(env({})), { chunkSize: 1000, chunkOverlap: 200 });
+  assertEquals(chunkingOptionsFromEnv(env({ CHUNK_SIZE: '500', CHUNK_OVERLAP: '0' })), { chunkSize: 500, chunkOverlap: 0 });
+  assertThrows(() => chunkingOptionsFromEnv(env({ CHUNK_SIZE: '500', CHUNK_OVERLAP: '500' })), /Invalid chunk overlap/);
+});
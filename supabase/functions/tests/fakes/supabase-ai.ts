@@ -0,0 +1,55 @@
+/**
+ * Stub Supabase.ai Runtime
+ *
+ * The gte-small provider calls the Edge Runtime global Supabase.ai.Session, which does
+ * not exist under `deno test`. installSupabaseAi() puts a stand-in on globalThis whose
+ * output is controlled through fakeAi: vector length, artificial latency and failures.
+ * maxInFlight records the most calls that were running at the same time.
+ * Vectors are derived from the text length so identical text embeds identically.
+ */
+
+export const fakeAi = {
+  dimensions: 384,
+  delayMs: 0,
+  failWith: null as string | null,
+  calls: [] as Array<{ model: string; text: string; options: Record<string, unknown> }>,
+  inFlight: 0,
+  maxInFlight: 0,
+
+  reset() {
+    this.dimensions = 384;
+    this.delayMs = 0;
+    this.failWith = null;
+    this.calls.length = 0;
+    this.inFlight = 0;
+    this.maxInFlight = 0;
+  }
+};
+
+class FakeSession {
+  constructor(private model: string) {}
+
+  async run(text: string, options: Record<string, unknown> = {}): Promise<number[]> {
+    fakeAi.calls.push({ model: this.model, text, options });
+    fakeAi.inFlight++;
+    fakeAi.maxInFlight = Math.max(fakeAi.maxInFlight, fakeAi.inFlight);
+
+    try {
+      if (fakeAi.delayMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, fakeAi.delayMs));
+      }
+      if (fakeAi.failWith) {
+        throw new Error(fakeAi.failWith);
+      }
+    } finally {
+      fakeAi.inFlight--;
+    }
+
+    const value = 1 / Math.sqrt(fakeAi.dimensions);
+    return new Array(fakeAi.dimensions).fill(text.length % 2 === 0 ? value : -value);
+  }
+}
+
+export function installSupabaseAi(): void {
+  (globalThis as any).Supabase = { ai: { Session: FakeSession } };
+}
@@ -0,0 +1,294 @@
+/**
+ * In-memory Supabase Client
+ *
+ * Stands in for https://esm.sh/@supabase/supabase-js@2 in the offline tests (see the
+ * import map in ../deno.json). It implements the RPCs and tables the embedding
+ * processor uses with the same semantics as the SQL behind them:
+ * - pgmq_read / pgmq_archive_batch / pgmq_set_vt / pgmq_defer_batch: visibility timeouts and read_ct like pgmq
+ * - dead_letter_embedding_job: moves the message to embedding_jobs_dlq
+ * - log_embedding_error: collects rows in errorLog
+ * - get_embedding_circuit / report_embedding_backend_health: the circuit breaker row
+ * - is_embedding_job_current / store_document_embeddings: compare against documents
+ * - from(): select/eq/in/insert on embedding_models, document_chunks and embedding_runs
+ *
+ * Any RPC or table can be made to fail with fail(name, message).
+ */
+
+import { createHash } from 'node:crypto';
+
+export interface FakeQueueMessage {
+  msg_id: number;
+  read_ct: number;
+  enqueued_at: string;
+  vt: number; // Epoch milliseconds when the message becomes visible
+  message: Record<string, any>;
+}
+
+type Result = { data: any; error: { message: string } | null };
+
+const closedCircuit = () => ({
+  state: 'closed' as 'closed' | 'open',
+  consecutive_failures: 0,
+  last_error: null as string | null,
+  reason: null as string | null,
+  opened_at: null as string | null,
+  probe_attempts: 0,
+  next_probe_at: null as string | null
+});
+
+function md5(text: string): string {
+  return createHash('md5').update(text).digest('hex');
+}
+
+export function createFakeSupabase() {
+  const state = {
+    queues: new Map<string, FakeQueueMessage[]>(),
+    archives: new Map<string, FakeQueueMessage[]>(),
+    documents: new Map<string, string>(),
+    embeddings: new Map<string, { document_id: string; model_name: string; source_text: string; embedding: number[] }>(),
+    tables: new Map<string, Record<string, any>[]>(),
+    errorLog: [] as Record<string, any>[],
+    rpcCalls: [] as Array<{ fn: string; params: Record<string, any> }>,
+    failures: new Map<string, string>(),
+    circuit: closedCircuit(),
+    nextMsgId: 1
+  };
+
+  const ok = (data: any): Result => ({ data, error: null });
+  const queue = (name: string) => {
+    if (!state.queues.has(name)) state.queues.set(name, []);
+    return state.queues.get(name)!;
+  };
+  const table = (name: string) => {
+    if (!state.tables.has(name)) state.tables.set(name, []);
+    return state.tables.get(name)!;
+  };
+
+  const storeEmbedding = (item: Record<string, any>) => {
+    const chunks = table('document_chunks');
+    const kept = chunks.filter((chunk) => chunk.document_id !== item.document_id || chunk.model_name !== item.model_name);
+    chunks.splice(0, chunks.length, ...kept, ...(item.chunks || []).map((chunk: any) => ({
+      document_id: item.document_id,
+      model_name: item.model_name,
+      chunk_index: chunk.chunk_index,
+      chunk_text: chunk.content,
+      embedding: chunk.embedding
+    })));
+
+    state.embeddings.set(`${item.document_id}:${item.model_name}`, {
+      document_id: item.document_id,
+      model_name: item.model_name,
+      source_text: item.source_text,
+      embedding: item.embedding
+    });
+  };
+
+  const rpcs: Record<string, (params: Record<string, any>) => Result> = {
+    pgmq_read({ queue_name, visibility_timeout, batch_size }) {
+      const now = Date.now();
+      const visible = queue(queue_name).filter((msg) => msg.vt <= now).slice(0, batch_size);
+
+      for (const msg of visible) {
+        msg.read_ct++;
+        msg.vt = now + visibility_timeout * 1000;
+      }
+      return ok(visible.map((msg) => ({ ...msg, vt: new Date(msg.vt).toISOString() })));
+    },
+
+    pgmq_archive_batch({ queue_name, msg_ids }) {
+      const messages = queue(queue_name);
+      const archived = messages.filter((msg) => msg_ids.includes(msg.msg_id));
+      messages.splice(0, messages.length, ...messages.filter((msg) => !msg_ids.includes(msg.msg_id)));
+
+      if (!state.archives.has(queue_name)) state.archives.set(queue_name, []);
+      state.archives.get(queue_name)!.push(...archived);
+      return ok(archived.map((msg) => msg.msg_id));
+    },
+
+    pgmq_set_vt({ queue_name, msg_id, delay_seconds }) {
+      const msg = queue(queue_name).find((candidate) => candidate.msg_id === msg_id);
+      if (msg) msg.vt = Date.now() + delay_seconds * 1000;
+      return ok(!!msg);
+    },
+
+    pgmq_defer_batch({ queue_name, msg_ids, visible_at }) {
+      const deferred = queue(queue_name).filter((msg) => msg_ids.includes(msg.msg_id));
+      for (const msg of deferred) {
+        msg.vt = new Date(visible_at).getTime();
+        msg.read_ct = Math.max(msg.read_ct - 1, 0);
+      }
+      return ok(deferred.map((msg) => msg.msg_id));
+    },
+
+    dead_letter_embedding_job({ p_msg_id, p_error_message, p_queue_name }) {
+      const messages = queue(p_queue_name ?? 'embedding_jobs');
+      const index = messages.findIndex((msg) => msg.msg_id === p_msg_id);
+      if (index === -1) return ok(null);
+
+      const [job] = messages.splice(index, 1);
+      return ok(fake.enqueue('embedding_jobs_dlq', {
+        ...job.message,
+        dead_letter: { last_error: p_error_message, attempts: job.read_ct, source_queue: p_queue_name, original_msg_id: job.msg_id }
+      }));
+    },
+
+    get_embedding_circuit() {
+      return ok([{ ...state.circuit }]);
+    },
+
+    report_embedding_backend_health({ p_consecutive_failures, p_last_error, p_failure_threshold, p_probe_base_delay_seconds, p_probe_max_delay_seconds }) {
+      const circuit = state.circuit;
+      if (p_consecutive_failures <= 0) {
+        Object.assign(circuit, closedCircuit(), { last_error: circuit.last_error });
+      } else if (p_consecutive_failures >= p_failure_threshold) {
+        const wasOpen = circuit.state === 'open';
+        const probeAttempts = wasOpen ? circuit.probe_attempts + 1 : 0;
+        const delaySeconds = Math.min(p_probe_base_delay_seconds * Math.pow(2, probeAttempts), p_probe_max_delay_seconds);
+        Object.assign(circuit, {
+          state: 'open',
+          consecutive_failures: p_consecutive_failures,
+          last_error: p_last_error,
+          reason: `Paused after ${p_consecutive_failures} consecutive embedding failures: ${p_last_error ?? 'unknown error'}`,
+          opened_at: wasOpen ? circuit.opened_at : new Date().toISOString(),
+          probe_attempts: probeAttempts,
+          next_probe_at: new Date(Date.now() + delaySeconds * 1000).toISOString()
+        });
+      } else {
+        Object.assign(circuit, { consecutive_failures: p_consecutive_failures, last_error: p_last_error });
+      }
+      return ok([{ ...circuit }]);
+    },
+
+    log_embedding_error(params) {
+      state.errorLog.push(params);
+      return ok(null);
+    },
+
+    is_embedding_job_current({ p_document_id, p_source_text_hash, p_source_text }) {
+      const content = state.documents.get(p_document_id);
+      return ok(content !== undefined && md5(content) === (p_source_text_hash ?? md5(p_source_text)));
+    },
+
+    store_document_embeddings({ p_embeddings }) {
+      return ok(p_embeddings.map((item: any) => {
+        const stored = state.documents.get(item.document_id) === item.source_text;
+        if (stored) storeEmbedding(item);
+        return { document_id: item.document_id, model_name: item.model_name, stored };
+      }));
+    }
+  };
+
+  /**
+   * Minimal PostgREST query builder: awaiting it runs the select or insert
+   */
+  function query(tableName: string) {
+    const filters: Array<(row: Record<string, any>) => boolean> = [];
+    let rowsToInsert: Record<string, any>[] | null = null;
+
+    const execute = (): Result => {
+      const failure = state.failures.get(tableName);
+      if (failure) return { data: null, error: { message: failure } };
+
+      if (rowsToInsert) {
+        table(tableName).push(...rowsToInsert);
+        return ok(null);
+      }
+      return ok(table(tableName).filter((row) => filters.every((filter) => filter(row))));
+    };
+
+    const builder = {
+      select(_columns?: string) {
+        return builder;
+      },
+      eq(column: string, value: unknown) {
+        filters.push((row) => row[column] === value);
+        return builder;
+      },
+      in(column: string, values: unknown[]) {
+        filters.push((row) => values.includes(row[column]));
+        return builder;
+      },
+      insert(rows: Record<string, any> | Record<string, any>[]) {
+        rowsToInsert = Array.isArray(rows) ? rows : [rows];
+        return builder;
+      },
+      then<T>(resolve: (result: Result) => T, reject?: (error: unknown) => T) {
+        return Promise.resolve().then(execute).then(resolve, reject);
+      }
+    };
+    return builder;
+  }
+
+  const fake = {
+    ...state,
+
+    rpc(fn: string, params: Record<string, any> = {}): Promise<Result> {
+      state.rpcCalls.push({ fn, params });
+
+      const failure = state.failures.get(fn);
+      if (failure) return Promise.resolve({ data: null, error: { message: failure } });
+
+      const handler = rpcs[fn];
+      if (!handler) return Promise.resolve({ data: null, error: { message: `function ${fn} does not exist` } });
+      return Promise.resolve(handler(params));
+    },
+
+    from(tableName: string) {
+      return query(tableName);
+    },
+
+    /** Adds a message to a queue lane, visible immediately unless read_ct/vt say otherwise */
+    enqueue(queueName: string, message: Record<string, any>, options: { read_ct?: number; vt?: number } = {}): number {
+      const msg_id = state.nextMsgId++;
+      queue(queueName).push({
+        msg_id,
+        read_ct: options.read_ct ?? 0,
+        enqueued_at: new Date().toISOString(),
+        vt: options.vt ?? 0,
+        message
+      });
+      return msg_id;
+    },
+
+    /** Stores a document and returns the job message the enqueue trigger would send for it */
+    addDocument(documentId: string, content: string, metadata: Record<string, any> = {}): Record<string, any> {
+      state.documents.set(documentId, content);
+      return {
+        document_id: documentId,
+        source_text: content,
+        source_text_hash: md5(content),
+        metadata,
+        trigger_type: 'INSERT'
+      };
+    },
+
+    fail(name: string, message = `${name} failed`) {
+      state.failures.set(name, message);
+    },
+
+    rpcCallsTo(fn: string) {
+      return state.rpcCalls.filter((call) => call.fn === fn).map((call) => call.params);
+    },
+
+    reset() {
+      for (const collection of [state.queues, state.archives, state.documents, state.embeddings, state.tables, state.failures]) {
+        collection.clear();
+      }
+      state.errorLog.length = 0;
+      state.rpcCalls.length = 0;
+      Object.assign(state.circuit, closedCircuit());
+      state.nextMsgId = 1;
+    }
+  };
+
+  return fake;
+}
+
+export type FakeSupabase = ReturnType<typeof createFakeSupabase>;
+
+// index.ts creates its client at import time, so every createClient call shares one fake
+export const fakeSupabase = createFakeSupabase();
+
+export function createClient(_url?: string, _key?: string): FakeSupabase {
+  return fakeSupabase;
+}
@@ -0,0 +1,377 @@
+/**
+ * Offline tests for the process-embedding-queue Edge Function
+ *
+ * Runs the real processor against the in-memory Supabase client and the stub
+ * Supabase.ai session - no network, database or Edge Runtime needed:
+ *
+ *   deno test --allow-env --config supabase/functions/tests/deno.json supabase/functions/tests/
+ */
+
+import { assert, assertEquals, assertMatch, stub } from './assertions.ts';
+import { fakeSupabase } from './fakes/supabase-js.ts';
+import { fakeAi, installSupabaseAi } from './fakes/supabase-ai.ts';
+import { createGteSmallProvider } from '../_shared/embedding-providers.ts';
+
+// The processor reads its configuration once, at import time
+Deno.env.set('SUPABASE_URL', 'http://localhost:54321');
+Deno.env.set('SUPABASE_SERVICE_ROLE_KEY', 'test-service-role-key');
+Deno.env.set('EMBEDDING_PROVIDER', 'gte-small');
+Deno.env.set('MAX_RETRIES', '2');
+Deno.env.set('EMBEDDING_CONCURRENCY', '2');
+Deno.env.set('CIRCUIT_BREAKER_THRESHOLD', '3');
+installSupabaseAi();
+
+// Importing index.ts calls Deno.serve - hand it a no-op server instead of binding a port
+const serveStub = stub(Deno, 'serve', () => ({ finished: Promise.resolve() }) as any);
+const { handleRequest, processEmbeddingBatch, processEmbeddingJob } = await import('../process-embedding-queue/index.ts');
+serveStub.restore();
+
+const gteSmall = () => new Map([['gte-small', createGteSmallProvider()]]);
+
+function reset() {
+  fakeSupabase.reset();
+  fakeAi.reset();
+}
+
+function queueJob(documentId: string, content: string, queueName = 'embedding_jobs_high', readCt = 0): number {
+  return fakeSupabase.enqueue(queueName, fakeSupabase.addDocument(documentId, content), { read_ct: readCt });
+}
+
+async function invoke(body: Record<string, unknown> = {}) {
+  const response = await handleRequest(new Request('http://localhost/functions/v1/process-embedding-queue', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }));
+  return { status: response.status, body: await response.json() };
+}
+
+// ==============================================================================
+// processEmbeddingJob
+// ==============================================================================
+
+Deno.test('processEmbeddingJob stores the document embedding and its chunk', async () => {
+  reset();
+  const message = fakeSupabase.addDocument('doc-1', 'Postgres queues make embedding pipelines simple.');
+
+  const result = await processEmbeddingJob({ msg_id: 1, read_ct: 1, queue_name: 'embedding_jobs_high', message }, gteSmall());
+
+  assertEquals(result, { success: true });
+  const stored = fakeSupabase.embeddings.get('doc-1:gte-small');
+  assertEquals(stored?.embedding.length, 384);
+  assertEquals(fakeSupabase.tables.get('document_chunks')?.length, 1);
+  assertEquals(fakeAi.calls[0].options, { mean_pool: true, normalize: true });
+});
+
+Deno.test('processEmbeddingJob rejects vectors with the wrong dimensions as retryable', async () => {
+  reset();
+  fakeAi.dimensions = 3;
+  const message = fakeSupabase.addDocument('doc-1', 'Short text');
+
+  const result = await processEmbeddingJob({ msg_id: 7, read_ct: 1, queue_name: 'embedding_jobs_high', message }, gteSmall());
+
+  assertEquals(result.success, false);
+  assertEquals(result.retryable, true);
+  assertMatch(result.error!, /Expected 384 dimensions, got 3/);
+  assertEquals(fakeSupabase.embeddings.size, 0);
+  assert(fakeSupabase.errorLog.some((entry) => entry.p_function_name === 'generateEmbedding'));
+});
+
+Deno.test('processEmbeddingJob fails malformed jobs permanently', async () => {
+  reset();
+
+  const result = await processEmbeddingJob(
+    { msg_id: 2, read_ct: 1, queue_name: 'embedding_jobs', message: { source_text: 'orphan' } },
+    gteSmall()
+  );
+
+  assertEquals(result.success, false);
+  assertEquals(result.retryable, false);
+  assertMatch(result.error!, /missing required document_id/);
+});
+
+Deno.test('processEmbeddingJob skips jobs superseded by a newer edit', async () => {
+  reset();
+  const message = fakeSupabase.addDocument('doc-1', 'First draft');
+  fakeSupabase.addDocument('doc-1', 'Second draft');
+
+  const result = await processEmbeddingJob({ msg_id: 3, read_ct: 1, queue_name: 'embedding_jobs_high', message }, gteSmall());
+
+  assertEquals(result, { success: true, skipped: 'superseded' });
+  assertEquals(fakeAi.calls.length, 0);
+});
+
+// ==============================================================================
+// processEmbeddingBatch
+// ==============================================================================
+
+Deno.test('processEmbeddingBatch keeps EMBEDDING_CONCURRENCY calls in flight', async () => {
+  reset();
+  fakeAi.delayMs = 10;
+  const jobs = [1, 2, 3, 4, 5, 6].map((n) => ({
+    msg_id: n, read_ct: 1, queue_name: 'embedding_jobs', message: fakeSupabase.addDocument(`doc-${n}`, `Document ${n}`)
+  }));
+
+  const results = await processEmbeddingBatch(jobs, gteSmall());
+
+  assertEquals(results.map(({ result }) => result), jobs.map(() => ({ success: true })));
+  assertEquals(fakeAi.calls.length, 6);
+  assertEquals(fakeAi.maxInFlight, 2);
+});
+
+Deno.test('processEmbeddingBatch stores the batch in one call and skips documents edited meanwhile', async () => {
+  reset();
+  fakeAi.delayMs = 20;
+  const jobs = ['doc-1', 'doc-2', 'doc-3'].map((documentId, index) => ({
+    msg_id: index + 1, read_ct: 1, queue_name: 'embedding_jobs', message: fakeSupabase.addDocument(documentId, `Draft of ${documentId}`)
+  }));
+  // The edit lands after the freshness check, while the batch is being embedded
+  setTimeout(() => fakeSupabase.addDocument('doc-2', 'Edited while embedding'), 5);
+
+  const results = await processEmbeddingBatch(jobs, gteSmall());
+
+  assertEquals(results.map(({ result }) => result), [
+    { success: true },
+    { success: true, skipped: 'superseded' },
+    { success: true }
+  ]);
+  assertEquals(fakeSupabase.rpcCallsTo('store_document_embeddings').length, 1);
+  assertEquals([...fakeSupabase.embeddings.keys()], ['doc-1:gte-small', 'doc-3:gte-small']);
+});
+
+Deno.test('processEmbeddingBatch fails the whole batch as retryable when the bulk write fails', async () => {
+  reset();
+  fakeSupabase.fail('store_document_embeddings', 'deadlock detected');
+  const jobs = ['doc-1', 'doc-2'].map((documentId, index) => ({
+    msg_id: index + 1, read_ct: 1, queue_name: 'embedding_jobs', message: fakeSupabase.addDocument(documentId, `Text of ${documentId}`)
+  }));
+
+  const results = await processEmbeddingBatch(jobs, gteSmall());
+
+  for (const { result } of results) {
+    assertEquals(result.success, false);
+    assertEquals(result.retryable, true);
+    assertMatch(result.error!, /Failed to store embeddings: deadlock detected/);
+  }
+});
+
+// ==============================================================================
+// Deno.serve processing loop
+// ==============================================================================
+
+Deno.test('an empty queue stops after one cycle and records the run', async () => {
+  reset();
+
+  const { status, body } = await invoke({ trigger_source: 'test' });
+
+  assertEquals(status, 200);
+  assertEquals(body.results.processed, 0);
+  assertEquals(body.results.cycles, 1);
+  assertEquals(body.message, 'No documents to process - queue is empty');
+
+  const runs = fakeSupabase.tables.get('embedding_runs')!;
+  assertEquals(runs.length, 1);
+  assertEquals(runs[0].status, 'completed');
+  assertEquals(runs[0].trigger_source, 'test');
+});
+
+Deno.test('a batch is archived in one call per lane and reports its phase timings', async () => {
+  reset();
+  const edits = [queueJob('doc-1', 'First edit'), queueJob('doc-2', 'Second edit')];
+  const background = queueJob('doc-3', 'Background job', 'embedding_jobs');
+
+  const { body } = await invoke({ batch_size: 10 });
+
+  assertEquals(body.results.processed, 3);
+  assertEquals(body.results.embedding_concurrency, 2);
+  assertEquals(fakeSupabase.rpcCallsTo('store_document_embeddings').length, 1);
+  assertEquals(fakeSupabase.rpcCallsTo('pgmq_archive_batch'), [
+    { queue_name: 'embedding_jobs_high', msg_ids: edits },
+    { queue_name: 'embedding_jobs', msg_ids: [background] }
+  ]);
+
+  const phases = ['read', 'check', 'embed', 'store', 'archive', 'failures'];
+  assertEquals(Object.keys(body.results.phase_timings_ms), phases);
+  assert(phases.every((phase) => typeof body.results.phase_timings_ms[phase] === 'number'));
+  assertEquals(fakeSupabase.tables.get('embedding_runs')![0].phase_timings_ms, body.results.phase_timings_ms);
+});
+
+Deno.test('the high-priority lane is drained before background jobs', async () => {
+  reset();
+  const background = queueJob('doc-bg', 'Autopilot re-embedding', 'embedding_jobs');
+  const edit = queueJob('doc-edit', 'A user edit');
+
+  const { body } = await invoke({ batch_size: 1 });
+
+  assertEquals(body.results.processed, 2);
+  assertEquals(fakeSupabase.archives.get('embedding_jobs_high')!.map((msg) => msg.msg_id), [edit]);
+  assertEquals(fakeSupabase.archives.get('embedding_jobs')!.map((msg) => msg.msg_id), [background]);
+  assertEquals(fakeSupabase.rpcCallsTo('pgmq_archive_batch').map((call) => call.queue_name), ['embedding_jobs_high', 'embedding_jobs']);
+});
+
+Deno.test('a failed archive is logged and the job stays queued', async () => {
+  reset();
+  const msgId = queueJob('doc-1', 'Embedded but not archived');
+  fakeSupabase.fail('pgmq_archive_batch', 'connection reset');
+
+  const { status, body } = await invoke();
+
+  assertEquals(status, 200);
+  assertEquals(body.results.processed, 1);
+  assert(fakeSupabase.errorLog.some((entry) => entry.p_error_message === `Failed to archive jobs ${msgId} from embedding_jobs_high`));
+  // Invisible until the read timeout expires, then the processor retries the archive
+  assertEquals(fakeSupabase.queues.get('embedding_jobs_high')!.map((msg) => msg.msg_id), [msgId]);
+});
+
+Deno.test('the time budget stops the loop before the queue is empty', async () => {
+  reset();
+  fakeAi.delayMs = 50;
+  for (let i = 0; i < 20; i++) {
+    queueJob(`doc-${i}`, `Document number ${i}`);
+  }
+
+  const { status, body } = await invoke({ batch_size: 1, timeout_seconds: 0.2 });
+
+  assertEquals(status, 200);
+  assert(body.results.processed > 0, 'some jobs are processed within the budget');
+  assert(body.results.processed < 20, 'the loop stops when the budget runs out');
+  assertEquals(fakeSupabase.queues.get('embedding_jobs_high')!.length, 20 - body.results.processed);
+});
+
+Deno.test('invalid dimensions are retried with backoff, then dead-lettered', async () => {
+  reset();
+  fakeAi.dimensions = 512;
+  queueJob('doc-1', 'First attempt');
+  queueJob('doc-2', 'Last attempt', 'embedding_jobs_high', 2);
+
+  const { body } = await invoke({ batch_size: 2 });
+
+  assertEquals(body.results.errors, 2);
+  assertEquals(body.results.retried, 1);
+  assertEquals(body.results.dead_lettered, 1);
+  assertEquals(fakeSupabase.rpcCallsTo('pgmq_set_vt').length, 1);
+
+  const [deadLettered] = fakeSupabase.queues.get('embedding_jobs_dlq')!;
+  assertEquals(deadLettered.message.document_id, 'doc-2');
+  assertMatch(deadLettered.message.dead_letter.last_error, /Expected 384 dimensions, got 512/);
+  assertEquals(fakeSupabase.tables.get('embedding_runs')![0].job_outcomes.map((job: any) => job.outcome), ['retried', 'dead_lettered']);
+});
+
+// ==============================================================================
+// Circuit breaker
+// ==============================================================================
+
+Deno.test('consecutive model failures open the circuit and stop reading jobs', async () => {
+  reset();
+  fakeAi.failWith = 'Supabase.ai unavailable';
+  for (let i = 0; i < 6; i++) {
+    queueJob(`doc-${i}`, `Document number ${i}`);
+  }
+
+  const { status, body } = await invoke({ batch_size: 1 });
+
+  assertEquals(status, 200);
+  assertEquals(body.results.cycles, 3);
+  assertEquals(fakeAi.calls.length, 3);
+  assertEquals(fakeSupabase.queues.get('embedding_jobs_high')!.length, 6);
+  assertEquals(fakeSupabase.rpcCallsTo('pgmq_read').filter((call) => call.queue_name === 'embedding_jobs_high').length, 3);
+  assertEquals(body.results.circuit.state, 'open');
+  assertMatch(body.message, /Autopilot paused: Paused after 3 consecutive embedding failures: .*Supabase.ai unavailable/);
+  assert(fakeSupabase.errorLog.some((entry) => entry.p_error_message === 'Embedding circuit opened after 3 consecutive failures'));
+});
+
+Deno.test('jobs still waiting for an embedding slot when the circuit opens are deferred, not dead-lettered', async () => {
+  reset();
+  fakeAi.failWith = 'Supabase.ai unavailable';
+  fakeAi.delayMs = 10;
+  // Every job is on its last attempt, so a counted failure would dead-letter it
+  for (let i = 0; i < 6; i++) {
+    queueJob(`doc-${i}`, `Document number ${i}`, 'embedding_jobs_high', 2);
+  }
+
+  const { body } = await invoke({ batch_size: 6 });
+
+  // Concurrency 2 and threshold 3: the third failure opens the circuit while the fourth call is in flight
+  assertEquals(fakeAi.calls.length, 4);
+  assertEquals(body.results.circuit.state, 'open');
+  assertEquals(body.results.deferred, 2);
+  assertEquals(body.results.errors, 4);
+  assertEquals(fakeSupabase.queues.get('embedding_jobs_dlq')!.length, 4);
+
+  const deferred = fakeSupabase.queues.get('embedding_jobs_high')!;
+  assertEquals(deferred.length, 2);
+  for (const msg of deferred) {
+    assertEquals(msg.read_ct, 2);
+    assertEquals(msg.vt, new Date(fakeSupabase.circuit.next_probe_at!).getTime());
+  }
+  assertEquals(fakeSupabase.rpcCallsTo('dead_letter_embedding_job').length, 4);
+  assertEquals(fakeSupabase.errorLog.filter((entry) => /unavailable \(circuit open\)/.test(entry.p_error_message)).length, 0);
+});
+
+Deno.test('rejected vectors are job failures and do not open the circuit', async () => {
+  reset();
+  fakeAi.dimensions = 512;
+  for (let i = 0; i < 4; i++) {
+    queueJob(`doc-${i}`, `Document number ${i}`);
+  }
+
+  const { body } = await invoke({ batch_size: 4 });
+
+  assertEquals(body.results.retried, 4);
+  assertEquals(body.results.circuit.state, 'closed');
+  assertEquals(fakeSupabase.circuit.consecutive_failures, 0);
+});
+
+Deno.test('a paused processor does not read jobs until the next probe is due', async () => {
+  reset();
+  Object.assign(fakeSupabase.circuit, {
+    state: 'open', consecutive_failures: 3, reason: 'Paused after 3 consecutive embedding failures: timeout',
+    next_probe_at: new Date(Date.now() + 60_000).toISOString()
+  });
+  queueJob('doc-1', 'Waiting for the backend');
+
+  const { status, body } = await invoke();
+
+  assertEquals(status, 200);
+  assertEquals(body.paused, true);
+  assertEquals(fakeAi.calls.length, 0);
+  assertEquals(fakeSupabase.rpcCallsTo('pgmq_read').length, 0);
+
+  const [run] = fakeSupabase.tables.get('embedding_runs')!;
+  assertEquals(run.status, 'paused');
+  assertEquals(run.error_message, 'Paused after 3 consecutive embedding failures: timeout');
+});
+
+Deno.test('a successful probe closes the circuit and processing resumes', async () => {
+  reset();
+  Object.assign(fakeSupabase.circuit, {
+    state: 'open', consecutive_failures: 3, probe_attempts: 1, next_probe_at: new Date(Date.now() - 1000).toISOString()
+  });
+  queueJob('doc-1', 'Embedded after recovery');
+
+  const { body } = await invoke();
+
+  assertEquals(fakeAi.calls[0].text, 'embedding backend health probe');
+  assertEquals(body.results.processed, 1);
+  assertEquals(body.results.circuit.state, 'closed');
+  assertEquals(fakeSupabase.circuit.consecutive_failures, 0);
+});
+
+Deno.test('a failed probe keeps the autopilot paused with a longer backoff', async () => {
+  reset();
+  fakeAi.failWith = 'Supabase.ai unavailable';
+  Object.assign(fakeSupabase.circuit, {
+    state: 'open', consecutive_failures: 3, probe_attempts: 0, opened_at: '2024-01-01T00:00:00Z',
+    next_probe_at: new Date(Date.now() - 1000).toISOString()
+  });
+  queueJob('doc-1', 'Still waiting');
+
+  const { body } = await invoke();
+
+  assertEquals(body.paused, true);
+  assertEquals(fakeSupabase.rpcCallsTo('pgmq_read').length, 0);
+  assertEquals(fakeSupabase.circuit.probe_attempts, 1);
+  assertEquals(fakeSupabase.circuit.consecutive_failures, 4);
+  assertEquals(fakeSupabase.circuit.opened_at, '2024-01-01T00:00:00Z');
+  assert(new Date(fakeSupabase.circuit.next_probe_at!).getTime() > Date.now() + 30_000, 'the second probe waits twice the base delay');
+});
@@ -0,0 +1,175 @@
+-- Document Chunks Sidecar Table
+-- Chunk-level embeddings for long documents that exceed the model's input window
+-- gte-small truncates long input, so one vector per document cannot represent
+-- everything past the first few hundred tokens. Each document is split into
+-- overlapping chunks that are embedded and searched individually.
+
+-- Document chunks sidecar table (one row per chunk, replaced whenever content changes)
+CREATE TABLE IF NOT EXISTS "public"."document_chunks" (
+    "document_id" uuid NOT NULL,
+    "chunk_index" INTEGER NOT NULL, -- Position of the chunk within the document
+    "chunk_text" TEXT NOT NULL, -- The actual text that was embedded
+    "chunk_text_hash" TEXT GENERATED ALWAYS AS (md5(chunk_text)) STORED NOT NULL,
+    "source_text_hash" TEXT NOT NULL, -- Hash of the full document content the chunk was cut from
+    "start_offset" INTEGER NOT NULL, -- Character offsets into the source content
+    "end_offset" INTEGER NOT NULL,
+    "embedding" vector(384), -- 384-dimensional vectors from gte-small model
+    "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+
+    CONSTRAINT "document_chunks_pkey" PRIMARY KEY ("document_id", "chunk_index"),
+    CONSTRAINT "document_chunks_document_id_fkey" FOREIGN KEY (document_id) REFERENCES public.source_documents(id) ON DELETE CASCADE
+);
+
+-- Performance indexes for the chunk table
+CREATE INDEX IF NOT EXISTS "idx_document_chunks_source_text_hash" ON "public"."document_chunks" ("source_text_hash");
+CREATE INDEX IF NOT EXISTS "idx_document_chunks_chunk_text_hash" ON "public"."document_chunks" ("chunk_text_hash");
+
+-- Vector similarity search index (HNSW for fast similarity queries)
+CREATE INDEX IF NOT EXISTS "idx_document_chunks_vector_cosine" ON "public"."document_chunks"
+USING hnsw (embedding vector_cosine_ops);
+
+-- Grant permissions for the chunk table
+GRANT SELECT, INSERT, UPDATE, DELETE ON "public"."document_chunks" TO service_role;
+
+-- Create trigger to automatically update updated_at timestamp
+DROP TRIGGER IF EXISTS "update_document_chunks_updated_at" ON "public"."document_chunks";
+CREATE TRIGGER "update_document_chunks_updated_at"
+    BEFORE UPDATE ON "public"."document_chunks"
+    FOR EACH ROW
+    EXECUTE FUNCTION "public"."update_updated_at_column"();
+
+/**
+ * Atomically replaces all chunks of a document
+ * Deleting and inserting in one transaction guarantees that a document never has
+ * a mix of chunks from two versions of its content, and that chunks left over from
+ * a longer previous version are removed.
+ *
+ * @param p_document_id Document whose chunks are replaced
+ * @param p_source_text Full content the chunks were cut from (hashed for change detection)
+ * @param p_chunks JSON array of {chunk_index, content, start_offset, end_offset, embedding}
+ * @returns Number of chunks stored
+ */
+CREATE OR REPLACE FUNCTION "public"."replace_document_chunks"(
+    p_document_id uuid,
+    p_source_text TEXT,
+    p_chunks JSONB
+) RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    stored_count INTEGER;
+BEGIN
+    DELETE FROM document_chunks WHERE document_id = p_document_id;
+
+    INSERT INTO document_chunks (
+        document_id,
+        chunk_index,
+        chunk_text,
+        source_text_hash,
+        start_offset,
+        end_offset,
+        embedding
+    )
+    SELECT
+        p_document_id,
+        (chunk->>'chunk_index')::INTEGER,
+        chunk->>'content',
+        md5(p_source_text),
+        (chunk->>'start_offset')::INTEGER,
+        (chunk->>'end_offset')::INTEGER,
+        (chunk->>'embedding')::vector(384)
+    FROM jsonb_array_elements(p_chunks) AS chunk;
+
+    GET DIAGNOSTICS stored_count = ROW_COUNT;
+    RETURN stored_count;
+END;
+$$;
+
+/**
+ * Chunk-level semantic search grouped by parent document
+ * Ranks chunks by similarity, keeps the best few per document and ranks documents
+ * by their best chunk, so long documents match on any part of their content.
+ *
+ * @param query_embedding Query vector (same model as the stored chunks)
+ * @param match_threshold Minimum chunk similarity to be considered a match
+ * @param match_count Maximum number of documents returned
+ * @param chunks_per_document Maximum number of matching chunks returned per document
+ * @returns Documents with their best similarity and matching chunks (best first)
+ */
+CREATE OR REPLACE FUNCTION "public"."semantic_search_chunks"(
+    query_embedding vector(384),
+    match_threshold float DEFAULT 0.78,
+    match_count int DEFAULT 10,
+    chunks_per_document int DEFAULT 3
+) RETURNS TABLE (
+    document_id uuid,
+    similarity float,
+    metadata jsonb,
+    matched_chunks jsonb
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    WITH candidate_chunks AS (
+        -- Over-fetch chunks so enough distinct documents survive grouping
+        SELECT
+            dc.document_id,
+            dc.chunk_index,
+            dc.chunk_text,
+            dc.start_offset,
+            dc.end_offset,
+            (1 - (dc.embedding <=> query_embedding)) as chunk_similarity
+        FROM document_chunks dc
+        WHERE dc.embedding IS NOT NULL
+          AND (1 - (dc.embedding <=> query_embedding)) > match_threshold
+        ORDER BY dc.embedding <=> query_embedding
+        LIMIT match_count * chunks_per_document * 4
+    ),
+    ranked_chunks AS (
+        SELECT
+            cc.*,
+            ROW_NUMBER() OVER (PARTITION BY cc.document_id ORDER BY cc.chunk_similarity DESC) as chunk_rank
+        FROM candidate_chunks cc
+    )
+    SELECT
+        rc.document_id,
+        MAX(rc.chunk_similarity) as similarity,
+        sd.metadata,
+        jsonb_agg(
+            jsonb_build_object(
+                'chunk_index', rc.chunk_index,
+                'content', rc.chunk_text,
+                'start_offset', rc.start_offset,
+                'end_offset', rc.end_offset,
+                'similarity', rc.chunk_similarity
+            ) ORDER BY rc.chunk_similarity DESC
+        ) as matched_chunks
+    FROM ranked_chunks rc
+    JOIN source_documents sd ON sd.id = rc.document_id
+    WHERE rc.chunk_rank <= chunks_per_document
+    GROUP BY rc.document_id, sd.metadata
+    ORDER BY MAX(rc.chunk_similarity) DESC
+    LIMIT match_count;
+END;
+$$;
+
+-- Grant execute permissions on helper functions
+GRANT EXECUTE ON FUNCTION "public"."replace_document_chunks" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."semantic_search_chunks" TO service_role;
+
+-- Document the chunk sidecar
+COMMENT ON TABLE "public"."document_chunks" IS 'Sidecar table for chunk-level embeddings - keeps long documents searchable beyond the model input window';
+COMMENT ON COLUMN "public"."document_chunks"."chunk_text_hash" IS 'MD5 hash of the chunk text - lets the processor reuse embeddings for chunks that did not change';
+COMMENT ON COLUMN "public"."document_chunks"."source_text_hash" IS 'MD5 hash of the full document content the chunk was cut from - matches document_embeddings.source_text_hash when in sync';
+COMMENT ON FUNCTION "public"."replace_document_chunks" IS 'Atomically replaces all chunks of a document so stale chunks never mix with current ones';
+COMMENT ON FUNCTION "public"."semantic_search_chunks" IS 'Chunk-level semantic search returning the best matching chunks grouped by parent document';
+
+-- Verification query
+SELECT
+    'Document chunks sidecar created' as status,
+    COUNT(*) as initial_chunk_count
+FROM document_chunks;
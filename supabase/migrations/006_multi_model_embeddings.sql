@@ -0,0 +1,618 @@
+-- Multi-Model Embeddings and Zero-Downtime Model Migration
+-- Keys embeddings by document AND model so vectors from several models can live side
+-- by side, and adds a blue/green workflow for switching models without downtime:
+--   1. register_embedding_model()   - register the new model (status 'backfilling')
+--   2. enqueue_model_backfill()     - backfill it through the existing embedding_jobs queue
+--   3. get_model_coverage()         - check how many documents the new model covers
+--   4. activate_embedding_model()   - atomically flip search to the new model
+--   5. drop_model_embeddings()      - drop the old model's vectors and indexes
+
+-- ==============================================================================
+-- MODEL REGISTRY
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS "public"."embedding_models" (
+    "model_name" TEXT NOT NULL,
+    "provider" TEXT NOT NULL, -- Embedding provider used by the processor (gte-small, openai, fake)
+    "dimensions" INTEGER NOT NULL CHECK (dimensions > 0),
+    "status" TEXT NOT NULL DEFAULT 'backfilling' CHECK (status IN ('active', 'backfilling', 'retired')),
+    "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    "activated_at" TIMESTAMP WITH TIME ZONE,
+    "retired_at" TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT "embedding_models_pkey" PRIMARY KEY ("model_name")
+);
+
+-- Exactly one model can be active at a time - this is the model search reads
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_embedding_models_single_active" ON "public"."embedding_models" ("status")
+WHERE status = 'active';
+
+-- The original gte-small model is active for all existing embeddings
+INSERT INTO "public"."embedding_models" (model_name, provider, dimensions, status, activated_at)
+VALUES ('gte-small', 'gte-small', 384, 'active', now())
+ON CONFLICT (model_name) DO NOTHING;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON "public"."embedding_models" TO service_role;
+
+-- ==============================================================================
+-- SIDECAR TABLES KEYED BY DOCUMENT AND MODEL
+-- ==============================================================================
+
+-- Fixed-dimension indexes must go before the vector columns become dimensionless
+DROP INDEX IF EXISTS "public"."idx_document_embeddings_vector_cosine";
+DROP INDEX IF EXISTS "public"."idx_document_embeddings_vector_l2";
+DROP INDEX IF EXISTS "public"."idx_document_chunks_vector_cosine";
+
+-- Document embeddings: one row per document per model
+ALTER TABLE "public"."document_embeddings" ADD COLUMN IF NOT EXISTS "model_name" TEXT NOT NULL DEFAULT 'gte-small';
+ALTER TABLE "public"."document_embeddings" DROP CONSTRAINT IF EXISTS "document_embeddings_pkey";
+ALTER TABLE "public"."document_embeddings" ADD CONSTRAINT "document_embeddings_pkey" PRIMARY KEY ("document_id", "model_name");
+ALTER TABLE "public"."document_embeddings" ALTER COLUMN "embedding" TYPE vector;
+
+-- Document chunks: one set of chunks per document per model
+ALTER TABLE "public"."document_chunks" ADD COLUMN IF NOT EXISTS "model_name" TEXT NOT NULL DEFAULT 'gte-small';
+ALTER TABLE "public"."document_chunks" DROP CONSTRAINT IF EXISTS "document_chunks_pkey";
+ALTER TABLE "public"."document_chunks" ADD CONSTRAINT "document_chunks_pkey" PRIMARY KEY ("document_id", "model_name", "chunk_index");
+ALTER TABLE "public"."document_chunks" ALTER COLUMN "embedding" TYPE vector;
+
+CREATE INDEX IF NOT EXISTS "idx_document_embeddings_model_name" ON "public"."document_embeddings" ("model_name");
+CREATE INDEX IF NOT EXISTS "idx_document_chunks_model_name" ON "public"."document_chunks" ("model_name");
+
+/**
+ * Returns the index name suffix used for a model's partial vector indexes
+ */
+CREATE OR REPLACE FUNCTION "public"."model_index_suffix"(p_model_name TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT left(regexp_replace(lower(p_model_name), '[^a-z0-9]+', '_', 'g'), 30);
+$$;
+
+/**
+ * Creates the per-model HNSW indexes on both sidecar tables
+ * Vector columns are dimensionless so several models can share them, which means each
+ * model gets a partial expression index cast to its own dimensions. Search queries
+ * use the same cast and model filter so the planner picks that index.
+ *
+ * @param p_model_name Registered model to index
+ */
+CREATE OR REPLACE FUNCTION "public"."create_model_vector_indexes"(p_model_name TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    model_dimensions INTEGER;
+    suffix TEXT := model_index_suffix(p_model_name);
+BEGIN
+    SELECT dimensions INTO model_dimensions FROM embedding_models WHERE model_name = p_model_name;
+
+    IF model_dimensions IS NULL THEN
+        RAISE EXCEPTION 'Embedding model % is not registered', p_model_name;
+    END IF;
+
+    EXECUTE format(
+        'CREATE INDEX IF NOT EXISTS %I ON public.document_embeddings USING hnsw ((embedding::vector(%s)) vector_cosine_ops) WHERE model_name = %L',
+        'idx_document_embeddings_' || suffix || '_cosine', model_dimensions, p_model_name
+    );
+    EXECUTE format(
+        'CREATE INDEX IF NOT EXISTS %I ON public.document_chunks USING hnsw ((embedding::vector(%s)) vector_cosine_ops) WHERE model_name = %L',
+        'idx_document_chunks_' || suffix || '_cosine', model_dimensions, p_model_name
+    );
+END;
+$$;
+
+-- Rebuild the vector indexes for the original model
+SELECT create_model_vector_indexes('gte-small');
+
+-- ==============================================================================
+-- ACTIVE MODEL
+-- ==============================================================================
+
+/**
+ * Returns the name of the model that search and the autopilot currently use
+ */
+CREATE OR REPLACE FUNCTION "public"."get_active_embedding_model"()
+RETURNS TEXT
+LANGUAGE sql STABLE
+SECURITY DEFINER
+AS $$
+  SELECT model_name FROM public.embedding_models WHERE status = 'active';
+$$;
+
+/**
+ * Atomically replaces all chunks of a document for one model
+ *
+ * @param p_document_id Document whose chunks are replaced
+ * @param p_source_text Full content the chunks were cut from (hashed for change detection)
+ * @param p_chunks JSON array of {chunk_index, content, start_offset, end_offset, embedding}
+ * @param p_model_name Model that produced the chunk embeddings
+ * @returns Number of chunks stored
+ */
+DROP FUNCTION IF EXISTS "public"."replace_document_chunks"(uuid, TEXT, JSONB);
+CREATE OR REPLACE FUNCTION "public"."replace_document_chunks"(
+    p_document_id uuid,
+    p_source_text TEXT,
+    p_chunks JSONB,
+    p_model_name TEXT DEFAULT 'gte-small'
+) RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    stored_count INTEGER;
+BEGIN
+    DELETE FROM document_chunks WHERE document_id = p_document_id AND model_name = p_model_name;
+
+    INSERT INTO document_chunks (
+        document_id,
+        model_name,
+        chunk_index,
+        chunk_text,
+        source_text_hash,
+        start_offset,
+        end_offset,
+        embedding
+    )
+    SELECT
+        p_document_id,
+        p_model_name,
+        (chunk->>'chunk_index')::INTEGER,
+        chunk->>'content',
+        md5(p_source_text),
+        (chunk->>'start_offset')::INTEGER,
+        (chunk->>'end_offset')::INTEGER,
+        (chunk->>'embedding')::vector
+    FROM jsonb_array_elements(p_chunks) AS chunk;
+
+    GET DIAGNOSTICS stored_count = ROW_COUNT;
+    RETURN stored_count;
+END;
+$$;
+
+/**
+ * Semantic search over the active model's document embeddings
+ * Dynamic SQL casts to the model's dimensions so its partial HNSW index is used.
+ *
+ * @param query_embedding Query vector produced by the active model
+ * @param match_threshold Minimum similarity to be considered a match
+ * @param match_count Maximum number of documents returned
+ * @param filter_document_type Optional metadata.document_type filter
+ */
+DROP FUNCTION IF EXISTS "public"."semantic_search_documents"(vector, float, int, text);
+CREATE OR REPLACE FUNCTION "public"."semantic_search_documents"(
+    query_embedding vector,
+    match_threshold float DEFAULT 0.78,
+    match_count int DEFAULT 10,
+    filter_document_type text DEFAULT NULL
+) RETURNS TABLE (
+    document_id uuid,
+    document_type text,
+    content text,
+    similarity float,
+    metadata jsonb,
+    model_name text
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    active_model TEXT;
+    model_dimensions INTEGER;
+BEGIN
+    SELECT em.model_name, em.dimensions INTO active_model, model_dimensions
+    FROM embedding_models em WHERE em.status = 'active';
+
+    IF vector_dims(query_embedding) <> model_dimensions THEN
+        RAISE EXCEPTION 'Query embedding has % dimensions but active model % expects %',
+            vector_dims(query_embedding), active_model, model_dimensions;
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'SELECT
+            sd.id,
+            sd.metadata->>''document_type'',
+            sd.content,
+            (1 - (de.embedding::vector(%1$s) <=> $1))::float,
+            sd.metadata,
+            de.model_name
+        FROM document_embeddings de
+        JOIN source_documents sd ON sd.id = de.document_id
+        WHERE de.model_name = %2$L
+          AND de.embedding IS NOT NULL
+          AND (1 - (de.embedding::vector(%1$s) <=> $1)) > $2
+          AND ($4 IS NULL OR sd.metadata->>''document_type'' = $4)
+        ORDER BY de.embedding::vector(%1$s) <=> $1
+        LIMIT $3',
+        model_dimensions, active_model
+    ) USING query_embedding, match_threshold, match_count, filter_document_type;
+END;
+$$;
+
+/**
+ * Chunk-level semantic search over the active model, grouped by parent document
+ */
+DROP FUNCTION IF EXISTS "public"."semantic_search_chunks"(vector, float, int, int);
+CREATE OR REPLACE FUNCTION "public"."semantic_search_chunks"(
+    query_embedding vector,
+    match_threshold float DEFAULT 0.78,
+    match_count int DEFAULT 10,
+    chunks_per_document int DEFAULT 3
+) RETURNS TABLE (
+    document_id uuid,
+    similarity float,
+    metadata jsonb,
+    matched_chunks jsonb
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    active_model TEXT;
+    model_dimensions INTEGER;
+BEGIN
+    SELECT em.model_name, em.dimensions INTO active_model, model_dimensions
+    FROM embedding_models em WHERE em.status = 'active';
+
+    IF vector_dims(query_embedding) <> model_dimensions THEN
+        RAISE EXCEPTION 'Query embedding has % dimensions but active model % expects %',
+            vector_dims(query_embedding), active_model, model_dimensions;
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'WITH candidate_chunks AS (
+            SELECT
+                dc.document_id,
+                dc.chunk_index,
+                dc.chunk_text,
+                dc.start_offset,
+                dc.end_offset,
+                (1 - (dc.embedding::vector(%1$s) <=> $1))::float as chunk_similarity
+            FROM document_chunks dc
+            WHERE dc.model_name = %2$L
+              AND dc.embedding IS NOT NULL
+              AND (1 - (dc.embedding::vector(%1$s) <=> $1)) > $2
+            ORDER BY dc.embedding::vector(%1$s) <=> $1
+            LIMIT $3 * $4 * 4
+        ),
+        ranked_chunks AS (
+            SELECT
+                cc.*,
+                ROW_NUMBER() OVER (PARTITION BY cc.document_id ORDER BY cc.chunk_similarity DESC) as chunk_rank
+            FROM candidate_chunks cc
+        )
+        SELECT
+            rc.document_id,
+            MAX(rc.chunk_similarity),
+            sd.metadata,
+            jsonb_agg(
+                jsonb_build_object(
+                    ''chunk_index'', rc.chunk_index,
+                    ''content'', rc.chunk_text,
+                    ''start_offset'', rc.start_offset,
+                    ''end_offset'', rc.end_offset,
+                    ''similarity'', rc.chunk_similarity
+                ) ORDER BY rc.chunk_similarity DESC
+            )
+        FROM ranked_chunks rc
+        JOIN source_documents sd ON sd.id = rc.document_id
+        WHERE rc.chunk_rank <= $4
+        GROUP BY rc.document_id, sd.metadata
+        ORDER BY MAX(rc.chunk_similarity) DESC
+        LIMIT $3',
+        model_dimensions, active_model
+    ) USING query_embedding, match_threshold, match_count, chunks_per_document;
+END;
+$$;
+
+/**
+ * Finds documents whose active-model embedding is out of date
+ * Same contract as before, restricted to the active model so every document is
+ * reported once no matter how many models hold vectors for it.
+ */
+CREATE OR REPLACE FUNCTION "public"."find_outdated_embeddings"(batch_limit INTEGER DEFAULT 30000)
+RETURNS TABLE(
+    document_id TEXT,
+    content TEXT,
+    current_hash TEXT,
+    stored_hash TEXT,
+    content_length INTEGER
+)
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    sd.id::TEXT as document_id,
+    sd.content,
+    md5(sd.content) as current_hash,
+    de.source_text_hash as stored_hash,
+    LENGTH(sd.content) as content_length
+  FROM public.source_documents sd
+  JOIN public.document_embeddings de ON de.document_id = sd.id
+  WHERE de.model_name = get_active_embedding_model()
+    AND sd.content IS NOT NULL
+    AND sd.content <> ''
+    AND md5(sd.content) != de.source_text_hash  -- Content has changed since last embedding
+  ORDER BY sd.updated_at DESC  -- Process most recently updated documents first
+  LIMIT batch_limit;
+END;
+$$;
+
+-- ==============================================================================
+-- BLUE/GREEN MODEL MIGRATION
+-- ==============================================================================
+
+/**
+ * Registers a new embedding model for backfilling
+ * The model starts in 'backfilling' status: the processor embeds new and changed
+ * documents with it alongside the active model, but search keeps using the active one.
+ *
+ * @param p_model_name Model name as understood by the provider
+ * @param p_provider Processor embedding provider (gte-small, openai, fake)
+ * @param p_dimensions Vector dimensions the model produces
+ */
+CREATE OR REPLACE FUNCTION "public"."register_embedding_model"(
+    p_model_name TEXT,
+    p_provider TEXT,
+    p_dimensions INTEGER
+) RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    INSERT INTO embedding_models (model_name, provider, dimensions, status)
+    VALUES (p_model_name, p_provider, p_dimensions, 'backfilling')
+    ON CONFLICT (model_name) DO UPDATE
+    SET provider = EXCLUDED.provider,
+        dimensions = EXCLUDED.dimensions,
+        status = 'backfilling',
+        retired_at = NULL
+    WHERE embedding_models.status <> 'active';
+
+    PERFORM create_model_vector_indexes(p_model_name);
+
+    RAISE LOG 'Registered embedding model % (% dimensions) for backfilling', p_model_name, p_dimensions;
+END;
+$$;
+
+/**
+ * Enqueues documents that have no up-to-date embedding for a backfilling model
+ * Jobs carry model_name so the processor embeds them with that model only.
+ *
+ * @param p_model_name Model to backfill
+ * @param batch_limit Maximum number of documents to enqueue in one call
+ * @returns Number of documents enqueued
+ */
+CREATE OR REPLACE FUNCTION "public"."enqueue_model_backfill"(
+    p_model_name TEXT,
+    batch_limit INTEGER DEFAULT 10000
+) RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    enqueued_count INTEGER;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM embedding_models WHERE model_name = p_model_name AND status = 'backfilling') THEN
+        RAISE EXCEPTION 'Embedding model % is not registered for backfilling', p_model_name;
+    END IF;
+
+    WITH missing AS (
+        SELECT sd.id, sd.content
+        FROM source_documents sd
+        LEFT JOIN document_embeddings de
+          ON de.document_id = sd.id AND de.model_name = p_model_name
+        WHERE sd.content IS NOT NULL
+          AND sd.content <> ''
+          AND (de.document_id IS NULL OR de.source_text_hash != md5(sd.content))
+          -- Skip documents that already have a backfill job for this model in flight
+          AND NOT EXISTS (
+            SELECT 1 FROM pgmq.q_embedding_jobs q
+            WHERE q.message->>'document_id' = sd.id::TEXT
+              AND q.message->>'model_name' = p_model_name
+          )
+        ORDER BY sd.updated_at DESC
+        LIMIT batch_limit
+    )
+    SELECT COUNT(pgmq.send('embedding_jobs', jsonb_build_object(
+        'document_id', missing.id,
+        'source_text', missing.content,
+        'model_name', p_model_name,
+        'model_backfill', true,
+        'enqueued_at', now()
+    ))) INTO enqueued_count
+    FROM missing;
+
+    RAISE LOG 'Enqueued % documents for backfill of model %', enqueued_count, p_model_name;
+    RETURN enqueued_count;
+END;
+$$;
+
+/**
+ * Reports how many documents a model covers with up-to-date embeddings
+ *
+ * @param p_model_name Model to check
+ */
+CREATE OR REPLACE FUNCTION "public"."get_model_coverage"(p_model_name TEXT)
+RETURNS TABLE(
+    model_name TEXT,
+    status TEXT,
+    total_documents BIGINT,
+    embedded_documents BIGINT,
+    up_to_date_documents BIGINT,
+    coverage_percent NUMERIC
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        em.model_name,
+        em.status,
+        COUNT(sd.id) as total_documents,
+        COUNT(de.document_id) as embedded_documents,
+        COUNT(de.document_id) FILTER (WHERE de.source_text_hash = md5(sd.content)) as up_to_date_documents,
+        ROUND(
+            100.0 * COUNT(de.document_id) FILTER (WHERE de.source_text_hash = md5(sd.content)) / NULLIF(COUNT(sd.id), 0),
+            1
+        ) as coverage_percent
+    FROM embedding_models em
+    CROSS JOIN source_documents sd
+    LEFT JOIN document_embeddings de
+      ON de.document_id = sd.id AND de.model_name = em.model_name AND de.embedding IS NOT NULL
+    WHERE em.model_name = p_model_name
+      AND sd.content IS NOT NULL
+      AND sd.content <> ''
+    GROUP BY em.model_name, em.status;
+END;
+$$;
+
+/**
+ * Atomically switches search to a backfilled model
+ * Runs in a single transaction with the registry locked, so searches see either the
+ * old model or the new one - never neither. Refuses to switch below the coverage floor.
+ *
+ * @param p_model_name Backfilling model to activate
+ * @param p_min_coverage_percent Minimum up-to-date coverage required (default 100)
+ * @param p_drop_previous Drop the previous model's vectors in the same transaction
+ * @returns The previously active model name
+ */
+CREATE OR REPLACE FUNCTION "public"."activate_embedding_model"(
+    p_model_name TEXT,
+    p_min_coverage_percent NUMERIC DEFAULT 100,
+    p_drop_previous BOOLEAN DEFAULT false
+) RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    previous_model TEXT;
+    current_coverage NUMERIC;
+BEGIN
+    LOCK TABLE embedding_models IN EXCLUSIVE MODE;
+
+    IF NOT EXISTS (SELECT 1 FROM embedding_models WHERE model_name = p_model_name AND status = 'backfilling') THEN
+        RAISE EXCEPTION 'Embedding model % is not registered for backfilling', p_model_name;
+    END IF;
+
+    SELECT COALESCE(coverage_percent, 0) INTO current_coverage FROM get_model_coverage(p_model_name);
+
+    IF COALESCE(current_coverage, 0) < p_min_coverage_percent THEN
+        RAISE EXCEPTION 'Embedding model % covers % percent of documents, below the required % percent',
+            p_model_name, COALESCE(current_coverage, 0), p_min_coverage_percent;
+    END IF;
+
+    previous_model := get_active_embedding_model();
+
+    UPDATE embedding_models SET status = 'retired', retired_at = now() WHERE status = 'active';
+    UPDATE embedding_models SET status = 'active', activated_at = now() WHERE model_name = p_model_name;
+
+    IF p_drop_previous AND previous_model IS NOT NULL THEN
+        PERFORM drop_model_embeddings(previous_model);
+    END IF;
+
+    RAISE LOG 'Activated embedding model % (previous: %, coverage: % percent)', p_model_name, previous_model, current_coverage;
+    RETURN previous_model;
+END;
+$$;
+
+/**
+ * Drops all vectors and indexes of a model that is not active
+ *
+ * @param p_model_name Model whose embeddings are removed
+ * @returns Number of document embeddings deleted
+ */
+CREATE OR REPLACE FUNCTION "public"."drop_model_embeddings"(p_model_name TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    deleted_count INTEGER;
+    suffix TEXT := model_index_suffix(p_model_name);
+BEGIN
+    IF p_model_name = get_active_embedding_model() THEN
+        RAISE EXCEPTION 'Cannot drop embeddings of the active model %', p_model_name;
+    END IF;
+
+    DELETE FROM document_chunks WHERE model_name = p_model_name;
+    DELETE FROM document_embeddings WHERE model_name = p_model_name;
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+    EXECUTE format('DROP INDEX IF EXISTS public.%I', 'idx_document_embeddings_' || suffix || '_cosine');
+    EXECUTE format('DROP INDEX IF EXISTS public.%I', 'idx_document_chunks_' || suffix || '_cosine');
+
+    UPDATE embedding_models SET status = 'retired', retired_at = COALESCE(retired_at, now())
+    WHERE model_name = p_model_name;
+
+    RAISE LOG 'Dropped % embeddings of model %', deleted_count, p_model_name;
+    RETURN deleted_count;
+END;
+$$;
+
+-- ==============================================================================
+-- MONITORING
+-- ==============================================================================
+
+/**
+ * System status restricted to the active model, plus the active model name
+ */
+CREATE OR REPLACE VIEW "public"."autonomous_system_status" AS
+SELECT
+  'Autonomous Embedding System' as system_name,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs) as pending_jobs,
+  (SELECT COUNT(*) FROM source_documents WHERE content IS NOT NULL) as total_documents,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model()) as documents_with_embeddings,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model() AND embedding IS NOT NULL) as documents_with_valid_embeddings,
+  (SELECT COUNT(*) FROM find_outdated_embeddings(10000)) as documents_needing_update,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '1 hour') as errors_last_hour,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '24 hours') as errors_last_24h,
+  (
+    SELECT ROUND(
+      100.0 * COUNT(CASE WHEN de.embedding IS NOT NULL THEN 1 END) / NULLIF(COUNT(*), 0),
+      1
+    )
+    FROM source_documents sd
+    LEFT JOIN document_embeddings de ON sd.id = de.document_id AND de.model_name = get_active_embedding_model()
+    WHERE sd.content IS NOT NULL
+  ) as embedding_coverage_percent,
+  (
+    SELECT COUNT(*) FILTER (WHERE message->>'autopilot_reembedding' = 'true')
+    FROM pgmq.q_embedding_jobs
+    WHERE enqueued_at > now() - interval '1 hour'
+  ) as autopilot_jobs_last_hour,
+  now() as last_checked,
+  get_active_embedding_model() as active_embedding_model;
+
+-- Grant execute permissions on model management functions
+GRANT EXECUTE ON FUNCTION "public"."model_index_suffix" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."create_model_vector_indexes" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."get_active_embedding_model" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."replace_document_chunks" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."semantic_search_documents" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."semantic_search_chunks" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."register_embedding_model" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."enqueue_model_backfill" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."get_model_coverage" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."activate_embedding_model" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."drop_model_embeddings" TO service_role;
+GRANT SELECT ON "public"."autonomous_system_status" TO service_role;
+
+-- Document the multi-model design
+COMMENT ON TABLE "public"."embedding_models" IS 'Embedding model registry - exactly one active model serves search, backfilling models are kept in sync for blue/green switches';
+COMMENT ON COLUMN "public"."document_embeddings"."model_name" IS 'Model that produced the embedding - part of the primary key so several models can coexist';
+COMMENT ON COLUMN "public"."document_embeddings"."embedding" IS 'Dimensionless vector column - each model has a partial HNSW index cast to its own dimensions';
+COMMENT ON FUNCTION "public"."get_active_embedding_model" IS 'Returns the model that search and the autopilot currently use';
+COMMENT ON FUNCTION "public"."semantic_search_documents" IS 'High-performance semantic search over the active model with document type filtering and similarity thresholds';
+COMMENT ON FUNCTION "public"."register_embedding_model" IS 'Blue/green step 1: register a new model and build its vector indexes';
+COMMENT ON FUNCTION "public"."enqueue_model_backfill" IS 'Blue/green step 2: backfill a new model through the embedding_jobs queue';
+COMMENT ON FUNCTION "public"."get_model_coverage" IS 'Blue/green step 3: check how many documents a model covers with up-to-date embeddings';
+COMMENT ON FUNCTION "public"."activate_embedding_model" IS 'Blue/green step 4: atomically switch search to a fully backfilled model';
+COMMENT ON FUNCTION "public"."drop_model_embeddings" IS 'Blue/green step 5: drop the vectors and indexes of a retired model';
+
+-- Verification query
+SELECT
+    'Multi-model embeddings enabled' as status,
+    get_active_embedding_model() as active_model,
+    (SELECT COUNT(*) FROM embedding_models) as registered_models;
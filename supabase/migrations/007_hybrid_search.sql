@@ -0,0 +1,113 @@
+-- Hybrid Keyword + Vector Search
+-- Combines full-text search (using the existing idx_source_documents_content_fts GIN index)
+-- with vector similarity over the active model, fused with Reciprocal Rank Fusion (RRF).
+-- Exact names and product codes are found by the keyword side even when their
+-- embeddings are not close to the query; the semantic side still finds paraphrases.
+
+/**
+ * Hybrid search with reciprocal rank fusion
+ * Each side ranks its own candidates; a document's score is the weighted sum of
+ * 1 / (rrf_k + rank) over the sides it appears in. Both component ranks and scores
+ * are returned so relevance can be debugged.
+ *
+ * @param query_text Plain query text (websearch syntax: quotes, OR, -exclusions)
+ * @param query_embedding Query vector produced by the active model
+ * @param match_count Maximum number of documents returned
+ * @param full_text_weight Weight of the keyword ranking
+ * @param semantic_weight Weight of the vector ranking
+ * @param rrf_k RRF smoothing constant - higher values flatten rank differences
+ * @param filter_document_type Optional metadata.document_type filter
+ */
+CREATE OR REPLACE FUNCTION "public"."hybrid_search_documents"(
+    query_text TEXT,
+    query_embedding vector,
+    match_count INT DEFAULT 10,
+    full_text_weight FLOAT DEFAULT 1.0,
+    semantic_weight FLOAT DEFAULT 1.0,
+    rrf_k INT DEFAULT 50,
+    filter_document_type TEXT DEFAULT NULL
+) RETURNS TABLE (
+    document_id uuid,
+    content text,
+    metadata jsonb,
+    score float,
+    full_text_rank int,
+    full_text_score float,
+    semantic_rank int,
+    semantic_similarity float
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    active_model TEXT;
+    model_dimensions INTEGER;
+BEGIN
+    SELECT em.model_name, em.dimensions INTO active_model, model_dimensions
+    FROM embedding_models em WHERE em.status = 'active';
+
+    IF vector_dims(query_embedding) <> model_dimensions THEN
+        RAISE EXCEPTION 'Query embedding has % dimensions but active model % expects %',
+            vector_dims(query_embedding), active_model, model_dimensions;
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'WITH full_text AS (
+            -- Expression matches idx_source_documents_content_fts so the GIN index is used
+            SELECT
+                sd.id,
+                ts_rank_cd(to_tsvector(''english'', sd.content), websearch_to_tsquery(''english'', $1))::float as rank_score,
+                ROW_NUMBER() OVER (
+                    ORDER BY ts_rank_cd(to_tsvector(''english'', sd.content), websearch_to_tsquery(''english'', $1)) DESC
+                )::int as rank_ix
+            FROM source_documents sd
+            WHERE to_tsvector(''english'', sd.content) @@ websearch_to_tsquery(''english'', $1)
+              AND ($7 IS NULL OR sd.metadata->>''document_type'' = $7)
+            ORDER BY rank_ix
+            LIMIT $3 * 2
+        ),
+        semantic AS (
+            SELECT
+                de.document_id as id,
+                (1 - (de.embedding::vector(%1$s) <=> $2))::float as similarity,
+                ROW_NUMBER() OVER (ORDER BY de.embedding::vector(%1$s) <=> $2)::int as rank_ix
+            FROM document_embeddings de
+            JOIN source_documents sd ON sd.id = de.document_id
+            WHERE de.model_name = %2$L
+              AND de.embedding IS NOT NULL
+              AND ($7 IS NULL OR sd.metadata->>''document_type'' = $7)
+            ORDER BY de.embedding::vector(%1$s) <=> $2
+            LIMIT $3 * 2
+        )
+        SELECT
+            sd.id,
+            sd.content,
+            sd.metadata,
+            (
+                COALESCE(1.0 / ($6 + full_text.rank_ix), 0.0) * $4 +
+                COALESCE(1.0 / ($6 + semantic.rank_ix), 0.0) * $5
+            )::float as score,
+            full_text.rank_ix,
+            full_text.rank_score,
+            semantic.rank_ix,
+            semantic.similarity
+        FROM full_text
+        FULL OUTER JOIN semantic ON full_text.id = semantic.id
+        JOIN source_documents sd ON sd.id = COALESCE(full_text.id, semantic.id)
+        ORDER BY score DESC
+        LIMIT $3',
+        model_dimensions, active_model
+    ) USING query_text, query_embedding, match_count, full_text_weight, semantic_weight, rrf_k, filter_document_type;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION "public"."hybrid_search_documents" TO service_role;
+
+COMMENT ON FUNCTION "public"."hybrid_search_documents" IS 'Hybrid keyword + vector search fused with weighted reciprocal rank fusion - returns both component ranks and scores for relevance debugging';
+
+-- Verification query
+SELECT
+    'Hybrid search installed' as status,
+    EXISTS(
+        SELECT 1 FROM pg_indexes WHERE indexname = 'idx_source_documents_content_fts'
+    ) as full_text_index_exists;
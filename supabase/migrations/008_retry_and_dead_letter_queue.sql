@@ -0,0 +1,324 @@
+-- Retry Policy and Dead-Letter Queue
+-- Failed jobs are retried with exponentially increasing delays (the processor pushes the
+-- message's visibility timeout out), up to a configurable maximum. Jobs that exhaust their
+-- retries - or fail permanently, like empty or malformed messages - move to the
+-- embedding_jobs_dlq queue with their last error attached instead of cycling forever.
+
+-- ==============================================================================
+-- DEAD-LETTER QUEUE
+-- ==============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT FROM information_schema.tables
+    WHERE table_schema = 'pgmq'
+    AND table_name = 'q_embedding_jobs_dlq'
+  ) THEN
+    PERFORM pgmq.create('embedding_jobs_dlq');
+    RAISE NOTICE 'Created embedding_jobs_dlq queue';
+  ELSE
+    RAISE NOTICE 'embedding_jobs_dlq queue already exists';
+  END IF;
+END $$;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON pgmq.q_embedding_jobs_dlq TO service_role;
+
+-- ==============================================================================
+-- ERROR LOG: RETRY TRACKING
+-- ==============================================================================
+
+-- bootstrap.sql created the table without document_type
+ALTER TABLE "public"."embedding_error_log" ADD COLUMN IF NOT EXISTS "document_type" TEXT;
+
+-- Replace both historical signatures with one that also records the attempt number
+DROP FUNCTION IF EXISTS "public"."log_embedding_error"(TEXT, TEXT, JSONB, TEXT, TEXT);
+DROP FUNCTION IF EXISTS "public"."log_embedding_error"(TEXT, TEXT, TEXT, JSONB, TEXT, TEXT);
+
+/**
+ * Logs an embedding error with context
+ *
+ * @param p_retry_count Attempt number of the failed job (pgmq read_ct)
+ * @param p_max_retries Retries allowed before the job is dead-lettered
+ */
+CREATE OR REPLACE FUNCTION "public"."log_embedding_error"(
+    p_document_id TEXT,
+    p_error_message TEXT,
+    p_error_context JSONB DEFAULT '{}'::jsonb,
+    p_function_name TEXT DEFAULT NULL,
+    p_queue_message_id TEXT DEFAULT NULL,
+    p_document_type TEXT DEFAULT NULL,
+    p_retry_count INTEGER DEFAULT 0,
+    p_max_retries INTEGER DEFAULT 3
+) RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    INSERT INTO embedding_error_log (
+        document_id,
+        document_type,
+        error_message,
+        error_context,
+        function_name,
+        queue_message_id,
+        retry_count,
+        max_retries
+    ) VALUES (
+        p_document_id,
+        p_document_type,
+        p_error_message,
+        p_error_context,
+        p_function_name,
+        p_queue_message_id,
+        COALESCE(p_retry_count, 0),
+        COALESCE(p_max_retries, 3)
+    );
+
+    RAISE LOG 'Logged embedding error for document % (attempt %/%): %',
+              p_document_id, p_retry_count, p_max_retries, p_error_message;
+END;
+$$;
+
+-- ==============================================================================
+-- RETRY AND DEAD-LETTER RPCS (used by the processor)
+-- ==============================================================================
+
+/**
+ * Delays the next delivery of a message - used for exponential backoff
+ *
+ * @param queue_name Queue holding the message
+ * @param msg_id Message to delay
+ * @param delay_seconds Seconds until the message becomes visible again
+ * @returns True if the message exists
+ */
+CREATE OR REPLACE FUNCTION "public"."pgmq_set_vt"(
+  queue_name TEXT,
+  msg_id BIGINT,
+  delay_seconds INTEGER
+) RETURNS BOOLEAN
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+BEGIN
+  PERFORM pgmq.set_vt(queue_name, msg_id, delay_seconds);
+  RETURN FOUND;
+END;
+$$;
+
+/**
+ * Moves a failed job to embedding_jobs_dlq with its last error attached
+ * The original message is kept intact; failure details are added under 'dead_letter'.
+ * Copy and delete happen in one transaction, so a job is never lost or duplicated.
+ *
+ * @param p_msg_id Message id in the source queue
+ * @param p_error_message Last error seen for the job
+ * @param p_queue_name Source queue
+ * @returns Message id in the dead-letter queue, or NULL if the job no longer exists
+ */
+CREATE OR REPLACE FUNCTION "public"."dead_letter_embedding_job"(
+    p_msg_id BIGINT,
+    p_error_message TEXT,
+    p_queue_name TEXT DEFAULT 'embedding_jobs'
+) RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    job RECORD;
+    dlq_msg_id BIGINT;
+BEGIN
+    EXECUTE format('SELECT msg_id, read_ct, enqueued_at, message FROM pgmq.%I WHERE msg_id = $1 FOR UPDATE', 'q_' || p_queue_name)
+    INTO job
+    USING p_msg_id;
+
+    IF job.msg_id IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT pgmq.send('embedding_jobs_dlq', job.message || jsonb_build_object(
+        'dead_letter', jsonb_build_object(
+            'last_error', p_error_message,
+            'attempts', job.read_ct,
+            'source_queue', p_queue_name,
+            'original_msg_id', job.msg_id,
+            'original_enqueued_at', job.enqueued_at,
+            'dead_lettered_at', now()
+        )
+    )) INTO dlq_msg_id;
+
+    PERFORM pgmq.delete(p_queue_name, p_msg_id);
+
+    RAISE LOG 'Dead-lettered job % for document % after % attempts: %',
+              p_msg_id, job.message->>'document_id', job.read_ct, p_error_message;
+    RETURN dlq_msg_id;
+END;
+$$;
+
+-- ==============================================================================
+-- DEAD-LETTER MANAGEMENT RPCS (used by operators)
+-- ==============================================================================
+
+/**
+ * Lists dead-lettered jobs, most recent first
+ *
+ * @param p_limit Maximum number of jobs returned
+ */
+CREATE OR REPLACE FUNCTION "public"."list_dead_letter_jobs"(
+    p_limit INTEGER DEFAULT 50
+) RETURNS TABLE (
+    msg_id BIGINT,
+    document_id TEXT,
+    last_error TEXT,
+    attempts INTEGER,
+    source_queue TEXT,
+    dead_lettered_at TIMESTAMPTZ,
+    message JSONB
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        q.msg_id,
+        q.message->>'document_id',
+        q.message->'dead_letter'->>'last_error',
+        (q.message->'dead_letter'->>'attempts')::INTEGER,
+        q.message->'dead_letter'->>'source_queue',
+        q.enqueued_at,
+        q.message
+    FROM pgmq.q_embedding_jobs_dlq q
+    ORDER BY q.enqueued_at DESC
+    LIMIT p_limit;
+END;
+$$;
+
+/**
+ * Sends dead-lettered jobs back to the queue they came from with a fresh retry budget
+ *
+ * @param p_msg_ids Dead-letter message ids to requeue (NULL requeues every job)
+ * @returns Number of jobs requeued
+ */
+CREATE OR REPLACE FUNCTION "public"."requeue_dead_letter_jobs"(
+    p_msg_ids BIGINT[] DEFAULT NULL
+) RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    job RECORD;
+    requeued_count INTEGER := 0;
+BEGIN
+    FOR job IN
+        SELECT q.msg_id, q.message
+        FROM pgmq.q_embedding_jobs_dlq q
+        WHERE p_msg_ids IS NULL OR q.msg_id = ANY(p_msg_ids)
+        ORDER BY q.msg_id
+        FOR UPDATE
+    LOOP
+        PERFORM pgmq.send(
+            COALESCE(job.message->'dead_letter'->>'source_queue', 'embedding_jobs'),
+            (job.message - 'dead_letter') || jsonb_build_object('requeued_at', now())
+        );
+        PERFORM pgmq.delete('embedding_jobs_dlq', job.msg_id);
+        requeued_count := requeued_count + 1;
+    END LOOP;
+
+    RAISE LOG 'Requeued % dead-lettered jobs', requeued_count;
+    RETURN requeued_count;
+END;
+$$;
+
+/**
+ * Discards dead-lettered jobs
+ * Jobs are archived rather than deleted so pgmq.a_embedding_jobs_dlq keeps an audit trail.
+ *
+ * @param p_msg_ids Dead-letter message ids to discard (NULL discards every job)
+ * @returns Number of jobs discarded
+ */
+CREATE OR REPLACE FUNCTION "public"."discard_dead_letter_jobs"(
+    p_msg_ids BIGINT[] DEFAULT NULL
+) RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    job_id BIGINT;
+    discarded_count INTEGER := 0;
+BEGIN
+    FOR job_id IN
+        SELECT q.msg_id
+        FROM pgmq.q_embedding_jobs_dlq q
+        WHERE p_msg_ids IS NULL OR q.msg_id = ANY(p_msg_ids)
+        ORDER BY q.msg_id
+    LOOP
+        IF pgmq.archive('embedding_jobs_dlq', job_id) THEN
+            discarded_count := discarded_count + 1;
+        END IF;
+    END LOOP;
+
+    RAISE LOG 'Discarded % dead-lettered jobs', discarded_count;
+    RETURN discarded_count;
+END;
+$$;
+
+-- ==============================================================================
+-- MONITORING
+-- ==============================================================================
+
+/**
+ * System status with the dead-letter queue depth appended
+ */
+CREATE OR REPLACE VIEW "public"."autonomous_system_status" AS
+SELECT
+  'Autonomous Embedding System' as system_name,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs) as pending_jobs,
+  (SELECT COUNT(*) FROM source_documents WHERE content IS NOT NULL) as total_documents,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model()) as documents_with_embeddings,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model() AND embedding IS NOT NULL) as documents_with_valid_embeddings,
+  (SELECT COUNT(*) FROM find_outdated_embeddings(10000)) as documents_needing_update,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '1 hour') as errors_last_hour,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '24 hours') as errors_last_24h,
+  (
+    SELECT ROUND(
+      100.0 * COUNT(CASE WHEN de.embedding IS NOT NULL THEN 1 END) / NULLIF(COUNT(*), 0),
+      1
+    )
+    FROM source_documents sd
+    LEFT JOIN document_embeddings de ON sd.id = de.document_id AND de.model_name = get_active_embedding_model()
+    WHERE sd.content IS NOT NULL
+  ) as embedding_coverage_percent,
+  (
+    SELECT COUNT(*) FILTER (WHERE message->>'autopilot_reembedding' = 'true')
+    FROM pgmq.q_embedding_jobs
+    WHERE enqueued_at > now() - interval '1 hour'
+  ) as autopilot_jobs_last_hour,
+  now() as last_checked,
+  get_active_embedding_model() as active_embedding_model,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_dlq) as dead_letter_jobs;
+
+GRANT EXECUTE ON FUNCTION "public"."log_embedding_error" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."pgmq_set_vt" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."dead_letter_embedding_job" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."list_dead_letter_jobs" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."requeue_dead_letter_jobs" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."discard_dead_letter_jobs" TO service_role;
+GRANT SELECT ON "public"."autonomous_system_status" TO service_role;
+
+COMMENT ON TABLE pgmq.q_embedding_jobs_dlq IS 'Dead-letter queue for embedding jobs that exhausted their retries or failed permanently - each message carries its last error under dead_letter';
+COMMENT ON COLUMN "public"."embedding_error_log"."retry_count" IS 'Attempt number of the failed job (pgmq read_ct)';
+COMMENT ON COLUMN "public"."embedding_error_log"."max_retries" IS 'Retries allowed by the processor before the job is dead-lettered';
+COMMENT ON FUNCTION "public"."log_embedding_error" IS 'Standardized error logging with context and retry tracking - provides detailed debugging information for failed embedding operations';
+COMMENT ON FUNCTION "public"."pgmq_set_vt" IS 'Secure RPC wrapper for delaying a message - used for exponential retry backoff';
+COMMENT ON FUNCTION "public"."dead_letter_embedding_job" IS 'Moves a failed job to embedding_jobs_dlq with its last error attached';
+COMMENT ON FUNCTION "public"."list_dead_letter_jobs" IS 'Lists dead-lettered embedding jobs with their last error and attempt count';
+COMMENT ON FUNCTION "public"."requeue_dead_letter_jobs" IS 'Sends dead-lettered jobs back to their source queue with a fresh retry budget';
+COMMENT ON FUNCTION "public"."discard_dead_letter_jobs" IS 'Archives dead-lettered jobs that should not be retried';
+
+-- Verification query
+SELECT
+    'Retry policy and dead-letter queue installed' as status,
+    EXISTS(
+        SELECT 1 FROM information_schema.tables
+        WHERE table_schema = 'pgmq' AND table_name = 'q_embedding_jobs_dlq'
+    ) as dead_letter_queue_exists;
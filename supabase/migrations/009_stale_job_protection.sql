@@ -0,0 +1,124 @@
+-- Stale Job Protection
+-- Queue messages carry a snapshot of the document content. When a document is edited
+-- twice in quick succession the two jobs can finish out of order, and the older text's
+-- embedding would overwrite the newer one until the autopilot noticed the hash drift.
+-- The processor now writes through store_document_embedding, which only stores the
+-- result if the job's text is still the document's current content.
+
+/**
+ * Stores a document embedding and its chunks for one model, unless the job is stale
+ * The source row is locked (FOR SHARE) while the content is compared and the sidecar
+ * rows are written, so a concurrent edit either lands before the check (job skipped)
+ * or waits until the write commits (and then enqueues its own job).
+ *
+ * @param p_document_id Document being embedded
+ * @param p_model_name Model that produced the vectors
+ * @param p_source_text Text the job embedded (the queue message snapshot)
+ * @param p_embedding Whole-document embedding
+ * @param p_chunks JSON array of {chunk_index, content, start_offset, end_offset, embedding}
+ * @returns True if stored, false if the document changed or was deleted since the job was enqueued
+ */
+CREATE OR REPLACE FUNCTION "public"."store_document_embedding"(
+    p_document_id uuid,
+    p_model_name TEXT,
+    p_source_text TEXT,
+    p_embedding vector,
+    p_chunks JSONB DEFAULT '[]'::jsonb
+) RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    current_content TEXT;
+BEGIN
+    SELECT sd.content INTO current_content
+    FROM source_documents sd
+    WHERE sd.id = p_document_id
+    FOR SHARE;
+
+    IF current_content IS DISTINCT FROM p_source_text THEN
+        RAISE LOG 'Skipped superseded embedding for document % (model %)', p_document_id, p_model_name;
+        RETURN FALSE;
+    END IF;
+
+    PERFORM replace_document_chunks(p_document_id, p_source_text, p_chunks, p_model_name);
+
+    INSERT INTO document_embeddings (document_id, model_name, source_text, embedding)
+    VALUES (p_document_id, p_model_name, p_source_text, p_embedding)
+    ON CONFLICT (document_id, model_name) DO UPDATE SET
+        source_text = EXCLUDED.source_text,
+        embedding = EXCLUDED.embedding;
+
+    RETURN TRUE;
+END;
+$$;
+
+/**
+ * Checks whether a queued job still matches the document's current content
+ * Lets the processor skip superseded jobs before paying for embedding generation.
+ *
+ * @param p_document_id Document the job refers to
+ * @param p_source_text_hash md5 of the job's source_text; NULL compares p_source_text instead
+ * @param p_source_text The job's source_text (only needed when no hash is supplied)
+ * @returns True if the document exists and its content matches the job
+ */
+CREATE OR REPLACE FUNCTION "public"."is_embedding_job_current"(
+    p_document_id uuid,
+    p_source_text_hash TEXT DEFAULT NULL,
+    p_source_text TEXT DEFAULT NULL
+) RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1
+        FROM source_documents sd
+        WHERE sd.id = p_document_id
+          AND md5(sd.content) = COALESCE(p_source_text_hash, md5(p_source_text))
+    );
+END;
+$$;
+
+-- ==============================================================================
+-- ENQUEUE: INCLUDE THE CONTENT HASH
+-- ==============================================================================
+
+-- Messages now carry source_text_hash, so the pre-check sends a hash instead of the text
+CREATE OR REPLACE FUNCTION "public"."enqueue_embedding_job"() RETURNS "trigger"
+    LANGUAGE "plpgsql" SECURITY DEFINER
+    AS $$
+BEGIN
+  -- Only enqueue for INSERT or when content actually changes
+  IF (TG_OP = 'INSERT') OR (TG_OP = 'UPDATE' AND OLD.content IS DISTINCT FROM NEW.content) THEN
+    -- Only enqueue if content is not null/empty
+    IF NEW.content IS NOT NULL AND NEW.content <> '' THEN
+      PERFORM pgmq.send('embedding_jobs', json_build_object(
+        'document_id', NEW.id,
+        'source_text', NEW.content,
+        'source_text_hash', md5(NEW.content),
+        'metadata', NEW.metadata,
+        'trigger_type', TG_OP,
+        'enqueued_at', now()
+      )::jsonb);
+
+      RAISE LOG 'Enqueued embedding job for document: % (trigger: %)',
+                NEW.id, TG_OP;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION "public"."store_document_embedding" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."is_embedding_job_current" TO service_role;
+
+COMMENT ON FUNCTION "public"."store_document_embedding" IS 'Atomically stores a document embedding and its chunks - refuses writes from jobs superseded by a newer edit';
+COMMENT ON FUNCTION "public"."is_embedding_job_current" IS 'Returns true if a queued job still matches the current document content';
+
+-- Verification query
+SELECT
+    'Stale job protection installed' as status,
+    EXISTS(
+        SELECT 1 FROM pg_proc WHERE proname = 'store_document_embedding'
+    ) as store_function_exists;
@@ -0,0 +1,202 @@
+-- Coalesce Queue Messages Per Document
+-- The trigger used to send a message on every content change, so a document edited 20
+-- times in a minute was embedded 20 times, while the autopilot deduplicated through its
+-- own temp table. Both paths now enqueue through enqueue_document_embedding, which keeps
+-- at most one pending job per document carrying the latest content.
+
+-- Pending-job lookups by document
+CREATE INDEX IF NOT EXISTS "idx_q_embedding_jobs_document_id"
+ON pgmq.q_embedding_jobs ((message->>'document_id'));
+
+/**
+ * Enqueues an embedding job for a document, coalescing with its pending job
+ * - A pending job that has not been read yet is rewritten with the latest content
+ *   and its coalesced_count is incremented - no new message is sent
+ * - A job already read by the processor (in flight or waiting for a retry) is left
+ *   alone; a new message is sent only if the content differs from that job's snapshot
+ * Jobs for a specific model (blue/green backfill) are coalesced separately per model.
+ *
+ * @param p_document_id Document to embed
+ * @param p_content Current document content
+ * @param p_attributes Extra message fields (trigger_type, autopilot_reembedding, model_name, ...)
+ * @returns msg_id of the job that will embed the content
+ */
+CREATE OR REPLACE FUNCTION "public"."enqueue_document_embedding"(
+    p_document_id uuid,
+    p_content TEXT,
+    p_attributes JSONB DEFAULT '{}'::jsonb
+) RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    content_hash TEXT := md5(p_content);
+    new_message JSONB;
+    pending RECORD;
+    job_msg_id BIGINT;
+BEGIN
+    -- Serialize enqueues per document so concurrent edits cannot both send a message
+    PERFORM pg_advisory_xact_lock(hashtextextended('embedding_jobs:' || p_document_id::TEXT, 0));
+
+    new_message := p_attributes || jsonb_build_object(
+        'document_id', p_document_id,
+        'source_text', p_content,
+        'source_text_hash', content_hash,
+        'enqueued_at', now()
+    );
+
+    SELECT q.msg_id, q.read_ct, q.message INTO pending
+    FROM pgmq.q_embedding_jobs q
+    WHERE q.message->>'document_id' = p_document_id::TEXT
+      AND q.message->>'model_name' IS NOT DISTINCT FROM p_attributes->>'model_name'
+    ORDER BY q.msg_id DESC
+    LIMIT 1;
+
+    IF pending.msg_id IS NOT NULL AND pending.read_ct = 0 THEN
+        -- read_ct = 0 is re-checked after the row lock, so a job picked up meanwhile is not touched
+        UPDATE pgmq.q_embedding_jobs q
+        SET message = new_message || jsonb_build_object(
+            'coalesced_count', COALESCE((q.message->>'coalesced_count')::INTEGER, 0) + 1,
+            'first_enqueued_at', COALESCE(q.message->'first_enqueued_at', q.message->'enqueued_at')
+        )
+        WHERE q.msg_id = pending.msg_id
+          AND q.read_ct = 0
+        RETURNING q.msg_id INTO job_msg_id;
+
+        IF job_msg_id IS NOT NULL THEN
+            RETURN job_msg_id;
+        END IF;
+    ELSIF pending.msg_id IS NOT NULL
+      AND COALESCE(pending.message->>'source_text_hash', md5(pending.message->>'source_text')) = content_hash THEN
+        -- The job being processed already embeds this exact content
+        RETURN pending.msg_id;
+    END IF;
+
+    SELECT pgmq.send('embedding_jobs', new_message) INTO job_msg_id;
+    RETURN job_msg_id;
+END;
+$$;
+
+-- ==============================================================================
+-- TRIGGER PATH
+-- ==============================================================================
+
+CREATE OR REPLACE FUNCTION "public"."enqueue_embedding_job"() RETURNS "trigger"
+    LANGUAGE "plpgsql" SECURITY DEFINER
+    AS $$
+BEGIN
+  -- Only enqueue for INSERT or when content actually changes
+  IF (TG_OP = 'INSERT') OR (TG_OP = 'UPDATE' AND OLD.content IS DISTINCT FROM NEW.content) THEN
+    -- Only enqueue if content is not null/empty
+    IF NEW.content IS NOT NULL AND NEW.content <> '' THEN
+      PERFORM enqueue_document_embedding(NEW.id, NEW.content, jsonb_build_object(
+        'metadata', NEW.metadata,
+        'trigger_type', TG_OP
+      ));
+
+      RAISE LOG 'Enqueued embedding job for document: % (trigger: %)',
+                NEW.id, TG_OP;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- ==============================================================================
+-- AUTOPILOT PATH
+-- ==============================================================================
+
+/**
+ * Enqueues documents with outdated embeddings for re-embedding
+ * Deduplication is handled by enqueue_document_embedding, so documents that already
+ * have a pending job are refreshed in place instead of being queued twice.
+ *
+ * @param batch_limit Maximum number of documents to enqueue in one operation
+ * @returns Number of documents enqueued (new or coalesced), -1 on error
+ */
+CREATE OR REPLACE FUNCTION "public"."enqueue_outdated_embeddings"(batch_limit INTEGER DEFAULT 30000)
+RETURNS INTEGER
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+DECLARE
+  enqueued_count INTEGER;
+BEGIN
+  SELECT COUNT(enqueue_document_embedding(
+    outdated.document_id::uuid,
+    outdated.content,
+    jsonb_build_object(
+      'previous_hash', outdated.stored_hash,
+      'content_length', outdated.content_length,
+      'autopilot_reembedding', true,
+      'priority', CASE
+        WHEN outdated.content_length > 5000 THEN 'high'
+        ELSE 'normal'
+      END
+    )
+  )) INTO enqueued_count
+  FROM find_outdated_embeddings(batch_limit) outdated;
+
+  RAISE LOG 'Autopilot: Successfully enqueued % documents for re-embedding', enqueued_count;
+  RETURN enqueued_count;
+
+EXCEPTION WHEN OTHERS THEN
+  RAISE LOG 'Autopilot error in enqueue_outdated_embeddings: %', SQLERRM;
+  RETURN -1;
+END;
+$$;
+
+-- ==============================================================================
+-- MONITORING
+-- ==============================================================================
+
+/**
+ * Queue statistics with coalescing counts
+ * coalesced_pending counts updates absorbed by jobs still in the queue;
+ * coalesced_last_24h also includes jobs archived in the last 24 hours.
+ */
+DROP FUNCTION IF EXISTS "public"."get_queue_stats"();
+CREATE OR REPLACE FUNCTION "public"."get_queue_stats"()
+RETURNS TABLE(
+    total_pending BIGINT,
+    oldest_job TIMESTAMP WITH TIME ZONE,
+    newest_job TIMESTAMP WITH TIME ZONE,
+    avg_processing_time INTERVAL,
+    coalesced_pending BIGINT,
+    coalesced_last_24h BIGINT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        COUNT(*) as total_pending,
+        MIN(q.enqueued_at) as oldest_job,
+        MAX(q.enqueued_at) as newest_job,
+        AVG(now() - q.enqueued_at) as avg_processing_time,
+        COALESCE(SUM((q.message->>'coalesced_count')::BIGINT), 0)::BIGINT as coalesced_pending,
+        (
+            COALESCE(SUM((q.message->>'coalesced_count')::BIGINT), 0) + (
+                SELECT COALESCE(SUM((a.message->>'coalesced_count')::BIGINT), 0)
+                FROM pgmq.a_embedding_jobs a
+                WHERE a.archived_at > now() - interval '24 hours'
+            )
+        )::BIGINT as coalesced_last_24h
+    FROM pgmq.q_embedding_jobs q;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION "public"."enqueue_document_embedding" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."enqueue_outdated_embeddings" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."get_queue_stats" TO service_role;
+
+COMMENT ON FUNCTION "public"."enqueue_document_embedding" IS 'Single enqueue path for the trigger and the autopilot - keeps at most one pending job per document with the latest content';
+COMMENT ON FUNCTION "public"."enqueue_outdated_embeddings" IS 'Autopilot worker: enqueues documents with outdated embeddings, coalescing with pending jobs';
+COMMENT ON FUNCTION "public"."get_queue_stats" IS 'Real-time queue monitoring and performance metrics, including how many enqueues were coalesced into pending jobs';
+
+-- Verification query
+SELECT
+    'Queue coalescing installed' as status,
+    total_pending,
+    coalesced_pending
+FROM get_queue_stats();
@@ -0,0 +1,238 @@
+-- Missing Embedding Reconciliation
+-- find_outdated_embeddings inner-joins document_embeddings, so documents that never got
+-- an embedding (lost jobs, rows inserted before the trigger existed, rows restored from
+-- a dump) were invisible to the autopilot. The autopilot now also reconciles missing
+-- embeddings with its own scan limit, and backfill_embeddings is a one-shot command
+-- that reports what it queued by reason.
+--
+-- Settings (optional, ALTER DATABASE postgres SET ...):
+-- - app.settings.reconciliation_scan_limit: documents reconciled per autopilot cycle (default 200, 0 disables)
+
+/**
+ * Finds documents without an embedding for the active model
+ * Documents with a pending job or a dead-lettered job are excluded, so the autopilot
+ * neither rewrites queued jobs every cycle nor resurrects jobs that were given up on.
+ *
+ * @param batch_limit Maximum number of documents returned
+ */
+CREATE OR REPLACE FUNCTION "public"."find_missing_embeddings"(batch_limit INTEGER DEFAULT 30000)
+RETURNS TABLE(
+    document_id TEXT,
+    content TEXT,
+    content_length INTEGER
+)
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    sd.id::TEXT as document_id,
+    sd.content,
+    LENGTH(sd.content) as content_length
+  FROM public.source_documents sd
+  WHERE sd.content IS NOT NULL
+    AND sd.content <> ''
+    AND NOT EXISTS (
+      SELECT 1 FROM public.document_embeddings de
+      WHERE de.document_id = sd.id AND de.model_name = get_active_embedding_model()
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM pgmq.q_embedding_jobs q WHERE q.message->>'document_id' = sd.id::TEXT
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM pgmq.q_embedding_jobs_dlq d WHERE d.message->>'document_id' = sd.id::TEXT
+    )
+  ORDER BY sd.created_at  -- Oldest gaps first
+  LIMIT batch_limit;
+END;
+$$;
+
+/**
+ * Enqueues documents that have never been embedded with the active model
+ *
+ * @param batch_limit Maximum number of documents to enqueue in one operation
+ * @returns Number of documents enqueued, -1 on error
+ */
+CREATE OR REPLACE FUNCTION "public"."enqueue_missing_embeddings"(batch_limit INTEGER DEFAULT 30000)
+RETURNS INTEGER
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+DECLARE
+  enqueued_count INTEGER;
+BEGIN
+  SELECT COUNT(enqueue_document_embedding(
+    missing.document_id::uuid,
+    missing.content,
+    jsonb_build_object(
+      'content_length', missing.content_length,
+      'autopilot_reembedding', true,
+      'reconciliation', true
+    )
+  )) INTO enqueued_count
+  FROM find_missing_embeddings(batch_limit) missing;
+
+  RAISE LOG 'Autopilot: Reconciled % documents without embeddings', enqueued_count;
+  RETURN enqueued_count;
+
+EXCEPTION WHEN OTHERS THEN
+  RAISE LOG 'Autopilot error in enqueue_missing_embeddings: %', SQLERRM;
+  RETURN -1;
+END;
+$$;
+
+/**
+ * One-shot backfill: queues every document whose embedding is missing or outdated
+ * Unlike the autopilot it ignores the queue size threshold, so run it off-peak for
+ * large tables. Errors are raised instead of being swallowed.
+ *
+ * @param batch_limit Maximum number of documents per reason
+ * @param include_outdated Also queue documents whose content drifted (default true)
+ * @returns One row per reason (missing, outdated) with the number of documents queued
+ */
+CREATE OR REPLACE FUNCTION "public"."backfill_embeddings"(
+    batch_limit INTEGER DEFAULT 30000,
+    include_outdated BOOLEAN DEFAULT true
+)
+RETURNS TABLE(reason TEXT, enqueued_count INTEGER)
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+DECLARE
+  missing_count INTEGER;
+  outdated_count INTEGER := 0;
+BEGIN
+  SELECT COUNT(enqueue_document_embedding(
+    missing.document_id::uuid,
+    missing.content,
+    jsonb_build_object('content_length', missing.content_length, 'backfill', true, 'backfill_reason', 'missing')
+  )) INTO missing_count
+  FROM find_missing_embeddings(batch_limit) missing;
+
+  IF include_outdated THEN
+    SELECT COUNT(enqueue_document_embedding(
+      outdated.document_id::uuid,
+      outdated.content,
+      jsonb_build_object(
+        'previous_hash', outdated.stored_hash,
+        'content_length', outdated.content_length,
+        'backfill', true,
+        'backfill_reason', 'outdated'
+      )
+    )) INTO outdated_count
+    FROM find_outdated_embeddings(batch_limit) outdated;
+  END IF;
+
+  RAISE LOG 'Backfill: queued % missing and % outdated documents', missing_count, outdated_count;
+
+  RETURN QUERY VALUES ('missing', missing_count), ('outdated', outdated_count);
+END;
+$$;
+
+-- ==============================================================================
+-- AUTOPILOT: RECONCILIATION MODE
+-- ==============================================================================
+
+/**
+ * The master autopilot function that orchestrates the complete re-embedding cycle
+ * Each cycle re-embeds outdated documents and reconciles documents that were never
+ * embedded; each scan has its own limit so a large gap cannot starve drift detection.
+ * Runs autonomously every 30 seconds via cron scheduling
+ */
+CREATE OR REPLACE FUNCTION "public"."autopilot_embedding_sync"()
+RETURNS "void"
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+DECLARE
+  enqueued_count INTEGER;
+  reconciled_count INTEGER;
+  current_queue_size INTEGER;
+  -- TODO: Move these to app.settings configuration table for production flexibility
+  system_load_threshold INTEGER := 1000; -- Don't scan if queue is too large
+  scan_batch_size INTEGER := 500; -- Conservative batch size for scanning
+  reconciliation_scan_limit INTEGER := COALESCE(
+    NULLIF(current_setting('app.settings.reconciliation_scan_limit', true), '')::INTEGER,
+    200
+  );
+BEGIN
+  -- Step 1: Check current queue size for load management
+  SELECT COUNT(*) INTO current_queue_size FROM pgmq.q_embedding_jobs;
+
+  -- Step 2: Intelligent load management - only scan if the system can handle it
+  IF current_queue_size < system_load_threshold THEN
+    -- Scan for and enqueue outdated embeddings (limited batch to prevent overload)
+    SELECT enqueue_outdated_embeddings(scan_batch_size) INTO enqueued_count;
+
+    -- Reconciliation: documents that never got an embedding
+    IF reconciliation_scan_limit > 0 THEN
+      SELECT enqueue_missing_embeddings(reconciliation_scan_limit) INTO reconciled_count;
+    END IF;
+
+    IF enqueued_count > 0 OR reconciled_count > 0 THEN
+      RAISE LOG 'Autopilot: Enqueued % outdated and % missing documents (queue_size: %)',
+                enqueued_count, COALESCE(reconciled_count, 0), current_queue_size;
+    ELSE
+      RAISE LOG 'Autopilot: No outdated or missing embeddings detected - system synchronized (queue_size: %)',
+                current_queue_size;
+    END IF;
+  ELSE
+    RAISE LOG 'Autopilot: Queue size (%) exceeds threshold (%), skipping scan to prevent overload',
+              current_queue_size, system_load_threshold;
+  END IF;
+
+  -- Step 3: Always trigger processing (handles both new scans and existing queue)
+  PERFORM trigger_embedding_queue_processing_adaptive();
+
+EXCEPTION WHEN OTHERS THEN
+  RAISE LOG 'Autopilot master controller error: %', SQLERRM;
+  -- Log error but don't re-raise - system should continue operating
+END;
+$$;
+
+-- ==============================================================================
+-- MONITORING
+-- ==============================================================================
+
+/**
+ * System status with documents missing an embedding appended
+ */
+CREATE OR REPLACE VIEW "public"."autonomous_system_status" AS
+SELECT
+  'Autonomous Embedding System' as system_name,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs) as pending_jobs,
+  (SELECT COUNT(*) FROM source_documents WHERE content IS NOT NULL) as total_documents,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model()) as documents_with_embeddings,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model() AND embedding IS NOT NULL) as documents_with_valid_embeddings,
+  (SELECT COUNT(*) FROM find_outdated_embeddings(10000)) as documents_needing_update,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '1 hour') as errors_last_hour,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '24 hours') as errors_last_24h,
+  (
+    SELECT ROUND(
+      100.0 * COUNT(CASE WHEN de.embedding IS NOT NULL THEN 1 END) / NULLIF(COUNT(*), 0),
+      1
+    )
+    FROM source_documents sd
+    LEFT JOIN document_embeddings de ON sd.id = de.document_id AND de.model_name = get_active_embedding_model()
+    WHERE sd.content IS NOT NULL
+  ) as embedding_coverage_percent,
+  (
+    SELECT COUNT(*) FILTER (WHERE message->>'autopilot_reembedding' = 'true')
+    FROM pgmq.q_embedding_jobs
+    WHERE enqueued_at > now() - interval '1 hour'
+  ) as autopilot_jobs_last_hour,
+  now() as last_checked,
+  get_active_embedding_model() as active_embedding_model,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_dlq) as dead_letter_jobs,
+  (SELECT COUNT(*) FROM find_missing_embeddings(10000)) as documents_missing_embeddings;
+
+GRANT EXECUTE ON FUNCTION "public"."find_missing_embeddings" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."enqueue_missing_embeddings" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."backfill_embeddings" TO service_role;
+GRANT SELECT ON "public"."autonomous_system_status" TO service_role;
+
+COMMENT ON FUNCTION "public"."find_missing_embeddings" IS 'Finds documents that were never embedded with the active model and have no pending or dead-lettered job';
+COMMENT ON FUNCTION "public"."enqueue_missing_embeddings" IS 'Autopilot reconciliation: enqueues documents that were never embedded';
+COMMENT ON FUNCTION "public"."backfill_embeddings" IS 'One-shot backfill of missing and outdated embeddings - reports queued documents by reason';
+
+-- Verification query
+SELECT
+    'Missing embedding reconciliation installed' as status,
+    (SELECT COUNT(*) FROM find_missing_embeddings(10000)) as documents_missing_embeddings;
@@ -0,0 +1,576 @@
+-- Priority Lanes
+-- The processor used to drain embedding_jobs in FIFO order, so a large autopilot
+-- re-embed delayed freshly inserted user documents by hours. Jobs now go to one of
+-- two pgmq queues and the processor always drains the high lane first:
+-- - embedding_jobs_high: user-triggered inserts and updates, explicit high-priority requests
+-- - embedding_jobs:      background work (autopilot re-embedding, reconciliation, backfills)
+-- The autopilot skips its scans while both lanes together hold too many jobs.
+--
+-- Callers choose a lane explicitly through enqueue_document_embedding(..., p_priority)
+-- or reembed_document; writers can route the trigger jobs of one transaction to the
+-- normal lane (e.g. bulk imports) with set_config('app.embedding_priority', 'normal', true)
+-- or, through the REST API, the X-Embedding-Priority: normal header. Neither is stored
+-- with the document, so later edits go to the high lane again.
+
+-- ==============================================================================
+-- HIGH-PRIORITY QUEUE
+-- ==============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT FROM information_schema.tables
+    WHERE table_schema = 'pgmq'
+    AND table_name = 'q_embedding_jobs_high'
+  ) THEN
+    PERFORM pgmq.create('embedding_jobs_high');
+    RAISE NOTICE 'Created embedding_jobs_high queue';
+  ELSE
+    RAISE NOTICE 'embedding_jobs_high queue already exists';
+  END IF;
+END $$;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON pgmq.q_embedding_jobs_high TO service_role;
+
+-- Pending-job lookups by document (same as the normal lane)
+CREATE INDEX IF NOT EXISTS "idx_q_embedding_jobs_high_document_id"
+ON pgmq.q_embedding_jobs_high ((message->>'document_id'));
+
+/**
+ * Maps a priority to its queue
+ *
+ * @param p_priority 'high' or 'normal' (NULL means normal)
+ * @returns Queue name
+ */
+CREATE OR REPLACE FUNCTION "public"."embedding_queue_for_priority"(p_priority TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+    IF p_priority = 'high' THEN
+        RETURN 'embedding_jobs_high';
+    ELSIF p_priority IS NULL OR p_priority = 'normal' THEN
+        RETURN 'embedding_jobs';
+    END IF;
+
+    RAISE EXCEPTION 'Unknown embedding priority: % (expected high or normal)', p_priority;
+END;
+$$;
+
+-- ==============================================================================
+-- SHARED ENQUEUE PATH
+-- ==============================================================================
+
+DROP FUNCTION IF EXISTS "public"."enqueue_document_embedding"(uuid, TEXT, JSONB);
+
+/**
+ * Enqueues an embedding job for a document in the lane for its priority,
+ * coalescing with its pending job in either lane
+ * - An unread pending job in the same lane is rewritten with the latest content
+ * - An unread pending job in the high lane also serves normal-priority requests
+ * - An unread pending job in the normal lane is promoted when high priority is requested
+ * - A job already read by the processor is left alone; a new message is sent only
+ *   if the content differs from that job's snapshot
+ * Jobs for a specific model (blue/green backfill) are coalesced separately per model.
+ *
+ * @param p_document_id Document to embed
+ * @param p_content Current document content
+ * @param p_attributes Extra message fields (trigger_type, autopilot_reembedding, model_name, ...)
+ * @param p_priority 'high' or 'normal'
+ * @returns msg_id of the job that will embed the content (within its lane)
+ */
+CREATE OR REPLACE FUNCTION "public"."enqueue_document_embedding"(
+    p_document_id uuid,
+    p_content TEXT,
+    p_attributes JSONB DEFAULT '{}'::jsonb,
+    p_priority TEXT DEFAULT 'normal'
+) RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    content_hash TEXT := md5(p_content);
+    target_queue TEXT := embedding_queue_for_priority(p_priority);
+    coalesce_queue TEXT;
+    new_message JSONB;
+    coalesced_message JSONB;
+    pending RECORD;
+    job_msg_id BIGINT;
+BEGIN
+    -- Serialize enqueues per document so concurrent edits cannot both send a message
+    PERFORM pg_advisory_xact_lock(hashtextextended('embedding_jobs:' || p_document_id::TEXT, 0));
+
+    new_message := p_attributes || jsonb_build_object(
+        'document_id', p_document_id,
+        'source_text', p_content,
+        'source_text_hash', content_hash,
+        'priority', COALESCE(p_priority, 'normal'),
+        'enqueued_at', now()
+    );
+
+    -- Newest pending job for the document, preferring jobs the processor has not read yet
+    SELECT lanes.queue_name, lanes.msg_id, lanes.read_ct, lanes.message INTO pending
+    FROM (
+        SELECT 'embedding_jobs_high'::TEXT as queue_name, q.msg_id, q.read_ct, q.enqueued_at, q.message
+        FROM pgmq.q_embedding_jobs_high q
+        WHERE q.message->>'document_id' = p_document_id::TEXT
+          AND q.message->>'model_name' IS NOT DISTINCT FROM p_attributes->>'model_name'
+        UNION ALL
+        SELECT 'embedding_jobs'::TEXT, q.msg_id, q.read_ct, q.enqueued_at, q.message
+        FROM pgmq.q_embedding_jobs q
+        WHERE q.message->>'document_id' = p_document_id::TEXT
+          AND q.message->>'model_name' IS NOT DISTINCT FROM p_attributes->>'model_name'
+    ) lanes
+    ORDER BY (lanes.read_ct = 0) DESC, lanes.enqueued_at DESC
+    LIMIT 1;
+
+    IF pending.msg_id IS NOT NULL AND pending.read_ct = 0 THEN
+        -- Never demote: a high-lane job also covers a normal-priority request
+        coalesce_queue := CASE WHEN pending.queue_name = 'embedding_jobs_high' THEN pending.queue_name ELSE target_queue END;
+
+        coalesced_message := new_message || jsonb_build_object(
+            'priority', CASE WHEN coalesce_queue = 'embedding_jobs_high' THEN 'high' ELSE 'normal' END,
+            'coalesced_count', COALESCE((pending.message->>'coalesced_count')::INTEGER, 0) + 1,
+            'first_enqueued_at', COALESCE(pending.message->'first_enqueued_at', pending.message->'enqueued_at')
+        );
+
+        -- read_ct = 0 is re-checked after the row lock, so a job picked up meanwhile is not touched
+        IF pending.queue_name = coalesce_queue THEN
+            EXECUTE format('UPDATE pgmq.%I SET message = $1 WHERE msg_id = $2 AND read_ct = 0 RETURNING msg_id', 'q_' || coalesce_queue)
+            INTO job_msg_id
+            USING coalesced_message, pending.msg_id;
+        ELSE
+            -- Promotion: move the unread normal-lane job to the high lane
+            DELETE FROM pgmq.q_embedding_jobs q
+            WHERE q.msg_id = pending.msg_id AND q.read_ct = 0
+            RETURNING q.msg_id INTO job_msg_id;
+
+            IF job_msg_id IS NOT NULL THEN
+                SELECT pgmq.send(coalesce_queue, coalesced_message) INTO job_msg_id;
+            END IF;
+        END IF;
+
+        IF job_msg_id IS NOT NULL THEN
+            RETURN job_msg_id;
+        END IF;
+    ELSIF pending.msg_id IS NOT NULL
+      AND COALESCE(pending.message->>'source_text_hash', md5(pending.message->>'source_text')) = content_hash THEN
+        -- The job being processed already embeds this exact content
+        RETURN pending.msg_id;
+    END IF;
+
+    SELECT pgmq.send(target_queue, new_message) INTO job_msg_id;
+    RETURN job_msg_id;
+END;
+$$;
+
+/**
+ * Queues a document for (re-)embedding with an explicit priority
+ *
+ * @param p_document_id Document to embed
+ * @param p_priority 'high' (default) or 'normal'
+ * @returns msg_id of the job, or NULL if the document does not exist or is empty
+ */
+CREATE OR REPLACE FUNCTION "public"."reembed_document"(
+    p_document_id uuid,
+    p_priority TEXT DEFAULT 'high'
+) RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    document_content TEXT;
+BEGIN
+    SELECT sd.content INTO document_content
+    FROM source_documents sd
+    WHERE sd.id = p_document_id;
+
+    IF document_content IS NULL OR document_content = '' THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN enqueue_document_embedding(
+        p_document_id,
+        document_content,
+        jsonb_build_object('trigger_type', 'MANUAL'),
+        p_priority
+    );
+END;
+$$;
+
+-- ==============================================================================
+-- TRIGGER PATH: HIGH PRIORITY
+-- ==============================================================================
+
+/**
+ * Lane the writing transaction asked for its trigger jobs
+ * 'normal' when the transaction ran set_config('app.embedding_priority', 'normal', true)
+ * or the PostgREST request carried X-Embedding-Priority: normal, otherwise 'high'.
+ *
+ * @returns 'high' or 'normal'
+ */
+CREATE OR REPLACE FUNCTION "public"."requested_embedding_priority"()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT CASE
+        WHEN current_setting('app.embedding_priority', true) = 'normal' THEN 'normal'
+        WHEN NULLIF(current_setting('request.headers', true), '')::json->>'x-embedding-priority' = 'normal' THEN 'normal'
+        ELSE 'high'
+    END;
+$$;
+
+CREATE OR REPLACE FUNCTION "public"."enqueue_embedding_job"() RETURNS "trigger"
+    LANGUAGE "plpgsql" SECURITY DEFINER
+    AS $$
+BEGIN
+  -- Only enqueue for INSERT or when content actually changes
+  IF (TG_OP = 'INSERT') OR (TG_OP = 'UPDATE' AND OLD.content IS DISTINCT FROM NEW.content) THEN
+    -- Only enqueue if content is not null/empty
+    IF NEW.content IS NOT NULL AND NEW.content <> '' THEN
+      -- User edits go ahead of background work unless the writing transaction opted out
+      PERFORM enqueue_document_embedding(
+        NEW.id,
+        NEW.content,
+        jsonb_build_object(
+          'metadata', NEW.metadata,
+          'trigger_type', TG_OP
+        ),
+        requested_embedding_priority()
+      );
+
+      RAISE LOG 'Enqueued embedding job for document: % (trigger: %)',
+                NEW.id, TG_OP;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- ==============================================================================
+-- AUTOPILOT PATH: NORMAL PRIORITY
+-- ==============================================================================
+
+/**
+ * Enqueues documents with outdated embeddings for re-embedding in the normal lane
+ * Background re-embedding never competes with user edits, whatever the document size.
+ *
+ * @param batch_limit Maximum number of documents to enqueue in one operation
+ * @returns Number of documents enqueued (new or coalesced), -1 on error
+ */
+CREATE OR REPLACE FUNCTION "public"."enqueue_outdated_embeddings"(batch_limit INTEGER DEFAULT 30000)
+RETURNS INTEGER
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+DECLARE
+  enqueued_count INTEGER;
+BEGIN
+  SELECT COUNT(enqueue_document_embedding(
+    outdated.document_id::uuid,
+    outdated.content,
+    jsonb_build_object(
+      'previous_hash', outdated.stored_hash,
+      'content_length', outdated.content_length,
+      'autopilot_reembedding', true
+    ),
+    'normal'
+  )) INTO enqueued_count
+  FROM find_outdated_embeddings(batch_limit) outdated;
+
+  RAISE LOG 'Autopilot: Successfully enqueued % documents for re-embedding', enqueued_count;
+  RETURN enqueued_count;
+
+EXCEPTION WHEN OTHERS THEN
+  RAISE LOG 'Autopilot error in enqueue_outdated_embeddings: %', SQLERRM;
+  RETURN -1;
+END;
+$$;
+
+/**
+ * Finds documents without an embedding for the active model
+ * Documents with a pending job in either lane or a dead-lettered job are excluded.
+ *
+ * @param batch_limit Maximum number of documents returned
+ */
+CREATE OR REPLACE FUNCTION "public"."find_missing_embeddings"(batch_limit INTEGER DEFAULT 30000)
+RETURNS TABLE(
+    document_id TEXT,
+    content TEXT,
+    content_length INTEGER
+)
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    sd.id::TEXT as document_id,
+    sd.content,
+    LENGTH(sd.content) as content_length
+  FROM public.source_documents sd
+  WHERE sd.content IS NOT NULL
+    AND sd.content <> ''
+    AND NOT EXISTS (
+      SELECT 1 FROM public.document_embeddings de
+      WHERE de.document_id = sd.id AND de.model_name = get_active_embedding_model()
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM pgmq.q_embedding_jobs q WHERE q.message->>'document_id' = sd.id::TEXT
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM pgmq.q_embedding_jobs_high h WHERE h.message->>'document_id' = sd.id::TEXT
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM pgmq.q_embedding_jobs_dlq d WHERE d.message->>'document_id' = sd.id::TEXT
+    )
+  ORDER BY sd.created_at  -- Oldest gaps first
+  LIMIT batch_limit;
+END;
+$$;
+
+/**
+ * The master autopilot function that orchestrates the complete re-embedding cycle
+ * Same as 011, but the load-shedding threshold counts both lanes: high-priority jobs
+ * compete for the same processor, so a backlog there also pauses the scans.
+ * Runs autonomously every 30 seconds via cron scheduling
+ */
+CREATE OR REPLACE FUNCTION "public"."autopilot_embedding_sync"()
+RETURNS "void"
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+DECLARE
+  enqueued_count INTEGER;
+  reconciled_count INTEGER;
+  current_queue_size INTEGER;
+  -- TODO: Move these to app.settings configuration table for production flexibility
+  system_load_threshold INTEGER := 1000; -- Don't scan if queue is too large
+  scan_batch_size INTEGER := 500; -- Conservative batch size for scanning
+  reconciliation_scan_limit INTEGER := COALESCE(
+    NULLIF(current_setting('app.settings.reconciliation_scan_limit', true), '')::INTEGER,
+    200
+  );
+BEGIN
+  -- Step 1: Check current queue size (both lanes) for load management
+  SELECT
+    (SELECT COUNT(*) FROM pgmq.q_embedding_jobs) + (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_high)
+  INTO current_queue_size;
+
+  -- Step 2: Intelligent load management - only scan if the system can handle it
+  IF current_queue_size < system_load_threshold THEN
+    -- Scan for and enqueue outdated embeddings (limited batch to prevent overload)
+    SELECT enqueue_outdated_embeddings(scan_batch_size) INTO enqueued_count;
+
+    -- Reconciliation: documents that never got an embedding
+    IF reconciliation_scan_limit > 0 THEN
+      SELECT enqueue_missing_embeddings(reconciliation_scan_limit) INTO reconciled_count;
+    END IF;
+
+    IF enqueued_count > 0 OR reconciled_count > 0 THEN
+      RAISE LOG 'Autopilot: Enqueued % outdated and % missing documents (queue_size: %)',
+                enqueued_count, COALESCE(reconciled_count, 0), current_queue_size;
+    ELSE
+      RAISE LOG 'Autopilot: No outdated or missing embeddings detected - system synchronized (queue_size: %)',
+                current_queue_size;
+    END IF;
+  ELSE
+    RAISE LOG 'Autopilot: Queue size (%) exceeds threshold (%), skipping scan to prevent overload',
+              current_queue_size, system_load_threshold;
+  END IF;
+
+  -- Step 3: Always trigger processing (handles both new scans and existing queue)
+  PERFORM trigger_embedding_queue_processing_adaptive();
+
+EXCEPTION WHEN OTHERS THEN
+  RAISE LOG 'Autopilot master controller error: %', SQLERRM;
+  -- Log error but don't re-raise - system should continue operating
+END;
+$$;
+
+-- ==============================================================================
+-- CPU-AWARE PROCESSING: PER-LANE DEPTH
+-- ==============================================================================
+
+/**
+ * CPU-aware function for continuous processing without overwhelming the system
+ * Adapts batch size to the depth of both lanes. High-priority jobs count double, so
+ * a burst of user edits gets larger batches (lower latency) even when the background
+ * lane is nearly empty.
+ */
+CREATE OR REPLACE FUNCTION "public"."trigger_embedding_queue_processing_adaptive"()
+RETURNS "void"
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+DECLARE
+  project_url TEXT;
+  service_role_key TEXT;
+  request_id BIGINT;
+  high_queue_size INTEGER;
+  normal_queue_size INTEGER;
+  weighted_queue_size INTEGER;
+  adaptive_batch_size INTEGER;
+BEGIN
+  -- Get configuration from settings (these should be set via SQL or environment)
+  project_url := current_setting('app.settings.project_url', true);
+  service_role_key := current_setting('app.settings.service_role_key', true);
+
+  -- Validate configuration is available
+  IF project_url IS NULL OR service_role_key IS NULL THEN
+    RAISE LOG 'Autopilot: Configuration not available - skipping processing cycle';
+    RETURN;
+  END IF;
+
+  -- Check the depth of each lane for adaptive processing
+  SELECT COUNT(*) INTO high_queue_size FROM pgmq.q_embedding_jobs_high;
+  SELECT COUNT(*) INTO normal_queue_size FROM pgmq.q_embedding_jobs;
+  weighted_queue_size := high_queue_size * 2 + normal_queue_size;
+
+  -- Only trigger processing if there are jobs to process
+  IF high_queue_size + normal_queue_size > 0 THEN
+    -- Adaptive batch sizing based on weighted queue depth
+    -- Small batches for small queues, larger batches for backlogs (up to CPU limits)
+    adaptive_batch_size := CASE
+      WHEN weighted_queue_size <= 10 THEN 1
+      WHEN weighted_queue_size <= 50 THEN 2
+      WHEN weighted_queue_size <= 200 THEN 3
+      ELSE 5  -- Maximum batch size to stay within CPU limits
+    END;
+
+    -- Make HTTP request to Edge Function with adaptive parameters
+    SELECT net.http_post(
+      url := project_url || '/functions/v1/process-embedding-queue',
+      headers := jsonb_build_object(
+        'Content-Type', 'application/json',
+        'Authorization', 'Bearer ' || service_role_key,
+        'X-Adaptive-Processing', 'true'
+      ),
+      body := jsonb_build_object(
+        'batch_size', adaptive_batch_size,
+        'queue_size', high_queue_size + normal_queue_size,
+        'lane_depths', jsonb_build_object('high', high_queue_size, 'normal', normal_queue_size),
+        'cpu_aware_mode', true,
+        'timeout_seconds', 30,
+        'adaptive_processing', true
+      ),
+      timeout_milliseconds := 35000  -- 35 second HTTP timeout
+    ) INTO request_id;
+
+    RAISE LOG 'Autopilot: Triggered adaptive processing for % high / % normal jobs (batch_size: %, request_id: %)',
+              high_queue_size, normal_queue_size, adaptive_batch_size, request_id;
+  ELSE
+    RAISE LOG 'Autopilot: Queue empty, skipping processing cycle';
+  END IF;
+
+EXCEPTION WHEN OTHERS THEN
+  RAISE LOG 'Autopilot error in trigger_embedding_queue_processing_adaptive: %', SQLERRM;
+  -- Don't re-raise - we want the cron job to continue even if this fails
+END;
+$$;
+
+-- ==============================================================================
+-- MONITORING
+-- ==============================================================================
+
+/**
+ * Queue statistics across both lanes, with per-lane depth and coalescing counts
+ */
+DROP FUNCTION IF EXISTS "public"."get_queue_stats"();
+CREATE OR REPLACE FUNCTION "public"."get_queue_stats"()
+RETURNS TABLE(
+    total_pending BIGINT,
+    oldest_job TIMESTAMP WITH TIME ZONE,
+    newest_job TIMESTAMP WITH TIME ZONE,
+    avg_processing_time INTERVAL,
+    coalesced_pending BIGINT,
+    coalesced_last_24h BIGINT,
+    high_priority_pending BIGINT,
+    normal_priority_pending BIGINT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    WITH pending AS (
+        SELECT 'high' as lane, h.enqueued_at, h.message FROM pgmq.q_embedding_jobs_high h
+        UNION ALL
+        SELECT 'normal', q.enqueued_at, q.message FROM pgmq.q_embedding_jobs q
+    ),
+    archived AS (
+        SELECT a.message FROM pgmq.a_embedding_jobs_high a WHERE a.archived_at > now() - interval '24 hours'
+        UNION ALL
+        SELECT a.message FROM pgmq.a_embedding_jobs a WHERE a.archived_at > now() - interval '24 hours'
+    )
+    SELECT
+        COUNT(*) as total_pending,
+        MIN(p.enqueued_at) as oldest_job,
+        MAX(p.enqueued_at) as newest_job,
+        AVG(now() - p.enqueued_at) as avg_processing_time,
+        COALESCE(SUM((p.message->>'coalesced_count')::BIGINT), 0)::BIGINT as coalesced_pending,
+        (
+            COALESCE(SUM((p.message->>'coalesced_count')::BIGINT), 0) +
+            (SELECT COALESCE(SUM((ar.message->>'coalesced_count')::BIGINT), 0) FROM archived ar)
+        )::BIGINT as coalesced_last_24h,
+        COUNT(*) FILTER (WHERE p.lane = 'high') as high_priority_pending,
+        COUNT(*) FILTER (WHERE p.lane = 'normal') as normal_priority_pending
+    FROM pending p;
+END;
+$$;
+
+/**
+ * System status with pending jobs counted across both lanes
+ */
+CREATE OR REPLACE VIEW "public"."autonomous_system_status" AS
+SELECT
+  'Autonomous Embedding System' as system_name,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs) + (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_high) as pending_jobs,
+  (SELECT COUNT(*) FROM source_documents WHERE content IS NOT NULL) as total_documents,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model()) as documents_with_embeddings,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model() AND embedding IS NOT NULL) as documents_with_valid_embeddings,
+  (SELECT COUNT(*) FROM find_outdated_embeddings(10000)) as documents_needing_update,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '1 hour') as errors_last_hour,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '24 hours') as errors_last_24h,
+  (
+    SELECT ROUND(
+      100.0 * COUNT(CASE WHEN de.embedding IS NOT NULL THEN 1 END) / NULLIF(COUNT(*), 0),
+      1
+    )
+    FROM source_documents sd
+    LEFT JOIN document_embeddings de ON sd.id = de.document_id AND de.model_name = get_active_embedding_model()
+    WHERE sd.content IS NOT NULL
+  ) as embedding_coverage_percent,
+  (
+    SELECT COUNT(*) FILTER (WHERE message->>'autopilot_reembedding' = 'true')
+    FROM pgmq.q_embedding_jobs
+    WHERE enqueued_at > now() - interval '1 hour'
+  ) as autopilot_jobs_last_hour,
+  now() as last_checked,
+  get_active_embedding_model() as active_embedding_model,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_dlq) as dead_letter_jobs,
+  (SELECT COUNT(*) FROM find_missing_embeddings(10000)) as documents_missing_embeddings,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_high) as pending_high_priority_jobs;
+
+GRANT EXECUTE ON FUNCTION "public"."embedding_queue_for_priority" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."enqueue_document_embedding" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."reembed_document" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."requested_embedding_priority" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."enqueue_outdated_embeddings" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."find_missing_embeddings" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."autopilot_embedding_sync" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."get_queue_stats" TO service_role;
+GRANT SELECT ON "public"."autonomous_system_status" TO service_role;
+
+COMMENT ON TABLE pgmq.q_embedding_jobs_high IS 'High-priority embedding lane - user-triggered inserts and updates, drained before embedding_jobs';
+COMMENT ON FUNCTION "public"."enqueue_document_embedding" IS 'Single enqueue path for the trigger and the autopilot - one pending job per document, in the lane for its priority';
+COMMENT ON FUNCTION "public"."requested_embedding_priority" IS 'Lane for trigger jobs: normal when the transaction set app.embedding_priority or sent X-Embedding-Priority, high otherwise';
+COMMENT ON FUNCTION "public"."reembed_document" IS 'Queues a document for re-embedding with an explicit priority (high by default)';
+COMMENT ON FUNCTION "public"."autopilot_embedding_sync" IS 'Autopilot master controller: re-embeds outdated and reconciles missing documents unless both lanes together exceed the load threshold';
+COMMENT ON FUNCTION "public"."trigger_embedding_queue_processing_adaptive" IS 'Triggers the processor with a batch size adapted to the depth of both priority lanes';
+COMMENT ON FUNCTION "public"."get_queue_stats" IS 'Real-time queue monitoring across both priority lanes, including coalesced enqueues';
+
+-- Verification query
+SELECT
+    'Priority lanes installed' as status,
+    high_priority_pending,
+    normal_priority_pending
+FROM get_queue_stats();
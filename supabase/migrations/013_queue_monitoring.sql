@@ -0,0 +1,112 @@
+-- Queue Monitoring
+-- Throughput and autopilot activity for the live queue monitor. Both read tables that
+-- are not exposed through the REST API (pgmq archives, pg_cron run history), so they
+-- are wrapped as service_role RPCs like get_queue_stats.
+
+/**
+ * Jobs finished per minute over a sliding window
+ * A job is finished when the processor archives it from either lane (embedded or skipped
+ * as superseded); dead-lettered jobs are counted separately.
+ *
+ * @param p_window_minutes Length of the window ending now (default 5)
+ */
+CREATE OR REPLACE FUNCTION "public"."get_queue_throughput"(
+    p_window_minutes INTEGER DEFAULT 5
+)
+RETURNS TABLE(
+    window_minutes INTEGER,
+    processed_jobs BIGINT,
+    jobs_per_minute NUMERIC,
+    dead_lettered_jobs BIGINT,
+    last_processed_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    window_start TIMESTAMP WITH TIME ZONE;
+BEGIN
+    IF p_window_minutes IS NULL OR p_window_minutes < 1 THEN
+        RAISE EXCEPTION 'p_window_minutes must be at least 1, got %', p_window_minutes;
+    END IF;
+
+    window_start := now() - make_interval(mins => p_window_minutes);
+
+    RETURN QUERY
+    WITH archived AS (
+        SELECT a.archived_at FROM pgmq.a_embedding_jobs_high a WHERE a.archived_at > window_start
+        UNION ALL
+        SELECT a.archived_at FROM pgmq.a_embedding_jobs a WHERE a.archived_at > window_start
+    )
+    SELECT
+        p_window_minutes as window_minutes,
+        (SELECT COUNT(*) FROM archived) as processed_jobs,
+        ROUND((SELECT COUNT(*) FROM archived)::NUMERIC / p_window_minutes, 2) as jobs_per_minute,
+        (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_dlq d WHERE d.enqueued_at > window_start) as dead_lettered_jobs,
+        GREATEST(
+            (SELECT MAX(a.archived_at) FROM pgmq.a_embedding_jobs_high a),
+            (SELECT MAX(a.archived_at) FROM pgmq.a_embedding_jobs a)
+        ) as last_processed_at;
+END;
+$$;
+
+/**
+ * Recent runs of the autopilot cron job
+ * Returns one row per scheduled autopilot job with its most recent run; run columns are
+ * NULL when pg_cron has not recorded a run yet.
+ */
+CREATE OR REPLACE FUNCTION "public"."get_autopilot_activity"()
+RETURNS TABLE(
+    job_name TEXT,
+    schedule TEXT,
+    active BOOLEAN,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_status TEXT,
+    last_run_message TEXT,
+    runs_last_hour BIGINT,
+    failed_runs_last_hour BIGINT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        j.jobname::TEXT as job_name,
+        j.schedule::TEXT,
+        j.active,
+        last_run.start_time as last_run_at,
+        last_run.status::TEXT as last_run_status,
+        last_run.return_message::TEXT as last_run_message,
+        (
+            SELECT COUNT(*) FROM cron.job_run_details r
+            WHERE r.jobid = j.jobid AND r.start_time > now() - interval '1 hour'
+        ) as runs_last_hour,
+        (
+            SELECT COUNT(*) FROM cron.job_run_details r
+            WHERE r.jobid = j.jobid AND r.start_time > now() - interval '1 hour' AND r.status = 'failed'
+        ) as failed_runs_last_hour
+    FROM cron.job j
+    LEFT JOIN LATERAL (
+        SELECT r.start_time, r.status, r.return_message
+        FROM cron.job_run_details r
+        WHERE r.jobid = j.jobid
+        ORDER BY r.start_time DESC
+        LIMIT 1
+    ) last_run ON true
+    WHERE j.command LIKE '%autopilot_embedding_sync%';
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION "public"."get_queue_throughput" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."get_autopilot_activity" TO service_role;
+
+COMMENT ON FUNCTION "public"."get_queue_throughput" IS 'Jobs archived per minute across both lanes over a sliding window - used by the queue monitor for throughput and ETA';
+COMMENT ON FUNCTION "public"."get_autopilot_activity" IS 'Last run and hourly run counts of the autopilot cron job from pg_cron history';
+
+-- Verification query
+SELECT
+    'Queue monitoring installed' as status,
+    processed_jobs,
+    jobs_per_minute
+FROM get_queue_throughput(5);
@@ -0,0 +1,81 @@
+-- Processor Run Metrics
+-- The autopilot invokes process-embedding-queue through pg_net, which keeps each HTTP
+-- response in net._http_response (6 hours by default). get_processor_run_metrics sums
+-- the results payloads of those responses so the metrics exporter can publish processor
+-- throughput without the processor writing anything extra. Invocations made outside
+-- pg_net (manual curl, the smoke test) are not included.
+
+/**
+ * Aggregates the results payloads returned by process-embedding-queue
+ * Only JSON responses carrying the processor's results object (or its critical error
+ * body) are counted, so other pg_net traffic is ignored.
+ *
+ * @param p_window_minutes Length of the window ending now (default 15)
+ */
+CREATE OR REPLACE FUNCTION "public"."get_processor_run_metrics"(
+    p_window_minutes INTEGER DEFAULT 15
+)
+RETURNS TABLE(
+    window_minutes INTEGER,
+    invocations BIGINT,
+    failed_invocations BIGINT,
+    processed_jobs BIGINT,
+    skipped_jobs BIGINT,
+    failed_jobs BIGINT,
+    retried_jobs BIGINT,
+    dead_lettered_jobs BIGINT,
+    processing_time_ms BIGINT,
+    last_run_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF p_window_minutes IS NULL OR p_window_minutes < 1 THEN
+        RAISE EXCEPTION 'p_window_minutes must be at least 1, got %', p_window_minutes;
+    END IF;
+
+    RETURN QUERY
+    WITH responses AS (
+        SELECT
+            r.created,
+            CASE
+                WHEN r.content_type ILIKE 'application/json%' AND r.content LIKE '{%' THEN r.content::jsonb
+            END as body
+        FROM net._http_response r
+        WHERE r.created > now() - make_interval(mins => p_window_minutes)
+    ),
+    runs AS (
+        SELECT
+            resp.created,
+            COALESCE((resp.body->>'success')::BOOLEAN, false) as succeeded,
+            resp.body->'results' as results
+        FROM responses resp
+        WHERE (resp.body->'results') ? 'cycles'
+           OR resp.body->>'error' = 'Autonomous processor encountered a critical error'
+    )
+    SELECT
+        p_window_minutes as window_minutes,
+        COUNT(*) as invocations,
+        COUNT(*) FILTER (WHERE NOT runs.succeeded) as failed_invocations,
+        COALESCE(SUM((runs.results->>'processed')::BIGINT), 0)::BIGINT as processed_jobs,
+        COALESCE(SUM((runs.results->>'skipped')::BIGINT), 0)::BIGINT as skipped_jobs,
+        COALESCE(SUM((runs.results->>'errors')::BIGINT), 0)::BIGINT as failed_jobs,
+        COALESCE(SUM((runs.results->>'retried')::BIGINT), 0)::BIGINT as retried_jobs,
+        COALESCE(SUM((runs.results->>'dead_lettered')::BIGINT), 0)::BIGINT as dead_lettered_jobs,
+        COALESCE(SUM((runs.results->>'processing_time_ms')::BIGINT), 0)::BIGINT as processing_time_ms,
+        MAX(runs.created) as last_run_at
+    FROM runs;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION "public"."get_processor_run_metrics" TO service_role;
+
+COMMENT ON FUNCTION "public"."get_processor_run_metrics" IS 'Sums process-embedding-queue results payloads from pg_net responses over a window - source of processor throughput for the metrics exporter';
+
+-- Verification query
+SELECT
+    'Processor run metrics installed' as status,
+    invocations,
+    processed_jobs
+FROM get_processor_run_metrics(15);
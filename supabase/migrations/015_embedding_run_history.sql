@@ -0,0 +1,247 @@
+-- Embedding Run History
+-- process-embedding-queue used to return its run results over HTTP only, where pg_net
+-- discards them after a few hours. Every invocation now records a row in embedding_runs
+-- with its trigger source, the batch size it ran with, timings and per-job outcomes,
+-- so questions like "did the autopilot run last night and how fast was it" can be
+-- answered from SQL. Runs are kept for 30 days (app.settings.embedding_run_retention_days).
+
+-- ==============================================================================
+-- RUN HISTORY TABLE
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS "public"."embedding_runs" (
+    "id" BIGSERIAL PRIMARY KEY,
+    "started_at" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "finished_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    "trigger_source" TEXT NOT NULL,                 -- autopilot, manual, or the caller's trigger_source
+    "status" TEXT NOT NULL DEFAULT 'completed',     -- completed, failed (critical error before the run finished)
+    "batch_size" INTEGER,                           -- batch size the run used
+    "requested_batch_size" INTEGER,                 -- batch size chosen by the adaptive controller (NULL = default)
+    "queue_size" INTEGER,                           -- queue depth the controller saw when it triggered the run
+    "lane_depths" JSONB,
+    "cycles" INTEGER DEFAULT 0 NOT NULL,
+    "processed" INTEGER DEFAULT 0 NOT NULL,
+    "skipped" INTEGER DEFAULT 0 NOT NULL,
+    "errors" INTEGER DEFAULT 0 NOT NULL,
+    "retried" INTEGER DEFAULT 0 NOT NULL,
+    "dead_lettered" INTEGER DEFAULT 0 NOT NULL,
+    "processing_time_ms" INTEGER DEFAULT 0 NOT NULL,
+    "throughput_per_second" NUMERIC,
+    "embedding_models" TEXT[],
+    "error_message" TEXT,
+    "job_outcomes" JSONB DEFAULT '[]'::jsonb NOT NULL, -- [{msg_id, queue_name, document_id, attempt, outcome, reason, error, duration_ms}]
+    CONSTRAINT "embedding_runs_status_check" CHECK (status IN ('completed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS "idx_embedding_runs_started_at" ON "public"."embedding_runs" ("started_at");
+CREATE INDEX IF NOT EXISTS "idx_embedding_runs_trigger_source" ON "public"."embedding_runs" ("trigger_source", "started_at");
+
+GRANT SELECT, INSERT, DELETE ON "public"."embedding_runs" TO service_role;
+GRANT USAGE ON SEQUENCE "public"."embedding_runs_id_seq" TO service_role;
+
+-- ==============================================================================
+-- REPORTING
+-- ==============================================================================
+
+/**
+ * Per-run view with the share of handled jobs that failed
+ */
+CREATE OR REPLACE VIEW "public"."embedding_run_summary" AS
+SELECT
+  r.id,
+  r.started_at,
+  r.finished_at,
+  r.trigger_source,
+  r.status,
+  r.batch_size,
+  r.requested_batch_size,
+  r.cycles,
+  r.processed,
+  r.skipped,
+  r.errors,
+  r.retried,
+  r.dead_lettered,
+  r.processing_time_ms,
+  r.throughput_per_second,
+  ROUND(r.errors::NUMERIC / NULLIF(r.processed + r.skipped + r.errors, 0), 4) as failure_rate
+FROM "public"."embedding_runs" r;
+
+/**
+ * Hourly throughput, including hours without any run
+ * Empty hours are returned with zero runs so a silent autopilot shows up as a gap
+ * rather than a missing row.
+ *
+ * @param p_hours Number of hours to report, ending with the current hour (default 24)
+ * @param p_trigger_source Only count runs from this source (NULL = all)
+ */
+CREATE OR REPLACE FUNCTION "public"."get_embedding_throughput"(
+    p_hours INTEGER DEFAULT 24,
+    p_trigger_source TEXT DEFAULT NULL
+)
+RETURNS TABLE(
+    hour TIMESTAMP WITH TIME ZONE,
+    runs BIGINT,
+    failed_runs BIGINT,
+    processed_jobs BIGINT,
+    skipped_jobs BIGINT,
+    failed_jobs BIGINT,
+    dead_lettered_jobs BIGINT,
+    avg_batch_size NUMERIC,
+    processing_seconds NUMERIC,
+    jobs_per_second NUMERIC,
+    failure_rate NUMERIC
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF p_hours IS NULL OR p_hours < 1 THEN
+        RAISE EXCEPTION 'p_hours must be at least 1, got %', p_hours;
+    END IF;
+
+    RETURN QUERY
+    WITH hours AS (
+        SELECT generate_series(
+            date_trunc('hour', now()) - make_interval(hours => p_hours - 1),
+            date_trunc('hour', now()),
+            interval '1 hour'
+        ) as hour
+    )
+    SELECT
+        h.hour,
+        COUNT(r.id) as runs,
+        COUNT(r.id) FILTER (WHERE r.status = 'failed') as failed_runs,
+        COALESCE(SUM(r.processed), 0)::BIGINT as processed_jobs,
+        COALESCE(SUM(r.skipped), 0)::BIGINT as skipped_jobs,
+        COALESCE(SUM(r.errors), 0)::BIGINT as failed_jobs,
+        COALESCE(SUM(r.dead_lettered), 0)::BIGINT as dead_lettered_jobs,
+        ROUND(AVG(r.batch_size), 1) as avg_batch_size,
+        ROUND(COALESCE(SUM(r.processing_time_ms), 0) / 1000.0, 1) as processing_seconds,
+        ROUND(SUM(r.processed) / NULLIF(SUM(r.processing_time_ms) / 1000.0, 0), 2) as jobs_per_second,
+        ROUND(SUM(r.errors)::NUMERIC / NULLIF(SUM(r.processed + r.skipped + r.errors), 0), 4) as failure_rate
+    FROM hours h
+    LEFT JOIN "public"."embedding_runs" r
+        ON r.started_at >= h.hour
+       AND r.started_at < h.hour + interval '1 hour'
+       AND (p_trigger_source IS NULL OR r.trigger_source = p_trigger_source)
+    GROUP BY h.hour
+    ORDER BY h.hour;
+END;
+$$;
+
+/**
+ * Processor totals over a window - now read from embedding_runs
+ * Keeps the signature used by the metrics exporter; manual invocations are included.
+ *
+ * @param p_window_minutes Length of the window ending now (default 15)
+ */
+CREATE OR REPLACE FUNCTION "public"."get_processor_run_metrics"(
+    p_window_minutes INTEGER DEFAULT 15
+)
+RETURNS TABLE(
+    window_minutes INTEGER,
+    invocations BIGINT,
+    failed_invocations BIGINT,
+    processed_jobs BIGINT,
+    skipped_jobs BIGINT,
+    failed_jobs BIGINT,
+    retried_jobs BIGINT,
+    dead_lettered_jobs BIGINT,
+    processing_time_ms BIGINT,
+    last_run_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF p_window_minutes IS NULL OR p_window_minutes < 1 THEN
+        RAISE EXCEPTION 'p_window_minutes must be at least 1, got %', p_window_minutes;
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        p_window_minutes as window_minutes,
+        COUNT(*) as invocations,
+        COUNT(*) FILTER (WHERE r.status = 'failed') as failed_invocations,
+        COALESCE(SUM(r.processed), 0)::BIGINT as processed_jobs,
+        COALESCE(SUM(r.skipped), 0)::BIGINT as skipped_jobs,
+        COALESCE(SUM(r.errors), 0)::BIGINT as failed_jobs,
+        COALESCE(SUM(r.retried), 0)::BIGINT as retried_jobs,
+        COALESCE(SUM(r.dead_lettered), 0)::BIGINT as dead_lettered_jobs,
+        COALESCE(SUM(r.processing_time_ms), 0)::BIGINT as processing_time_ms,
+        MAX(r.finished_at) as last_run_at
+    FROM "public"."embedding_runs" r
+    WHERE r.finished_at > now() - make_interval(mins => p_window_minutes);
+END;
+$$;
+
+-- ==============================================================================
+-- RETENTION
+-- ==============================================================================
+
+/**
+ * Deletes runs older than the retention period
+ *
+ * @param p_keep_days Days of history to keep (default app.settings.embedding_run_retention_days, else 30)
+ * @returns Number of deleted runs
+ */
+CREATE OR REPLACE FUNCTION "public"."prune_embedding_runs"(
+    p_keep_days INTEGER DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    keep_days INTEGER;
+    deleted_count INTEGER;
+BEGIN
+    keep_days := COALESCE(
+        p_keep_days,
+        NULLIF(current_setting('app.settings.embedding_run_retention_days', true), '')::INTEGER,
+        30
+    );
+
+    DELETE FROM "public"."embedding_runs"
+    WHERE started_at < now() - make_interval(days => keep_days);
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RAISE LOG 'Pruned % embedding runs older than % days', deleted_count, keep_days;
+    RETURN deleted_count;
+END;
+$$;
+
+DO $$
+BEGIN
+  BEGIN
+    PERFORM cron.unschedule('prune-embedding-runs');
+  EXCEPTION WHEN OTHERS THEN NULL; END;
+END $$;
+
+-- Prune run history once a day
+SELECT cron.schedule(
+  'prune-embedding-runs',
+  '17 3 * * *',
+  'SELECT prune_embedding_runs();'
+);
+
+GRANT SELECT ON "public"."embedding_run_summary" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."get_embedding_throughput" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."get_processor_run_metrics" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."prune_embedding_runs" TO service_role;
+
+COMMENT ON TABLE "public"."embedding_runs" IS 'One row per process-embedding-queue invocation with trigger source, batch size, timings and per-job outcomes';
+COMMENT ON COLUMN "public"."embedding_runs"."job_outcomes" IS 'Per-job results: outcome is processed, skipped, retried or dead_lettered';
+COMMENT ON VIEW "public"."embedding_run_summary" IS 'Embedding runs with the failure rate of each run';
+COMMENT ON FUNCTION "public"."get_embedding_throughput" IS 'Hourly run counts, throughput and failure rate, with empty hours included';
+COMMENT ON FUNCTION "public"."get_processor_run_metrics" IS 'Processor totals over a window from embedding_runs - source of processor throughput for the metrics exporter';
+COMMENT ON FUNCTION "public"."prune_embedding_runs" IS 'Deletes embedding runs older than the retention period (scheduled daily)';
+
+-- Verification query
+SELECT
+    'Embedding run history installed' as status,
+    EXISTS(
+        SELECT 1 FROM information_schema.tables
+        WHERE table_schema = 'public' AND table_name = 'embedding_runs'
+    ) as runs_table_exists,
+    (SELECT COUNT(*) FROM cron.job WHERE jobname = 'prune-embedding-runs') as prune_jobs_scheduled;
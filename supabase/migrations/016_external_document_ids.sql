@@ -0,0 +1,28 @@
+-- External Document IDs
+-- Bulk imports identify documents by the ID they have in their source system (a CMS
+-- key, a file path, a CSV column). external_id is unique, so re-running an import
+-- upserts the same rows instead of duplicating them; unchanged content does not
+-- re-enqueue anything because the trigger only fires when content changes.
+
+ALTER TABLE "public"."source_documents"
+    ADD COLUMN IF NOT EXISTS "external_id" TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'source_documents_external_id_key'
+  ) THEN
+    ALTER TABLE "public"."source_documents"
+      ADD CONSTRAINT "source_documents_external_id_key" UNIQUE ("external_id");
+  END IF;
+END $$;
+
+COMMENT ON COLUMN "public"."source_documents"."external_id" IS 'ID of the document in its source system - the upsert key for bulk imports (NULL for documents created directly)';
+
+-- Verification query
+SELECT
+    'External document IDs installed' as status,
+    EXISTS(
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'source_documents' AND column_name = 'external_id'
+    ) as external_id_column_exists;
@@ -0,0 +1,143 @@
+-- Embedding Export and Restore
+-- Moving a corpus to another database used to mean re-embedding every document there.
+-- An export file carries each document with its embeddings, chunks and the md5 of the
+-- text they were computed from; restore_document_embeddings writes the document and
+-- keeps every embedding whose hash still matches the restored content. Only documents
+-- without a usable embedding for a targeted model stay queued for the processor.
+
+/**
+ * Restores documents and their exported embeddings
+ * Each document is upserted by id, which fires the usual enqueue trigger for new or
+ * changed content. Exported embeddings are then stored through store_document_embedding
+ * when their source_text_hash matches the restored content and the model is registered
+ * here with the same dimensions. If that covers every active and backfilling model, the
+ * unread job the trigger queued is removed again, so nothing is re-embedded.
+ * A document that fails is reported in the error column without aborting the batch.
+ *
+ * @param p_documents JSON array of {id, external_id, content, metadata, embeddings: [{model_name, source_text_hash, embedding, chunks: [...]}]}
+ * @param p_priority Lane for documents that still need embedding: 'normal' (default) or 'high'
+ * @returns One row per document with the restored and skipped models
+ */
+CREATE OR REPLACE FUNCTION "public"."restore_document_embeddings"(
+    p_documents JSONB,
+    p_priority TEXT DEFAULT 'normal'
+)
+RETURNS TABLE(
+    document_id uuid,
+    restored_models TEXT[],
+    skipped_models TEXT[],
+    reembed_queued BOOLEAN,
+    error TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    doc JSONB;
+    exported JSONB;
+    doc_id uuid;
+    doc_content TEXT;
+    content_hash TEXT;
+    model_dimensions INTEGER;
+    restored TEXT[];
+    skipped TEXT[];
+    missing_models BOOLEAN;
+BEGIN
+    IF jsonb_typeof(p_documents) IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'p_documents must be a JSON array';
+    END IF;
+
+    -- Unknown priorities raise here; the enqueue trigger reads the lane for this transaction
+    PERFORM embedding_queue_for_priority(p_priority);
+    PERFORM set_config('app.embedding_priority', p_priority, true);
+
+    FOR doc IN SELECT value FROM jsonb_array_elements(p_documents)
+    LOOP
+        doc_id := NULL;
+        restored := ARRAY[]::TEXT[];
+        skipped := ARRAY[]::TEXT[];
+
+        BEGIN
+            doc_id := (doc->>'id')::uuid;
+            doc_content := doc->>'content';
+            content_hash := md5(doc_content);
+
+            IF doc_id IS NULL OR doc_content IS NULL OR doc_content = '' THEN
+                RAISE EXCEPTION 'Document needs an id and content';
+            END IF;
+
+            INSERT INTO source_documents (id, external_id, content, metadata)
+            VALUES (doc_id, doc->>'external_id', doc_content, COALESCE(doc->'metadata', '{}'::jsonb))
+            ON CONFLICT (id) DO UPDATE SET
+                external_id = EXCLUDED.external_id,
+                content = EXCLUDED.content,
+                metadata = EXCLUDED.metadata;
+
+            FOR exported IN SELECT value FROM jsonb_array_elements(COALESCE(doc->'embeddings', '[]'::jsonb))
+            LOOP
+                SELECT em.dimensions INTO model_dimensions
+                FROM embedding_models em
+                WHERE em.model_name = exported->>'model_name'
+                  AND em.status IN ('active', 'backfilling');
+
+                IF exported->>'source_text_hash' IS DISTINCT FROM content_hash
+                   OR model_dimensions IS NULL
+                   OR model_dimensions <> vector_dims((exported->>'embedding')::vector)
+                THEN
+                    skipped := skipped || (exported->>'model_name');
+                ELSIF store_document_embedding(
+                    doc_id,
+                    exported->>'model_name',
+                    doc_content,
+                    (exported->>'embedding')::vector,
+                    COALESCE(exported->'chunks', '[]'::jsonb)
+                ) THEN
+                    restored := restored || (exported->>'model_name');
+                ELSE
+                    skipped := skipped || (exported->>'model_name');
+                END IF;
+            END LOOP;
+
+            -- Models the processor embeds for that this document still has no current vector for
+            SELECT EXISTS (
+                SELECT 1
+                FROM embedding_models em
+                WHERE em.status IN ('active', 'backfilling')
+                  AND NOT EXISTS (
+                      SELECT 1 FROM document_embeddings de
+                      WHERE de.document_id = doc_id
+                        AND de.model_name = em.model_name
+                        AND de.source_text_hash = content_hash
+                  )
+            ) INTO missing_models;
+
+            IF NOT missing_models THEN
+                -- read_ct = 0: a job the processor already picked up is left to finish
+                DELETE FROM pgmq.q_embedding_jobs_high q
+                WHERE q.message->>'document_id' = doc_id::TEXT
+                  AND q.message->>'model_name' IS NULL
+                  AND q.read_ct = 0;
+                DELETE FROM pgmq.q_embedding_jobs q
+                WHERE q.message->>'document_id' = doc_id::TEXT
+                  AND q.message->>'model_name' IS NULL
+                  AND q.read_ct = 0;
+            END IF;
+
+            RETURN QUERY SELECT doc_id, restored, skipped, missing_models, NULL::TEXT;
+        EXCEPTION WHEN OTHERS THEN
+            RETURN QUERY SELECT doc_id, ARRAY[]::TEXT[], ARRAY[]::TEXT[], false, SQLERRM;
+        END;
+    END LOOP;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION "public"."restore_document_embeddings" TO service_role;
+
+COMMENT ON FUNCTION "public"."restore_document_embeddings" IS 'Restores exported documents and keeps embeddings whose source_text_hash matches - documents fully covered are not re-embedded';
+
+-- Verification query
+SELECT
+    'Embedding export and restore installed' as status,
+    EXISTS(
+        SELECT 1 FROM pg_proc WHERE proname = 'restore_document_embeddings'
+    ) as restore_function_exists;
@@ -0,0 +1,128 @@
+-- Embedding Usage
+-- Measured workload for the cost model: how many documents arrive, how many jobs the
+-- processor embeds and why (new or edited documents, autopilot re-embeddings, backfills),
+-- how much text that is, and how often the Edge Function runs. Jobs are read from the
+-- pgmq archives and invocations from embedding_runs, so the numbers cover only what
+-- actually happened in the window.
+
+/**
+ * Workload totals over the last p_days days
+ * Archived jobs are classified by the attributes their enqueue path sets: autopilot
+ * re-embeddings (autopilot_reembedding), backfills (backfill or model_name) and manual
+ * re-embeds (trigger_type MANUAL); everything else came from the document trigger.
+ * chunk_expansion is the chunk text embedded per character of document text, sampled
+ * from the 1000 most recently embedded documents of the active model.
+ *
+ * @param p_days Length of the window ending now (default 7)
+ */
+CREATE OR REPLACE FUNCTION "public"."get_embedding_usage"(
+    p_days INTEGER DEFAULT 7
+)
+RETURNS TABLE(
+    window_days INTEGER,
+    active_model TEXT,
+    total_documents BIGINT,
+    documents_created BIGINT,
+    avg_content_length NUMERIC,
+    embedding_jobs BIGINT,
+    trigger_jobs BIGINT,
+    autopilot_jobs BIGINT,
+    backfill_jobs BIGINT,
+    manual_jobs BIGINT,
+    embedded_characters BIGINT,
+    chunk_expansion NUMERIC,
+    processor_invocations BIGINT,
+    processed_jobs BIGINT,
+    processing_seconds NUMERIC
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    window_start TIMESTAMP WITH TIME ZONE;
+    model TEXT := get_active_embedding_model();
+BEGIN
+    IF p_days IS NULL OR p_days < 1 THEN
+        RAISE EXCEPTION 'p_days must be at least 1, got %', p_days;
+    END IF;
+
+    window_start := now() - make_interval(days => p_days);
+
+    RETURN QUERY
+    WITH archived AS (
+        SELECT a.message FROM pgmq.a_embedding_jobs_high a WHERE a.archived_at > window_start
+        UNION ALL
+        SELECT a.message FROM pgmq.a_embedding_jobs a WHERE a.archived_at > window_start
+    ),
+    jobs AS (
+        SELECT
+            CASE
+                WHEN (archived.message->>'autopilot_reembedding')::BOOLEAN THEN 'autopilot'
+                WHEN (archived.message->>'backfill')::BOOLEAN OR archived.message ? 'model_name' THEN 'backfill'
+                WHEN archived.message->>'trigger_type' = 'MANUAL' THEN 'manual'
+                ELSE 'trigger'
+            END as source,
+            length(archived.message->>'source_text') as characters
+        FROM archived
+    ),
+    recent AS (
+        SELECT de.document_id
+        FROM document_embeddings de
+        WHERE de.model_name = model
+        ORDER BY de.updated_at DESC
+        LIMIT 1000
+    ),
+    documents AS (
+        SELECT
+            COUNT(*) as total,
+            COUNT(*) FILTER (WHERE sd.created_at > window_start) as created,
+            ROUND(AVG(length(sd.content)), 1) as avg_length
+        FROM source_documents sd
+        WHERE sd.content IS NOT NULL AND sd.content <> ''
+    ),
+    runs AS (
+        SELECT
+            COUNT(*) as invocations,
+            COALESCE(SUM(r.processed), 0)::BIGINT as processed,
+            ROUND(COALESCE(SUM(r.processing_time_ms), 0) / 1000.0, 1) as seconds
+        FROM embedding_runs r
+        WHERE r.started_at > window_start
+    )
+    SELECT
+        p_days as window_days,
+        model as active_model,
+        documents.total as total_documents,
+        documents.created as documents_created,
+        documents.avg_length as avg_content_length,
+        (SELECT COUNT(*) FROM jobs) as embedding_jobs,
+        (SELECT COUNT(*) FROM jobs WHERE jobs.source = 'trigger') as trigger_jobs,
+        (SELECT COUNT(*) FROM jobs WHERE jobs.source = 'autopilot') as autopilot_jobs,
+        (SELECT COUNT(*) FROM jobs WHERE jobs.source = 'backfill') as backfill_jobs,
+        (SELECT COUNT(*) FROM jobs WHERE jobs.source = 'manual') as manual_jobs,
+        (SELECT COALESCE(SUM(jobs.characters), 0) FROM jobs)::BIGINT as embedded_characters,
+        (
+            SELECT ROUND(
+                (SELECT COALESCE(SUM(length(c.chunk_text)), 0) FROM document_chunks c
+                 WHERE c.model_name = model AND c.document_id IN (SELECT recent.document_id FROM recent))::NUMERIC
+                / NULLIF((SELECT SUM(length(sd.content)) FROM source_documents sd
+                          WHERE sd.id IN (SELECT recent.document_id FROM recent)), 0),
+                3
+            )
+        ) as chunk_expansion,
+        runs.invocations as processor_invocations,
+        runs.processed as processed_jobs,
+        runs.seconds as processing_seconds
+    FROM documents, runs;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION "public"."get_embedding_usage" TO service_role;
+
+COMMENT ON FUNCTION "public"."get_embedding_usage" IS 'Measured document volume, embedding jobs by source, embedded text and processor invocations over a window - input for the cost model';
+
+-- Verification query
+SELECT
+    'Embedding usage installed' as status,
+    embedding_jobs,
+    processor_invocations
+FROM get_embedding_usage(7);
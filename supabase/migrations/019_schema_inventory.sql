@@ -0,0 +1,117 @@
+-- Schema Inventory
+-- The doctor command compares a live database with what the migrations expect. PostgREST
+-- cannot read the system catalogs, so this function returns everything the comparison
+-- needs in one JSON document: extensions, columns of public tables and views, functions,
+-- triggers, foreign keys, pgmq queues, pg_cron jobs and the app.settings values.
+-- Secret settings are only reported as set or not set.
+
+/**
+ * Catalog snapshot for schema drift detection
+ * Queues and cron jobs are read only when pgmq and pg_cron are installed, so the
+ * function works on a partially set up database. Function source is included for
+ * functions that touch source_documents, to find references to columns that do not exist.
+ *
+ * @returns JSON object with extensions, columns, functions, triggers, foreign_keys, queues, cron_jobs and settings
+ */
+CREATE OR REPLACE FUNCTION "public"."get_schema_inventory"()
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    queues JSONB;
+    cron_jobs JSONB;
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pgmq') THEN
+        EXECUTE 'SELECT COALESCE(jsonb_agg(q.queue_name ORDER BY q.queue_name), ''[]''::jsonb) FROM pgmq.list_queues() q'
+        INTO queues;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+        EXECUTE 'SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                     ''jobname'', j.jobname, ''schedule'', j.schedule, ''command'', j.command, ''active'', j.active
+                 ) ORDER BY j.jobname), ''[]''::jsonb) FROM cron.job j'
+        INTO cron_jobs;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'extensions', (
+            SELECT COALESCE(jsonb_object_agg(e.extname, e.extversion), '{}'::jsonb)
+            FROM pg_extension e
+        ),
+        'columns', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'table', c.relname,
+                'kind', CASE c.relkind WHEN 'v' THEN 'view' ELSE 'table' END,
+                'column', a.attname,
+                'type', format_type(a.atttypid, a.atttypmod),
+                'nullable', NOT a.attnotnull
+            ) ORDER BY c.relname, a.attnum), '[]'::jsonb)
+            FROM pg_class c
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            JOIN pg_attribute a ON a.attrelid = c.oid
+            WHERE n.nspname = 'public'
+              AND c.relkind IN ('r', 'p', 'v')
+              AND a.attnum > 0
+              AND NOT a.attisdropped
+        ),
+        'functions', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'name', p.proname,
+                'arguments', pg_get_function_identity_arguments(p.oid),
+                'returns', pg_get_function_result(p.oid),
+                'source', CASE WHEN p.prosrc ILIKE '%source_documents%' OR p.prorettype = 'trigger'::regtype THEN p.prosrc END
+            ) ORDER BY p.proname), '[]'::jsonb)
+            FROM pg_proc p
+            JOIN pg_namespace n ON n.oid = p.pronamespace
+            WHERE n.nspname = 'public'
+              AND p.prokind = 'f'
+        ),
+        'triggers', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'table', c.relname,
+                'name', t.tgname,
+                'function', p.proname,
+                'enabled', t.tgenabled <> 'D'
+            ) ORDER BY c.relname, t.tgname), '[]'::jsonb)
+            FROM pg_trigger t
+            JOIN pg_class c ON c.oid = t.tgrelid
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            JOIN pg_proc p ON p.oid = t.tgfoid
+            WHERE n.nspname = 'public'
+              AND NOT t.tgisinternal
+        ),
+        'foreign_keys', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'table', c.relname,
+                'name', con.conname,
+                'definition', pg_get_constraintdef(con.oid)
+            ) ORDER BY c.relname, con.conname), '[]'::jsonb)
+            FROM pg_constraint con
+            JOIN pg_class c ON c.oid = con.conrelid
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            WHERE n.nspname = 'public'
+              AND con.contype = 'f'
+        ),
+        'queues', queues,
+        'cron_jobs', cron_jobs,
+        'settings', jsonb_build_object(
+            'app.settings.project_url', NULLIF(current_setting('app.settings.project_url', true), ''),
+            'app.settings.service_role_key', CASE
+                WHEN NULLIF(current_setting('app.settings.service_role_key', true), '') IS NOT NULL THEN '(set)'
+            END,
+            'app.settings.reconciliation_scan_limit', NULLIF(current_setting('app.settings.reconciliation_scan_limit', true), ''),
+            'app.settings.embedding_run_retention_days', NULLIF(current_setting('app.settings.embedding_run_retention_days', true), '')
+        )
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION "public"."get_schema_inventory" TO service_role;
+
+COMMENT ON FUNCTION "public"."get_schema_inventory" IS 'Catalog snapshot (extensions, columns, functions, triggers, queues, cron jobs, settings) for the doctor command - secrets are reported as set or not set';
+
+-- Verification query
+SELECT
+    'Schema inventory installed' as status,
+    jsonb_array_length(get_schema_inventory()->'columns') as public_columns;
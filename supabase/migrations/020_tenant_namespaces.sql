@@ -0,0 +1,890 @@
+-- Tenant Namespaces
+-- One project serves several customers. Every document now belongs to a tenant
+-- (tenant_id, 'default' for existing rows and single-tenant deployments), and the
+-- tenant is carried into the queue messages and the embedding and chunk sidecars.
+--
+-- Access model:
+-- - service_role bypasses row-level security, as before, and names the tenant it searches
+-- - anon and authenticated keys only see rows of the tenant in their JWT, read from
+--   app_metadata.tenant_id (set through the Admin API) or a top-level tenant_id claim
+--   (custom access token hook or a token signed by your backend)
+-- - every search RPC is scoped to exactly one tenant; a JWT can only search its own
+-- - the other engine functions are not executable through anon or authenticated keys,
+--   and the shared model registry is read-only for them
+--
+-- Functions created by later migrations start without EXECUTE for anon and
+-- authenticated (default privileges); only the search RPCs are granted back.
+
+-- ==============================================================================
+-- TENANT COLUMNS
+-- ==============================================================================
+
+ALTER TABLE "public"."source_documents"
+    ADD COLUMN IF NOT EXISTS "tenant_id" TEXT NOT NULL DEFAULT 'default';
+
+-- Target of the sidecars' composite foreign keys
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'source_documents_id_tenant_id_key'
+  ) THEN
+    ALTER TABLE "public"."source_documents"
+      ADD CONSTRAINT "source_documents_id_tenant_id_key" UNIQUE ("id", "tenant_id");
+  END IF;
+END $$;
+
+-- External IDs come from each customer's own systems, so they are unique per tenant
+ALTER TABLE "public"."source_documents" DROP CONSTRAINT IF EXISTS "source_documents_external_id_key";
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'source_documents_tenant_external_id_key'
+  ) THEN
+    ALTER TABLE "public"."source_documents"
+      ADD CONSTRAINT "source_documents_tenant_external_id_key" UNIQUE ("tenant_id", "external_id");
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS "idx_source_documents_tenant_id" ON "public"."source_documents" ("tenant_id", "created_at");
+
+-- Sidecars carry the tenant themselves, so their policies and search filters need no join
+ALTER TABLE "public"."document_embeddings"
+    ADD COLUMN IF NOT EXISTS "tenant_id" TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE "public"."document_chunks"
+    ADD COLUMN IF NOT EXISTS "tenant_id" TEXT NOT NULL DEFAULT 'default';
+
+UPDATE "public"."document_embeddings" de SET tenant_id = sd.tenant_id
+FROM "public"."source_documents" sd
+WHERE sd.id = de.document_id AND de.tenant_id <> sd.tenant_id;
+
+UPDATE "public"."document_chunks" dc SET tenant_id = sd.tenant_id
+FROM "public"."source_documents" sd
+WHERE sd.id = dc.document_id AND dc.tenant_id <> sd.tenant_id;
+
+-- Moving a document to another tenant moves its embeddings and chunks with it
+ALTER TABLE "public"."document_embeddings" DROP CONSTRAINT IF EXISTS "document_embeddings_tenant_fkey";
+ALTER TABLE "public"."document_embeddings"
+    ADD CONSTRAINT "document_embeddings_tenant_fkey" FOREIGN KEY ("document_id", "tenant_id")
+    REFERENCES "public"."source_documents" ("id", "tenant_id") ON UPDATE CASCADE ON DELETE CASCADE;
+
+ALTER TABLE "public"."document_chunks" DROP CONSTRAINT IF EXISTS "document_chunks_tenant_fkey";
+ALTER TABLE "public"."document_chunks"
+    ADD CONSTRAINT "document_chunks_tenant_fkey" FOREIGN KEY ("document_id", "tenant_id")
+    REFERENCES "public"."source_documents" ("id", "tenant_id") ON UPDATE CASCADE ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS "idx_document_embeddings_tenant_id" ON "public"."document_embeddings" ("tenant_id", "model_name");
+CREATE INDEX IF NOT EXISTS "idx_document_chunks_tenant_id" ON "public"."document_chunks" ("tenant_id", "model_name");
+
+/**
+ * Copies the parent document's tenant onto new sidecar rows
+ * The writers (store_document_embedding, replace_document_chunks, restores) do not
+ * need to know about tenants, and a sidecar row can never claim a foreign tenant.
+ */
+CREATE OR REPLACE FUNCTION "public"."set_sidecar_tenant_id"()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    SELECT sd.tenant_id INTO NEW.tenant_id
+    FROM public.source_documents sd
+    WHERE sd.id = NEW.document_id;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS "set_document_embeddings_tenant_id" ON "public"."document_embeddings";
+CREATE TRIGGER "set_document_embeddings_tenant_id"
+    BEFORE INSERT ON "public"."document_embeddings"
+    FOR EACH ROW
+    EXECUTE FUNCTION "public"."set_sidecar_tenant_id"();
+
+DROP TRIGGER IF EXISTS "set_document_chunks_tenant_id" ON "public"."document_chunks";
+CREATE TRIGGER "set_document_chunks_tenant_id"
+    BEFORE INSERT ON "public"."document_chunks"
+    FOR EACH ROW
+    EXECUTE FUNCTION "public"."set_sidecar_tenant_id"();
+
+-- ==============================================================================
+-- ROW-LEVEL SECURITY
+-- ==============================================================================
+
+/**
+ * Tenant of the current API request
+ * app_metadata cannot be edited by users; a top-level claim can only come from the
+ * access token hook or a token signed with the project's JWT secret.
+ *
+ * @returns Tenant id from the JWT, NULL when the request carries none
+ */
+CREATE OR REPLACE FUNCTION "public"."current_tenant_id"()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT NULLIF(COALESCE(auth.jwt()->'app_metadata'->>'tenant_id', auth.jwt()->>'tenant_id'), '');
+$$;
+
+ALTER TABLE "public"."source_documents" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "public"."document_embeddings" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "public"."document_chunks" ENABLE ROW LEVEL SECURITY;
+
+-- (SELECT ...) lets Postgres evaluate the claim once per statement instead of per row
+DROP POLICY IF EXISTS "tenant_read_source_documents" ON "public"."source_documents";
+CREATE POLICY "tenant_read_source_documents" ON "public"."source_documents"
+    FOR SELECT TO anon, authenticated
+    USING (tenant_id = (SELECT current_tenant_id()));
+
+DROP POLICY IF EXISTS "tenant_read_document_embeddings" ON "public"."document_embeddings";
+CREATE POLICY "tenant_read_document_embeddings" ON "public"."document_embeddings"
+    FOR SELECT TO anon, authenticated
+    USING (tenant_id = (SELECT current_tenant_id()));
+
+DROP POLICY IF EXISTS "tenant_read_document_chunks" ON "public"."document_chunks";
+CREATE POLICY "tenant_read_document_chunks" ON "public"."document_chunks"
+    FOR SELECT TO anon, authenticated
+    USING (tenant_id = (SELECT current_tenant_id()));
+
+GRANT SELECT ON "public"."source_documents" TO anon, authenticated;
+GRANT SELECT ON "public"."document_embeddings" TO anon, authenticated;
+GRANT SELECT ON "public"."document_chunks" TO anon, authenticated;
+
+-- Errors and run history hold document content and ids of every tenant: service_role only
+ALTER TABLE "public"."embedding_error_log" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "public"."embedding_runs" ENABLE ROW LEVEL SECURITY;
+
+-- The model registry is shared by all tenants: readable, but only service_role may
+-- register, activate or retire models
+ALTER TABLE "public"."embedding_models" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "read_embedding_models" ON "public"."embedding_models";
+CREATE POLICY "read_embedding_models" ON "public"."embedding_models"
+    FOR SELECT TO anon, authenticated
+    USING (true);
+
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON "public"."embedding_models" FROM anon, authenticated;
+GRANT SELECT ON "public"."embedding_models" TO anon, authenticated;
+
+-- ==============================================================================
+-- QUEUE MESSAGES
+-- ==============================================================================
+
+/**
+ * Enqueues an embedding job for a document in the lane for its priority,
+ * coalescing with its pending job in either lane
+ * Same contract as before; messages now carry the document's tenant_id.
+ *
+ * @param p_document_id Document to embed
+ * @param p_content Current document content
+ * @param p_attributes Extra message fields (trigger_type, autopilot_reembedding, model_name, ...)
+ * @param p_priority 'high' or 'normal'
+ * @returns msg_id of the job that will embed the content (within its lane)
+ */
+CREATE OR REPLACE FUNCTION "public"."enqueue_document_embedding"(
+    p_document_id uuid,
+    p_content TEXT,
+    p_attributes JSONB DEFAULT '{}'::jsonb,
+    p_priority TEXT DEFAULT 'normal'
+) RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    content_hash TEXT := md5(p_content);
+    target_queue TEXT := embedding_queue_for_priority(p_priority);
+    document_tenant TEXT;
+    coalesce_queue TEXT;
+    new_message JSONB;
+    coalesced_message JSONB;
+    pending RECORD;
+    job_msg_id BIGINT;
+BEGIN
+    -- Serialize enqueues per document so concurrent edits cannot both send a message
+    PERFORM pg_advisory_xact_lock(hashtextextended('embedding_jobs:' || p_document_id::TEXT, 0));
+
+    SELECT sd.tenant_id INTO document_tenant
+    FROM source_documents sd
+    WHERE sd.id = p_document_id;
+
+    new_message := p_attributes || jsonb_build_object(
+        'document_id', p_document_id,
+        'tenant_id', document_tenant,
+        'source_text', p_content,
+        'source_text_hash', content_hash,
+        'priority', COALESCE(p_priority, 'normal'),
+        'enqueued_at', now()
+    );
+
+    -- Newest pending job for the document, preferring jobs the processor has not read yet
+    SELECT lanes.queue_name, lanes.msg_id, lanes.read_ct, lanes.message INTO pending
+    FROM (
+        SELECT 'embedding_jobs_high'::TEXT as queue_name, q.msg_id, q.read_ct, q.enqueued_at, q.message
+        FROM pgmq.q_embedding_jobs_high q
+        WHERE q.message->>'document_id' = p_document_id::TEXT
+          AND q.message->>'model_name' IS NOT DISTINCT FROM p_attributes->>'model_name'
+        UNION ALL
+        SELECT 'embedding_jobs'::TEXT, q.msg_id, q.read_ct, q.enqueued_at, q.message
+        FROM pgmq.q_embedding_jobs q
+        WHERE q.message->>'document_id' = p_document_id::TEXT
+          AND q.message->>'model_name' IS NOT DISTINCT FROM p_attributes->>'model_name'
+    ) lanes
+    ORDER BY (lanes.read_ct = 0) DESC, lanes.enqueued_at DESC
+    LIMIT 1;
+
+    IF pending.msg_id IS NOT NULL AND pending.read_ct = 0 THEN
+        -- Never demote: a high-lane job also covers a normal-priority request
+        coalesce_queue := CASE WHEN pending.queue_name = 'embedding_jobs_high' THEN pending.queue_name ELSE target_queue END;
+
+        coalesced_message := new_message || jsonb_build_object(
+            'priority', CASE WHEN coalesce_queue = 'embedding_jobs_high' THEN 'high' ELSE 'normal' END,
+            'coalesced_count', COALESCE((pending.message->>'coalesced_count')::INTEGER, 0) + 1,
+            'first_enqueued_at', COALESCE(pending.message->'first_enqueued_at', pending.message->'enqueued_at')
+        );
+
+        -- read_ct = 0 is re-checked after the row lock, so a job picked up meanwhile is not touched
+        IF pending.queue_name = coalesce_queue THEN
+            EXECUTE format('UPDATE pgmq.%I SET message = $1 WHERE msg_id = $2 AND read_ct = 0 RETURNING msg_id', 'q_' || coalesce_queue)
+            INTO job_msg_id
+            USING coalesced_message, pending.msg_id;
+        ELSE
+            -- Promotion: move the unread normal-lane job to the high lane
+            DELETE FROM pgmq.q_embedding_jobs q
+            WHERE q.msg_id = pending.msg_id AND q.read_ct = 0
+            RETURNING q.msg_id INTO job_msg_id;
+
+            IF job_msg_id IS NOT NULL THEN
+                SELECT pgmq.send(coalesce_queue, coalesced_message) INTO job_msg_id;
+            END IF;
+        END IF;
+
+        IF job_msg_id IS NOT NULL THEN
+            RETURN job_msg_id;
+        END IF;
+    ELSIF pending.msg_id IS NOT NULL
+      AND COALESCE(pending.message->>'source_text_hash', md5(pending.message->>'source_text')) = content_hash THEN
+        -- The job being processed already embeds this exact content
+        RETURN pending.msg_id;
+    END IF;
+
+    SELECT pgmq.send(target_queue, new_message) INTO job_msg_id;
+    RETURN job_msg_id;
+END;
+$$;
+
+/**
+ * Enqueues documents that have no up-to-date embedding for a backfilling model
+ * Same as 006, but jobs go through enqueue_document_embedding in the normal lane, so
+ * they carry the tenant and coalesce with a pending backfill job for the document.
+ *
+ * @param p_model_name Model to backfill
+ * @param batch_limit Maximum number of documents to enqueue in one call
+ * @returns Number of documents enqueued
+ */
+CREATE OR REPLACE FUNCTION "public"."enqueue_model_backfill"(
+    p_model_name TEXT,
+    batch_limit INTEGER DEFAULT 10000
+) RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    enqueued_count INTEGER;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM embedding_models WHERE model_name = p_model_name AND status = 'backfilling') THEN
+        RAISE EXCEPTION 'Embedding model % is not registered for backfilling', p_model_name;
+    END IF;
+
+    WITH missing AS (
+        SELECT sd.id, sd.content
+        FROM source_documents sd
+        LEFT JOIN document_embeddings de
+          ON de.document_id = sd.id AND de.model_name = p_model_name
+        WHERE sd.content IS NOT NULL
+          AND sd.content <> ''
+          AND (de.document_id IS NULL OR de.source_text_hash != md5(sd.content))
+          -- Skip documents that already have a backfill job for this model in flight
+          AND NOT EXISTS (
+            SELECT 1 FROM pgmq.q_embedding_jobs q
+            WHERE q.message->>'document_id' = sd.id::TEXT
+              AND q.message->>'model_name' = p_model_name
+            UNION ALL
+            SELECT 1 FROM pgmq.q_embedding_jobs_high q
+            WHERE q.message->>'document_id' = sd.id::TEXT
+              AND q.message->>'model_name' = p_model_name
+          )
+        ORDER BY sd.updated_at DESC
+        LIMIT batch_limit
+    )
+    SELECT COUNT(enqueue_document_embedding(
+        missing.id,
+        missing.content,
+        jsonb_build_object('model_name', p_model_name, 'model_backfill', true),
+        'normal'
+    )) INTO enqueued_count
+    FROM missing;
+
+    RAISE LOG 'Enqueued % documents for backfill of model %', enqueued_count, p_model_name;
+    RETURN enqueued_count;
+END;
+$$;
+
+-- ==============================================================================
+-- TENANT-SCOPED SEARCH
+-- ==============================================================================
+
+/**
+ * Resolves the one tenant a search may read
+ * Requests made with an anon or authenticated key always search the tenant in their
+ * JWT and may not name another one. Trusted callers (service_role, SQL sessions) name
+ * the tenant explicitly; without one they search the 'default' tenant.
+ *
+ * @param p_tenant_id Tenant requested by the caller (NULL: the JWT's tenant or 'default')
+ * @returns Tenant id to filter on
+ */
+CREATE OR REPLACE FUNCTION "public"."resolve_search_tenant"(p_tenant_id TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    claimed_tenant TEXT := current_tenant_id();
+BEGIN
+    IF auth.role() IN ('anon', 'authenticated') THEN
+        IF claimed_tenant IS NULL THEN
+            RAISE EXCEPTION 'The access token carries no tenant_id claim'
+                USING ERRCODE = 'insufficient_privilege';
+        END IF;
+        IF p_tenant_id IS NOT NULL AND p_tenant_id <> claimed_tenant THEN
+            RAISE EXCEPTION 'Tenant % cannot be searched with this access token', p_tenant_id
+                USING ERRCODE = 'insufficient_privilege';
+        END IF;
+        RETURN claimed_tenant;
+    END IF;
+
+    RETURN COALESCE(p_tenant_id, 'default');
+END;
+$$;
+
+DROP FUNCTION IF EXISTS "public"."semantic_search_documents"(vector, float, int, text);
+
+/**
+ * Semantic search over the active model's document embeddings of one tenant
+ * Iterative HNSW scans (pgvector 0.8+) keep walking the index until enough rows of
+ * the tenant are found, so small tenants in a large corpus still get full result sets.
+ *
+ * @param query_embedding Query vector produced by the active model
+ * @param match_threshold Minimum similarity to be considered a match
+ * @param match_count Maximum number of documents returned
+ * @param filter_document_type Optional metadata.document_type filter
+ * @param filter_tenant_id Tenant to search (see resolve_search_tenant)
+ */
+CREATE OR REPLACE FUNCTION "public"."semantic_search_documents"(
+    query_embedding vector,
+    match_threshold float DEFAULT 0.78,
+    match_count int DEFAULT 10,
+    filter_document_type text DEFAULT NULL,
+    filter_tenant_id text DEFAULT NULL
+) RETURNS TABLE (
+    document_id uuid,
+    document_type text,
+    content text,
+    similarity float,
+    metadata jsonb,
+    model_name text
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    search_tenant TEXT := resolve_search_tenant(filter_tenant_id);
+    active_model TEXT;
+    model_dimensions INTEGER;
+BEGIN
+    SELECT em.model_name, em.dimensions INTO active_model, model_dimensions
+    FROM embedding_models em WHERE em.status = 'active';
+
+    IF vector_dims(query_embedding) <> model_dimensions THEN
+        RAISE EXCEPTION 'Query embedding has % dimensions but active model % expects %',
+            vector_dims(query_embedding), active_model, model_dimensions;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM pg_settings WHERE name = 'hnsw.iterative_scan') THEN
+        PERFORM set_config('hnsw.iterative_scan', 'strict_order', true);
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'SELECT
+            sd.id,
+            sd.metadata->>''document_type'',
+            sd.content,
+            (1 - (de.embedding::vector(%1$s) <=> $1))::float,
+            sd.metadata,
+            de.model_name
+        FROM document_embeddings de
+        JOIN source_documents sd ON sd.id = de.document_id
+        WHERE de.model_name = %2$L
+          AND de.tenant_id = $5
+          AND de.embedding IS NOT NULL
+          AND (1 - (de.embedding::vector(%1$s) <=> $1)) > $2
+          AND ($4 IS NULL OR sd.metadata->>''document_type'' = $4)
+        ORDER BY de.embedding::vector(%1$s) <=> $1
+        LIMIT $3',
+        model_dimensions, active_model
+    ) USING query_embedding, match_threshold, match_count, filter_document_type, search_tenant;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS "public"."semantic_search_chunks"(vector, float, int, int);
+
+/**
+ * Chunk-level semantic search over the active model of one tenant, grouped by parent document
+ *
+ * @param filter_tenant_id Tenant to search (see resolve_search_tenant)
+ */
+CREATE OR REPLACE FUNCTION "public"."semantic_search_chunks"(
+    query_embedding vector,
+    match_threshold float DEFAULT 0.78,
+    match_count int DEFAULT 10,
+    chunks_per_document int DEFAULT 3,
+    filter_tenant_id text DEFAULT NULL
+) RETURNS TABLE (
+    document_id uuid,
+    similarity float,
+    metadata jsonb,
+    matched_chunks jsonb
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    search_tenant TEXT := resolve_search_tenant(filter_tenant_id);
+    active_model TEXT;
+    model_dimensions INTEGER;
+BEGIN
+    SELECT em.model_name, em.dimensions INTO active_model, model_dimensions
+    FROM embedding_models em WHERE em.status = 'active';
+
+    IF vector_dims(query_embedding) <> model_dimensions THEN
+        RAISE EXCEPTION 'Query embedding has % dimensions but active model % expects %',
+            vector_dims(query_embedding), active_model, model_dimensions;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM pg_settings WHERE name = 'hnsw.iterative_scan') THEN
+        PERFORM set_config('hnsw.iterative_scan', 'strict_order', true);
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'WITH candidate_chunks AS (
+            SELECT
+                dc.document_id,
+                dc.chunk_index,
+                dc.chunk_text,
+                dc.start_offset,
+                dc.end_offset,
+                (1 - (dc.embedding::vector(%1$s) <=> $1))::float as chunk_similarity
+            FROM document_chunks dc
+            WHERE dc.model_name = %2$L
+              AND dc.tenant_id = $5
+              AND dc.embedding IS NOT NULL
+              AND (1 - (dc.embedding::vector(%1$s) <=> $1)) > $2
+            ORDER BY dc.embedding::vector(%1$s) <=> $1
+            LIMIT $3 * $4 * 4
+        ),
+        ranked_chunks AS (
+            SELECT
+                cc.*,
+                ROW_NUMBER() OVER (PARTITION BY cc.document_id ORDER BY cc.chunk_similarity DESC) as chunk_rank
+            FROM candidate_chunks cc
+        )
+        SELECT
+            rc.document_id,
+            MAX(rc.chunk_similarity),
+            sd.metadata,
+            jsonb_agg(
+                jsonb_build_object(
+                    ''chunk_index'', rc.chunk_index,
+                    ''content'', rc.chunk_text,
+                    ''start_offset'', rc.start_offset,
+                    ''end_offset'', rc.end_offset,
+                    ''similarity'', rc.chunk_similarity
+                ) ORDER BY rc.chunk_similarity DESC
+            )
+        FROM ranked_chunks rc
+        JOIN source_documents sd ON sd.id = rc.document_id
+        WHERE rc.chunk_rank <= $4
+        GROUP BY rc.document_id, sd.metadata
+        ORDER BY MAX(rc.chunk_similarity) DESC
+        LIMIT $3',
+        model_dimensions, active_model
+    ) USING query_embedding, match_threshold, match_count, chunks_per_document, search_tenant;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS "public"."hybrid_search_documents"(TEXT, vector, INT, FLOAT, FLOAT, INT, TEXT);
+
+/**
+ * Hybrid search with reciprocal rank fusion over one tenant
+ * Both the keyword and the vector side only rank the tenant's documents.
+ *
+ * @param filter_tenant_id Tenant to search (see resolve_search_tenant)
+ */
+CREATE OR REPLACE FUNCTION "public"."hybrid_search_documents"(
+    query_text TEXT,
+    query_embedding vector,
+    match_count INT DEFAULT 10,
+    full_text_weight FLOAT DEFAULT 1.0,
+    semantic_weight FLOAT DEFAULT 1.0,
+    rrf_k INT DEFAULT 50,
+    filter_document_type TEXT DEFAULT NULL,
+    filter_tenant_id TEXT DEFAULT NULL
+) RETURNS TABLE (
+    document_id uuid,
+    content text,
+    metadata jsonb,
+    score float,
+    full_text_rank int,
+    full_text_score float,
+    semantic_rank int,
+    semantic_similarity float
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    search_tenant TEXT := resolve_search_tenant(filter_tenant_id);
+    active_model TEXT;
+    model_dimensions INTEGER;
+BEGIN
+    SELECT em.model_name, em.dimensions INTO active_model, model_dimensions
+    FROM embedding_models em WHERE em.status = 'active';
+
+    IF vector_dims(query_embedding) <> model_dimensions THEN
+        RAISE EXCEPTION 'Query embedding has % dimensions but active model % expects %',
+            vector_dims(query_embedding), active_model, model_dimensions;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM pg_settings WHERE name = 'hnsw.iterative_scan') THEN
+        PERFORM set_config('hnsw.iterative_scan', 'strict_order', true);
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'WITH full_text AS (
+            -- Expression matches idx_source_documents_content_fts so the GIN index is used
+            SELECT
+                sd.id,
+                ts_rank_cd(to_tsvector(''english'', sd.content), websearch_to_tsquery(''english'', $1))::float as rank_score,
+                ROW_NUMBER() OVER (
+                    ORDER BY ts_rank_cd(to_tsvector(''english'', sd.content), websearch_to_tsquery(''english'', $1)) DESC
+                )::int as rank_ix
+            FROM source_documents sd
+            WHERE to_tsvector(''english'', sd.content) @@ websearch_to_tsquery(''english'', $1)
+              AND sd.tenant_id = $8
+              AND ($7 IS NULL OR sd.metadata->>''document_type'' = $7)
+            ORDER BY rank_ix
+            LIMIT $3 * 2
+        ),
+        semantic AS (
+            SELECT
+                de.document_id as id,
+                (1 - (de.embedding::vector(%1$s) <=> $2))::float as similarity,
+                ROW_NUMBER() OVER (ORDER BY de.embedding::vector(%1$s) <=> $2)::int as rank_ix
+            FROM document_embeddings de
+            JOIN source_documents sd ON sd.id = de.document_id
+            WHERE de.model_name = %2$L
+              AND de.tenant_id = $8
+              AND de.embedding IS NOT NULL
+              AND ($7 IS NULL OR sd.metadata->>''document_type'' = $7)
+            ORDER BY de.embedding::vector(%1$s) <=> $2
+            LIMIT $3 * 2
+        )
+        SELECT
+            sd.id,
+            sd.content,
+            sd.metadata,
+            (
+                COALESCE(1.0 / ($6 + full_text.rank_ix), 0.0) * $4 +
+                COALESCE(1.0 / ($6 + semantic.rank_ix), 0.0) * $5
+            )::float as score,
+            full_text.rank_ix,
+            full_text.rank_score,
+            semantic.rank_ix,
+            semantic.similarity
+        FROM full_text
+        FULL OUTER JOIN semantic ON full_text.id = semantic.id
+        JOIN source_documents sd ON sd.id = COALESCE(full_text.id, semantic.id)
+        ORDER BY score DESC
+        LIMIT $3',
+        model_dimensions, active_model
+    ) USING query_text, query_embedding, match_count, full_text_weight, semantic_weight, rrf_k, filter_document_type, search_tenant;
+END;
+$$;
+
+-- ==============================================================================
+-- RESTORE KEEPS TENANTS
+-- ==============================================================================
+
+/**
+ * Restores documents and their exported embeddings
+ * Same contract as before; each document is restored into the tenant recorded in the
+ * export ('default' for exports without tenant_id).
+ *
+ * @param p_documents JSON array of {id, tenant_id, external_id, content, metadata, embeddings: [{model_name, source_text_hash, embedding, chunks: [...]}]}
+ * @param p_priority Lane for documents that still need embedding: 'normal' (default) or 'high'
+ * @returns One row per document with the restored and skipped models
+ */
+CREATE OR REPLACE FUNCTION "public"."restore_document_embeddings"(
+    p_documents JSONB,
+    p_priority TEXT DEFAULT 'normal'
+)
+RETURNS TABLE(
+    document_id uuid,
+    restored_models TEXT[],
+    skipped_models TEXT[],
+    reembed_queued BOOLEAN,
+    error TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    doc JSONB;
+    exported JSONB;
+    doc_id uuid;
+    doc_content TEXT;
+    content_hash TEXT;
+    model_dimensions INTEGER;
+    restored TEXT[];
+    skipped TEXT[];
+    missing_models BOOLEAN;
+BEGIN
+    IF jsonb_typeof(p_documents) IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'p_documents must be a JSON array';
+    END IF;
+
+    -- Unknown priorities raise here; the enqueue trigger reads the lane for this transaction
+    PERFORM embedding_queue_for_priority(p_priority);
+    PERFORM set_config('app.embedding_priority', p_priority, true);
+
+    FOR doc IN SELECT value FROM jsonb_array_elements(p_documents)
+    LOOP
+        doc_id := NULL;
+        restored := ARRAY[]::TEXT[];
+        skipped := ARRAY[]::TEXT[];
+
+        BEGIN
+            doc_id := (doc->>'id')::uuid;
+            doc_content := doc->>'content';
+            content_hash := md5(doc_content);
+
+            IF doc_id IS NULL OR doc_content IS NULL OR doc_content = '' THEN
+                RAISE EXCEPTION 'Document needs an id and content';
+            END IF;
+
+            INSERT INTO source_documents (id, tenant_id, external_id, content, metadata)
+            VALUES (doc_id, COALESCE(doc->>'tenant_id', 'default'), doc->>'external_id', doc_content, COALESCE(doc->'metadata', '{}'::jsonb))
+            ON CONFLICT (id) DO UPDATE SET
+                tenant_id = EXCLUDED.tenant_id,
+                external_id = EXCLUDED.external_id,
+                content = EXCLUDED.content,
+                metadata = EXCLUDED.metadata;
+
+            FOR exported IN SELECT value FROM jsonb_array_elements(COALESCE(doc->'embeddings', '[]'::jsonb))
+            LOOP
+                SELECT em.dimensions INTO model_dimensions
+                FROM embedding_models em
+                WHERE em.model_name = exported->>'model_name'
+                  AND em.status IN ('active', 'backfilling');
+
+                IF exported->>'source_text_hash' IS DISTINCT FROM content_hash
+                   OR model_dimensions IS NULL
+                   OR model_dimensions <> vector_dims((exported->>'embedding')::vector)
+                THEN
+                    skipped := skipped || (exported->>'model_name');
+                ELSIF store_document_embedding(
+                    doc_id,
+                    exported->>'model_name',
+                    doc_content,
+                    (exported->>'embedding')::vector,
+                    COALESCE(exported->'chunks', '[]'::jsonb)
+                ) THEN
+                    restored := restored || (exported->>'model_name');
+                ELSE
+                    skipped := skipped || (exported->>'model_name');
+                END IF;
+            END LOOP;
+
+            -- Models the processor embeds for that this document still has no current vector for
+            SELECT EXISTS (
+                SELECT 1
+                FROM embedding_models em
+                WHERE em.status IN ('active', 'backfilling')
+                  AND NOT EXISTS (
+                      SELECT 1 FROM document_embeddings de
+                      WHERE de.document_id = doc_id
+                        AND de.model_name = em.model_name
+                        AND de.source_text_hash = content_hash
+                  )
+            ) INTO missing_models;
+
+            IF NOT missing_models THEN
+                -- read_ct = 0: a job the processor already picked up is left to finish
+                DELETE FROM pgmq.q_embedding_jobs_high q
+                WHERE q.message->>'document_id' = doc_id::TEXT
+                  AND q.message->>'model_name' IS NULL
+                  AND q.read_ct = 0;
+                DELETE FROM pgmq.q_embedding_jobs q
+                WHERE q.message->>'document_id' = doc_id::TEXT
+                  AND q.message->>'model_name' IS NULL
+                  AND q.read_ct = 0;
+            END IF;
+
+            RETURN QUERY SELECT doc_id, restored, skipped, missing_models, NULL::TEXT;
+        EXCEPTION WHEN OTHERS THEN
+            RETURN QUERY SELECT doc_id, ARRAY[]::TEXT[], ARRAY[]::TEXT[], false, SQLERRM;
+        END;
+    END LOOP;
+END;
+$$;
+
+-- ==============================================================================
+-- PER-TENANT COVERAGE
+-- ==============================================================================
+
+/**
+ * Embedding coverage of the active model and pending jobs per tenant
+ */
+CREATE OR REPLACE VIEW "public"."tenant_embedding_coverage" AS
+WITH coverage AS (
+  SELECT
+    sd.tenant_id,
+    COUNT(*) as total_documents,
+    COUNT(de.document_id) as documents_with_embeddings,
+    COUNT(*) FILTER (WHERE de.source_text_hash <> md5(sd.content)) as documents_needing_update
+  FROM source_documents sd
+  LEFT JOIN document_embeddings de
+    ON de.document_id = sd.id
+   AND de.model_name = get_active_embedding_model()
+   AND de.embedding IS NOT NULL
+  WHERE sd.content IS NOT NULL
+  GROUP BY sd.tenant_id
+),
+pending AS (
+  SELECT sd.tenant_id, COUNT(*) as pending_jobs
+  FROM (
+    SELECT h.message FROM pgmq.q_embedding_jobs_high h
+    UNION ALL
+    SELECT q.message FROM pgmq.q_embedding_jobs q
+  ) jobs
+  JOIN source_documents sd ON sd.id::TEXT = jobs.message->>'document_id'
+  GROUP BY sd.tenant_id
+)
+SELECT
+  c.tenant_id,
+  c.total_documents,
+  c.documents_with_embeddings,
+  ROUND(100.0 * c.documents_with_embeddings / NULLIF(c.total_documents, 0), 1) as embedding_coverage_percent,
+  c.documents_needing_update,
+  COALESCE(p.pending_jobs, 0) as pending_jobs
+FROM coverage c
+LEFT JOIN pending p ON p.tenant_id = c.tenant_id;
+
+/**
+ * System status with per-tenant coverage appended
+ */
+CREATE OR REPLACE VIEW "public"."autonomous_system_status" AS
+SELECT
+  'Autonomous Embedding System' as system_name,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs) + (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_high) as pending_jobs,
+  (SELECT COUNT(*) FROM source_documents WHERE content IS NOT NULL) as total_documents,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model()) as documents_with_embeddings,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model() AND embedding IS NOT NULL) as documents_with_valid_embeddings,
+  (SELECT COUNT(*) FROM find_outdated_embeddings(10000)) as documents_needing_update,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '1 hour') as errors_last_hour,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '24 hours') as errors_last_24h,
+  (
+    SELECT ROUND(
+      100.0 * COUNT(CASE WHEN de.embedding IS NOT NULL THEN 1 END) / NULLIF(COUNT(*), 0),
+      1
+    )
+    FROM source_documents sd
+    LEFT JOIN document_embeddings de ON sd.id = de.document_id AND de.model_name = get_active_embedding_model()
+    WHERE sd.content IS NOT NULL
+  ) as embedding_coverage_percent,
+  (
+    SELECT COUNT(*) FILTER (WHERE message->>'autopilot_reembedding' = 'true')
+    FROM pgmq.q_embedding_jobs
+    WHERE enqueued_at > now() - interval '1 hour'
+  ) as autopilot_jobs_last_hour,
+  now() as last_checked,
+  get_active_embedding_model() as active_embedding_model,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_dlq) as dead_letter_jobs,
+  (SELECT COUNT(*) FROM find_missing_embeddings(10000)) as documents_missing_embeddings,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_high) as pending_high_priority_jobs,
+  (
+    SELECT COALESCE(jsonb_agg(to_jsonb(tc) ORDER BY tc.tenant_id), '[]'::jsonb)
+    FROM tenant_embedding_coverage tc
+  ) as tenant_coverage;
+
+-- Views run with the owner's rights and would bypass the policies above
+REVOKE ALL ON "public"."autonomous_system_status" FROM anon, authenticated;
+REVOKE ALL ON "public"."embedding_run_summary" FROM anon, authenticated;
+REVOKE ALL ON "public"."tenant_embedding_coverage" FROM anon, authenticated;
+GRANT SELECT ON "public"."tenant_embedding_coverage" TO service_role;
+
+-- ==============================================================================
+-- FUNCTION PRIVILEGES
+-- ==============================================================================
+
+-- New functions are executable by PUBLIC (and Supabase grants anon/authenticated by
+-- default); engine functions are SECURITY DEFINER and would read or change every
+-- tenant's data, so every function of the schema is closed to API keys and only the
+-- tenant-scoped search RPCs are granted back below. Functions that belong to
+-- extensions installed in public (pgvector) keep their privileges.
+DO $$
+DECLARE
+  fn RECORD;
+BEGIN
+  FOR fn IN
+    SELECT p.oid::regprocedure as signature
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = 'public'
+      AND NOT EXISTS (
+        SELECT 1 FROM pg_depend d
+        WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND d.deptype = 'e'
+      )
+  LOOP
+    EXECUTE format('REVOKE EXECUTE ON FUNCTION %s FROM PUBLIC, anon, authenticated', fn.signature);
+    EXECUTE format('GRANT EXECUTE ON FUNCTION %s TO service_role', fn.signature);
+  END LOOP;
+END $$;
+
+-- Functions created by later migrations start closed as well
+ALTER DEFAULT PRIVILEGES REVOKE EXECUTE ON FUNCTIONS FROM PUBLIC;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public REVOKE EXECUTE ON FUNCTIONS FROM anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT EXECUTE ON FUNCTIONS TO service_role;
+
+GRANT EXECUTE ON FUNCTION "public"."current_tenant_id" TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION "public"."resolve_search_tenant" TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION "public"."semantic_search_documents" TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION "public"."semantic_search_chunks" TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION "public"."hybrid_search_documents" TO anon, authenticated, service_role;
+-- The model name only; waitForEmbedding() needs it with the anon key
+GRANT EXECUTE ON FUNCTION "public"."get_active_embedding_model" TO anon, authenticated, service_role;
+
+COMMENT ON COLUMN "public"."source_documents"."tenant_id" IS 'Namespace of the document - API keys only see their own tenant, searches are scoped to one tenant';
+COMMENT ON COLUMN "public"."document_embeddings"."tenant_id" IS 'Copied from the source document (set_sidecar_tenant_id, ON UPDATE CASCADE)';
+COMMENT ON COLUMN "public"."document_chunks"."tenant_id" IS 'Copied from the source document (set_sidecar_tenant_id, ON UPDATE CASCADE)';
+COMMENT ON FUNCTION "public"."current_tenant_id" IS 'Tenant from the request JWT (app_metadata.tenant_id or a top-level tenant_id claim)';
+COMMENT ON FUNCTION "public"."resolve_search_tenant" IS 'The one tenant a search may read - the JWT tenant for API keys, the requested (or default) tenant for trusted callers';
+COMMENT ON FUNCTION "public"."semantic_search_documents" IS 'Semantic search over one tenant''s documents with the active model';
+COMMENT ON FUNCTION "public"."semantic_search_chunks" IS 'Chunk-level semantic search over one tenant, grouped by document';
+COMMENT ON FUNCTION "public"."hybrid_search_documents" IS 'Hybrid keyword + vector search over one tenant, fused with weighted reciprocal rank fusion';
+COMMENT ON POLICY "read_embedding_models" ON "public"."embedding_models" IS 'Any API key may read the model registry; writes are service_role only';
+COMMENT ON VIEW "public"."tenant_embedding_coverage" IS 'Active-model embedding coverage and pending jobs per tenant';
+
+-- Verification query
+SELECT
+    'Tenant namespaces installed' as status,
+    (SELECT COUNT(*) FROM pg_policies WHERE schemaname = 'public' AND policyname LIKE 'tenant_read_%') as tenant_policies,
+    (SELECT COUNT(*) FROM tenant_embedding_coverage) as tenants;
@@ -0,0 +1,505 @@
+-- Search Filters and Cursor Pagination
+-- Searches could only filter on metadata.document_type, so callers over-fetched and
+-- filtered client-side. The search functions now take a structured filter that is
+-- compiled into the WHERE clause of the vector query itself:
+--
+--   {
+--     "contains":   { "tags": ["postgres"] },              -- JSONB containment
+--     "metadata": {
+--       "author":       "Ada",                            -- equality (shorthand for {"eq": ...})
+--       "status":       { "in": ["draft", "final"] },     -- IN list
+--       "priority":     { "gte": 2, "lt": 5 },            -- numeric range
+--       "published_at": { "gte": "2024-01-01" }           -- date range (ISO dates)
+--     },
+--     "created_at": { "gte": "2024-06-01T00:00:00Z" },     -- time windows on the row
+--     "updated_at": { "lt": "2024-07-01" }
+--   }
+--
+-- Containment, equality and IN lists compile to metadata @> conditions, so the planner
+-- can use idx_source_documents_metadata_gin; ranges are evaluated on the candidate rows.
+-- semantic_search_documents also pages with a keyset cursor (after_similarity and the
+-- ids already returned at that similarity), so page N does not re-rank pages 1..N-1.
+
+-- ==============================================================================
+-- FILTER COMPILER
+-- ==============================================================================
+
+/**
+ * Reads a metadata value as a timestamp
+ * Metadata is free-form, so values that are not ISO dates (including words like 'today'
+ * that Postgres would accept) do not match instead of failing the search.
+ *
+ * @param p_value Text of the metadata value
+ * @returns The timestamp, or NULL when the value is not an ISO date
+ */
+CREATE OR REPLACE FUNCTION "public"."metadata_timestamp"(p_value TEXT)
+RETURNS TIMESTAMP WITH TIME ZONE
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+    IF p_value !~ '^\d{4}-\d{2}-\d{2}' THEN
+        RETURN NULL;
+    END IF;
+    RETURN p_value::timestamptz;
+EXCEPTION
+    WHEN others THEN
+        RETURN NULL;
+END;
+$$;
+
+/**
+ * Compiles a search filter into a predicate on source_documents (alias sd)
+ * Every value is embedded as a quoted literal and keys and operators are whitelisted,
+ * so the result is safe to splice into the dynamic search queries. Invalid filters
+ * raise invalid_parameter_value (22023) with a message for the caller.
+ *
+ * @param p_filter Filter object (see the header of this migration); NULL or {} matches everything
+ * @returns SQL boolean expression
+ */
+CREATE OR REPLACE FUNCTION "public"."compile_search_filter"(p_filter JSONB)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    predicates TEXT[] := ARRAY[]::TEXT[];
+    entry RECORD;
+    field RECORD;
+    bound RECORD;
+    operators JSONB;
+    comparison TEXT;
+BEGIN
+    IF p_filter IS NULL OR p_filter = '{}'::jsonb THEN
+        RETURN 'TRUE';
+    END IF;
+
+    IF jsonb_typeof(p_filter) <> 'object' THEN
+        RAISE EXCEPTION 'Search filter must be a JSON object'
+            USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    FOR entry IN SELECT key, value FROM jsonb_each(p_filter) LOOP
+        CASE entry.key
+        WHEN 'contains' THEN
+            IF jsonb_typeof(entry.value) <> 'object' THEN
+                RAISE EXCEPTION 'filter.contains must be a JSON object'
+                    USING ERRCODE = 'invalid_parameter_value';
+            END IF;
+            predicates := predicates || format('sd.metadata @> %L::jsonb', entry.value);
+
+        WHEN 'metadata' THEN
+            IF jsonb_typeof(entry.value) <> 'object' THEN
+                RAISE EXCEPTION 'filter.metadata must be a JSON object of field conditions'
+                    USING ERRCODE = 'invalid_parameter_value';
+            END IF;
+
+            FOR field IN SELECT key, value FROM jsonb_each(entry.value) LOOP
+                operators := CASE
+                    WHEN jsonb_typeof(field.value) = 'object' THEN field.value
+                    ELSE jsonb_build_object('eq', field.value)
+                END;
+
+                IF operators = '{}'::jsonb THEN
+                    RAISE EXCEPTION 'filter.metadata.% has no conditions', field.key
+                        USING ERRCODE = 'invalid_parameter_value';
+                END IF;
+
+                FOR bound IN SELECT key, value FROM jsonb_each(operators) LOOP
+                    CASE bound.key
+                    WHEN 'eq' THEN
+                        IF jsonb_typeof(bound.value) IN ('object', 'array') THEN
+                            RAISE EXCEPTION 'filter.metadata.% must be compared with a string, number, boolean or null - use filter.contains for nested values', field.key
+                                USING ERRCODE = 'invalid_parameter_value';
+                        END IF;
+                        predicates := predicates || format('sd.metadata @> %L::jsonb', jsonb_build_object(field.key, bound.value));
+
+                    WHEN 'in' THEN
+                        IF jsonb_typeof(bound.value) <> 'array'
+                           OR jsonb_array_length(bound.value) = 0
+                           OR EXISTS (
+                               SELECT 1 FROM jsonb_array_elements(bound.value) element
+                               WHERE jsonb_typeof(element) IN ('object', 'array')
+                           ) THEN
+                            RAISE EXCEPTION 'filter.metadata.%.in must be a non-empty array of strings, numbers, booleans or nulls', field.key
+                                USING ERRCODE = 'invalid_parameter_value';
+                        END IF;
+                        -- OR-ed containments become a BitmapOr over the GIN index
+                        predicates := predicates || (
+                            SELECT '(' || string_agg(format('sd.metadata @> %L::jsonb', jsonb_build_object(field.key, element)), ' OR ') || ')'
+                            FROM jsonb_array_elements(bound.value) element
+                        );
+
+                    WHEN 'gt', 'gte', 'lt', 'lte' THEN
+                        comparison := CASE bound.key WHEN 'gt' THEN '>' WHEN 'gte' THEN '>=' WHEN 'lt' THEN '<' ELSE '<=' END;
+
+                        IF jsonb_typeof(bound.value) = 'number' THEN
+                            -- CASE keeps non-numeric values from failing the cast
+                            predicates := predicates || format(
+                                '(CASE WHEN jsonb_typeof(sd.metadata->%1$L) = ''number'' THEN (sd.metadata->%1$L)::numeric END) %2$s %3$L::numeric',
+                                field.key, comparison, bound.value #>> '{}'
+                            );
+                        ELSIF jsonb_typeof(bound.value) = 'string' AND metadata_timestamp(bound.value #>> '{}') IS NOT NULL THEN
+                            predicates := predicates || format(
+                                'metadata_timestamp(sd.metadata->>%1$L) %2$s %3$L::timestamptz',
+                                field.key, comparison, bound.value #>> '{}'
+                            );
+                        ELSE
+                            RAISE EXCEPTION 'filter.metadata.%.% must be a number or an ISO date', field.key, bound.key
+                                USING ERRCODE = 'invalid_parameter_value';
+                        END IF;
+
+                    ELSE
+                        RAISE EXCEPTION 'Unknown operator "%" in filter.metadata.% - use eq, in, gt, gte, lt or lte', bound.key, field.key
+                            USING ERRCODE = 'invalid_parameter_value';
+                    END CASE;
+                END LOOP;
+            END LOOP;
+
+        WHEN 'created_at', 'updated_at' THEN
+            IF jsonb_typeof(entry.value) <> 'object' OR entry.value = '{}'::jsonb THEN
+                RAISE EXCEPTION 'filter.% must be an object of gt, gte, lt or lte bounds', entry.key
+                    USING ERRCODE = 'invalid_parameter_value';
+            END IF;
+
+            FOR bound IN SELECT key, value FROM jsonb_each(entry.value) LOOP
+                comparison := CASE bound.key WHEN 'gt' THEN '>' WHEN 'gte' THEN '>=' WHEN 'lt' THEN '<' WHEN 'lte' THEN '<=' END;
+
+                IF comparison IS NULL THEN
+                    RAISE EXCEPTION 'Unknown operator "%" in filter.% - use gt, gte, lt or lte', bound.key, entry.key
+                        USING ERRCODE = 'invalid_parameter_value';
+                END IF;
+                IF jsonb_typeof(bound.value) <> 'string' OR metadata_timestamp(bound.value #>> '{}') IS NULL THEN
+                    RAISE EXCEPTION 'filter.%.% must be an ISO date or timestamp', entry.key, bound.key
+                        USING ERRCODE = 'invalid_parameter_value';
+                END IF;
+
+                predicates := predicates || format('sd.%I %s %L::timestamptz', entry.key, comparison, bound.value #>> '{}');
+            END LOOP;
+
+        ELSE
+            RAISE EXCEPTION 'Unknown search filter "%" - use contains, metadata, created_at or updated_at', entry.key
+                USING ERRCODE = 'invalid_parameter_value';
+        END CASE;
+    END LOOP;
+
+    RETURN array_to_string(predicates, ' AND ');
+END;
+$$;
+
+-- ==============================================================================
+-- FILTERED SEARCH
+-- ==============================================================================
+
+DROP FUNCTION IF EXISTS "public"."semantic_search_documents"(vector, float, int, text, text);
+
+/**
+ * Semantic search over the active model's document embeddings of one tenant
+ * Results are ordered by similarity. To fetch the next page, pass the similarity of the
+ * last result as after_similarity and the ids of every result returned at exactly that
+ * similarity as after_document_ids; ties are excluded by id, so equal-scoring documents
+ * are never skipped or repeated across pages. Pages beyond hnsw.ef_search rows rely on
+ * iterative index scans (pgvector 0.8+).
+ *
+ * @param query_embedding Query vector produced by the active model
+ * @param match_threshold Minimum similarity to be considered a match
+ * @param match_count Maximum number of documents returned
+ * @param filter_document_type Optional metadata.document_type filter
+ * @param filter_tenant_id Tenant to search (see resolve_search_tenant)
+ * @param filter_conditions Optional structured filter (see compile_search_filter)
+ * @param after_similarity Similarity of the last result of the previous page
+ * @param after_document_ids Documents of the previous pages returned at after_similarity
+ */
+CREATE OR REPLACE FUNCTION "public"."semantic_search_documents"(
+    query_embedding vector,
+    match_threshold float DEFAULT 0.78,
+    match_count int DEFAULT 10,
+    filter_document_type text DEFAULT NULL,
+    filter_tenant_id text DEFAULT NULL,
+    filter_conditions jsonb DEFAULT NULL,
+    after_similarity float DEFAULT NULL,
+    after_document_ids uuid[] DEFAULT NULL
+) RETURNS TABLE (
+    document_id uuid,
+    document_type text,
+    content text,
+    similarity float,
+    metadata jsonb,
+    model_name text
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    search_tenant TEXT := resolve_search_tenant(filter_tenant_id);
+    filter_predicate TEXT := compile_search_filter(filter_conditions);
+    cursor_predicate TEXT := 'TRUE';
+    active_model TEXT;
+    model_dimensions INTEGER;
+BEGIN
+    SELECT em.model_name, em.dimensions INTO active_model, model_dimensions
+    FROM embedding_models em WHERE em.status = 'active';
+
+    IF vector_dims(query_embedding) <> model_dimensions THEN
+        RAISE EXCEPTION 'Query embedding has % dimensions but active model % expects %',
+            vector_dims(query_embedding), active_model, model_dimensions;
+    END IF;
+
+    IF after_similarity IS NOT NULL THEN
+        -- Same expression as the similarity column, so ties compare exactly
+        cursor_predicate := format(
+            '((1 - (de.embedding::vector(%1$s) <=> $1)) < $6
+              OR ((1 - (de.embedding::vector(%1$s) <=> $1)) = $6 AND sd.id <> ALL($7)))',
+            model_dimensions
+        );
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM pg_settings WHERE name = 'hnsw.iterative_scan') THEN
+        PERFORM set_config('hnsw.iterative_scan', 'strict_order', true);
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'SELECT
+            sd.id,
+            sd.metadata->>''document_type'',
+            sd.content,
+            (1 - (de.embedding::vector(%1$s) <=> $1))::float,
+            sd.metadata,
+            de.model_name
+        FROM document_embeddings de
+        JOIN source_documents sd ON sd.id = de.document_id
+        WHERE de.model_name = %2$L
+          AND de.tenant_id = $5
+          AND de.embedding IS NOT NULL
+          AND (1 - (de.embedding::vector(%1$s) <=> $1)) > $2
+          AND ($4 IS NULL OR sd.metadata->>''document_type'' = $4)
+          AND %3$s
+          AND %4$s
+        ORDER BY de.embedding::vector(%1$s) <=> $1
+        LIMIT $3',
+        model_dimensions, active_model, filter_predicate, cursor_predicate
+    ) USING query_embedding, match_threshold, match_count, filter_document_type, search_tenant,
+            after_similarity, COALESCE(after_document_ids, ARRAY[]::uuid[]);
+END;
+$$;
+
+DROP FUNCTION IF EXISTS "public"."semantic_search_chunks"(vector, float, int, int, text);
+
+/**
+ * Chunk-level semantic search over the active model of one tenant, grouped by parent document
+ * The filter applies to the parent documents before chunks are ranked.
+ *
+ * @param filter_tenant_id Tenant to search (see resolve_search_tenant)
+ * @param filter_conditions Optional structured filter (see compile_search_filter)
+ */
+CREATE OR REPLACE FUNCTION "public"."semantic_search_chunks"(
+    query_embedding vector,
+    match_threshold float DEFAULT 0.78,
+    match_count int DEFAULT 10,
+    chunks_per_document int DEFAULT 3,
+    filter_tenant_id text DEFAULT NULL,
+    filter_conditions jsonb DEFAULT NULL
+) RETURNS TABLE (
+    document_id uuid,
+    similarity float,
+    metadata jsonb,
+    matched_chunks jsonb
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    search_tenant TEXT := resolve_search_tenant(filter_tenant_id);
+    filter_predicate TEXT := compile_search_filter(filter_conditions);
+    active_model TEXT;
+    model_dimensions INTEGER;
+BEGIN
+    SELECT em.model_name, em.dimensions INTO active_model, model_dimensions
+    FROM embedding_models em WHERE em.status = 'active';
+
+    IF vector_dims(query_embedding) <> model_dimensions THEN
+        RAISE EXCEPTION 'Query embedding has % dimensions but active model % expects %',
+            vector_dims(query_embedding), active_model, model_dimensions;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM pg_settings WHERE name = 'hnsw.iterative_scan') THEN
+        PERFORM set_config('hnsw.iterative_scan', 'strict_order', true);
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'WITH candidate_chunks AS (
+            SELECT
+                dc.document_id,
+                dc.chunk_index,
+                dc.chunk_text,
+                dc.start_offset,
+                dc.end_offset,
+                (1 - (dc.embedding::vector(%1$s) <=> $1))::float as chunk_similarity
+            FROM document_chunks dc
+            JOIN source_documents sd ON sd.id = dc.document_id
+            WHERE dc.model_name = %2$L
+              AND dc.tenant_id = $5
+              AND dc.embedding IS NOT NULL
+              AND (1 - (dc.embedding::vector(%1$s) <=> $1)) > $2
+              AND %3$s
+            ORDER BY dc.embedding::vector(%1$s) <=> $1
+            LIMIT $3 * $4 * 4
+        ),
+        ranked_chunks AS (
+            SELECT
+                cc.*,
+                ROW_NUMBER() OVER (PARTITION BY cc.document_id ORDER BY cc.chunk_similarity DESC) as chunk_rank
+            FROM candidate_chunks cc
+        )
+        SELECT
+            rc.document_id,
+            MAX(rc.chunk_similarity),
+            sd.metadata,
+            jsonb_agg(
+                jsonb_build_object(
+                    ''chunk_index'', rc.chunk_index,
+                    ''content'', rc.chunk_text,
+                    ''start_offset'', rc.start_offset,
+                    ''end_offset'', rc.end_offset,
+                    ''similarity'', rc.chunk_similarity
+                ) ORDER BY rc.chunk_similarity DESC
+            )
+        FROM ranked_chunks rc
+        JOIN source_documents sd ON sd.id = rc.document_id
+        WHERE rc.chunk_rank <= $4
+        GROUP BY rc.document_id, sd.metadata
+        ORDER BY MAX(rc.chunk_similarity) DESC
+        LIMIT $3',
+        model_dimensions, active_model, filter_predicate
+    ) USING query_embedding, match_threshold, match_count, chunks_per_document, search_tenant;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS "public"."hybrid_search_documents"(TEXT, vector, INT, FLOAT, FLOAT, INT, TEXT, TEXT);
+
+/**
+ * Hybrid search with reciprocal rank fusion over one tenant
+ * The filter applies to both the keyword and the vector side before they are ranked.
+ *
+ * @param filter_tenant_id Tenant to search (see resolve_search_tenant)
+ * @param filter_conditions Optional structured filter (see compile_search_filter)
+ */
+CREATE OR REPLACE FUNCTION "public"."hybrid_search_documents"(
+    query_text TEXT,
+    query_embedding vector,
+    match_count INT DEFAULT 10,
+    full_text_weight FLOAT DEFAULT 1.0,
+    semantic_weight FLOAT DEFAULT 1.0,
+    rrf_k INT DEFAULT 50,
+    filter_document_type TEXT DEFAULT NULL,
+    filter_tenant_id TEXT DEFAULT NULL,
+    filter_conditions JSONB DEFAULT NULL
+) RETURNS TABLE (
+    document_id uuid,
+    content text,
+    metadata jsonb,
+    score float,
+    full_text_rank int,
+    full_text_score float,
+    semantic_rank int,
+    semantic_similarity float
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    search_tenant TEXT := resolve_search_tenant(filter_tenant_id);
+    filter_predicate TEXT := compile_search_filter(filter_conditions);
+    active_model TEXT;
+    model_dimensions INTEGER;
+BEGIN
+    SELECT em.model_name, em.dimensions INTO active_model, model_dimensions
+    FROM embedding_models em WHERE em.status = 'active';
+
+    IF vector_dims(query_embedding) <> model_dimensions THEN
+        RAISE EXCEPTION 'Query embedding has % dimensions but active model % expects %',
+            vector_dims(query_embedding), active_model, model_dimensions;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM pg_settings WHERE name = 'hnsw.iterative_scan') THEN
+        PERFORM set_config('hnsw.iterative_scan', 'strict_order', true);
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'WITH full_text AS (
+            -- Expression matches idx_source_documents_content_fts so the GIN index is used
+            SELECT
+                sd.id,
+                ts_rank_cd(to_tsvector(''english'', sd.content), websearch_to_tsquery(''english'', $1))::float as rank_score,
+                ROW_NUMBER() OVER (
+                    ORDER BY ts_rank_cd(to_tsvector(''english'', sd.content), websearch_to_tsquery(''english'', $1)) DESC
+                )::int as rank_ix
+            FROM source_documents sd
+            WHERE to_tsvector(''english'', sd.content) @@ websearch_to_tsquery(''english'', $1)
+              AND sd.tenant_id = $8
+              AND ($7 IS NULL OR sd.metadata->>''document_type'' = $7)
+              AND %3$s
+            ORDER BY rank_ix
+            LIMIT $3 * 2
+        ),
+        semantic AS (
+            SELECT
+                de.document_id as id,
+                (1 - (de.embedding::vector(%1$s) <=> $2))::float as similarity,
+                ROW_NUMBER() OVER (ORDER BY de.embedding::vector(%1$s) <=> $2)::int as rank_ix
+            FROM document_embeddings de
+            JOIN source_documents sd ON sd.id = de.document_id
+            WHERE de.model_name = %2$L
+              AND de.tenant_id = $8
+              AND de.embedding IS NOT NULL
+              AND ($7 IS NULL OR sd.metadata->>''document_type'' = $7)
+              AND %3$s
+            ORDER BY de.embedding::vector(%1$s) <=> $2
+            LIMIT $3 * 2
+        )
+        SELECT
+            sd.id,
+            sd.content,
+            sd.metadata,
+            (
+                COALESCE(1.0 / ($6 + full_text.rank_ix), 0.0) * $4 +
+                COALESCE(1.0 / ($6 + semantic.rank_ix), 0.0) * $5
+            )::float as score,
+            full_text.rank_ix,
+            full_text.rank_score,
+            semantic.rank_ix,
+            semantic.similarity
+        FROM full_text
+        FULL OUTER JOIN semantic ON full_text.id = semantic.id
+        JOIN source_documents sd ON sd.id = COALESCE(full_text.id, semantic.id)
+        ORDER BY score DESC
+        LIMIT $3',
+        model_dimensions, active_model, filter_predicate
+    ) USING query_text, query_embedding, match_count, full_text_weight, semantic_weight, rrf_k, filter_document_type, search_tenant;
+END;
+$$;
+
+-- ==============================================================================
+-- PERMISSIONS
+-- ==============================================================================
+
+-- The compiler runs inside the SECURITY DEFINER search functions; API keys only need those
+REVOKE EXECUTE ON FUNCTION "public"."metadata_timestamp" FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION "public"."compile_search_filter" FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION "public"."metadata_timestamp" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."compile_search_filter" TO service_role;
+
+GRANT EXECUTE ON FUNCTION "public"."semantic_search_documents" TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION "public"."semantic_search_chunks" TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION "public"."hybrid_search_documents" TO anon, authenticated, service_role;
+
+COMMENT ON FUNCTION "public"."metadata_timestamp" IS 'Metadata value as a timestamp, NULL when it is not a date';
+COMMENT ON FUNCTION "public"."compile_search_filter" IS 'Compiles a search filter (contains, metadata conditions, created_at/updated_at windows) into a predicate on source_documents sd';
+COMMENT ON FUNCTION "public"."semantic_search_documents" IS 'Filtered semantic search over one tenant''s documents with the active model, paged by (similarity, document ids) cursor';
+COMMENT ON FUNCTION "public"."semantic_search_chunks" IS 'Filtered chunk-level semantic search over one tenant, grouped by document';
+COMMENT ON FUNCTION "public"."hybrid_search_documents" IS 'Filtered hybrid keyword + vector search over one tenant, fused with weighted reciprocal rank fusion';
+
+-- Verification query
+SELECT
+    'Search filters installed' as status,
+    compile_search_filter('{"metadata": {"document_type": "report", "priority": {"gte": 2}}}') as sample_predicate;
@@ -0,0 +1,221 @@
+-- Batched Embedding Writes
+-- The processor embedded, stored and archived one job at a time, with an RPC round
+-- trip for every write, and the autopilot never asked for more than 5 jobs per batch.
+-- It now embeds a batch with bounded concurrency and writes it back in bulk:
+-- - store_document_embeddings: every embedding and chunk of a batch in one transaction,
+--   with the same stale-job guard as store_document_embedding
+-- - pgmq_archive_batch: archives the successful messages of a lane in one call
+-- - embedding_runs.phase_timings_ms: time spent reading, checking, embedding, storing,
+--   archiving and handling failures, to compare batch sizes and concurrency settings
+-- - the adaptive autopilot sends batches of up to 50 jobs
+
+-- ==============================================================================
+-- BULK WRITES
+-- ==============================================================================
+
+/**
+ * Stores the embeddings and chunks of a whole batch, skipping stale items
+ * Behaves like store_document_embedding for every item: an item is only written if its
+ * source_text is still the document's content, and the documents stay locked (FOR SHARE)
+ * until the batch commits. Locks are taken in id order so concurrent batches cannot deadlock.
+ * If a document appears more than once with the same model, it is written once.
+ *
+ * @param p_embeddings JSON array of {document_id, model_name, source_text, embedding, chunks: [{chunk_index, content, start_offset, end_offset, embedding}]}
+ * @returns One row per input item with whether it was stored
+ */
+CREATE OR REPLACE FUNCTION "public"."store_document_embeddings"(p_embeddings JSONB)
+RETURNS TABLE (
+    document_id uuid,
+    model_name text,
+    stored boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    current_items JSONB;
+BEGIN
+    PERFORM 1
+    FROM source_documents sd
+    WHERE sd.id IN (SELECT (item->>'document_id')::uuid FROM jsonb_array_elements(p_embeddings) item)
+    ORDER BY sd.id
+    FOR SHARE;
+
+    SELECT COALESCE(jsonb_agg(current_item.item), '[]'::jsonb) INTO current_items
+    FROM (
+        SELECT DISTINCT ON (item->>'document_id', item->>'model_name') item
+        FROM jsonb_array_elements(p_embeddings) item
+        JOIN source_documents sd ON sd.id = (item->>'document_id')::uuid
+        WHERE sd.content = item->>'source_text'
+    ) current_item;
+
+    DELETE FROM document_chunks dc
+    USING jsonb_array_elements(current_items) item
+    WHERE dc.document_id = (item->>'document_id')::uuid
+      AND dc.model_name = item->>'model_name';
+
+    INSERT INTO document_chunks (
+        document_id,
+        model_name,
+        chunk_index,
+        chunk_text,
+        source_text_hash,
+        start_offset,
+        end_offset,
+        embedding
+    )
+    SELECT
+        (item->>'document_id')::uuid,
+        item->>'model_name',
+        (chunk->>'chunk_index')::INTEGER,
+        chunk->>'content',
+        md5(item->>'source_text'),
+        (chunk->>'start_offset')::INTEGER,
+        (chunk->>'end_offset')::INTEGER,
+        (chunk->>'embedding')::vector
+    FROM jsonb_array_elements(current_items) item,
+         jsonb_array_elements(COALESCE(item->'chunks', '[]'::jsonb)) chunk;
+
+    INSERT INTO document_embeddings (document_id, model_name, source_text, embedding)
+    SELECT
+        (item->>'document_id')::uuid,
+        item->>'model_name',
+        item->>'source_text',
+        (item->>'embedding')::vector
+    FROM jsonb_array_elements(current_items) item
+    ON CONFLICT ON CONSTRAINT document_embeddings_pkey DO UPDATE SET
+        source_text = EXCLUDED.source_text,
+        embedding = EXCLUDED.embedding;
+
+    RETURN QUERY
+    SELECT
+        (item->>'document_id')::uuid,
+        item->>'model_name',
+        EXISTS (
+            SELECT 1 FROM jsonb_array_elements(current_items) written
+            WHERE written->>'document_id' = item->>'document_id'
+              AND written->>'model_name' = item->>'model_name'
+        )
+    FROM jsonb_array_elements(p_embeddings) item;
+END;
+$$;
+
+/**
+ * Archives several messages of one queue
+ *
+ * @param queue_name Queue the messages were read from
+ * @param msg_ids Messages to archive
+ * @returns Ids that were archived (messages that no longer exist are left out)
+ */
+CREATE OR REPLACE FUNCTION "public"."pgmq_archive_batch"(
+    queue_name TEXT,
+    msg_ids BIGINT[]
+) RETURNS SETOF BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY SELECT * FROM pgmq.archive(queue_name, msg_ids);
+END;
+$$;
+
+-- ==============================================================================
+-- RUN HISTORY
+-- ==============================================================================
+
+ALTER TABLE "public"."embedding_runs"
+    ADD COLUMN IF NOT EXISTS "phase_timings_ms" JSONB;
+
+-- ==============================================================================
+-- LARGER AUTOPILOT BATCHES
+-- ==============================================================================
+
+-- Same as 012, with batch sizes for the batched processor
+CREATE OR REPLACE FUNCTION "public"."trigger_embedding_queue_processing_adaptive"()
+RETURNS "void"
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+DECLARE
+  project_url TEXT;
+  service_role_key TEXT;
+  request_id BIGINT;
+  high_queue_size INTEGER;
+  normal_queue_size INTEGER;
+  weighted_queue_size INTEGER;
+  adaptive_batch_size INTEGER;
+BEGIN
+  -- Get configuration from settings (these should be set via SQL or environment)
+  project_url := current_setting('app.settings.project_url', true);
+  service_role_key := current_setting('app.settings.service_role_key', true);
+
+  -- Validate configuration is available
+  IF project_url IS NULL OR service_role_key IS NULL THEN
+    RAISE LOG 'Autopilot: Configuration not available - skipping processing cycle';
+    RETURN;
+  END IF;
+
+  -- Check the depth of each lane for adaptive processing
+  SELECT COUNT(*) INTO high_queue_size FROM pgmq.q_embedding_jobs_high;
+  SELECT COUNT(*) INTO normal_queue_size FROM pgmq.q_embedding_jobs;
+  weighted_queue_size := high_queue_size * 2 + normal_queue_size;
+
+  -- Only trigger processing if there are jobs to process
+  IF high_queue_size + normal_queue_size > 0 THEN
+    -- Embedding calls run concurrently (EMBEDDING_CONCURRENCY) and writes are batched,
+    -- so backlogs are drained in batches of up to 50 (the processor's MAX_BATCH_SIZE default)
+    adaptive_batch_size := CASE
+      WHEN weighted_queue_size <= 10 THEN 5
+      WHEN weighted_queue_size <= 50 THEN 10
+      WHEN weighted_queue_size <= 200 THEN 25
+      ELSE 50
+    END;
+
+    -- Make HTTP request to Edge Function with adaptive parameters
+    SELECT net.http_post(
+      url := project_url || '/functions/v1/process-embedding-queue',
+      headers := jsonb_build_object(
+        'Content-Type', 'application/json',
+        'Authorization', 'Bearer ' || service_role_key,
+        'X-Adaptive-Processing', 'true'
+      ),
+      body := jsonb_build_object(
+        'batch_size', adaptive_batch_size,
+        'queue_size', high_queue_size + normal_queue_size,
+        'lane_depths', jsonb_build_object('high', high_queue_size, 'normal', normal_queue_size),
+        'cpu_aware_mode', true,
+        'timeout_seconds', 30,
+        'adaptive_processing', true
+      ),
+      timeout_milliseconds := 35000  -- 35 second HTTP timeout
+    ) INTO request_id;
+
+    RAISE LOG 'Autopilot: Triggered adaptive processing for % high / % normal jobs (batch_size: %, request_id: %)',
+              high_queue_size, normal_queue_size, adaptive_batch_size, request_id;
+  ELSE
+    RAISE LOG 'Autopilot: Queue empty, skipping processing cycle';
+  END IF;
+
+EXCEPTION WHEN OTHERS THEN
+  RAISE LOG 'Autopilot error in trigger_embedding_queue_processing_adaptive: %', SQLERRM;
+  -- Don't re-raise - we want the cron job to continue even if this fails
+END;
+$$;
+
+-- ==============================================================================
+-- PERMISSIONS
+-- ==============================================================================
+
+REVOKE EXECUTE ON FUNCTION "public"."store_document_embeddings" FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION "public"."pgmq_archive_batch" FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION "public"."store_document_embeddings" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."pgmq_archive_batch" TO service_role;
+
+COMMENT ON FUNCTION "public"."store_document_embeddings" IS 'Stores the embeddings and chunks of a processor batch in one transaction - items superseded by a newer edit are skipped';
+COMMENT ON FUNCTION "public"."pgmq_archive_batch" IS 'Archives several messages of one queue in a single call';
+COMMENT ON COLUMN "public"."embedding_runs"."phase_timings_ms" IS 'Milliseconds spent per processor phase: read, check, embed, store, archive, failures';
+
+-- Verification query
+SELECT
+    'Batched embedding writes installed' as status,
+    EXISTS(SELECT 1 FROM pg_proc WHERE proname = 'store_document_embeddings') as bulk_store_exists,
+    EXISTS(SELECT 1 FROM pg_proc WHERE proname = 'pgmq_archive_batch') as bulk_archive_exists;
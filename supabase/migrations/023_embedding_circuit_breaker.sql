@@ -0,0 +1,321 @@
+-- Embedding Circuit Breaker
+-- When the embedding backend (Supabase.ai or the OpenAI-compatible endpoint) is down,
+-- every job fails: each cycle logged an error per job and burned a retry, and the cron
+-- job kept invoking the processor every 30 seconds. The processor now counts consecutive
+-- backend failures (unreachable, timed out, 5xx) across invocations; rejected inputs and
+-- malformed vectors are ordinary job failures and never count:
+-- - after CIRCUIT_BREAKER_THRESHOLD failures in a row it stops reading jobs and opens
+--   the circuit, which pauses the autopilot with a reason
+-- - jobs of the current batch that were not attempted yet are released until the next
+--   probe without using up a retry (pgmq_defer_batch)
+-- - while the circuit is open, the adaptive trigger skips its cycles until the next
+--   probe is due; the processor then sends a probe embedding before reading any job
+-- - a successful probe closes the circuit and processing resumes; a failed one doubles
+--   the wait before the next probe (up to CIRCUIT_PROBE_MAX_DELAY_SECONDS)
+-- The state is shown in autonomous_system_status.
+
+-- ==============================================================================
+-- CIRCUIT STATE
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS "public"."embedding_circuit_breaker" (
+    "id" BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),   -- single row
+    "state" TEXT NOT NULL DEFAULT 'closed',             -- closed (running), open (autopilot paused)
+    "consecutive_failures" INTEGER NOT NULL DEFAULT 0,   -- model failures since the last successful embedding
+    "last_error" TEXT,
+    "reason" TEXT,                                      -- why the autopilot is paused
+    "opened_at" TIMESTAMP WITH TIME ZONE,
+    "probe_attempts" INTEGER NOT NULL DEFAULT 0,         -- failed probes since the circuit opened
+    "next_probe_at" TIMESTAMP WITH TIME ZONE,
+    "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    CONSTRAINT "embedding_circuit_breaker_state_check" CHECK (state IN ('closed', 'open'))
+);
+
+INSERT INTO "public"."embedding_circuit_breaker" (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE "public"."embedding_circuit_breaker" ENABLE ROW LEVEL SECURITY;
+GRANT SELECT ON "public"."embedding_circuit_breaker" TO service_role;
+
+-- ==============================================================================
+-- PROCESSOR RPCS
+-- ==============================================================================
+
+/**
+ * Returns the circuit state the processor starts an invocation with
+ */
+CREATE OR REPLACE FUNCTION "public"."get_embedding_circuit"()
+RETURNS SETOF "public"."embedding_circuit_breaker"
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT * FROM embedding_circuit_breaker;
+$$;
+
+/**
+ * Records the processor's count of consecutive model failures and opens or closes the circuit
+ * 0 closes the circuit (resuming the autopilot); reaching the threshold opens it, or keeps
+ * it open after a failed probe, and schedules the next probe with exponential backoff.
+ *
+ * @param p_consecutive_failures Model failures in a row since the last successful embedding
+ * @param p_last_error Error of the latest failure
+ * @param p_failure_threshold Failures in a row that open the circuit
+ * @param p_probe_base_delay_seconds Wait before the first probe
+ * @param p_probe_max_delay_seconds Upper bound for the wait between probes
+ * @returns The updated circuit state
+ */
+CREATE OR REPLACE FUNCTION "public"."report_embedding_backend_health"(
+    p_consecutive_failures INTEGER,
+    p_last_error TEXT DEFAULT NULL,
+    p_failure_threshold INTEGER DEFAULT 5,
+    p_probe_base_delay_seconds INTEGER DEFAULT 30,
+    p_probe_max_delay_seconds INTEGER DEFAULT 900
+) RETURNS SETOF "public"."embedding_circuit_breaker"
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    circuit embedding_circuit_breaker;
+BEGIN
+    SELECT * INTO circuit FROM embedding_circuit_breaker FOR UPDATE;
+
+    IF p_consecutive_failures <= 0 THEN
+        IF circuit.state = 'open' THEN
+            RAISE LOG 'Embedding circuit closed after % failed probe(s) - autopilot resumed', circuit.probe_attempts;
+        END IF;
+
+        UPDATE embedding_circuit_breaker SET
+            state = 'closed',
+            consecutive_failures = 0,
+            reason = NULL,
+            opened_at = NULL,
+            probe_attempts = 0,
+            next_probe_at = NULL,
+            updated_at = now();
+    ELSIF p_consecutive_failures >= p_failure_threshold THEN
+        -- Already open: this was a failed probe
+        circuit.probe_attempts := CASE WHEN circuit.state = 'open' THEN circuit.probe_attempts + 1 ELSE 0 END;
+
+        UPDATE embedding_circuit_breaker SET
+            state = 'open',
+            consecutive_failures = p_consecutive_failures,
+            last_error = p_last_error,
+            reason = format('Paused after %s consecutive embedding failures: %s', p_consecutive_failures, COALESCE(p_last_error, 'unknown error')),
+            opened_at = CASE WHEN circuit.state = 'open' THEN circuit.opened_at ELSE now() END,
+            probe_attempts = circuit.probe_attempts,
+            next_probe_at = now() + make_interval(secs => LEAST(
+                p_probe_base_delay_seconds * power(2, LEAST(circuit.probe_attempts, 20)),
+                p_probe_max_delay_seconds
+            )),
+            updated_at = now();
+
+        IF circuit.state = 'closed' THEN
+            RAISE LOG 'Embedding circuit opened after % consecutive failures - autopilot paused', p_consecutive_failures;
+        END IF;
+    ELSE
+        UPDATE embedding_circuit_breaker SET
+            consecutive_failures = p_consecutive_failures,
+            last_error = p_last_error,
+            updated_at = now();
+    END IF;
+
+    RETURN QUERY SELECT * FROM embedding_circuit_breaker;
+END;
+$$;
+
+/**
+ * Releases messages that were read but never attempted until a given time
+ * Undoes the read as well, so the deferral does not count as a delivery: read_ct
+ * drives the processor's retry limit and dead-lettering.
+ *
+ * @param queue_name Embedding lane the messages were read from
+ * @param msg_ids Messages to release
+ * @param visible_at When the messages become visible again (the next probe)
+ * @returns Ids that were released (messages that no longer exist are left out)
+ */
+CREATE OR REPLACE FUNCTION "public"."pgmq_defer_batch"(
+    queue_name TEXT,
+    msg_ids BIGINT[],
+    visible_at TIMESTAMPTZ
+) RETURNS SETOF BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF queue_name NOT IN ('embedding_jobs', 'embedding_jobs_high') THEN
+        RAISE EXCEPTION 'Unknown embedding queue: %', queue_name;
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'UPDATE pgmq.%I SET vt = $1, read_ct = GREATEST(read_ct - 1, 0) WHERE msg_id = ANY($2) RETURNING msg_id',
+        'q_' || queue_name
+    ) USING visible_at, msg_ids;
+END;
+$$;
+
+-- ==============================================================================
+-- AUTOPILOT PAUSE
+-- ==============================================================================
+
+-- Same as 022, but skips its cycles while the circuit is open and no probe is due
+CREATE OR REPLACE FUNCTION "public"."trigger_embedding_queue_processing_adaptive"()
+RETURNS "void"
+LANGUAGE "plpgsql" SECURITY DEFINER
+AS $$
+DECLARE
+  project_url TEXT;
+  service_role_key TEXT;
+  request_id BIGINT;
+  high_queue_size INTEGER;
+  normal_queue_size INTEGER;
+  weighted_queue_size INTEGER;
+  adaptive_batch_size INTEGER;
+  circuit embedding_circuit_breaker;
+BEGIN
+  -- Get configuration from settings (these should be set via SQL or environment)
+  project_url := current_setting('app.settings.project_url', true);
+  service_role_key := current_setting('app.settings.service_role_key', true);
+
+  -- Validate configuration is available
+  IF project_url IS NULL OR service_role_key IS NULL THEN
+    RAISE LOG 'Autopilot: Configuration not available - skipping processing cycle';
+    RETURN;
+  END IF;
+
+  -- Paused: the processor probes the embedding backend once next_probe_at has passed
+  SELECT * INTO circuit FROM embedding_circuit_breaker;
+  IF circuit.state = 'open' AND circuit.next_probe_at > now() THEN
+    RAISE LOG 'Autopilot: Paused (%) - next probe at %', circuit.reason, circuit.next_probe_at;
+    RETURN;
+  END IF;
+
+  -- Check the depth of each lane for adaptive processing
+  SELECT COUNT(*) INTO high_queue_size FROM pgmq.q_embedding_jobs_high;
+  SELECT COUNT(*) INTO normal_queue_size FROM pgmq.q_embedding_jobs;
+  weighted_queue_size := high_queue_size * 2 + normal_queue_size;
+
+  -- Only trigger processing if there are jobs to process
+  IF high_queue_size + normal_queue_size > 0 THEN
+    -- Embedding calls run concurrently (EMBEDDING_CONCURRENCY) and writes are batched,
+    -- so backlogs are drained in batches of up to 50 (the processor's MAX_BATCH_SIZE default)
+    adaptive_batch_size := CASE
+      WHEN weighted_queue_size <= 10 THEN 5
+      WHEN weighted_queue_size <= 50 THEN 10
+      WHEN weighted_queue_size <= 200 THEN 25
+      ELSE 50
+    END;
+
+    -- Make HTTP request to Edge Function with adaptive parameters
+    SELECT net.http_post(
+      url := project_url || '/functions/v1/process-embedding-queue',
+      headers := jsonb_build_object(
+        'Content-Type', 'application/json',
+        'Authorization', 'Bearer ' || service_role_key,
+        'X-Adaptive-Processing', 'true'
+      ),
+      body := jsonb_build_object(
+        'batch_size', adaptive_batch_size,
+        'queue_size', high_queue_size + normal_queue_size,
+        'lane_depths', jsonb_build_object('high', high_queue_size, 'normal', normal_queue_size),
+        'cpu_aware_mode', true,
+        'timeout_seconds', 30,
+        'adaptive_processing', true
+      ),
+      timeout_milliseconds := 35000  -- 35 second HTTP timeout
+    ) INTO request_id;
+
+    RAISE LOG 'Autopilot: Triggered adaptive processing for % high / % normal jobs (batch_size: %, request_id: %)',
+              high_queue_size, normal_queue_size, adaptive_batch_size, request_id;
+  ELSE
+    RAISE LOG 'Autopilot: Queue empty, skipping processing cycle';
+  END IF;
+
+EXCEPTION WHEN OTHERS THEN
+  RAISE LOG 'Autopilot error in trigger_embedding_queue_processing_adaptive: %', SQLERRM;
+  -- Don't re-raise - we want the cron job to continue even if this fails
+END;
+$$;
+
+-- ==============================================================================
+-- RUN HISTORY
+-- ==============================================================================
+
+-- Invocations turned away by the open circuit are recorded as 'paused' runs
+ALTER TABLE "public"."embedding_runs" DROP CONSTRAINT IF EXISTS "embedding_runs_status_check";
+ALTER TABLE "public"."embedding_runs" ADD CONSTRAINT "embedding_runs_status_check"
+    CHECK (status IN ('completed', 'failed', 'paused'));
+
+-- ==============================================================================
+-- SYSTEM STATUS
+-- ==============================================================================
+
+-- Same as 020, with the autopilot state appended
+CREATE OR REPLACE VIEW "public"."autonomous_system_status" AS
+SELECT
+  'Autonomous Embedding System' as system_name,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs) + (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_high) as pending_jobs,
+  (SELECT COUNT(*) FROM source_documents WHERE content IS NOT NULL) as total_documents,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model()) as documents_with_embeddings,
+  (SELECT COUNT(*) FROM document_embeddings WHERE model_name = get_active_embedding_model() AND embedding IS NOT NULL) as documents_with_valid_embeddings,
+  (SELECT COUNT(*) FROM find_outdated_embeddings(10000)) as documents_needing_update,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '1 hour') as errors_last_hour,
+  (SELECT COUNT(*) FROM embedding_error_log WHERE created_at > now() - interval '24 hours') as errors_last_24h,
+  (
+    SELECT ROUND(
+      100.0 * COUNT(CASE WHEN de.embedding IS NOT NULL THEN 1 END) / NULLIF(COUNT(*), 0),
+      1
+    )
+    FROM source_documents sd
+    LEFT JOIN document_embeddings de ON sd.id = de.document_id AND de.model_name = get_active_embedding_model()
+    WHERE sd.content IS NOT NULL
+  ) as embedding_coverage_percent,
+  (
+    SELECT COUNT(*) FILTER (WHERE message->>'autopilot_reembedding' = 'true')
+    FROM pgmq.q_embedding_jobs
+    WHERE enqueued_at > now() - interval '1 hour'
+  ) as autopilot_jobs_last_hour,
+  now() as last_checked,
+  get_active_embedding_model() as active_embedding_model,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_dlq) as dead_letter_jobs,
+  (SELECT COUNT(*) FROM find_missing_embeddings(10000)) as documents_missing_embeddings,
+  (SELECT COUNT(*) FROM pgmq.q_embedding_jobs_high) as pending_high_priority_jobs,
+  (
+    SELECT COALESCE(jsonb_agg(to_jsonb(tc) ORDER BY tc.tenant_id), '[]'::jsonb)
+    FROM tenant_embedding_coverage tc
+  ) as tenant_coverage,
+  -- running, paused, or probing (paused with a probe due on the next cycle)
+  (
+    SELECT CASE
+      WHEN cb.state = 'closed' THEN 'running'
+      WHEN cb.next_probe_at > now() THEN 'paused'
+      ELSE 'probing'
+    END
+    FROM embedding_circuit_breaker cb
+  ) as autopilot_state,
+  (SELECT cb.reason FROM embedding_circuit_breaker cb) as autopilot_pause_reason,
+  (SELECT cb.opened_at FROM embedding_circuit_breaker cb) as autopilot_paused_at,
+  (SELECT cb.next_probe_at FROM embedding_circuit_breaker cb) as next_probe_at,
+  (SELECT cb.consecutive_failures FROM embedding_circuit_breaker cb) as consecutive_embedding_failures;
+
+-- ==============================================================================
+-- PERMISSIONS
+-- ==============================================================================
+
+REVOKE EXECUTE ON FUNCTION "public"."get_embedding_circuit" FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION "public"."report_embedding_backend_health" FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION "public"."pgmq_defer_batch" FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION "public"."get_embedding_circuit" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."report_embedding_backend_health" TO service_role;
+GRANT EXECUTE ON FUNCTION "public"."pgmq_defer_batch" TO service_role;
+
+COMMENT ON TABLE "public"."embedding_circuit_breaker" IS 'Single-row circuit breaker state for the embedding backend - open means the autopilot is paused';
+COMMENT ON FUNCTION "public"."get_embedding_circuit" IS 'Returns the embedding circuit breaker state';
+COMMENT ON FUNCTION "public"."report_embedding_backend_health" IS 'Records consecutive embedding failures; opens the circuit at the threshold (scheduling probes with backoff) and closes it at 0';
+COMMENT ON COLUMN "public"."embedding_runs"."status" IS 'completed, failed (critical error before the run finished) or paused (the circuit was open, no jobs were read)';
+COMMENT ON FUNCTION "public"."pgmq_defer_batch" IS 'Releases unattempted embedding jobs until a given time without counting the read toward their retries';
+
+-- Verification query
+SELECT
+    'Embedding circuit breaker installed' as status,
+    (SELECT state FROM embedding_circuit_breaker) as circuit_state,
+    EXISTS(SELECT 1 FROM pg_proc WHERE proname = 'report_embedding_backend_health') as health_reporting_exists;
@@ -0,0 +1,226 @@
+-- Embedding Pipeline Tests
+-- pgTAP checks for the enqueue trigger, job coalescing, conditional writes,
+-- find_outdated_embeddings and the embedding circuit breaker. The runner
+-- (supabase/tests/run-sql-tests.js, npm run test:sql) applies bootstrap.sql and the
+-- numbered migrations first, in the same transaction, and rolls everything back
+-- afterwards - only rows for the fixed test document ids below are asserted on.
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+SET search_path TO public, extensions;
+
+SELECT plan(23);
+
+-- Jobs for one document across both lanes
+CREATE TEMP VIEW test_jobs AS
+SELECT 'embedding_jobs_high'::TEXT as queue_name, q.msg_id, q.read_ct, q.message
+FROM pgmq.q_embedding_jobs_high q
+UNION ALL
+SELECT 'embedding_jobs'::TEXT, q.msg_id, q.read_ct, q.message
+FROM pgmq.q_embedding_jobs q;
+
+-- ==============================================================================
+-- SCHEMA
+-- ==============================================================================
+
+SELECT has_function('public', 'enqueue_document_embedding', 'enqueue_document_embedding exists');
+SELECT has_function('public', 'store_document_embedding', 'store_document_embedding exists');
+SELECT has_function('public', 'find_outdated_embeddings', 'find_outdated_embeddings exists');
+
+-- ==============================================================================
+-- ENQUEUE TRIGGER
+-- ==============================================================================
+
+INSERT INTO source_documents (id, content, metadata)
+VALUES ('00000000-0000-4000-8000-000000000001', 'Original text', '{"source": "pgtap"}');
+
+SELECT results_eq(
+    $$SELECT queue_name, message->>'trigger_type', message->>'source_text_hash'
+      FROM test_jobs WHERE message->>'document_id' = '00000000-0000-4000-8000-000000000001'$$,
+    $$VALUES ('embedding_jobs_high', 'INSERT', md5('Original text'))$$,
+    'an insert queues one high-priority job carrying the content hash'
+);
+
+-- A bulk load asks for the normal lane for its own transaction only
+SELECT set_config('app.embedding_priority', 'normal', true);
+INSERT INTO source_documents (id, content, metadata)
+VALUES ('00000000-0000-4000-8000-000000000002', 'Bulk loaded text', '{"source": "pgtap"}');
+SELECT set_config('app.embedding_priority', '', true);
+
+SELECT results_eq(
+    $$SELECT queue_name FROM test_jobs WHERE message->>'document_id' = '00000000-0000-4000-8000-000000000002'$$,
+    $$VALUES ('embedding_jobs')$$,
+    'app.embedding_priority = normal routes the job to the normal lane'
+);
+
+UPDATE source_documents SET content = 'Edited by a user'
+WHERE id = '00000000-0000-4000-8000-000000000002';
+
+SELECT results_eq(
+    $$SELECT queue_name, message->>'source_text' FROM test_jobs WHERE message->>'document_id' = '00000000-0000-4000-8000-000000000002'$$,
+    $$VALUES ('embedding_jobs_high', 'Edited by a user')$$,
+    'a later edit of a bulk-loaded document goes to the high lane'
+);
+
+UPDATE source_documents SET metadata = '{"source": "pgtap", "edited": true}'
+WHERE id = '00000000-0000-4000-8000-000000000001';
+
+SELECT is(
+    (SELECT COUNT(*) FROM test_jobs WHERE message->>'document_id' = '00000000-0000-4000-8000-000000000001'),
+    1::BIGINT,
+    'a metadata-only update does not queue another job'
+);
+
+UPDATE source_documents SET content = 'Edited text'
+WHERE id = '00000000-0000-4000-8000-000000000001';
+
+SELECT results_eq(
+    $$SELECT message->>'source_text', (message->>'coalesced_count')::INTEGER
+      FROM test_jobs WHERE message->>'document_id' = '00000000-0000-4000-8000-000000000001'$$,
+    $$VALUES ('Edited text', 1)$$,
+    'an edit before the job is read is coalesced into the pending job'
+);
+
+-- Simulate the processor picking the job up
+UPDATE pgmq.q_embedding_jobs_high SET read_ct = 1
+WHERE message->>'document_id' = '00000000-0000-4000-8000-000000000001';
+
+UPDATE source_documents SET content = 'Edited again'
+WHERE id = '00000000-0000-4000-8000-000000000001';
+
+SELECT results_eq(
+    $$SELECT message->>'source_text', read_ct
+      FROM test_jobs WHERE message->>'document_id' = '00000000-0000-4000-8000-000000000001'
+      ORDER BY msg_id$$,
+    $$VALUES ('Edited text', 1), ('Edited again', 0)$$,
+    'an edit after the job was read queues a new job and leaves the in-flight one alone'
+);
+
+UPDATE source_documents SET content = ''
+WHERE id = '00000000-0000-4000-8000-000000000002';
+
+SELECT is(
+    (SELECT COUNT(*) FROM test_jobs WHERE message->>'document_id' = '00000000-0000-4000-8000-000000000002'),
+    1::BIGINT,
+    'emptying a document does not queue a job'
+);
+
+-- ==============================================================================
+-- CONDITIONAL WRITES
+-- ==============================================================================
+
+SELECT is(
+    store_document_embedding(
+        '00000000-0000-4000-8000-000000000001',
+        get_active_embedding_model(),
+        'Edited text',
+        array_fill(0.05, ARRAY[384])::vector
+    ),
+    false,
+    'store_document_embedding refuses a vector computed from superseded text'
+);
+
+SELECT is(
+    store_document_embedding(
+        '00000000-0000-4000-8000-000000000001',
+        get_active_embedding_model(),
+        'Edited again',
+        array_fill(0.05, ARRAY[384])::vector
+    ),
+    true,
+    'store_document_embedding stores a vector for the current text'
+);
+
+SELECT is(
+    (SELECT source_text_hash FROM document_embeddings
+     WHERE document_id = '00000000-0000-4000-8000-000000000001' AND model_name = get_active_embedding_model()),
+    md5('Edited again'),
+    'the stored embedding records the hash of the text it was computed from'
+);
+
+-- The processor archives the document's jobs once the embedding is stored
+DELETE FROM pgmq.q_embedding_jobs_high
+WHERE message->>'document_id' = '00000000-0000-4000-8000-000000000001';
+
+-- ==============================================================================
+-- OUTDATED EMBEDDING DETECTION
+-- ==============================================================================
+
+SELECT is_empty(
+    $$SELECT 1 FROM find_outdated_embeddings(100000) WHERE document_id = '00000000-0000-4000-8000-000000000001'$$,
+    'a document whose embedding matches its content is not outdated'
+);
+
+-- Bypass the trigger so only the hash comparison can notice the change
+ALTER TABLE source_documents DISABLE TRIGGER enqueue_embedding_on_change;
+UPDATE source_documents SET content = 'Changed behind the trigger'
+WHERE id = '00000000-0000-4000-8000-000000000001';
+ALTER TABLE source_documents ENABLE TRIGGER enqueue_embedding_on_change;
+
+SELECT results_eq(
+    $$SELECT current_hash, stored_hash, content_length
+      FROM find_outdated_embeddings(100000) WHERE document_id = '00000000-0000-4000-8000-000000000001'$$,
+    $$VALUES (md5('Changed behind the trigger'), md5('Edited again'), length('Changed behind the trigger'))$$,
+    'find_outdated_embeddings reports a changed document with both hashes'
+);
+
+SELECT ok(
+    enqueue_outdated_embeddings(100000) >= 1,
+    'enqueue_outdated_embeddings queues the outdated document'
+);
+
+SELECT results_eq(
+    $$SELECT queue_name, message->>'source_text'
+      FROM test_jobs WHERE message->>'document_id' = '00000000-0000-4000-8000-000000000001'
+        AND (message->>'autopilot_reembedding')::BOOLEAN$$,
+    $$VALUES ('embedding_jobs', 'Changed behind the trigger')$$,
+    'autopilot re-embedding uses the normal lane with the current content'
+);
+
+-- ==============================================================================
+-- CIRCUIT BREAKER
+-- ==============================================================================
+
+-- now() is the transaction start, so probe delays can be compared exactly
+SELECT results_eq(
+    $$SELECT state, consecutive_failures FROM report_embedding_backend_health(2, 'timeout', 3, 30, 900)$$,
+    $$VALUES ('closed', 2)$$,
+    'failures below the threshold keep the circuit closed'
+);
+
+SELECT results_eq(
+    $$SELECT state, reason, next_probe_at - now() FROM report_embedding_backend_health(3, 'timeout', 3, 30, 900)$$,
+    $$VALUES ('open', 'Paused after 3 consecutive embedding failures: timeout', interval '30 seconds')$$,
+    'reaching the threshold opens the circuit and schedules the first probe'
+);
+
+SELECT is(
+    (SELECT autopilot_state FROM autonomous_system_status),
+    'paused',
+    'autonomous_system_status shows the paused autopilot'
+);
+
+SELECT results_eq(
+    $$SELECT probe_attempts, next_probe_at - now(), opened_at = now() FROM report_embedding_backend_health(4, 'timeout', 3, 30, 900)$$,
+    $$VALUES (1, interval '60 seconds', true)$$,
+    'a failed probe doubles the wait before the next one'
+);
+
+-- A job read twice whose embedding was never attempted because the circuit opened
+CREATE TEMP TABLE deferred_job AS
+SELECT pgmq.send('embedding_jobs', '{"document_id": "00000000-0000-4000-8000-000000000009"}'::jsonb) AS msg_id;
+UPDATE pgmq.q_embedding_jobs SET read_ct = 2 WHERE msg_id = (SELECT msg_id FROM deferred_job);
+SELECT pgmq_defer_batch('embedding_jobs', ARRAY[(SELECT msg_id FROM deferred_job)], now() + interval '60 seconds');
+
+SELECT results_eq(
+    $$SELECT read_ct, vt - now() FROM pgmq.q_embedding_jobs WHERE msg_id = (SELECT msg_id FROM deferred_job)$$,
+    $$VALUES (1, interval '60 seconds')$$,
+    'pgmq_defer_batch hides a job until the next probe and undoes its read'
+);
+
+SELECT results_eq(
+    $$SELECT state, consecutive_failures, reason, next_probe_at FROM report_embedding_backend_health(0)$$,
+    $$VALUES ('closed', 0, NULL::TEXT, NULL::TIMESTAMPTZ)$$,
+    'a success closes the circuit and resumes the autopilot'
+);
+
+SELECT * FROM finish(true);
@@ -0,0 +1,165 @@
+-- Search Filter Tests
+-- pgTAP checks that structured filters (containment, equality, IN lists, numeric and
+-- date ranges, created/updated windows) narrow the vector query itself, that invalid
+-- filters are rejected with invalid_parameter_value, and that cursor pages neither skip
+-- nor repeat documents with equal similarity. All documents live in their own tenant.
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+SET search_path TO public, extensions;
+
+SELECT plan(14);
+
+-- Query vector: the 384-dimension seed model, all components equal
+CREATE TEMP VIEW test_query AS
+SELECT array_fill(0.05, ARRAY[384])::vector as embedding;
+
+-- Ids of a filtered semantic search in the test tenant, best match first
+CREATE FUNCTION pg_temp.filtered_ids(p_filter JSONB) RETURNS SETOF UUID
+LANGUAGE sql AS $$
+    SELECT s.document_id
+    FROM test_query q, semantic_search_documents(q.embedding, -1, 10, NULL, 'pgtap-filters', p_filter) s
+$$;
+
+-- ==============================================================================
+-- FIXTURES
+-- ==============================================================================
+
+-- The last vector component moves documents away from the query: a (1.0) > b > c = d
+INSERT INTO source_documents (id, tenant_id, content, metadata, created_at) VALUES
+    ('00000000-0000-4000-8000-0000000000f1', 'pgtap-filters', 'Filter document alpha',
+     '{"document_type": "report", "author": "Ada", "priority": 1, "published_at": "2024-01-15", "tags": ["postgres", "vector"]}', '2024-05-01'),
+    ('00000000-0000-4000-8000-0000000000f2', 'pgtap-filters', 'Filter document beta',
+     '{"document_type": "report", "author": "Grace", "priority": 3, "published_at": "2024-03-01", "tags": ["postgres"]}', '2024-05-01'),
+    ('00000000-0000-4000-8000-0000000000f3', 'pgtap-filters', 'Filter document gamma',
+     '{"document_type": "memo", "author": "Ada", "priority": 5, "published_at": "not a date", "tags": []}', '2023-01-01'),
+    ('00000000-0000-4000-8000-0000000000f4', 'pgtap-filters', 'Filter document delta',
+     '{"document_type": "memo", "author": "Linus", "priority": "high"}', '2024-05-01');
+
+SELECT ok(
+    bool_and(store_document_embedding(document.id, get_active_embedding_model(), document.content,
+                                      (array_fill(0.05, ARRAY[383]) || document.last_component)::vector)),
+    'embeddings are stored for the filter fixtures'
+)
+FROM (VALUES
+    ('00000000-0000-4000-8000-0000000000f1'::uuid, 'Filter document alpha', 0.05),
+    ('00000000-0000-4000-8000-0000000000f2'::uuid, 'Filter document beta', 0.3),
+    ('00000000-0000-4000-8000-0000000000f3'::uuid, 'Filter document gamma', 0.6),
+    ('00000000-0000-4000-8000-0000000000f4'::uuid, 'Filter document delta', 0.6)
+) as document(id, content, last_component);
+
+-- ==============================================================================
+-- FILTERS
+-- ==============================================================================
+
+SELECT results_eq(
+    $$SELECT * FROM pg_temp.filtered_ids('{"contains": {"tags": ["postgres"]}}')$$,
+    $$VALUES ('00000000-0000-4000-8000-0000000000f1'::uuid), ('00000000-0000-4000-8000-0000000000f2'::uuid)$$,
+    'contains matches documents whose metadata contains the object'
+);
+
+SELECT results_eq(
+    $$SELECT * FROM pg_temp.filtered_ids('{"metadata": {"author": "Ada"}}')$$,
+    $$VALUES ('00000000-0000-4000-8000-0000000000f1'::uuid), ('00000000-0000-4000-8000-0000000000f3'::uuid)$$,
+    'a scalar metadata condition matches by equality'
+);
+
+SELECT set_eq(
+    $$SELECT * FROM pg_temp.filtered_ids('{"metadata": {"author": {"in": ["Grace", "Linus"]}}}')$$,
+    $$VALUES ('00000000-0000-4000-8000-0000000000f2'::uuid), ('00000000-0000-4000-8000-0000000000f4'::uuid)$$,
+    'in matches any of the listed values'
+);
+
+SELECT results_eq(
+    $$SELECT * FROM pg_temp.filtered_ids('{"metadata": {"priority": {"gte": 2, "lt": 5}}}')$$,
+    $$VALUES ('00000000-0000-4000-8000-0000000000f2'::uuid)$$,
+    'numeric ranges skip values outside the range and values that are not numbers'
+);
+
+SELECT results_eq(
+    $$SELECT * FROM pg_temp.filtered_ids('{"metadata": {"published_at": {"gte": "2024-02-01"}}}')$$,
+    $$VALUES ('00000000-0000-4000-8000-0000000000f2'::uuid)$$,
+    'date ranges skip earlier dates and values that are not dates'
+);
+
+SELECT results_eq(
+    $$SELECT * FROM pg_temp.filtered_ids('{"created_at": {"lt": "2024-01-01T00:00:00Z"}}')$$,
+    $$VALUES ('00000000-0000-4000-8000-0000000000f3'::uuid)$$,
+    'created_at windows filter on the row timestamp'
+);
+
+SELECT set_eq(
+    $$SELECT s.document_id
+      FROM test_query q, hybrid_search_documents('filter document', q.embedding, 10, 1.0, 1.0, 50, NULL, 'pgtap-filters',
+                                                  '{"metadata": {"document_type": "memo"}}') s$$,
+    $$VALUES ('00000000-0000-4000-8000-0000000000f3'::uuid), ('00000000-0000-4000-8000-0000000000f4'::uuid)$$,
+    'hybrid search applies the filter to both the keyword and the vector side'
+);
+
+SELECT throws_ok(
+    $$SELECT * FROM pg_temp.filtered_ids('{"metadata": {"priority": {"between": [1, 2]}}}')$$,
+    '22023',
+    'Unknown operator "between" in filter.metadata.priority - use eq, in, gt, gte, lt or lte',
+    'unknown operators are rejected'
+);
+
+SELECT throws_ok(
+    $$SELECT * FROM pg_temp.filtered_ids('{"author": "Ada"}')$$,
+    '22023',
+    'Unknown search filter "author" - use contains, metadata, created_at or updated_at',
+    'unknown filter keys are rejected'
+);
+
+SELECT throws_ok(
+    $$SELECT * FROM pg_temp.filtered_ids('{"updated_at": {"gte": "last week"}}')$$,
+    '22023',
+    'filter.updated_at.gte must be an ISO date or timestamp',
+    'time windows need ISO dates'
+);
+
+-- ==============================================================================
+-- CURSOR PAGINATION
+-- ==============================================================================
+
+-- First page: the two best matches; later pages continue after the last one
+CREATE TEMP VIEW first_page AS
+SELECT s.document_id, s.similarity
+FROM test_query q, semantic_search_documents(q.embedding, -1, 2, NULL, 'pgtap-filters') s;
+
+SELECT results_eq(
+    $$SELECT document_id FROM first_page$$,
+    $$VALUES ('00000000-0000-4000-8000-0000000000f1'::uuid), ('00000000-0000-4000-8000-0000000000f2'::uuid)$$,
+    'the first page holds the best matches'
+);
+
+-- gamma and delta have the same similarity; one-row pages must return each exactly once
+SELECT bag_eq(
+    $$WITH second_page AS (
+          SELECT s.document_id, s.similarity
+          FROM test_query q, semantic_search_documents(
+              q.embedding, -1, 1, NULL, 'pgtap-filters', NULL,
+              (SELECT similarity FROM first_page ORDER BY similarity LIMIT 1),
+              ARRAY(SELECT document_id FROM first_page ORDER BY similarity LIMIT 1)) s
+      ),
+      third_page AS (
+          SELECT s.document_id
+          FROM test_query q, second_page p, semantic_search_documents(
+              q.embedding, -1, 1, NULL, 'pgtap-filters', NULL, p.similarity, ARRAY[p.document_id]) s
+      )
+      SELECT document_id FROM second_page
+      UNION ALL
+      SELECT document_id FROM third_page$$,
+    $$VALUES ('00000000-0000-4000-8000-0000000000f3'::uuid), ('00000000-0000-4000-8000-0000000000f4'::uuid)$$,
+    'documents with equal similarity are neither skipped nor repeated across pages'
+);
+
+SELECT is_empty(
+    $$SELECT 1
+      FROM test_query q, semantic_search_documents(
+          q.embedding, -1, 10, NULL, 'pgtap-filters', NULL,
+          (SELECT similarity FROM semantic_search_documents(
+              (SELECT embedding FROM test_query), -1, 10, NULL, 'pgtap-filters') ORDER BY similarity LIMIT 1),
+          ARRAY['00000000-0000-4000-8000-0000000000f3'::uuid, '00000000-0000-4000-8000-0000000000f4'::uuid]) s$$,
+    'the page after the last tie is empty'
+);
+
+SELECT * FROM finish(true);
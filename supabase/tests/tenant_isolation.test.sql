@@ -0,0 +1,189 @@
+-- Tenant Isolation Tests
+-- pgTAP checks that the tenant travels with a document into its queue job and sidecar
+-- rows, that searches read exactly one tenant, and that anon and authenticated requests
+-- only see their own tenant. Requests are simulated the way PostgREST makes them: by
+-- switching role and setting request.jwt.claims for the rest of the transaction.
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+SET search_path TO public, extensions;
+
+SELECT plan(21);
+
+-- ==============================================================================
+-- TENANT PROPAGATION
+-- ==============================================================================
+
+INSERT INTO source_documents (id, tenant_id, external_id, content, metadata) VALUES
+    ('00000000-0000-4000-8000-00000000000a', 'pgtap-tenant-a', 'shared-key', 'Alpha tenant document', '{}'),
+    ('00000000-0000-4000-8000-00000000000b', 'pgtap-tenant-b', 'shared-key', 'Beta tenant document', '{}');
+
+SELECT pass('the same external_id can exist once per tenant');
+
+SELECT results_eq(
+    $$SELECT message->>'tenant_id' FROM pgmq.q_embedding_jobs_high
+      WHERE message->>'document_id' = '00000000-0000-4000-8000-00000000000a'$$,
+    $$VALUES ('pgtap-tenant-a')$$,
+    'the queue message carries the document tenant'
+);
+
+SELECT register_embedding_model('pgtap-backfill-model', 'fake', 384);
+SELECT enqueue_model_backfill('pgtap-backfill-model', 100000);
+
+SELECT results_eq(
+    $$SELECT message->>'tenant_id', message->>'priority' FROM pgmq.q_embedding_jobs
+      WHERE message->>'document_id' = '00000000-0000-4000-8000-00000000000a'
+        AND message->>'model_name' = 'pgtap-backfill-model'$$,
+    $$VALUES ('pgtap-tenant-a', 'normal')$$,
+    'model backfill jobs carry the document tenant in the normal lane'
+);
+
+SELECT throws_ok(
+    $$INSERT INTO source_documents (tenant_id, external_id, content)
+      VALUES ('pgtap-tenant-a', 'shared-key', 'Duplicate in the same tenant')$$,
+    '23505',
+    NULL,
+    'external_id stays unique within a tenant'
+);
+
+SELECT ok(
+    store_document_embedding(
+        '00000000-0000-4000-8000-00000000000a', get_active_embedding_model(),
+        'Alpha tenant document', array_fill(0.05, ARRAY[384])::vector
+    ) AND store_document_embedding(
+        '00000000-0000-4000-8000-00000000000b', get_active_embedding_model(),
+        'Beta tenant document', array_fill(0.05, ARRAY[384])::vector
+    ),
+    'embeddings are stored for both tenants'
+);
+
+SELECT is(
+    (SELECT tenant_id FROM document_embeddings WHERE document_id = '00000000-0000-4000-8000-00000000000b'),
+    'pgtap-tenant-b',
+    'the embedding row inherits the document tenant'
+);
+
+UPDATE source_documents SET tenant_id = 'pgtap-tenant-c'
+WHERE id = '00000000-0000-4000-8000-00000000000b';
+
+SELECT is(
+    (SELECT tenant_id FROM document_embeddings WHERE document_id = '00000000-0000-4000-8000-00000000000b'),
+    'pgtap-tenant-c',
+    'moving a document to another tenant moves its embedding'
+);
+
+UPDATE source_documents SET tenant_id = 'pgtap-tenant-b'
+WHERE id = '00000000-0000-4000-8000-00000000000b';
+
+SELECT results_eq(
+    $$SELECT total_documents, documents_with_embeddings FROM tenant_embedding_coverage WHERE tenant_id = 'pgtap-tenant-a'$$,
+    $$VALUES (1::BIGINT, 1::BIGINT)$$,
+    'coverage is reported per tenant'
+);
+
+-- ==============================================================================
+-- TRUSTED SEARCH
+-- ==============================================================================
+
+SELECT results_eq(
+    $$SELECT document_id FROM semantic_search_documents(
+        array_fill(0.05, ARRAY[384])::vector, -1, 100, NULL, 'pgtap-tenant-a')$$,
+    $$VALUES ('00000000-0000-4000-8000-00000000000a'::uuid)$$,
+    'a trusted search reads only the requested tenant'
+);
+
+SELECT is_empty(
+    $$SELECT 1 FROM semantic_search_documents(array_fill(0.05, ARRAY[384])::vector, -1, 100)
+      WHERE document_id IN ('00000000-0000-4000-8000-00000000000a', '00000000-0000-4000-8000-00000000000b')$$,
+    'a trusted search without a tenant reads only the default tenant'
+);
+
+-- ==============================================================================
+-- AUTHENTICATED REQUESTS
+-- ==============================================================================
+
+SET LOCAL ROLE authenticated;
+SELECT set_config('request.jwt.claims', '{"role": "authenticated", "app_metadata": {"tenant_id": "pgtap-tenant-a"}}', true);
+
+SELECT results_eq(
+    $$SELECT id FROM source_documents
+      WHERE id IN ('00000000-0000-4000-8000-00000000000a', '00000000-0000-4000-8000-00000000000b')$$,
+    $$VALUES ('00000000-0000-4000-8000-00000000000a'::uuid)$$,
+    'an authenticated user only sees documents of their tenant'
+);
+
+SELECT results_eq(
+    $$SELECT document_id FROM document_embeddings
+      WHERE document_id IN ('00000000-0000-4000-8000-00000000000a', '00000000-0000-4000-8000-00000000000b')$$,
+    $$VALUES ('00000000-0000-4000-8000-00000000000a'::uuid)$$,
+    'an authenticated user only sees embeddings of their tenant'
+);
+
+SELECT results_eq(
+    $$SELECT document_id FROM semantic_search_documents(array_fill(0.05, ARRAY[384])::vector, -1, 100)$$,
+    $$VALUES ('00000000-0000-4000-8000-00000000000a'::uuid)$$,
+    'an authenticated search reads the tenant from the JWT'
+);
+
+SELECT throws_ok(
+    $$SELECT * FROM semantic_search_documents(array_fill(0.05, ARRAY[384])::vector, -1, 100, NULL, 'pgtap-tenant-b')$$,
+    '42501',
+    NULL,
+    'an authenticated search cannot name another tenant'
+);
+
+SELECT throws_ok(
+    $$SELECT * FROM list_dead_letter_jobs()$$,
+    '42501',
+    NULL,
+    'engine functions cannot be called with an API key'
+);
+
+SELECT throws_ok(
+    $$SELECT * FROM get_embedding_circuit()$$,
+    '42501',
+    NULL,
+    'functions added by later migrations are closed to API keys too'
+);
+
+SELECT isnt_empty(
+    $$SELECT 1 FROM embedding_models WHERE status = 'active'$$,
+    'the model registry is readable with an API key'
+);
+
+SELECT throws_ok(
+    $$UPDATE embedding_models SET status = 'retired'$$,
+    '42501',
+    NULL,
+    'the model registry cannot be changed with an API key'
+);
+
+-- ==============================================================================
+-- ANON REQUESTS WITHOUT A TENANT
+-- ==============================================================================
+
+SET LOCAL ROLE anon;
+SELECT set_config('request.jwt.claims', '{"role": "anon"}', true);
+
+SELECT is_empty(
+    $$SELECT 1 FROM source_documents
+      WHERE id IN ('00000000-0000-4000-8000-00000000000a', '00000000-0000-4000-8000-00000000000b')$$,
+    'an anon key without a tenant claim sees no documents'
+);
+
+SELECT throws_ok(
+    $$SELECT * FROM semantic_search_documents(array_fill(0.05, ARRAY[384])::vector, -1, 100)$$,
+    '42501',
+    NULL,
+    'an anon search without a tenant claim is refused'
+);
+
+SELECT throws_ok(
+    $$INSERT INTO source_documents (tenant_id, external_id, content) VALUES ('pgtap-tenant-a', 'anon-write', 'Written with the anon key')$$,
+    '42501',
+    NULL,
+    'documents cannot be written with the anon key'
+);
+
+RESET ROLE;
+
+SELECT * FROM finish(true);